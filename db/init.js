@@ -144,6 +144,60 @@ db.exec(`
   )
 `);
 
+// Add import progress columns to data_sources if missing (updated per batch while
+// a file imports with status 'processing')
+try {
+  const dataSourceColumns = db.prepare(`PRAGMA table_info(data_sources)`).all();
+  const hasRowsProcessed = dataSourceColumns.some(col => col.name === 'rows_processed');
+  if (!hasRowsProcessed) {
+    db.exec(`ALTER TABLE data_sources ADD COLUMN rows_processed INTEGER DEFAULT 0`);
+  }
+  const hasBytesProcessed = dataSourceColumns.some(col => col.name === 'bytes_processed');
+  if (!hasBytesProcessed) {
+    db.exec(`ALTER TABLE data_sources ADD COLUMN bytes_processed INTEGER DEFAULT 0`);
+  }
+} catch (err) {
+  // Table might not exist yet, that's fine
+}
+
+// Add data-quality profile columns to data_sources if missing (set after each import, see lib/dataProfiler.js)
+try {
+  const dataSourceColumns = db.prepare(`PRAGMA table_info(data_sources)`).all();
+  if (!dataSourceColumns.some(col => col.name === 'quality_profile')) {
+    db.exec(`ALTER TABLE data_sources ADD COLUMN quality_profile TEXT`);
+  }
+  if (!dataSourceColumns.some(col => col.name === 'quality_status')) {
+    db.exec(`ALTER TABLE data_sources ADD COLUMN quality_status TEXT`);
+  }
+} catch (err) {
+  // Table might not exist yet, that's fine
+}
+
+// Add column_overrides to data_sources if missing (the column types, renames and
+// skips chosen at upload, reused when the source is refreshed)
+try {
+  const dataSourceColumns = db.prepare(`PRAGMA table_info(data_sources)`).all();
+  if (!dataSourceColumns.some(col => col.name === 'column_overrides')) {
+    db.exec(`ALTER TABLE data_sources ADD COLUMN column_overrides TEXT`);
+  }
+} catch (err) {
+  // Table might not exist yet, that's fine
+}
+
+// Add sheet_name/sheet_table to data_sources if missing (the workbook sheet, and
+// table on it, a source was imported from; refreshes import the same one)
+try {
+  const dataSourceColumns = db.prepare(`PRAGMA table_info(data_sources)`).all();
+  if (!dataSourceColumns.some(col => col.name === 'sheet_name')) {
+    db.exec(`ALTER TABLE data_sources ADD COLUMN sheet_name TEXT`);
+  }
+  if (!dataSourceColumns.some(col => col.name === 'sheet_table')) {
+    db.exec(`ALTER TABLE data_sources ADD COLUMN sheet_table INTEGER`);
+  }
+} catch (err) {
+  // Table might not exist yet, that's fine
+}
+
 // ============================================
 // Queries Table
 // ============================================
@@ -385,6 +439,26 @@ try {
   // Table might not exist yet, that's fine
 }
 
+// Add project data source binding (a database connection the project queries
+// instead of its uploads)
+try {
+  const projectColumns = db.prepare(`PRAGMA table_info(projects)`).all();
+  const hasDataSourceId = projectColumns.some(col => col.name === 'data_source_id');
+  if (!hasDataSourceId) {
+    db.exec(`ALTER TABLE projects ADD COLUMN data_source_id TEXT`);
+    // Projects without uploads used to query their tenant's default connection; keep them on it
+    db.exec(`
+      UPDATE projects SET data_source_id = (
+        SELECT id FROM tenant_data_sources
+        WHERE tenant_id = projects.tenant_id AND is_default = 1 AND type != 'file'
+      )
+      WHERE NOT EXISTS (SELECT 1 FROM data_sources WHERE data_sources.project_id = projects.id)
+    `);
+  }
+} catch (err) {
+  console.warn('Could not add project data source binding:', err.message);
+}
+
 // ============================================
 // Data Relationships Table (Phase 12)
 // ============================================
@@ -525,4 +599,128 @@ db.exec(`
 db.exec(`CREATE INDEX IF NOT EXISTS idx_rate_limits_tenant ON rate_limits(tenant_id)`);
 db.exec(`CREATE INDEX IF NOT EXISTS idx_rate_limits_window ON rate_limits(window_start)`);
 
+// ============================================
+// Data Source Versions Table
+// ============================================
+// Each upload or refresh of a data source, kept for rollback (the data itself is a
+// snapshot in the project database, see lib/dataSourceVersions.js)
+
+db.exec(`
+  CREATE TABLE IF NOT EXISTS data_source_versions (
+    id TEXT PRIMARY KEY,
+    data_source_id TEXT NOT NULL REFERENCES data_sources(id) ON DELETE CASCADE,
+    tenant_id TEXT NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    version INTEGER NOT NULL,
+    row_count INTEGER,
+    column_count INTEGER,
+    columns TEXT,
+    mode TEXT,
+    original_filename TEXT,
+    size_bytes INTEGER,
+    diff TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(data_source_id, version)
+  )
+`);
+
+db.exec(`CREATE INDEX IF NOT EXISTS idx_data_source_versions_source ON data_source_versions(data_source_id)`);
+
+// Add current_version to data_sources if missing (the version its table holds;
+// older versions stay available after a rollback)
+try {
+  const dataSourceColumns = db.prepare(`PRAGMA table_info(data_sources)`).all();
+  if (!dataSourceColumns.some(col => col.name === 'current_version')) {
+    db.exec(`ALTER TABLE data_sources ADD COLUMN current_version INTEGER`);
+  }
+} catch (err) {
+  // Table might not exist yet, that's fine
+}
+
+// Add data_versions to queries if missing (the data source versions a query ran against)
+try {
+  const queryColumns = db.prepare(`PRAGMA table_info(queries)`).all();
+  if (!queryColumns.some(col => col.name === 'data_versions')) {
+    db.exec(`ALTER TABLE queries ADD COLUMN data_versions TEXT`);
+  }
+} catch (err) {
+  // Table might not exist yet, that's fine
+}
+
+// Add sql_attempts to queries if missing (each SQL tried for a question, when failing SQL is repaired)
+try {
+  const queryColumns = db.prepare(`PRAGMA table_info(queries)`).all();
+  if (!queryColumns.some(col => col.name === 'sql_attempts')) {
+    db.exec(`ALTER TABLE queries ADD COLUMN sql_attempts TEXT`);
+  }
+} catch (err) {
+  // Table might not exist yet, that's fine
+}
+
+// ============================================
+// API Usage Ledger
+// ============================================
+// One row per AI call with the tokens it used and who it was for; credits_usage
+// keeps the monthly totals, this breaks them down by purpose, project and user
+
+db.exec(`
+  CREATE TABLE IF NOT EXISTS api_usage_ledger (
+    id TEXT PRIMARY KEY,
+    tenant_id TEXT NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    month DATE NOT NULL,
+    purpose TEXT NOT NULL,
+    model TEXT,
+    project_id TEXT REFERENCES projects(id) ON DELETE SET NULL,
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    input_tokens INTEGER NOT NULL DEFAULT 0,
+    output_tokens INTEGER NOT NULL DEFAULT 0,
+    cost REAL NOT NULL DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )
+`);
+
+db.exec(`CREATE INDEX IF NOT EXISTS idx_api_usage_ledger_tenant_month ON api_usage_ledger(tenant_id, month)`);
+
+// ============================================
+// Conversations Table
+// ============================================
+// Threads of questions in a project; each query is a numbered turn. A branch
+// continues another thread from one of its turns: it shares that thread's turns
+// up to branched_at_turn, and its own turns are numbered after it
+
+db.exec(`
+  CREATE TABLE IF NOT EXISTS conversations (
+    id TEXT PRIMARY KEY,
+    project_id TEXT NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+    tenant_id TEXT NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    title TEXT NOT NULL,
+    parent_conversation_id TEXT REFERENCES conversations(id) ON DELETE CASCADE,
+    branched_at_turn INTEGER,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )
+`);
+
+db.exec(`CREATE INDEX IF NOT EXISTS idx_conversations_project ON conversations(project_id)`);
+
+// Add conversation_id and turn to queries if missing (the thread a question was asked in, and its place there)
+try {
+  const queryColumns = db.prepare(`PRAGMA table_info(queries)`).all();
+  if (!queryColumns.some(col => col.name === 'conversation_id')) {
+    db.exec(`ALTER TABLE queries ADD COLUMN conversation_id TEXT REFERENCES conversations(id) ON DELETE SET NULL`);
+    db.exec(`ALTER TABLE queries ADD COLUMN turn INTEGER`);
+  }
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_queries_conversation ON queries(conversation_id, turn)`);
+} catch (err) {
+  // Table might not exist yet, that's fine
+}
+
+// Each turn of a conversation is one query
+try {
+  db.exec(`CREATE UNIQUE INDEX IF NOT EXISTS idx_queries_conversation_turn ON queries(conversation_id, turn)`);
+} catch (err) {
+  // Databases that already have a turn twice keep only the plain index above
+  console.warn('Could not make conversation turns unique:', err.message);
+}
+
 module.exports = db;
@@ -3,20 +3,35 @@ const session = require('express-session');
 const helmet = require('helmet');
 const cookieParser = require('cookie-parser');
 const path = require('path');
+const fs = require('fs');
+const os = require('os');
 const crypto = require('crypto');
 const multer = require('multer');
 
-// Configure multer for file uploads (memory storage for processing)
-// File size limit: 100MB (increased for larger datasets)
-const MAX_FILE_SIZE = 100 * 1024 * 1024;
+// Configure multer for file uploads. Files are written to a temp directory so large
+// CSVs can be streamed into the database; routes delete them when done.
+// CSV/TSV/JSON Lines imports stream and Parquet is read a row group at a time, so
+// they get a much higher limit than JSON/Excel files, which are parsed in memory.
+const MAX_FILE_SIZE = 4 * 1024 * 1024 * 1024;
+const MAX_BUFFERED_FILE_SIZE = 100 * 1024 * 1024;
+const STREAMED_FILE_TYPES = ['.csv', '.tsv', '.ndjson', '.jsonl', '.parquet'];
+const UPLOAD_TMP_DIR = path.join(os.tmpdir(), 'affix-uploads');
+
+fs.mkdirSync(UPLOAD_TMP_DIR, { recursive: true });
 
 const upload = multer({
-  storage: multer.memoryStorage(),
+  storage: multer.diskStorage({
+    destination: UPLOAD_TMP_DIR,
+    // Keep the extension so importers can tell the file type from the path
+    filename: (req, file, cb) => {
+      cb(null, `${crypto.randomUUID()}${path.extname(file.originalname).toLowerCase()}`);
+    }
+  }),
   limits: {
     fileSize: MAX_FILE_SIZE,
   },
   fileFilter: (req, file, cb) => {
-    const allowedTypes = ['.csv', '.xlsx', '.xls', '.json', '.tsv'];
+    const allowedTypes = ['.csv', '.xlsx', '.xls', '.json', '.tsv', '.ndjson', '.jsonl', '.parquet'];
     const ext = path.extname(file.originalname).toLowerCase();
     if (allowedTypes.includes(ext)) {
       cb(null, true);
@@ -28,7 +43,7 @@ const upload = multer({
 
 /**
  * Validate file content by checking magic bytes/headers
- * @param {Buffer} buffer - File buffer
+ * @param {Buffer} buffer - First bytes of the file (see readFileHead)
  * @param {string} extension - File extension
  * @returns {object} { valid: boolean, error?: string }
  */
@@ -43,6 +58,8 @@ function validateFileContent(buffer, extension) {
     xlsx: [0x50, 0x4B, 0x03, 0x04], // PK\x03\x04
     // Old Excel format
     xls: [0xD0, 0xCF, 0x11, 0xE0],  // OLE compound document
+    // Parquet files start (and end) with PAR1
+    parquet: [0x50, 0x41, 0x52, 0x31],
     // JSON should start with { or [
     json: null, // Special handling below
     // CSV/TSV are text files - check for valid characters
@@ -73,28 +90,41 @@ function validateFileContent(buffer, extension) {
     return { valid: true };
   }
 
-  // Check JSON format
+  // Check Parquet format
+  if (ext === 'parquet') {
+    const isParquet = magicBytes.parquet.every((byte, i) => buffer[i] === byte);
+    if (!isParquet) {
+      return { valid: false, error: 'Invalid Parquet file: missing PAR1 header' };
+    }
+    return { valid: true };
+  }
+
+  // Check JSON Lines format - one JSON object per line
+  if (ext === 'ndjson' || ext === 'jsonl') {
+    const content = buffer.toString('utf8').replace(/^\uFEFF/, '').trimStart();
+    if (!content.startsWith('{')) {
+      return { valid: false, error: `Invalid ${ext.toUpperCase()} file: each line must be a JSON object` };
+    }
+    return { valid: true };
+  }
+
+  // Check JSON format (the full parse happens on import)
   if (ext === 'json') {
-    try {
-      const content = buffer.toString('utf8').trim();
-      if (!content.startsWith('{') && !content.startsWith('[')) {
-        return { valid: false, error: 'Invalid JSON file: must start with { or [' };
-      }
-      // Try to parse a portion to validate
-      JSON.parse(content);
-      return { valid: true };
-    } catch (err) {
-      return { valid: false, error: `Invalid JSON file: ${err.message}` };
+    const content = buffer.toString('utf8').replace(/^\uFEFF/, '').trim();
+    if (!content.startsWith('{') && !content.startsWith('[')) {
+      return { valid: false, error: 'Invalid JSON file: must start with { or [' };
     }
+    return { valid: true };
   }
 
   // Check CSV/TSV format - should be valid text with proper structure
   if (ext === 'csv' || ext === 'tsv') {
     try {
       const sample = buffer.slice(0, 10000).toString('utf8');
+      const isUtf16 = (buffer[0] === 0xFF && buffer[1] === 0xFE) || (buffer[0] === 0xFE && buffer[1] === 0xFF);
 
-      // Check for null bytes (indicates binary file)
-      if (sample.includes('\x00')) {
+      // Check for null bytes (indicates binary file, unless the text is UTF-16)
+      if (!isUtf16 && sample.includes('\x00')) {
         return { valid: false, error: `Invalid ${ext.toUpperCase()} file: contains binary data` };
       }
 
@@ -114,19 +144,68 @@ function validateFileContent(buffer, extension) {
   return { valid: false, error: `Unsupported file type: ${ext}` };
 }
 
+/**
+ * Read the first bytes of a file
+ * @param {string} filePath - File path
+ * @param {number} length - Maximum bytes to read
+ * @returns {Buffer} File head
+ */
+function readFileHead(filePath, length = 10000) {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(length);
+    const bytesRead = fs.readSync(fd, buffer, 0, length, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Validate an uploaded file's size and content before importing it
+ * @param {object} file - Multer file (written to disk)
+ * @returns {object} { valid: boolean, error?: string }
+ */
+function validateUpload(file) {
+  const ext = path.extname(file.originalname).toLowerCase();
+
+  if (!STREAMED_FILE_TYPES.includes(ext) && file.size > MAX_BUFFERED_FILE_SIZE) {
+    return {
+      valid: false,
+      error: `${ext.substring(1).toUpperCase()} files are limited to ${MAX_BUFFERED_FILE_SIZE / 1024 / 1024}MB; upload larger datasets as CSV`
+    };
+  }
+
+  return validateFileContent(readFileHead(file.path), ext);
+}
+
+/**
+ * Delete an uploaded file from the temp directory
+ * @param {object} file - Multer file, if any
+ */
+function removeUploadedFile(file) {
+  if (file && file.path) {
+    fs.unlink(file.path, () => {});
+  }
+}
+
 // Initialize database (creates tables if needed)
 const db = require('./db/init');
 const { seedDefaultUser } = require('./db/seed');
 const { verifyCredentials, requireAuth, requireTenant, requireRole } = require('./middleware/auth');
 const SQLiteStore = require('./middleware/session-store');
 const { TenantManager } = require('./lib/tenant');
-const { askQuestion } = require('./lib/nlquery');
+const { askQuestion, runSQL, VISUALIZATION_TYPES } = require('./lib/nlquery');
+const { validateSQL } = require('./lib/sqlValidator');
 const { generateInsights } = require('./lib/insights');
-const { trackApiUsage, getCurrentUsage, setMonthlyBudget } = require('./lib/api-usage');
+const { trackApiUsage, getCurrentUsage, getUsageBreakdown, setMonthlyBudget } = require('./lib/api-usage');
+const { getProvider } = require('./lib/llm');
 const backgroundAnalysis = require('./lib/backgroundAnalysis');
 const { generateDashboardSpec, generateSuggestedPrompts, assignGridPositions } = require('./lib/dashboardGenerator');
 const { getAllTemplates, getTemplateById, suggestColumnMappings } = require('./lib/projectTemplates');
 const QueryCache = require('./lib/queryCache');
+const dataSourceVersions = require('./lib/dataSourceVersions');
+const conversations = require('./lib/conversations');
 const { RateLimiter, rateLimitMiddleware } = require('./lib/rateLimit');
 
 const app = express();
@@ -136,6 +215,45 @@ const isProduction = process.env.NODE_ENV === 'production';
 // Initialize tenant manager
 const tenantManager = new TenantManager(db);
 
+/**
+ * Return a borrowed data source to the pool when the route handler finishes (see
+ * releasingDataSources). The handler must be wrapped with releasingDataSources.
+ * @param {object} res - Express response
+ * @param {DataSource} ds - Data source from one of the tenantManager.get*Instance methods
+ * @returns {DataSource} The same data source
+ */
+function releaseWhenDone(res, ds) {
+  if (!res.locals.borrowedDataSources) {
+    tenantManager.releaseDataSource(ds);
+    throw new Error('releaseWhenDone needs a handler wrapped with releasingDataSources');
+  }
+  res.locals.borrowedDataSources.push(ds);
+  return ds;
+}
+
+/**
+ * Wrap an async route handler so the data sources it borrows (see releaseWhenDone)
+ * are returned to the pool once it has finished, and any work that continues after
+ * the response (res.locals.afterResponse, e.g. a query's insights) has settled.
+ * Not on the response's 'close': a client that disconnects mid-query doesn't end
+ * the handler's use of the data source.
+ * @param {Function} handler - async (req, res) => ...
+ * @returns {Function} Route handler
+ */
+function releasingDataSources(handler) {
+  return async (req, res) => {
+    res.locals.borrowedDataSources = [];
+    try {
+      await handler(req, res);
+    } finally {
+      await Promise.resolve(res.locals.afterResponse).catch(() => {});
+      for (const ds of res.locals.borrowedDataSources) {
+        tenantManager.releaseDataSource(ds);
+      }
+    }
+  };
+}
+
 // Initialize query cache and rate limiter
 const queryCache = new QueryCache(db);
 const rateLimiter = new RateLimiter(db);
@@ -322,6 +440,16 @@ app.get('/api/tenant', requireAuth, (req, res) => {
 // Update tenant settings
 app.patch('/api/tenant', requireAuth, requireTenant, requireRole('owner', 'admin'), (req, res) => {
   try {
+    // The locale file imports read dates and numbers in (see lib/datasources/valueNormalizer.js)
+    if (req.body.settings && req.body.settings.locale) {
+      const { getLocale } = require('./lib/datasources/valueNormalizer');
+      getLocale(req.body.settings.locale);
+    }
+    // How many versions of each data source are kept (see lib/dataSourceVersions.js)
+    if (req.body.settings && req.body.settings.versionRetention !== undefined) {
+      dataSourceVersions.validateRetention(req.body.settings.versionRetention);
+    }
+
     const updated = tenantManager.updateTenant(req.tenantId, req.body);
     res.json(updated);
   } catch (err) {
@@ -333,91 +461,119 @@ app.patch('/api/tenant', requireAuth, requireTenant, requireRole('owner', 'admin
 // Data Source API Routes
 // ============================================
 
-// List data sources for tenant
-app.get('/api/datasources', requireAuth, requireTenant, (req, res) => {
-  const dataSources = tenantManager.getDataSourcesForTenant(req.tenantId);
-  // Don't expose sensitive config
-  const sanitized = dataSources.map(ds => ({
+// Shape a data source record for API responses (secrets are redacted)
+function formatDataSource(ds) {
+  const { redactSecrets } = require('./lib/tenant/credentialVault');
+  return {
     id: ds.id,
     name: ds.name,
     type: ds.type,
+    config: redactSecrets(ds.config),
     isDefault: ds.is_default === 1,
     createdAt: ds.created_at
-  }));
-  res.json(sanitized);
+  };
+}
+
+// List data sources for tenant
+app.get('/api/datasources', requireAuth, requireTenant, (req, res) => {
+  const dataSources = tenantManager.getDataSourcesForTenant(req.tenantId);
+  res.json(dataSources.map(formatDataSource));
 });
 
 // Create a new data source
 app.post('/api/datasources', requireAuth, requireTenant, requireRole('owner', 'admin'), (req, res) => {
   try {
     const ds = tenantManager.createDataSourceForTenant(req.tenantId, req.body);
-    res.json({
-      id: ds.id,
-      name: ds.name,
-      type: ds.type,
-      isDefault: ds.is_default === 1,
-      createdAt: ds.created_at
-    });
+    res.json(formatDataSource(ds));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// Test a data source config before saving it
+app.post('/api/datasources/test', requireAuth, requireTenant, requireRole('owner', 'admin'), async (req, res) => {
+  try {
+    const result = await tenantManager.testDataSourceConnection(req.tenantId, { config: req.body });
+    res.json(result);
   } catch (err) {
     res.status(400).json({ error: err.message });
   }
 });
 
-// Execute a query against a data source
-app.post('/api/datasources/:id/query', requireAuth, requireTenant, async (req, res) => {
+// Test the connection of a saved data source
+app.post('/api/datasources/:id/test', requireAuth, requireTenant, requireRole('owner', 'admin'), async (req, res) => {
+  try {
+    const result = await tenantManager.testDataSourceConnection(req.tenantId, { dataSourceId: req.params.id });
+    res.json(result);
+  } catch (err) {
+    res.status(404).json({ error: err.message });
+  }
+});
+
+// Connection pool usage for the tenant (open, borrowed and idle data sources, counters)
+app.get('/api/datasources/pool', requireAuth, requireTenant, requireRole('owner', 'admin'), (req, res) => {
+  res.json(tenantManager.getPoolStats(req.tenantId));
+});
+
+// Run a query against a data source. Like generated SQL, it must be a single
+// read-only SELECT over the source's own tables, and runs on a read-only connection
+app.post('/api/datasources/:id/query', requireAuth, requireTenant, releasingDataSources(async (req, res) => {
   try {
     const { sql } = req.body;
 
-    if (!sql) {
+    if (!sql || typeof sql !== 'string' || sql.trim().length === 0) {
       return res.status(400).json({ error: 'SQL query is required' });
     }
 
-    const ds = await tenantManager.getDataSourceInstance(req.tenantId, req.params.id);
-    const result = await ds.execute(sql);
+    const ds = releaseWhenDone(res, await tenantManager.getDataSourceInstance(req.tenantId, req.params.id));
+    const result = await runSQL(ds, sql.trim(), { timeout: 30000 });
+    if (result.error) {
+      return res.status(result.errorType === 'configuration_error' ? 500 : 400).json(result);
+    }
 
     res.json(result);
   } catch (err) {
     res.status(400).json({ error: err.message });
   }
-});
+}));
 
 // Get schema for a data source
-app.get('/api/datasources/:id/schema', requireAuth, requireTenant, async (req, res) => {
+app.get('/api/datasources/:id/schema', requireAuth, requireTenant, releasingDataSources(async (req, res) => {
   try {
-    const ds = await tenantManager.getDataSourceInstance(req.tenantId, req.params.id);
+    const ds = releaseWhenDone(res, await tenantManager.getDataSourceInstance(req.tenantId, req.params.id));
     const schema = await ds.getSchema();
     res.json(schema);
   } catch (err) {
     res.status(400).json({ error: err.message });
   }
-});
+}));
 
 // Get tables for a data source
-app.get('/api/datasources/:id/tables', requireAuth, requireTenant, async (req, res) => {
+app.get('/api/datasources/:id/tables', requireAuth, requireTenant, releasingDataSources(async (req, res) => {
   try {
-    const ds = await tenantManager.getDataSourceInstance(req.tenantId, req.params.id);
+    const ds = releaseWhenDone(res, await tenantManager.getDataSourceInstance(req.tenantId, req.params.id));
     const tables = await ds.getTables();
     res.json(tables);
   } catch (err) {
     res.status(400).json({ error: err.message });
   }
-});
+}));
 
 // Get columns for a table
-app.get('/api/datasources/:id/tables/:table/columns', requireAuth, requireTenant, async (req, res) => {
+app.get('/api/datasources/:id/tables/:table/columns', requireAuth, requireTenant, releasingDataSources(async (req, res) => {
   try {
-    const ds = await tenantManager.getDataSourceInstance(req.tenantId, req.params.id);
+    const ds = releaseWhenDone(res, await tenantManager.getDataSourceInstance(req.tenantId, req.params.id));
     const columns = await ds.getColumns(req.params.table);
     res.json(columns);
   } catch (err) {
     res.status(400).json({ error: err.message });
   }
-});
+}));
 
 // Get paginated data from a table
-app.get('/api/datasources/:id/tables/:table/data', requireAuth, requireTenant, async (req, res) => {
+app.get('/api/datasources/:id/tables/:table/data', requireAuth, requireTenant, releasingDataSources(async (req, res) => {
   try {
-    const ds = await tenantManager.getDataSourceInstance(req.tenantId, req.params.id);
+    const ds = releaseWhenDone(res, await tenantManager.getDataSourceInstance(req.tenantId, req.params.id));
     const table = req.params.table;
 
     // Validate table exists
@@ -451,16 +607,21 @@ app.get('/api/datasources/:id/tables/:table/data', requireAuth, requireTenant, a
   } catch (err) {
     res.status(400).json({ error: err.message });
   }
-});
+}));
 
 // Upload file to a data source
-app.post('/api/datasources/:id/upload', requireAuth, requireTenant, requireRole('owner', 'admin'), upload.single('file'), async (req, res) => {
+app.post('/api/datasources/:id/upload', requireAuth, requireTenant, requireRole('owner', 'admin'), upload.single('file'), releasingDataSources(async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No file uploaded' });
     }
 
-    const ds = await tenantManager.getDataSourceInstance(req.tenantId, req.params.id);
+    const validation = validateUpload(req.file);
+    if (!validation.valid) {
+      return res.status(400).json({ error: validation.error });
+    }
+
+    const ds = releaseWhenDone(res, await tenantManager.getDataSourceInstance(req.tenantId, req.params.id));
 
     // Determine table name from request or filename
     let tableName = req.body.tableName;
@@ -474,12 +635,11 @@ app.post('/api/datasources/:id/upload', requireAuth, requireTenant, requireRole(
     }
 
     // Import the file
-    const result = await ds.importFromBuffer(
-      req.file.buffer,
-      req.file.originalname,
-      tableName,
-      { sheet: req.body.sheet }
-    );
+    const result = await ds.importFile(req.file.path, tableName, {
+      sheet: req.body.sheet,
+      encoding: req.body.encoding,
+      locale: importLocale(req)
+    });
 
     res.json({
       success: true,
@@ -491,13 +651,15 @@ app.post('/api/datasources/:id/upload', requireAuth, requireTenant, requireRole(
     });
   } catch (err) {
     res.status(400).json({ error: err.message });
+  } finally {
+    removeUploadedFile(req.file);
   }
-});
+}));
 
 // Delete a table from a data source
-app.delete('/api/datasources/:id/tables/:table', requireAuth, requireTenant, requireRole('owner', 'admin'), async (req, res) => {
+app.delete('/api/datasources/:id/tables/:table', requireAuth, requireTenant, requireRole('owner', 'admin'), releasingDataSources(async (req, res) => {
   try {
-    const ds = await tenantManager.getDataSourceInstance(req.tenantId, req.params.id);
+    const ds = releaseWhenDone(res, await tenantManager.getDataSourceInstance(req.tenantId, req.params.id));
     const table = req.params.table;
 
     // Validate table exists
@@ -512,14 +674,14 @@ app.delete('/api/datasources/:id/tables/:table', requireAuth, requireTenant, req
   } catch (err) {
     res.status(400).json({ error: err.message });
   }
-});
+}));
 
 // ============================================
 // Natural Language Query API
 // ============================================
 
 // Ask a question about the data
-app.post('/api/query', requireAuth, requireTenant, async (req, res) => {
+app.post('/api/query', requireAuth, requireTenant, releasingDataSources(async (req, res) => {
   try {
     const { question } = req.body;
 
@@ -538,12 +700,13 @@ app.post('/api/query', requireAuth, requireTenant, async (req, res) => {
     }
 
     // Get connected data source instance
-    const ds = await tenantManager.getDataSourceInstance(req.tenantId, defaultDs.id);
+    const ds = releaseWhenDone(res, await tenantManager.getDataSourceInstance(req.tenantId, defaultDs.id));
 
     // Ask the question
     const result = await askQuestion(ds, question.trim(), {
       timeout: 30000
     });
+    trackLLMUsage(result.usage, 'query_sql', { tenantId: req.tenantId, userId: req.user.id });
 
     // Return appropriate status code based on error type
     if (result.error) {
@@ -562,7 +725,7 @@ app.post('/api/query', requireAuth, requireTenant, async (req, res) => {
       message: 'An unexpected error occurred. Please try again.'
     });
   }
-});
+}));
 
 // ============================================
 // Projects API Routes
@@ -582,24 +745,47 @@ app.get('/api/projects', requireAuth, requireTenant, (req, res) => {
   }
 });
 
-// Create a new project
+/**
+ * Check a database connection a project is to be bound to (projects.data_source_id)
+ * @param {string} tenantId - Tenant ID
+ * @param {string} dataSourceId - Tenant data source ID
+ * @returns {string|null} Why the project can't be bound to it, or null
+ */
+function projectDataSourceError(tenantId, dataSourceId) {
+  const dsRecord = tenantManager.getDataSource(dataSourceId);
+  if (!dsRecord || dsRecord.tenant_id !== tenantId) {
+    return 'Data source not found';
+  }
+  // The tenant's file source is the old shared database with every project's uploads
+  if (dsRecord.type === 'file') {
+    return 'Projects query their own uploads; dataSourceId must be a database source';
+  }
+  return null;
+}
+
+// Create a new project (dataSourceId binds it to a database connection, which it
+// then queries instead of its uploads)
 app.post('/api/projects', requireAuth, requireTenant, requireRole('owner', 'admin'), (req, res) => {
   try {
-    const { name, description, icon, color } = req.body;
+    const { name, description, icon, color, dataSourceId } = req.body;
 
     if (!name || name.trim().length === 0) {
       return res.status(400).json({ error: 'Project name is required' });
     }
+    const bindingError = dataSourceId ? projectDataSourceError(req.tenantId, dataSourceId) : null;
+    if (bindingError) {
+      return res.status(400).json({ error: bindingError });
+    }
 
     const { v4: uuidv4 } = require('uuid');
     const projectId = uuidv4();
 
     const stmt = db.prepare(`
-      INSERT INTO projects (id, tenant_id, name, description, icon, color, is_default)
-      VALUES (?, ?, ?, ?, ?, ?, 0)
+      INSERT INTO projects (id, tenant_id, name, description, icon, color, data_source_id, is_default)
+      VALUES (?, ?, ?, ?, ?, ?, ?, 0)
     `);
 
-    stmt.run(projectId, req.tenantId, name.trim(), description || null, icon || null, color || null);
+    stmt.run(projectId, req.tenantId, name.trim(), description || null, icon || null, color || null, dataSourceId || null);
 
     const project = db.prepare('SELECT * FROM projects WHERE id = ?').get(projectId);
     res.json({ success: true, project });
@@ -608,10 +794,10 @@ app.post('/api/projects', requireAuth, requireTenant, requireRole('owner', 'admi
   }
 });
 
-// Update a project
+// Update a project (dataSourceId: null unbinds it from its database connection)
 app.put('/api/projects/:id', requireAuth, requireTenant, requireRole('owner', 'admin'), (req, res) => {
   try {
-    const { name, description, icon, color } = req.body;
+    const { name, description, icon, color, dataSourceId } = req.body;
     const projectId = req.params.id;
 
     // Verify project belongs to tenant
@@ -619,6 +805,10 @@ app.put('/api/projects/:id', requireAuth, requireTenant, requireRole('owner', 'a
     if (!project) {
       return res.status(404).json({ error: 'Project not found' });
     }
+    const bindingError = dataSourceId ? projectDataSourceError(req.tenantId, dataSourceId) : null;
+    if (bindingError) {
+      return res.status(400).json({ error: bindingError });
+    }
 
     const stmt = db.prepare(`
       UPDATE projects
@@ -631,6 +821,9 @@ app.put('/api/projects/:id', requireAuth, requireTenant, requireRole('owner', 'a
     `);
 
     stmt.run(name || null, description || null, icon || null, color || null, projectId, req.tenantId);
+    if (dataSourceId !== undefined) {
+      db.prepare('UPDATE projects SET data_source_id = ? WHERE id = ?').run(dataSourceId || null, projectId);
+    }
 
     const updated = db.prepare('SELECT * FROM projects WHERE id = ?').get(projectId);
     res.json({ success: true, project: updated });
@@ -640,7 +833,7 @@ app.put('/api/projects/:id', requireAuth, requireTenant, requireRole('owner', 'a
 });
 
 // Delete a project (and all its data)
-app.delete('/api/projects/:id', requireAuth, requireTenant, requireRole('owner', 'admin'), (req, res) => {
+app.delete('/api/projects/:id', requireAuth, requireTenant, requireRole('owner', 'admin'), async (req, res) => {
   try {
     const projectId = req.params.id;
 
@@ -658,6 +851,9 @@ app.delete('/api/projects/:id', requireAuth, requireTenant, requireRole('owner',
     // Delete will cascade to data_sources, queries, dashboards, etc.
     db.prepare('DELETE FROM projects WHERE id = ? AND tenant_id = ?').run(projectId, req.tenantId);
 
+    // Remove the project's own database file
+    await tenantManager.deleteProjectData(req.tenantId, projectId);
+
     res.json({ success: true, message: 'Project deleted' });
   } catch (err) {
     res.status(400).json({ error: err.message });
@@ -713,8 +909,331 @@ app.get('/api/projects/:id/summary', requireAuth, requireTenant, (req, res) => {
 // Data Sources API Routes (for projects)
 // ============================================
 
+/**
+ * Read the column overrides sent with an upload (a JSON object in the `columns` field)
+ * @param {string|object} value - req.body.columns
+ * @returns {object|null} { [column]: { type, rename, skip, dateFormat } }, or null if none were sent
+ */
+function parseColumnOverrides(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  if (typeof value === 'object') {
+    return value;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (err) {
+    throw new Error('columns must be a JSON object of column overrides');
+  }
+}
+
+/**
+ * Read the sheets of a workbook an upload imports (the `sheets` field): 'all', or
+ * sheet names as a comma-separated list, repeated field or JSON array
+ * @param {string|string[]} value - req.body.sheets
+ * @returns {string[]|string|null} 'all', sheet names, or null if none were sent
+ */
+function parseSheetSelection(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  if (value === 'all') {
+    return 'all';
+  }
+
+  let names = value;
+  if (typeof value === 'string' && value.trim().startsWith('[')) {
+    try {
+      names = JSON.parse(value);
+    } catch (err) {
+      throw new Error('sheets must be "all", a comma-separated list or a JSON array of sheet names');
+    }
+  } else if (typeof value === 'string') {
+    names = value.split(',');
+  }
+
+  names = [].concat(names).map(name => String(name).trim()).filter(Boolean);
+  return names.length > 0 ? names : null;
+}
+
+/**
+ * The locale an upload's dates and numbers are read in: the `locale` field sent
+ * with it, or the tenant's locale setting (FileDataSource defaults to en-US)
+ * @returns {string|undefined} Locale code, e.g. 'de-DE'
+ */
+function importLocale(req) {
+  if (req.body.locale) {
+    return req.body.locale;
+  }
+  const tenant = tenantManager.getTenant(req.tenantId);
+  return (tenant && tenant.settings.locale) || undefined;
+}
+
+/**
+ * The table a project data source's rows are in: its name with anything but
+ * letters, digits and _ replaced. Uploads, refreshes and rollbacks must all
+ * agree on it, or they would read and write different tables.
+ * @param {string} name - The data source's name (or the table name it is uploaded under)
+ * @returns {string} Table name
+ */
+function sourceTableName(name) {
+  return name.replace(/[^a-zA-Z0-9_]/g, '_');
+}
+
+// Project tables being imported into or rolled back, as <projectId>:<table>
+const tablesInUse = new Set();
+
+/**
+ * Claim a project table for an import or rollback, so uploads, refreshes and
+ * rollbacks of one table run one at a time
+ * @param {string} projectId - Project the table belongs to
+ * @param {string} tableName - Table name
+ * @returns {Function} Gives up the claim
+ * @throws {Error} With tableBusy set if the table is already claimed
+ */
+function claimProjectTable(projectId, tableName) {
+  const key = `${projectId}:${tableName.toLowerCase()}`;
+  if (tablesInUse.has(key)) {
+    const err = new Error(`Table "${tableName}" is already being imported or rolled back; try again when it finishes`);
+    err.tableBusy = true;
+    throw err;
+  }
+  tablesInUse.add(key);
+  return () => tablesInUse.delete(key);
+}
+
+/**
+ * Import an uploaded file into a project's database and record it in data_sources
+ * Shared by project uploads and data source refreshes. The data_sources row is
+ * 'processing' while the file imports, with progress updated per batch, and the
+ * table is claimed (see claimProjectTable) until it finishes.
+ * @param {object} options
+ * @param {string} options.tenantId - Tenant ID
+ * @param {string} options.projectId - Project the file belongs to
+ * @param {object} options.file - Multer file (written to disk)
+ * @param {string} options.tableName - Table to import into
+ * @param {object} options.source - Existing data_sources row when refreshing (the caller has
+ *   claimed it by setting its status to 'processing')
+ * @param {object} options.importOptions - Passed to FileDataSource.importFile (sheet, table, workbook, encoding, locale, columns, mode, keyColumns)
+ * @returns {Promise<object>} { dataSourceId, result, schemaSnapshot, version } (the source's data-quality
+ *   profile follows in the background, see profileSourceQuality)
+ */
+async function importIntoProject({ tenantId, projectId, file, tableName, source = null, importOptions = {} }) {
+  const releaseTable = claimProjectTable(projectId, tableName);
+  let ds;
+  try {
+    ds = await tenantManager.getProjectFileDataSourceInstance(tenantId, projectId);
+  } catch (err) {
+    releaseTable();
+    throw err;
+  }
+  try {
+    const fileType = path.extname(file.originalname).substring(1).toLowerCase();
+
+    // Record the import first, so its progress can be followed while it runs
+    let dataSourceId;
+    if (source) {
+      dataSourceId = source.id;
+      db.prepare(`
+        UPDATE data_sources SET status = 'processing', rows_processed = 0, bytes_processed = 0
+        WHERE id = ?
+      `).run(dataSourceId);
+    } else {
+      const { v4: uuidv4 } = require('uuid');
+      dataSourceId = uuidv4();
+      db.prepare(`
+        INSERT INTO data_sources
+        (id, project_id, tenant_id, name, original_filename, file_type, size_bytes, status)
+        VALUES (?, ?, ?, ?, ?, ?, ?, 'processing')
+      `).run(dataSourceId, projectId, tenantId, tableName, file.originalname, fileType, file.size);
+    }
+
+    const updateProgress = db.prepare(`
+      UPDATE data_sources SET rows_processed = ?, bytes_processed = ? WHERE id = ?
+    `);
+
+    // Import the file (CSV/TSV are streamed in batches, reporting progress per batch)
+    let result;
+    try {
+      // Sources uploaded before versioning get their current data kept as version 1 first
+      if (source && !source.current_version && (await ds.getTables()).includes(tableName)) {
+        await dataSourceVersions.recordVersion(db, ds, {
+          sourceId: dataSourceId,
+          tenantId,
+          tableName,
+          details: { originalFilename: source.original_filename, sizeBytes: source.size_bytes },
+          retention: versionRetention(tenantId)
+        });
+      }
+
+      result = await ds.importFile(file.path, tableName, {
+        ...importOptions,
+        onProgress: ({ rowsImported, bytesRead }) => {
+          updateProgress.run(rowsImported, bytesRead, dataSourceId);
+        }
+      });
+    } catch (err) {
+      // A failed import leaves the table as it was
+      if (source) {
+        db.prepare(`UPDATE data_sources SET status = ? WHERE id = ?`).run(source.status, dataSourceId);
+      } else {
+        db.prepare('DELETE FROM data_sources WHERE id = ?').run(dataSourceId);
+      }
+      throw err;
+    }
+
+    // Append/upsert change the table beyond the imported rows, so describe the table itself
+    const { schemaSnapshot } = await describeProjectTable(ds, tableName);
+    const { columns, rowCount } = schemaSnapshot;
+
+    // Keep the imported data as the source's next version (the import stands even if this fails)
+    let version = null;
+    try {
+      version = await dataSourceVersions.recordVersion(db, ds, {
+        sourceId: dataSourceId,
+        tenantId,
+        tableName,
+        details: { mode: result.mode, originalFilename: file.originalname, sizeBytes: file.size, diff: result.diff },
+        retention: versionRetention(tenantId)
+      });
+    } catch (err) {
+      console.error(`Failed to record a version of ${tableName}:`, err);
+    }
+
+    // Workbook sources remember a chosen sheet (and table on it), for refreshes
+    const sheetName = importOptions.sheet || (importOptions.table ? result.sheet : null) || null;
+
+    // Mark the data source ready
+    db.prepare(`
+      UPDATE data_sources
+      SET original_filename = ?, file_type = ?, size_bytes = ?, row_count = ?, column_count = ?,
+          schema_snapshot = ?, column_overrides = ?,
+          sheet_name = ?, sheet_table = ?, status = 'ready',
+          rows_processed = ?, bytes_processed = ?, uploaded_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(
+      file.originalname,
+      fileType,
+      file.size,
+      rowCount,
+      columns.length,
+      JSON.stringify(schemaSnapshot),
+      importOptions.columns ? JSON.stringify(importOptions.columns) : null,
+      sheetName,
+      sheetName ? Number(importOptions.table) || 0 : null,
+      result.imported,
+      file.size,
+      dataSourceId
+    );
+
+    // Invalidate query cache for this tenant (data has changed)
+    queryCache.invalidateTenant(tenantId);
+
+    profileSourceQuality({ id: dataSourceId, tenantId, projectId, tableName });
+
+    return { dataSourceId, result, schemaSnapshot, version };
+  } finally {
+    tenantManager.releaseDataSource(ds);
+    releaseTable();
+  }
+}
+
+/**
+ * Describe a project table after it changed (an import or rollback): its schema snapshot
+ * @param {FileDataSource} ds - The project's database
+ * @param {string} tableName - Table name
+ * @returns {Promise<object>} { schemaSnapshot }
+ */
+async function describeProjectTable(ds, tableName) {
+  const columns = (await ds.getColumns(tableName)).map(col => ({ name: col.name, type: col.type }));
+  const rowCount = (await ds.execute(`SELECT COUNT(*) as count FROM "${tableName}"`)).rows[0].count;
+
+  // Gather schema context for caching
+  const schemaContext = await ds.gatherSchemaContext({ tables: [tableName] });
+
+  // Parse the schema context to extract info about this specific table
+  const tablePattern = new RegExp(`Table: ${tableName}[\\s\\S]*?(?=\\nTable:|$)`, 'i');
+  const tableMatch = schemaContext.match(tablePattern);
+  const tableSchema = tableMatch ? tableMatch[0] : '';
+
+  // Create schema snapshot
+  const schemaSnapshot = {
+    tableName,
+    columns,
+    rowCount,
+    schemaContext: tableSchema,
+    gatheredAt: new Date().toISOString()
+  };
+
+  return { schemaSnapshot };
+}
+
+// Data-quality profiles being computed, by data source ID (see profileSourceQuality)
+const qualityProfiling = new Map();
+
+/**
+ * Profile a data source's table and check its data quality, and store the report
+ * with the source (quality_status is 'pending' meanwhile). The profile reads every
+ * value in the table, so it runs in a child process and imports and rollbacks
+ * don't wait for it. If the table changes again first, only the newer profile is stored.
+ * @param {object} source - { id, tenantId, projectId, tableName }
+ * @returns {Promise<object|null>} The profile, or null if profiling failed
+ */
+function profileSourceQuality({ id, tenantId, projectId, tableName }) {
+  db.prepare(`UPDATE data_sources SET quality_profile = NULL, quality_status = 'pending' WHERE id = ?`).run(id);
+
+  const profiling = (async () => {
+    const ds = await tenantManager.getProjectFileDataSourceInstance(tenantId, projectId);
+    try {
+      return await ds.profileDataQuality(tableName);
+    } finally {
+      tenantManager.releaseDataSource(ds);
+    }
+  })()
+    .catch(err => {
+      console.error(`Failed to profile table ${tableName}:`, err);
+      return null;
+    })
+    .then(profile => {
+      if (qualityProfiling.get(id) === profiling) {
+        qualityProfiling.delete(id);
+        db.prepare('UPDATE data_sources SET quality_profile = ?, quality_status = ? WHERE id = ?')
+          .run(profile ? JSON.stringify(profile) : null, profile ? profile.status : null, id);
+      }
+      return profile;
+    });
+
+  qualityProfiling.set(id, profiling);
+  return profiling;
+}
+
+/**
+ * The data source versions a project's queries run against now, for queries.data_versions
+ * Only the project's uploads are versioned, so queries run against a database
+ * connection (an explicit dataSourceId, or a bound project) have none.
+ * @param {string} projectId - Project ID
+ * @param {DataSource} ds - The data source the query ran against
+ * @returns {string|null} JSON { [sourceName]: version }
+ */
+function queryDataVersions(projectId, ds) {
+  if (ds.getType() !== 'file') {
+    return null;
+  }
+  const versions = dataSourceVersions.projectDataVersions(db, projectId);
+  return versions ? JSON.stringify(versions) : null;
+}
+
+/**
+ * The number of versions a tenant keeps per data source (settings.versionRetention)
+ */
+function versionRetention(tenantId) {
+  const tenant = tenantManager.getTenant(tenantId);
+  return dataSourceVersions.getRetention(tenant && tenant.settings);
+}
+
 // Upload file to a specific project
-app.post('/api/projects/:id/upload', requireAuth, requireTenant, requireRole('owner', 'admin'), upload.single('file'), async (req, res) => {
+app.post('/api/projects/:id/upload', requireAuth, requireTenant, requireRole('owner', 'admin'), upload.single('file'), releasingDataSources(async (req, res) => {
   try {
     const projectId = req.params.id;
 
@@ -728,26 +1247,22 @@ app.post('/api/projects/:id/upload', requireAuth, requireTenant, requireRole('ow
       return res.status(400).json({ error: 'No file uploaded' });
     }
 
-    // Validate file content (magic bytes check)
-    const ext = path.extname(req.file.originalname).toLowerCase();
-    const contentValidation = validateFileContent(req.file.buffer, ext);
+    // Validate file size and content (magic bytes check)
+    const contentValidation = validateUpload(req.file);
     if (!contentValidation.valid) {
       return res.status(400).json({ error: contentValidation.error });
     }
 
-    // Get or create the default data source for this tenant
-    let defaultDs = tenantManager.getDefaultDataSource(req.tenantId);
-    if (!defaultDs) {
-      defaultDs = tenantManager.createDataSourceForTenant(req.tenantId, {
+    // Make sure the tenant has a default data source (used by the tenant-level data APIs)
+    if (!tenantManager.getDefaultDataSource(req.tenantId)) {
+      tenantManager.createDataSourceForTenant(req.tenantId, {
         name: 'Default Storage',
         type: 'file'
       });
     }
 
-    const ds = await tenantManager.getDataSourceInstance(req.tenantId, defaultDs.id);
-
     // Determine table name from request or filename
-    let tableName = req.body.tableName;
+    let tableName = req.body.tableName && sourceTableName(req.body.tableName);
     if (!tableName) {
       tableName = path.basename(req.file.originalname, path.extname(req.file.originalname))
         .replace(/[^a-zA-Z0-9_]/g, '_')
@@ -756,52 +1271,26 @@ app.post('/api/projects/:id/upload', requireAuth, requireTenant, requireRole('ow
         .substring(0, 64);
     }
 
-    // Import the file
-    const result = await ds.importFromBuffer(
-      req.file.buffer,
-      req.file.originalname,
-      tableName,
-      { sheet: req.body.sheet }
-    );
-
-    // Gather schema context for caching
-    const schemaContext = await ds.gatherSchemaContext();
-
-    // Parse the schema context to extract info about this specific table
-    const tablePattern = new RegExp(`Table: ${result.table}[\\s\\S]*?(?=\\nTable:|$)`, 'i');
-    const tableMatch = schemaContext.match(tablePattern);
-    const tableSchema = tableMatch ? tableMatch[0] : '';
-
-    // Create schema snapshot
-    const schemaSnapshot = {
-      tableName: result.table,
-      columns: result.columns,
-      rowCount: result.imported,
-      schemaContext: tableSchema,
-      gatheredAt: new Date().toISOString()
-    };
-
-    // Create entry in data_sources table
-    const { v4: uuidv4 } = require('uuid');
-    const dataSourceId = uuidv4();
-    const fileType = path.extname(req.file.originalname).substring(1).toLowerCase();
+    // sheets=all (or a list of sheet names) imports each table in a workbook as its own source
+    const sheetSelection = parseSheetSelection(req.body.sheets);
+    if (sheetSelection) {
+      return await uploadWorkbookTables(req, res, { projectId, tableName, sheetSelection });
+    }
 
-    db.prepare(`
-      INSERT INTO data_sources
-      (id, project_id, tenant_id, name, original_filename, file_type, row_count, column_count, size_bytes, schema_snapshot, status)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'ready')
-    `).run(
-      dataSourceId,
+    // Uploads go into the project's own database
+    const { dataSourceId, result, schemaSnapshot, version } = await importIntoProject({
+      tenantId: req.tenantId,
       projectId,
-      req.tenantId,
-      result.table,
-      req.file.originalname,
-      fileType,
-      result.imported,
-      result.columns.length,
-      req.file.size,
-      JSON.stringify(schemaSnapshot)
-    );
+      file: req.file,
+      tableName,
+      importOptions: {
+        sheet: req.body.sheet,
+        table: req.body.table,
+        encoding: req.body.encoding,
+        locale: importLocale(req),
+        columns: parseColumnOverrides(req.body.columns)
+      }
+    });
 
     res.json({
       success: true,
@@ -811,24 +1300,170 @@ app.post('/api/projects/:id/upload', requireAuth, requireTenant, requireRole('ow
         name: result.table,
         table: result.table,
         originalFilename: req.file.originalname,
-        fileType,
-        rowCount: result.imported,
-        columnCount: result.columns.length,
+        fileType: path.extname(req.file.originalname).substring(1).toLowerCase(),
+        rowCount: schemaSnapshot.rowCount,
+        columnCount: schemaSnapshot.columns.length,
         columns: result.columns,
-        sheets: result.sheets
-      }
+        sheets: result.sheets,
+        version
+      },
+      warnings: result.warnings
     });
-
-    // Invalidate query cache for this tenant (data has changed)
-    queryCache.invalidateTenant(req.tenantId);
   } catch (err) {
     console.error('Upload error:', err);
-    res.status(400).json({ error: err.message });
+    res.status(err.tableBusy ? 409 : 400).json({ error: err.message });
+  } finally {
+    removeUploadedFile(req.file);
   }
-});
+}));
 
-// List data sources in a project
-app.get('/api/projects/:id/sources', requireAuth, requireTenant, (req, res) => {
+/**
+ * Import the selected sheets of an uploaded workbook, one data source per table
+ * (see FileDataSource._sheetTables for how tables are found). Tables are named
+ * <tableName>_<sheet>, with _2, _3, ... for further tables on a sheet, unless only
+ * one table is imported. A table that fails to import doesn't stop the others.
+ * Column overrides apply to every table that has the column.
+ */
+async function uploadWorkbookTables(req, res, { projectId, tableName, sheetSelection }) {
+  const ext = path.extname(req.file.originalname).toLowerCase();
+  if (ext !== '.xlsx' && ext !== '.xls') {
+    return res.status(400).json({ error: 'sheets can only be used with Excel workbooks' });
+  }
+
+  const ds = releaseWhenDone(res, await tenantManager.getProjectFileDataSourceInstance(req.tenantId, projectId));
+  // Parsed once, for listing the tables and importing each of them
+  const workbook = await ds.readWorkbook(req.file.path);
+  let tables = await ds.listWorkbookTables(workbook);
+  if (sheetSelection !== 'all') {
+    const sheetNames = new Set(tables.map(t => t.sheet));
+    const missing = sheetSelection.filter(name => !sheetNames.has(name));
+    if (missing.length > 0) {
+      return res.status(400).json({
+        error: `No tables found on sheet${missing.length === 1 ? '' : 's'} ${missing.map(name => `"${name}"`).join(', ')}`
+      });
+    }
+    tables = tables.filter(t => sheetSelection.includes(t.sheet));
+  }
+  if (tables.length === 0) {
+    return res.status(400).json({ error: 'The workbook has no tables with a header row and at least one data row' });
+  }
+
+  const columns = parseColumnOverrides(req.body.columns);
+  const locale = importLocale(req);
+  const usedNames = new Set();
+  const dataSources = [];
+  const errors = [];
+
+  for (const found of tables) {
+    let name = tableName;
+    if (tables.length > 1) {
+      const sheetPart = found.sheet
+        .replace(/[^a-zA-Z0-9_]/g, '_')
+        .replace(/_+/g, '_')
+        .replace(/^_|_$/g, '') || 'sheet';
+      name = `${tableName}_${sheetPart}${found.table > 0 ? `_${found.table + 1}` : ''}`.substring(0, 64);
+    }
+    const baseName = name;
+    for (let n = 2; usedNames.has(name.toLowerCase()); n++) {
+      name = `${baseName.substring(0, 60)}_${n}`;
+    }
+    usedNames.add(name.toLowerCase());
+
+    try {
+      const { dataSourceId, result, schemaSnapshot, version } = await importIntoProject({
+        tenantId: req.tenantId,
+        projectId,
+        file: req.file,
+        tableName: name,
+        importOptions: {
+          sheet: found.sheet,
+          table: found.table,
+          workbook,
+          encoding: req.body.encoding,
+          locale,
+          columns,
+          strictColumns: false
+        }
+      });
+
+      dataSources.push({
+        id: dataSourceId,
+        name: result.table,
+        table: result.table,
+        sheet: found.sheet,
+        range: found.range,
+        originalFilename: req.file.originalname,
+        fileType: ext.substring(1),
+        rowCount: schemaSnapshot.rowCount,
+        columnCount: schemaSnapshot.columns.length,
+        columns: result.columns,
+        version,
+        warnings: result.warnings
+      });
+    } catch (err) {
+      console.error(`Upload error (sheet "${found.sheet}", ${found.range}):`, err);
+      errors.push({ sheet: found.sheet, table: found.table, range: found.range, error: err.message });
+    }
+  }
+
+  if (dataSources.length === 0) {
+    return res.status(400).json({ error: `No tables were imported: ${errors[0].error}`, errors });
+  }
+
+  res.json({
+    success: errors.length === 0,
+    message: `Imported ${dataSources.length} of ${tables.length} tables from "${req.file.originalname}"`,
+    dataSources,
+    errors
+  });
+}
+
+// Preview how a file would be imported into a project, without importing it: the
+// detected columns (with any column overrides applied), the first rows and warnings
+app.post('/api/projects/:id/upload/preview', requireAuth, requireTenant, requireRole('owner', 'admin'), upload.single('file'), releasingDataSources(async (req, res) => {
+  try {
+    const projectId = req.params.id;
+
+    const project = db.prepare('SELECT id FROM projects WHERE id = ? AND tenant_id = ?').get(projectId, req.tenantId);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    const validation = validateUpload(req.file);
+    if (!validation.valid) {
+      return res.status(400).json({ error: validation.error });
+    }
+
+    const ds = releaseWhenDone(res, await tenantManager.getProjectFileDataSourceInstance(req.tenantId, projectId));
+    const preview = await ds.previewFile(req.file.path, {
+      sheet: req.body.sheet,
+      table: req.body.table,
+      encoding: req.body.encoding,
+      locale: importLocale(req),
+      columns: parseColumnOverrides(req.body.columns)
+    });
+
+    // Workbooks also list every table found, for choosing what to upload
+    const ext = path.extname(req.file.originalname).toLowerCase();
+    if (ext === '.xlsx' || ext === '.xls') {
+      preview.tables = await ds.listWorkbookTables(req.file.path);
+    }
+
+    res.json(preview);
+  } catch (err) {
+    console.error('Upload preview error:', err);
+    res.status(400).json({ error: err.message });
+  } finally {
+    removeUploadedFile(req.file);
+  }
+}));
+
+// List data sources in a project
+app.get('/api/projects/:id/sources', requireAuth, requireTenant, (req, res) => {
   try {
     const projectId = req.params.id;
 
@@ -844,59 +1479,524 @@ app.get('/api/projects/:id/sources', requireAuth, requireTenant, (req, res) => {
       ORDER BY uploaded_at DESC
     `).all(projectId);
 
-    // Parse schema_snapshot JSON
-    const sourcesWithParsed = sources.map(s => ({
+    // Parse schema_snapshot JSON, report import progress as a percentage, and list
+    // data-quality issues (the full profile is at GET /api/sources/:id/profile)
+    const sourcesWithParsed = sources.map(({ quality_profile, ...s }) => ({
       ...s,
-      schema_snapshot: s.schema_snapshot ? JSON.parse(s.schema_snapshot) : null
+      schema_snapshot: s.schema_snapshot ? JSON.parse(s.schema_snapshot) : null,
+      column_overrides: s.column_overrides ? JSON.parse(s.column_overrides) : null,
+      quality_issues: quality_profile ? JSON.parse(quality_profile).issues : [],
+      progress: s.status === 'processing' && s.size_bytes
+        ? Math.min(100, Math.round(100 * (s.bytes_processed || 0) / s.size_bytes))
+        : null
     }));
 
-    res.json(sourcesWithParsed);
-  } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.json(sourcesWithParsed);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Get the column profile and data-quality report of a data source (profiled in the
+// background after each upload, refresh and rollback, which this waits for if it
+// hasn't finished; older uploads are profiled on first request)
+app.get('/api/sources/:id/profile', requireAuth, requireTenant, async (req, res) => {
+  try {
+    const source = db.prepare('SELECT * FROM data_sources WHERE id = ? AND tenant_id = ?').get(req.params.id, req.tenantId);
+    if (!source) {
+      return res.status(404).json({ error: 'Data source not found' });
+    }
+    if (source.status !== 'ready') {
+      return res.status(409).json({ error: 'Data source is not ready yet' });
+    }
+
+    if (source.quality_profile) {
+      return res.json(JSON.parse(source.quality_profile));
+    }
+
+    const profile = await (qualityProfiling.get(source.id) || profileSourceQuality({
+      id: source.id, tenantId: req.tenantId, projectId: source.project_id, tableName: sourceTableName(source.name)
+    }));
+    if (!profile) {
+      return res.status(500).json({ error: 'Failed to profile this data source' });
+    }
+
+    res.json(profile);
+  } catch (err) {
+    console.error('Profile error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// List a data source's versions, newest first (each upload or refresh is a version)
+app.get('/api/sources/:id/versions', requireAuth, requireTenant, (req, res) => {
+  try {
+    const source = db.prepare('SELECT * FROM data_sources WHERE id = ? AND tenant_id = ?').get(req.params.id, req.tenantId);
+    if (!source) {
+      return res.status(404).json({ error: 'Data source not found' });
+    }
+
+    res.json({
+      currentVersion: source.current_version,
+      retention: versionRetention(req.tenantId),
+      versions: dataSourceVersions.listVersions(db, source.id).map(version => ({
+        ...version,
+        current: version.version === source.current_version
+      }))
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Compare two versions of a data source: row counts and schema. Defaults to the
+// current version against the one before it
+app.get('/api/sources/:id/versions/diff', requireAuth, requireTenant, (req, res) => {
+  try {
+    const source = db.prepare('SELECT * FROM data_sources WHERE id = ? AND tenant_id = ?').get(req.params.id, req.tenantId);
+    if (!source) {
+      return res.status(404).json({ error: 'Data source not found' });
+    }
+
+    const to = req.query.to !== undefined ? parseInt(req.query.to) : source.current_version;
+    const from = req.query.from !== undefined ? parseInt(req.query.from) : to - 1;
+    if (!Number.isInteger(from) || !Number.isInteger(to)) {
+      return res.status(400).json({ error: 'from and to must be version numbers' });
+    }
+
+    res.json(dataSourceVersions.diffVersions(db, source.id, from, to));
+  } catch (err) {
+    res.status(/not found/.test(err.message) ? 404 : 500).json({ error: err.message });
+  }
+});
+
+// Roll a data source back to one of its versions. Later versions are kept, so a
+// rollback can itself be undone
+app.post('/api/sources/:id/versions/:version/rollback', requireAuth, requireTenant, requireRole('owner', 'admin'), releasingDataSources(async (req, res) => {
+  let releaseTable = null;
+  try {
+    const source = db.prepare('SELECT * FROM data_sources WHERE id = ? AND tenant_id = ?').get(req.params.id, req.tenantId);
+    if (!source) {
+      return res.status(404).json({ error: 'Data source not found' });
+    }
+    if (source.status === 'processing') {
+      return res.status(409).json({ error: 'This data source is being imported' });
+    }
+
+    const version = parseInt(req.params.version);
+    if (!dataSourceVersions.getVersion(db, source.id, version)) {
+      return res.status(404).json({ error: `Version ${req.params.version} not found` });
+    }
+
+    const tableName = sourceTableName(source.name);
+    releaseTable = claimProjectTable(source.project_id, tableName);
+    const ds = releaseWhenDone(res, await tenantManager.getProjectFileDataSourceInstance(req.tenantId, source.project_id));
+    await dataSourceVersions.rollbackToVersion(db, ds, { sourceId: source.id, tableName, version });
+
+    const { schemaSnapshot } = await describeProjectTable(ds, tableName);
+    db.prepare(`
+      UPDATE data_sources SET row_count = ?, column_count = ?, schema_snapshot = ? WHERE id = ?
+    `).run(
+      schemaSnapshot.rowCount,
+      schemaSnapshot.columns.length,
+      JSON.stringify(schemaSnapshot),
+      source.id
+    );
+    profileSourceQuality({ id: source.id, tenantId: req.tenantId, projectId: source.project_id, tableName });
+
+    // Invalidate query cache for this tenant (data has changed)
+    queryCache.invalidateTenant(req.tenantId);
+
+    const { fireWebhooks } = require('./lib/webhookDelivery');
+    const project = db.prepare('SELECT name FROM projects WHERE id = ?').get(source.project_id);
+    fireWebhooks(db, req.tenantId, 'data_source.rolled_back', {
+      dataSourceId: source.id,
+      dataSourceName: source.name,
+      project: project?.name || 'Unknown Project',
+      fromVersion: source.current_version,
+      toVersion: version,
+      rowCount: schemaSnapshot.rowCount
+    }, source.project_id);
+
+    res.json({
+      success: true,
+      message: `Rolled back to version ${version}`,
+      version,
+      rowCount: schemaSnapshot.rowCount,
+      columnCount: schemaSnapshot.columns.length
+    });
+  } catch (err) {
+    console.error('Rollback error:', err);
+    res.status(err.tableBusy ? 409 : 500).json({ error: err.message });
+  } finally {
+    if (releaseTable) {
+      releaseTable();
+    }
+  }
+}));
+
+// Delete a data source
+app.delete('/api/sources/:id', requireAuth, requireTenant, requireRole('owner', 'admin'), releasingDataSources(async (req, res) => {
+  try {
+    const sourceId = req.params.id;
+
+    // Verify source belongs to tenant
+    const source = db.prepare('SELECT * FROM data_sources WHERE id = ? AND tenant_id = ?').get(sourceId, req.tenantId);
+    if (!source) {
+      return res.status(404).json({ error: 'Data source not found' });
+    }
+
+    // Drop the table from the project's database
+    const ds = releaseWhenDone(res, await tenantManager.getProjectFileDataSourceInstance(req.tenantId, source.project_id));
+    try {
+      await ds.execute(`DROP TABLE IF EXISTS "${sourceTableName(source.name)}"`);
+      await dataSourceVersions.deleteVersions(db, ds, sourceId);
+    } catch (err) {
+      console.error('Error dropping table:', err);
+    }
+
+    // Delete the record
+    db.prepare('DELETE FROM data_sources WHERE id = ?').run(sourceId);
+
+    res.json({ success: true, message: 'Data source deleted' });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+}));
+
+// ============================================
+// Saved Views and Derived Tables API
+// ============================================
+
+// List a project's saved views and derived tables
+app.get('/api/projects/:id/datasets', requireAuth, requireTenant, releasingDataSources(async (req, res) => {
+  try {
+    const projectId = req.params.id;
+
+    // Verify project belongs to tenant
+    const project = db.prepare('SELECT * FROM projects WHERE id = ? AND tenant_id = ?').get(projectId, req.tenantId);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const ds = releaseWhenDone(res, await tenantManager.getProjectFileDataSourceInstance(req.tenantId, projectId));
+    const datasets = ds.listDerivedDatasets();
+
+    // Views that can no longer be read have no profile, and so no row count
+    const profiles = new Map(
+      (await ds.getSchemaProfile({ tables: datasets.map(d => d.name) })).map(p => [p.table, p])
+    );
+    res.json(datasets.map(dataset => ({
+      ...dataset,
+      rowCount: profiles.has(dataset.name) ? profiles.get(dataset.name).rowCount : null,
+      columns: profiles.has(dataset.name) ? profiles.get(dataset.name).columns.map(c => ({ name: c.name, type: c.type })) : []
+    })));
+  } catch (err) {
+    console.error('List datasets error:', err);
+    res.status(500).json({ error: err.message });
+  }
+}));
+
+// Save a query as a view, or materialize it as a table
+// Body: { name, kind: 'view'|'table', description, and sql or queryId (a saved query's generated SQL) }
+app.post('/api/projects/:id/datasets', requireAuth, requireTenant, requireRole('owner', 'admin', 'member'), releasingDataSources(async (req, res) => {
+  try {
+    const projectId = req.params.id;
+    const { name, kind, description, queryId } = req.body;
+
+    // Verify project belongs to tenant
+    const project = db.prepare('SELECT * FROM projects WHERE id = ? AND tenant_id = ?').get(projectId, req.tenantId);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    let sql = req.body.sql;
+    if (queryId) {
+      const query = db.prepare(`
+        SELECT sql_generated FROM queries WHERE id = ? AND project_id = ? AND tenant_id = ?
+      `).get(queryId, projectId, req.tenantId);
+      if (!query) {
+        return res.status(404).json({ error: 'Query not found' });
+      }
+      if (!query.sql_generated) {
+        return res.status(400).json({ error: 'The query has no SQL to save' });
+      }
+      sql = query.sql_generated;
+    }
+    if (!sql || typeof sql !== 'string' || !sql.trim()) {
+      return res.status(400).json({ error: 'sql or queryId is required' });
+    }
+
+    // Datasets may only read the project's tables and views, like generated queries
+    const ds = releaseWhenDone(res, await tenantManager.getProjectFileDataSourceInstance(req.tenantId, projectId));
+    const schema = await ds.getSchema();
+    const validation = validateSQL(sql, { dialect: 'sqlite', allowedTables: [...schema.tables, ...schema.views] });
+    if (!validation.valid) {
+      return res.status(400).json({ error: validation.error });
+    }
+
+    let dataset;
+    try {
+      dataset = await ds.createDerivedDataset(name, { sql, kind, description });
+    } catch (err) {
+      console.error(`Failed to create dataset ${name}:`, err.message);
+      return res.status(400).json({ error: err.message });
+    }
+
+    queryCache.invalidateTenant(req.tenantId);
+    res.json({ success: true, dataset });
+  } catch (err) {
+    console.error('Create dataset error:', err);
+    res.status(500).json({ error: err.message });
+  }
+}));
+
+// Re-run a derived table's SQL (or recheck a view) and profile it again
+app.post('/api/projects/:id/datasets/:name/refresh', requireAuth, requireTenant, requireRole('owner', 'admin', 'member'), releasingDataSources(async (req, res) => {
+  try {
+    const projectId = req.params.id;
+
+    // Verify project belongs to tenant
+    const project = db.prepare('SELECT * FROM projects WHERE id = ? AND tenant_id = ?').get(projectId, req.tenantId);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const ds = releaseWhenDone(res, await tenantManager.getProjectFileDataSourceInstance(req.tenantId, projectId));
+    if (!ds.getDerivedDataset(req.params.name)) {
+      return res.status(404).json({ error: 'Dataset not found' });
+    }
+
+    let dataset;
+    try {
+      dataset = await ds.refreshDerivedDataset(req.params.name);
+    } catch (err) {
+      console.error(`Failed to refresh dataset ${req.params.name}:`, err.message);
+      return res.status(400).json({ error: `Failed to refresh dataset: ${err.message}` });
+    }
+
+    queryCache.invalidateTenant(req.tenantId);
+    res.json({ success: true, dataset });
+  } catch (err) {
+    console.error('Refresh dataset error:', err);
+    res.status(500).json({ error: err.message });
+  }
+}));
+
+// Delete a saved view or derived table
+app.delete('/api/projects/:id/datasets/:name', requireAuth, requireTenant, requireRole('owner', 'admin', 'member'), releasingDataSources(async (req, res) => {
+  try {
+    const projectId = req.params.id;
+
+    // Verify project belongs to tenant
+    const project = db.prepare('SELECT * FROM projects WHERE id = ? AND tenant_id = ?').get(projectId, req.tenantId);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const ds = releaseWhenDone(res, await tenantManager.getProjectFileDataSourceInstance(req.tenantId, projectId));
+    if (!ds.getDerivedDataset(req.params.name)) {
+      return res.status(404).json({ error: 'Dataset not found' });
+    }
+
+    await ds.dropDerivedDataset(req.params.name);
+
+    queryCache.invalidateTenant(req.tenantId);
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Delete dataset error:', err);
+    res.status(500).json({ error: err.message });
+  }
+}));
+
+// ============================================
+// Queries API Routes
+// ============================================
+
+/**
+ * Respond to a query route as JSON, or as Server-Sent Events when the request
+ * accepts text/event-stream. Streams report each stage as it finishes (`stage`
+ * events: schema, sql, executing), then send the response body (`result`, or
+ * `error` with its `status`), the result's `insights` once they are saved, and
+ * `done`. JSON responses are sent as soon as the result is ready, and insights
+ * are generated afterwards (see GET /api/queries/:id/insights).
+ * @param {object} req - Request
+ * @param {object} res - Response
+ * @returns {object} { progress(stage, data), finish(status, body, insights) } - insights
+ *   is an optional function that generates the result's insights, resolving to them
+ */
+function queryResponder(req, res) {
+  const streaming = (req.get('Accept') || '').includes('text/event-stream');
+
+  const send = (event, data) => {
+    if (!res.destroyed) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  };
+  const open = () => {
+    if (!res.headersSent) {
+      res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+      res.flushHeaders();
+    }
+  };
+
+  return {
+    progress(stage, data = {}) {
+      if (streaming) {
+        open();
+        send('stage', { stage, ...data });
+      }
+    },
+
+    async finish(status, body, insights = null) {
+      // Requests rejected before the stream starts get a plain JSON error
+      // The insights use the route's data source, so it stays borrowed until they are done
+      if (!streaming || (!res.headersSent && status !== 200)) {
+        res.status(status).json(body);
+        if (insights) {
+          res.locals.afterResponse = new Promise(resolve => setImmediate(resolve)).then(insights);
+        }
+        return;
+      }
+
+      open();
+      send(status === 200 ? 'result' : 'error', status === 200 ? body : { status, ...body });
+      if (insights) {
+        res.locals.afterResponse = insights();
+        send('insights', await res.locals.afterResponse);
+      }
+      send('done', {});
+      res.end();
+    }
+  };
+}
+
+/**
+ * The insights saved for a query, most severe first
+ * @param {string} queryId - Query ID
+ * @returns {object[]} Insight rows, with data_evidence parsed
+ */
+function queryInsights(queryId) {
+  const insights = db.prepare(`
+    SELECT * FROM insights
+    WHERE query_id = ?
+    ORDER BY
+      CASE severity
+        WHEN 'critical' THEN 1
+        WHEN 'warning' THEN 2
+        WHEN 'opportunity' THEN 3
+        ELSE 4
+      END,
+      created_at DESC
+  `).all(queryId);
+
+  return insights.map(i => ({
+    ...i,
+    data_evidence: i.data_evidence ? JSON.parse(i.data_evidence) : null
+  }));
+}
+
+/**
+ * Charge a tenant's credits for the tokens an AI call used
+ * @param {object} usage - The call's usage: { inputTokens, outputTokens, model } (may be null)
+ * @param {string} purpose - See trackApiUsage
+ * @param {object} attribution - { tenantId, projectId, userId } (projectId and userId optional)
+ */
+function trackLLMUsage(usage, purpose, { tenantId, projectId, userId }) {
+  if (usage) {
+    trackApiUsage(db, tenantId, usage.inputTokens, usage.outputTokens, purpose, { model: usage.model, projectId, userId });
   }
-});
+}
 
-// Delete a data source
-app.delete('/api/sources/:id', requireAuth, requireTenant, requireRole('owner', 'admin'), async (req, res) => {
-  try {
-    const sourceId = req.params.id;
+/**
+ * Generate insights about a query's result and save them (fires insight.critical
+ * webhooks). Failures are only logged, since insights are optional.
+ * @param {object} options
+ * @param {DataSource} options.ds - The data source the query ran on
+ * @param {object} options.project - The query's project
+ * @param {string} options.tenantId - Tenant ID
+ * @param {number} options.userId - The user who ran the query
+ * @param {string} options.queryId - The saved query
+ * @param {string} options.question - The question (or title) the query answers
+ * @param {object} options.result - The query result: sql, columns, rows
+ * @returns {Promise<object[]>} The query's insights (see queryInsights)
+ */
+async function generateQueryInsights({ ds, project, tenantId, userId, queryId, question, result }) {
+  const projectId = project.id;
+  const { v4: uuidv4 } = require('uuid');
 
-    // Verify source belongs to tenant
-    const source = db.prepare('SELECT * FROM data_sources WHERE id = ? AND tenant_id = ?').get(sourceId, req.tenantId);
-    if (!source) {
-      return res.status(404).json({ error: 'Data source not found' });
+  try {
+    // Get schema context for insight generation
+    let schemaContext = '';
+    try {
+      schemaContext = await ds.gatherSchemaContext();
+    } catch (err) {
+      console.error('Failed to gather schema for insights:', err);
     }
 
-    // Drop the table from the actual database
-    const defaultDs = tenantManager.getDefaultDataSource(req.tenantId);
-    if (defaultDs) {
-      const ds = await tenantManager.getDataSourceInstance(req.tenantId, defaultDs.id);
-      try {
-        await ds.execute(`DROP TABLE IF EXISTS "${source.name}"`);
-      } catch (err) {
-        console.error('Error dropping table:', err);
-      }
-    }
+    const insightResult = await generateInsights({
+      question,
+      sql: result.sql,
+      columns: result.columns || [],
+      rows: result.rows || [],
+      schemaContext
+    });
 
-    // Delete the record
-    db.prepare('DELETE FROM data_sources WHERE id = ?').run(sourceId);
+    // Track API usage for insight generation
+    trackLLMUsage(insightResult.usage, 'query_insights', { tenantId, projectId, userId });
+
+    // Save insights to database
+    if (insightResult.insights && insightResult.insights.length > 0) {
+      const { fireWebhooks } = require('./lib/webhookDelivery');
+      const insertInsight = db.prepare(`
+        INSERT INTO insights
+        (id, project_id, tenant_id, query_id, insight_type, title, description, severity, data_evidence, source)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'auto_chart')
+      `);
+
+      for (const insight of insightResult.insights) {
+        const insightId = uuidv4();
+        insertInsight.run(
+          insightId,
+          projectId,
+          tenantId,
+          queryId,
+          insight.type,
+          insight.title,
+          insight.description,
+          insight.severity,
+          JSON.stringify(insight.evidence)
+        );
 
-    res.json({ success: true, message: 'Data source deleted' });
+        // Fire webhooks for critical insights
+        if (insight.severity === 'critical') {
+          fireWebhooks(db, tenantId, 'insight.critical', {
+            insightId,
+            title: insight.title,
+            description: insight.description,
+            severity: insight.severity,
+            evidence: insight.evidence,
+            project: project.name
+          }, projectId);
+        }
+      }
+    }
   } catch (err) {
-    res.status(400).json({ error: err.message });
+    console.error('Insight generation error:', err);
+    // Fail silently - insights are optional
   }
-});
 
-// ============================================
-// Queries API Routes
-// ============================================
+  return queryInsights(queryId);
+}
 
 // Ask a question about data in a project (NL query)
 // Rate limited: 30 queries per minute per tenant
-app.post('/api/projects/:id/query', requireAuth, requireTenant, rateLimitMiddleware(rateLimiter, 'query'), async (req, res) => {
+// Send Accept: text/event-stream to follow its progress (see queryResponder)
+app.post('/api/projects/:id/query', requireAuth, requireTenant, rateLimitMiddleware(rateLimiter, 'query'), releasingDataSources(async (req, res) => {
+  const respond = queryResponder(req, res);
   try {
     const projectId = req.params.id;
-    const { question, parentQueryId, skipCache } = req.body;
+    const { question, conversationId, parentQueryId, skipCache, dataSourceId } = req.body;
 
     // Verify project belongs to tenant
     const project = db.prepare('SELECT * FROM projects WHERE id = ? AND tenant_id = ?').get(projectId, req.tenantId);
@@ -908,37 +2008,81 @@ app.post('/api/projects/:id/query', requireAuth, requireTenant, rateLimitMiddlew
       return res.status(400).json({ error: 'Question is required' });
     }
 
-    // Get the default data source for the tenant
-    const defaultDs = tenantManager.getDefaultDataSource(req.tenantId);
-    if (!defaultDs) {
-      return res.status(400).json({
-        error: true,
-        errorType: 'no_datasource',
-        message: 'No data source found. Please upload some data first.'
-      });
+    // The conversation this question is a turn of: the given one, the one of the query
+    // it follows up (branched if that query isn't its latest turn), or else a new one.
+    // New threads and branches are only stored by nextTurn, once the question is saved
+    let conversation = null;
+    if (conversationId) {
+      conversation = conversations.getConversation(db, conversationId, req.tenantId);
+      if (!conversation || conversation.projectId !== projectId) {
+        return res.status(404).json({ error: 'Conversation not found' });
+      }
+    } else if (parentQueryId) {
+      const parentQuery = db.prepare('SELECT * FROM queries WHERE id = ? AND tenant_id = ? AND project_id = ?')
+        .get(parentQueryId, req.tenantId, projectId);
+      if (parentQuery) {
+        conversation = conversations.conversationForFollowUp(db, parentQuery, { tenantId: req.tenantId, userId: req.user.id });
+      }
     }
 
-    // Get connected data source instance
-    const ds = await tenantManager.getDataSourceInstance(req.tenantId, defaultDs.id);
+    // Follow-ups are asked with the conversation's recent turns as context
+    const contextTurns = conversation ? conversations.contextTurns(db, conversation, req.tenantId) : [];
+    const isFollowUp = contextTurns.length > 0;
+
+    // Number the question as the conversation's next turn (starting the conversation if needed)
+    const nextTurn = () => {
+      if (!conversation) {
+        conversation = conversations.createConversation(db, {
+          projectId, tenantId: req.tenantId, title: conversations.titleFor(question), userId: req.user.id
+        });
+      } else if (!conversation.id) {
+        conversation = conversations.saveConversation(db, conversation, req.tenantId);
+      }
+      conversations.touchConversation(db, conversation.id);
+      return { conversationId: conversation.id, turn: conversations.nextTurn(db, conversation) };
+    };
+
+    // Use the requested tenant data source (e.g. a cloud database), or the project's own data
+    let ds;
+    if (dataSourceId) {
+      const dsRecord = tenantManager.getDataSource(dataSourceId);
+      if (!dsRecord || dsRecord.tenant_id !== req.tenantId) {
+        return res.status(404).json({ error: 'Data source not found' });
+      }
+      // The tenant's file source is the old shared database with every project's uploads
+      if (dsRecord.type === 'file') {
+        return res.status(400).json({ error: 'Uploaded files are queried through their project; dataSourceId must be a database source' });
+      }
+      ds = releaseWhenDone(res, await tenantManager.getDataSourceInstance(req.tenantId, dsRecord.id));
+    } else {
+      ds = releaseWhenDone(res, await tenantManager.getProjectDataSourceInstance(req.tenantId, projectId));
+    }
 
-    // Gather schema context for caching
+    // Gather schema context for caching (file sources build it from their stored schema profile)
     let schemaContext;
+    let schemaProfile = null;
     try {
       schemaContext = await ds.gatherSchemaContext();
+      if (typeof ds.getSchemaProfile === 'function') {
+        schemaProfile = await ds.getSchemaProfile();
+      }
     } catch (err) {
       console.error('Failed to gather schema context:', err);
     }
+    respond.progress('schema');
 
     // Check query cache (skip for follow-up queries or if explicitly requested)
-    const questionHash = queryCache.getQuestionHash(question);
-    const schemaHash = schemaContext ? queryCache.getSchemaHash(schemaContext) : '';
+    // Entries are keyed per project (or explicitly chosen source) so one's answer is never served for another
+    const questionHash = queryCache.getQuestionHash(`${dataSourceId || projectId}:${question}`);
+    const schemaHash = schemaContext ? queryCache.getSchemaHash(schemaProfile || schemaContext) : '';
 
-    if (!parentQueryId && !skipCache && schemaContext) {
+    if (!isFollowUp && !skipCache && schemaContext) {
       const cachedResult = queryCache.get(req.tenantId, questionHash, schemaHash);
       if (cachedResult) {
         // Return cached result with a new query ID
         const { v4: uuidv4 } = require('uuid');
         const queryId = uuidv4();
+        const thread = nextTurn();
 
         // Save query to database (as cached)
         const resultSummary = {
@@ -951,8 +2095,9 @@ app.post('/api/projects/:id/query', requireAuth, requireTenant, rateLimitMiddlew
         db.prepare(`
           INSERT INTO queries
           (id, project_id, tenant_id, question, sql_generated, explanation, assumptions,
-           visualization_type, visualization_config, result_summary, execution_time_ms, status, source)
-          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'success', 'cache')
+           visualization_type, visualization_config, result_summary, execution_time_ms, status, source, data_versions,
+           conversation_id, turn)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'success', 'cache', ?, ?, ?)
         `).run(
           queryId,
           projectId,
@@ -964,32 +2109,27 @@ app.post('/api/projects/:id/query', requireAuth, requireTenant, rateLimitMiddlew
           cachedResult.visualizationType || null,
           cachedResult.chartConfig ? JSON.stringify(cachedResult.chartConfig) : null,
           JSON.stringify(resultSummary),
-          0
+          0,
+          queryDataVersions(projectId, ds),
+          thread.conversationId,
+          thread.turn
         );
 
-        return res.json({
+        return respond.finish(200, {
           ...cachedResult,
+          // Nothing was generated or run for this request
+          usage: { inputTokens: 0, outputTokens: 0 },
+          attempts: [],
+          repaired: false,
+          fix: null,
           queryId,
+          ...thread,
           cached: true,
           insightsLoading: false
         });
       }
     }
 
-    // Build conversation context if this is a follow-up query
-    let conversationContext = null;
-    if (parentQueryId) {
-      const parentQuery = db.prepare('SELECT * FROM queries WHERE id = ? AND tenant_id = ?').get(parentQueryId, req.tenantId);
-      if (parentQuery) {
-        conversationContext = {
-          parentQuestion: parentQuery.question,
-          parentSql: parentQuery.sql_generated,
-          parentExplanation: parentQuery.explanation,
-          parentResultSummary: parentQuery.result_summary ? JSON.parse(parentQuery.result_summary) : null
-        };
-      }
-    }
-
     const startTime = Date.now();
 
     // Get relationships context for this project
@@ -1000,12 +2140,16 @@ app.post('/api/projects/:id/query', requireAuth, requireTenant, rateLimitMiddlew
     // Ask the question
     const result = await askQuestion(ds, question.trim(), {
       timeout: 30000,
-      conversationContext,
-      relationshipsContext
+      conversationContext: isFollowUp ? { turns: contextTurns } : null,
+      relationshipsContext,
+      onProgress: respond.progress
     });
 
+    // Track API usage for SQL generation (every attempt, including failed ones)
+    trackLLMUsage(result.usage, 'query_sql', { tenantId: req.tenantId, projectId, userId: req.user.id });
+
     // Cache successful results (skip follow-up queries)
-    if (!result.error && !parentQueryId && schemaContext) {
+    if (!result.error && !isFollowUp && schemaContext) {
       queryCache.set(req.tenantId, projectId, question.trim(), questionHash, schemaHash, result);
     }
 
@@ -1014,6 +2158,7 @@ app.post('/api/projects/:id/query', requireAuth, requireTenant, rateLimitMiddlew
     // Save query to database
     const { v4: uuidv4 } = require('uuid');
     const queryId = uuidv4();
+    const thread = nextTurn();
 
     if (!result.error) {
       // Create result summary for widget rendering (up to 100 rows)
@@ -1027,8 +2172,9 @@ app.post('/api/projects/:id/query', requireAuth, requireTenant, rateLimitMiddlew
       db.prepare(`
         INSERT INTO queries
         (id, project_id, tenant_id, question, sql_generated, explanation, assumptions,
-         visualization_type, visualization_config, result_summary, execution_time_ms, status)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'success')
+         visualization_type, visualization_config, result_summary, execution_time_ms, status, data_versions, sql_attempts,
+         conversation_id, turn)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'success', ?, ?, ?, ?)
       `).run(
         queryId,
         projectId,
@@ -1040,121 +2186,163 @@ app.post('/api/projects/:id/query', requireAuth, requireTenant, rateLimitMiddlew
         result.visualizationType || null,
         result.chartConfig ? JSON.stringify(result.chartConfig) : null,
         JSON.stringify(resultSummary),
-        executionTime
+        executionTime,
+        queryDataVersions(projectId, ds),
+        result.attempts ? JSON.stringify(result.attempts) : null,
+        thread.conversationId,
+        thread.turn
       );
 
-      // Track API usage for SQL generation (estimate based on prompt size)
-      // The actual token counts would come from the nlquery module if exposed
-      // For now, we'll track when insights are generated
-
-      // Send response immediately (chart first!)
-      res.json({
+      // Send the result first (chart first!), then its insights
+      return respond.finish(200, {
         ...result,
         queryId,
-        insightsLoading: true // Frontend knows to poll for insights
-      });
-
-      // Generate insights asynchronously (don't block the response)
-      setImmediate(async () => {
-        try {
-          // Get schema context for insight generation
-          let schemaContext = '';
-          try {
-            schemaContext = await ds.gatherSchemaContext();
-          } catch (err) {
-            console.error('Failed to gather schema for insights:', err);
-          }
-
-          const insightResult = await generateInsights({
-            question: question.trim(),
-            sql: result.sql,
-            columns: result.columns || [],
-            rows: result.rows || [],
-            schemaContext
-          });
-
-          // Track API usage for insight generation
-          if (insightResult.usage) {
-            trackApiUsage(
-              db,
-              req.tenantId,
-              insightResult.usage.inputTokens,
-              insightResult.usage.outputTokens,
-              'query_insights'
-            );
-          }
-
-          // Save insights to database
-          if (insightResult.insights && insightResult.insights.length > 0) {
-            const { fireWebhooks } = require('./lib/webhookDelivery');
-            const insertInsight = db.prepare(`
-              INSERT INTO insights
-              (id, project_id, tenant_id, query_id, insight_type, title, description, severity, data_evidence, source)
-              VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'auto_chart')
-            `);
-
-            for (const insight of insightResult.insights) {
-              const insightId = uuidv4();
-              insertInsight.run(
-                insightId,
-                projectId,
-                req.tenantId,
-                queryId,
-                insight.type,
-                insight.title,
-                insight.description,
-                insight.severity,
-                JSON.stringify(insight.evidence)
-              );
-
-              // Fire webhooks for critical insights
-              if (insight.severity === 'critical') {
-                fireWebhooks(db, req.tenantId, 'insight.critical', {
-                  insightId,
-                  title: insight.title,
-                  description: insight.description,
-                  severity: insight.severity,
-                  evidence: insight.evidence,
-                  project: project.name
-                }, projectId);
-              }
-            }
-          }
-        } catch (err) {
-          console.error('Insight generation error:', err);
-          // Fail silently - insights are optional
-        }
-      });
+        ...thread,
+        insightsLoading: true
+      }, () => generateQueryInsights({
+        ds, project, tenantId: req.tenantId, userId: req.user.id, queryId, question: question.trim(), result
+      }));
 
     } else {
-      // Save error query
+      // Save error query (with the SQL attempts, if any were made)
       db.prepare(`
         INSERT INTO queries
-        (id, project_id, tenant_id, question, execution_time_ms, status, error_message)
-        VALUES (?, ?, ?, ?, ?, 'error', ?)
+        (id, project_id, tenant_id, question, sql_generated, execution_time_ms, status, error_message, sql_attempts,
+         conversation_id, turn)
+        VALUES (?, ?, ?, ?, ?, ?, 'error', ?, ?, ?, ?)
       `).run(
         queryId,
         projectId,
         req.tenantId,
         question.trim(),
+        result.sql || null,
         executionTime,
-        result.message || 'Unknown error'
+        result.message || 'Unknown error',
+        result.attempts ? JSON.stringify(result.attempts) : null,
+        thread.conversationId,
+        thread.turn
       );
 
       const statusCode = result.errorType === 'no_data' ? 400 :
                          result.errorType === 'configuration_error' ? 500 :
                          result.errorType === 'api_error' ? 502 : 400;
-      return res.status(statusCode).json(result);
+      return respond.finish(statusCode, { ...result, ...thread });
     }
   } catch (err) {
     console.error('Query error:', err);
-    res.status(500).json({
+    respond.finish(500, {
       error: true,
       errorType: 'server_error',
       message: 'An unexpected error occurred. Please try again.'
     });
   }
-});
+}));
+
+// Run SQL written by the user (manual SQL mode), with the same validation, timeout
+// and row limit as generated SQL. Saved as a query with source 'manual', so it can
+// be pinned, charted and added to dashboards like an NL query.
+// Body: { sql, title, visualizationType, dataSourceId }
+// Send Accept: text/event-stream to follow its progress (see queryResponder)
+app.post('/api/projects/:id/sql', requireAuth, requireTenant, rateLimitMiddleware(rateLimiter, 'query'), releasingDataSources(async (req, res) => {
+  const respond = queryResponder(req, res);
+  try {
+    const projectId = req.params.id;
+    const { sql, title, dataSourceId } = req.body;
+
+    // Verify project belongs to tenant
+    const project = db.prepare('SELECT * FROM projects WHERE id = ? AND tenant_id = ?').get(projectId, req.tenantId);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    if (!sql || typeof sql !== 'string' || sql.trim().length === 0) {
+      return res.status(400).json({ error: 'SQL is required' });
+    }
+    const visualizationType = req.body.visualizationType || 'table';
+    if (!VISUALIZATION_TYPES.includes(visualizationType)) {
+      return res.status(400).json({ error: `Invalid visualizationType. Use one of: ${VISUALIZATION_TYPES.join(', ')}` });
+    }
+
+    // Use the requested tenant data source (e.g. a cloud database), or the project's own data
+    let ds;
+    if (dataSourceId) {
+      const dsRecord = tenantManager.getDataSource(dataSourceId);
+      if (!dsRecord || dsRecord.tenant_id !== req.tenantId) {
+        return res.status(404).json({ error: 'Data source not found' });
+      }
+      // The tenant's file source is the old shared database with every project's uploads
+      if (dsRecord.type === 'file') {
+        return res.status(400).json({ error: 'Uploaded files are queried through their project; dataSourceId must be a database source' });
+      }
+      ds = releaseWhenDone(res, await tenantManager.getDataSourceInstance(req.tenantId, dsRecord.id));
+    } else {
+      ds = releaseWhenDone(res, await tenantManager.getProjectDataSourceInstance(req.tenantId, projectId));
+    }
+
+    const question = (typeof title === 'string' && title.trim()) || sql.trim();
+    const startTime = Date.now();
+    respond.progress('executing');
+    const result = await runSQL(ds, sql.trim(), { timeout: 30000 });
+    const executionTime = Date.now() - startTime;
+
+    const { v4: uuidv4 } = require('uuid');
+    const queryId = uuidv4();
+
+    if (result.error) {
+      db.prepare(`
+        INSERT INTO queries
+        (id, project_id, tenant_id, question, sql_generated, execution_time_ms, status, error_message, source)
+        VALUES (?, ?, ?, ?, ?, ?, 'error', ?, 'manual')
+      `).run(queryId, projectId, req.tenantId, question, sql.trim(), executionTime, result.message);
+
+      const statusCode = result.errorType === 'configuration_error' ? 500 : 400;
+      return respond.finish(statusCode, { ...result, sql: sql.trim(), queryId });
+    }
+
+    // Result summary for widget rendering (up to 100 rows)
+    const resultSummary = {
+      rowCount: result.rows.length,
+      columns: result.columns,
+      columnTypes: result.columnTypes,
+      rows: result.rows.slice(0, 100)
+    };
+
+    db.prepare(`
+      INSERT INTO queries
+      (id, project_id, tenant_id, question, sql_generated, visualization_type, result_summary,
+       execution_time_ms, status, source, data_versions)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'success', 'manual', ?)
+    `).run(
+      queryId,
+      projectId,
+      req.tenantId,
+      question,
+      sql.trim(),
+      visualizationType,
+      JSON.stringify(resultSummary),
+      executionTime,
+      queryDataVersions(projectId, ds)
+    );
+
+    // Send the result first, then its insights
+    respond.finish(200, {
+      ...result,
+      sql: sql.trim(),
+      visualizationType,
+      queryId,
+      insightsLoading: true
+    }, () => generateQueryInsights({
+      ds, project, tenantId: req.tenantId, userId: req.user.id, queryId, question, result: { ...result, sql: sql.trim() }
+    }));
+  } catch (err) {
+    console.error('Manual SQL error:', err);
+    respond.finish(500, {
+      error: true,
+      errorType: 'server_error',
+      message: 'An unexpected error occurred. Please try again.'
+    });
+  }
+}));
 
 // List query history for a project
 app.get('/api/projects/:id/queries', requireAuth, requireTenant, (req, res) => {
@@ -1185,7 +2373,9 @@ app.get('/api/projects/:id/queries', requireAuth, requireTenant, (req, res) => {
       queries: queries.map(q => ({
         ...q,
         result_summary: q.result_summary ? JSON.parse(q.result_summary) : null,
-        visualization_config: q.visualization_config ? JSON.parse(q.visualization_config) : null
+        visualization_config: q.visualization_config ? JSON.parse(q.visualization_config) : null,
+        data_versions: q.data_versions ? JSON.parse(q.data_versions) : null,
+        sql_attempts: q.sql_attempts ? JSON.parse(q.sql_attempts) : null
       })),
       pagination: {
         page,
@@ -1199,6 +2389,73 @@ app.get('/api/projects/:id/queries', requireAuth, requireTenant, (req, res) => {
   }
 });
 
+// List a project's conversation threads, most recently active first
+app.get('/api/projects/:id/conversations', requireAuth, requireTenant, (req, res) => {
+  try {
+    const projectId = req.params.id;
+
+    // Verify project belongs to tenant
+    const project = db.prepare('SELECT * FROM projects WHERE id = ? AND tenant_id = ?').get(projectId, req.tenantId);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    res.json({ conversations: conversations.listConversations(db, projectId) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Get a conversation with its turns in order (including those shared with the
+// thread it was branched from)
+app.get('/api/conversations/:id', requireAuth, requireTenant, (req, res) => {
+  try {
+    const conversation = conversations.getConversation(db, req.params.id, req.tenantId);
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    res.json({ conversation, turns: conversations.getTurns(db, conversation, req.tenantId) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Rename a conversation
+// Body: { title }
+app.patch('/api/conversations/:id', requireAuth, requireTenant, (req, res) => {
+  try {
+    const conversation = conversations.getConversation(db, req.params.id, req.tenantId);
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    res.json({ conversation: conversations.renameConversation(db, conversation, req.body.title, req.tenantId) });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// Branch a conversation from one of its turns; ask in the branch with its conversationId
+// Body: { turn, title }
+app.post('/api/conversations/:id/branch', requireAuth, requireTenant, (req, res) => {
+  try {
+    const conversation = conversations.getConversation(db, req.params.id, req.tenantId);
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    const branch = conversations.branchConversation(db, conversation, req.body.turn, {
+      tenantId: req.tenantId,
+      userId: req.user.id,
+      title: req.body.title || null
+    });
+    res.json({ conversation: branch, turns: conversations.getTurns(db, branch, req.tenantId) });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
 // Toggle pin status for a query
 app.put('/api/queries/:id/pin', requireAuth, requireTenant, (req, res) => {
   try {
@@ -1270,23 +2527,7 @@ app.get('/api/queries/:id/insights', requireAuth, requireTenant, (req, res) => {
       return res.status(404).json({ error: 'Query not found' });
     }
 
-    const insights = db.prepare(`
-      SELECT * FROM insights
-      WHERE query_id = ?
-      ORDER BY
-        CASE severity
-          WHEN 'critical' THEN 1
-          WHEN 'warning' THEN 2
-          WHEN 'opportunity' THEN 3
-          ELSE 4
-        END,
-        created_at DESC
-    `).all(queryId);
-
-    res.json(insights.map(i => ({
-      ...i,
-      data_evidence: i.data_evidence ? JSON.parse(i.data_evidence) : null
-    })));
+    res.json(queryInsights(queryId));
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
@@ -1462,7 +2703,7 @@ app.get('/api/projects/:id/suggestions', requireAuth, requireTenant, (req, res)
 });
 
 // POST to regenerate suggestions (calls AI)
-app.post('/api/projects/:id/suggestions', requireAuth, requireTenant, async (req, res) => {
+app.post('/api/projects/:id/suggestions', requireAuth, requireTenant, releasingDataSources(async (req, res) => {
   try {
     const projectId = req.params.id;
     const { force } = req.body; // Allow forcing regeneration
@@ -1483,14 +2724,8 @@ app.post('/api/projects/:id/suggestions', requireAuth, requireTenant, async (req
       }
     }
 
-    // Get the default data source for the tenant
-    const defaultDs = tenantManager.getDefaultDataSource(req.tenantId);
-    if (!defaultDs) {
-      return res.json({ suggestions: [] });
-    }
-
-    // Get connected data source instance
-    const ds = await tenantManager.getDataSourceInstance(req.tenantId, defaultDs.id);
+    // Get the project's data source
+    const ds = releaseWhenDone(res, await tenantManager.getProjectDataSourceInstance(req.tenantId, projectId));
 
     // Gather schema context
     let schemaContext;
@@ -1505,15 +2740,12 @@ app.post('/api/projects/:id/suggestions', requireAuth, requireTenant, async (req
       return res.json({ suggestions: [] });
     }
 
-    // Call Anthropic API to generate suggestions
-    const apiKey = process.env.ANTHROPIC_API_KEY;
-    if (!apiKey) {
+    // Ask the AI provider for suggestions
+    const llm = getProvider();
+    if (!llm) {
       return res.json({ suggestions: [] });
     }
 
-    const Anthropic = require('@anthropic-ai/sdk');
-    const anthropic = new Anthropic({ apiKey });
-
     const systemPrompt = `You are analyzing a business database to suggest the most valuable questions a user should ask. Given the following data schema, generate exactly 6 suggested questions.
 
 SCHEMA:
@@ -1538,20 +2770,21 @@ RULES:
 6. If there are multiple tables with joinable keys, include at least one cross-table question.
 7. Return ONLY valid JSON, no additional text.`;
 
-    const message = await anthropic.messages.create({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 1500,
-      temperature: 0.3,
+    const reply = await llm.complete({
+      task: 'suggestions',
       system: systemPrompt,
       messages: [
         { role: 'user', content: 'Generate 6 suggested questions for this data.' }
-      ]
+      ],
+      maxTokens: 1500,
+      temperature: 0.3
     });
+    trackLLMUsage(reply.usage, 'suggestions', { tenantId: req.tenantId, projectId, userId: req.user.id });
 
     // Parse the JSON response
     let suggestions = [];
     try {
-      const responseText = message.content[0].text.trim();
+      const responseText = reply.text.trim();
       // Extract JSON from response (in case Claude wraps it in markdown)
       const jsonMatch = responseText.match(/\[[\s\S]*\]/);
       if (jsonMatch) {
@@ -1572,7 +2805,7 @@ RULES:
     console.error('Suggestions error:', err);
     res.json({ suggestions: [] });
   }
-});
+}));
 
 // Generate AI explanation for a chart
 app.post('/api/queries/:id/explain', requireAuth, requireTenant, async (req, res) => {
@@ -1590,15 +2823,12 @@ app.post('/api/queries/:id/explain', requireAuth, requireTenant, async (req, res
       return res.status(400).json({ error: 'No results to explain' });
     }
 
-    // Call Anthropic API to generate explanation
-    const apiKey = process.env.ANTHROPIC_API_KEY;
-    if (!apiKey) {
+    // Ask the AI provider for an explanation
+    const llm = getProvider();
+    if (!llm) {
       return res.status(500).json({ error: 'AI service not configured' });
     }
 
-    const Anthropic = require('@anthropic-ai/sdk');
-    const anthropic = new Anthropic({ apiKey });
-
     const prompt = `You are presenting data insights to a CEO. Explain these results concisely (3-5 sentences). Focus on the key takeaway, any surprises, and what action might be warranted. Use specific numbers.
 
 ORIGINAL QUESTION:
@@ -1612,16 +2842,17 @@ ${JSON.stringify(resultSummary, null, 2)}
 
 Provide a concise executive summary of what this data shows and what it means for the business.`;
 
-    const message = await anthropic.messages.create({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 500,
-      temperature: 0.3,
+    const reply = await llm.complete({
+      task: 'explanation',
       messages: [
         { role: 'user', content: prompt }
-      ]
+      ],
+      maxTokens: 500,
+      temperature: 0.3
     });
+    trackLLMUsage(reply.usage, 'query_explanation', { tenantId: req.tenantId, projectId: query.project_id, userId: req.user.id });
 
-    const explanation = message.content[0].text.trim();
+    const explanation = reply.text.trim();
 
     res.json({ explanation });
   } catch (err) {
@@ -2055,7 +3286,7 @@ app.put('/api/dashboards/:id/share', requireAuth, requireTenant, requireRole('ow
 // ============================================
 
 // Generate suggested dashboard prompts for a project
-app.get('/api/projects/:id/dashboard-suggestions', requireAuth, requireTenant, async (req, res) => {
+app.get('/api/projects/:id/dashboard-suggestions', requireAuth, requireTenant, releasingDataSources(async (req, res) => {
   try {
     const projectId = req.params.id;
 
@@ -2065,20 +3296,11 @@ app.get('/api/projects/:id/dashboard-suggestions', requireAuth, requireTenant, a
       return res.status(404).json({ error: 'Project not found' });
     }
 
-    // Get the tenant's data source
-    const dsRecord = db.prepare(`
-      SELECT * FROM tenant_data_sources
-      WHERE tenant_id = ? AND is_default = 1
-    `).get(req.tenantId);
-
-    if (!dsRecord) {
-      return res.status(404).json({ error: 'No data source found' });
-    }
-
-    const ds = await tenantManager.getDataSourceInstance(req.tenantId, dsRecord.id);
+    // Get the project's data source
+    const ds = releaseWhenDone(res, await tenantManager.getProjectDataSourceInstance(req.tenantId, projectId));
     const schemaContext = await ds.gatherSchemaContext();
 
-    const prompts = await generateSuggestedPrompts(schemaContext);
+    const prompts = await generateSuggestedPrompts(schemaContext, { tenantId: req.tenantId, projectId, userId: req.user.id });
 
     res.json({
       success: true,
@@ -2089,10 +3311,10 @@ app.get('/api/projects/:id/dashboard-suggestions', requireAuth, requireTenant, a
     console.error('Dashboard suggestions error:', err);
     res.status(500).json({ error: err.message });
   }
-});
+}));
 
 // Auto-generate a dashboard from description
-app.post('/api/projects/:id/generate-dashboard', requireAuth, requireTenant, requireRole('owner', 'admin', 'member'), async (req, res) => {
+app.post('/api/projects/:id/generate-dashboard', requireAuth, requireTenant, requireRole('owner', 'admin', 'member'), releasingDataSources(async (req, res) => {
   try {
     const projectId = req.params.id;
     const { description } = req.body;
@@ -2107,21 +3329,12 @@ app.post('/api/projects/:id/generate-dashboard', requireAuth, requireTenant, req
       return res.status(404).json({ error: 'Project not found' });
     }
 
-    // Get the tenant's data source
-    const dsRecord = db.prepare(`
-      SELECT * FROM tenant_data_sources
-      WHERE tenant_id = ? AND is_default = 1
-    `).get(req.tenantId);
-
-    if (!dsRecord) {
-      return res.status(404).json({ error: 'No data source found. Please upload data first.' });
-    }
-
-    const ds = await tenantManager.getDataSourceInstance(req.tenantId, dsRecord.id);
+    // Get the project's data source
+    const ds = releaseWhenDone(res, await tenantManager.getProjectDataSourceInstance(req.tenantId, projectId));
     const schemaContext = await ds.gatherSchemaContext();
 
     // Generate the dashboard specification
-    const { spec, tokensUsed } = await generateDashboardSpec(description, schemaContext, req.tenantId);
+    const { spec, tokensUsed } = await generateDashboardSpec(description, schemaContext, req.tenantId, { projectId, userId: req.user.id });
 
     // Create the dashboard
     const { v4: uuidv4 } = require('uuid');
@@ -2159,10 +3372,10 @@ app.post('/api/projects/:id/generate-dashboard', requireAuth, requireTenant, req
     console.error('Dashboard generation error:', err);
     res.status(500).json({ error: err.message });
   }
-});
+}));
 
 // Execute a widget's question and add it to dashboard
-app.post('/api/dashboards/:id/execute-widget', requireAuth, requireTenant, requireRole('owner', 'admin', 'member'), async (req, res) => {
+app.post('/api/dashboards/:id/execute-widget', requireAuth, requireTenant, requireRole('owner', 'admin', 'member'), releasingDataSources(async (req, res) => {
   try {
     const dashboardId = req.params.id;
     const { question, suggestedViz, position } = req.body;
@@ -2179,20 +3392,12 @@ app.post('/api/dashboards/:id/execute-widget', requireAuth, requireTenant, requi
       return res.status(404).json({ error: 'Dashboard not found' });
     }
 
-    // Get the tenant's data source
-    const dsRecord = db.prepare(`
-      SELECT * FROM tenant_data_sources
-      WHERE tenant_id = ? AND is_default = 1
-    `).get(req.tenantId);
-
-    if (!dsRecord) {
-      return res.status(404).json({ error: 'No data source found' });
-    }
-
-    const ds = await tenantManager.getDataSourceInstance(req.tenantId, dsRecord.id);
+    // Get the project's data source
+    const ds = releaseWhenDone(res, await tenantManager.getProjectDataSourceInstance(req.tenantId, dashboard.project_id));
 
     // Execute the question through the NL query pipeline
     const result = await askQuestion(ds, question);
+    trackLLMUsage(result.usage, 'query_sql', { tenantId: req.tenantId, projectId: dashboard.project_id, userId: req.user.id });
 
     if (result.error) {
       throw new Error(result.message || 'Query execution failed');
@@ -2206,8 +3411,8 @@ app.post('/api/dashboards/:id/execute-widget', requireAuth, requireTenant, requi
       INSERT INTO queries (
         id, project_id, tenant_id, question, sql_generated,
         explanation, assumptions, visualization_type, visualization_config,
-        result_summary, execution_time_ms, status, source
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        result_summary, execution_time_ms, status, source, data_versions
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `).run(
       queryId,
       dashboard.project_id,
@@ -2226,7 +3431,8 @@ app.post('/api/dashboards/:id/execute-widget', requireAuth, requireTenant, requi
       }),
       result.queryTime || 0,
       'success',
-      'dashboard_generation'
+      'dashboard_generation',
+      queryDataVersions(dashboard.project_id, ds)
     );
 
     // Generate insights for this query
@@ -2275,7 +3481,7 @@ app.post('/api/dashboards/:id/execute-widget', requireAuth, requireTenant, requi
     console.error('Widget execution error:', err);
     res.status(500).json({ error: err.message });
   }
-});
+}));
 
 // ============================================
 // Project Templates API Routes
@@ -2345,7 +3551,7 @@ app.post('/api/projects/from-template', requireAuth, requireTenant, requireRole(
 });
 
 // Suggest column mappings for a template
-app.post('/api/projects/:id/column-mappings', requireAuth, requireTenant, async (req, res) => {
+app.post('/api/projects/:id/column-mappings', requireAuth, requireTenant, releasingDataSources(async (req, res) => {
   try {
     const projectId = req.params.id;
 
@@ -2359,17 +3565,8 @@ app.post('/api/projects/:id/column-mappings', requireAuth, requireTenant, async
       return res.status(400).json({ error: 'Project was not created from a template' });
     }
 
-    // Get actual columns from data source
-    const dsRecord = db.prepare(`
-      SELECT * FROM tenant_data_sources
-      WHERE tenant_id = ? AND is_default = 1
-    `).get(req.tenantId);
-
-    if (!dsRecord) {
-      return res.status(404).json({ error: 'No data source found' });
-    }
-
-    const ds = await tenantManager.getDataSourceInstance(req.tenantId, dsRecord.id);
+    // Get actual columns from the project's data source
+    const ds = releaseWhenDone(res, await tenantManager.getProjectDataSourceInstance(req.tenantId, projectId));
     const tables = await ds.getTables();
 
     // Get columns from first table (assuming single-table upload for now)
@@ -2391,13 +3588,14 @@ app.post('/api/projects/:id/column-mappings', requireAuth, requireTenant, async
     console.error('Column mapping error:', err);
     res.status(500).json({ error: err.message });
   }
-});
+}));
 
 // ============================================
 // Credits Usage API Routes
 // ============================================
 
-// Get current month's credit usage for tenant
+// Get current month's credit usage for tenant, with spend broken down by
+// purpose and by user (from the per-call ledger)
 app.get('/api/credits', requireAuth, requireTenant, (req, res) => {
   try {
     const usage = getCurrentUsage(db, req.tenantId);
@@ -2409,7 +3607,8 @@ app.get('/api/credits', requireAuth, requireTenant, (req, res) => {
         creditsUsed: 0,
         queryCount: 0,
         backgroundAnalysisCount: 0,
-        percentUsed: 0
+        percentUsed: 0,
+        breakdown: { byPurpose: [], byUser: [] }
       });
     }
 
@@ -2422,7 +3621,8 @@ app.get('/api/credits', requireAuth, requireTenant, (req, res) => {
       queryCount: usage.query_count || 0,
       backgroundAnalysisCount: usage.background_analysis_count || 0,
       percentUsed: Math.min(100, percentUsed),
-      month: usage.month
+      month: usage.month,
+      breakdown: getUsageBreakdown(db, req.tenantId, usage.month)
     });
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -2451,7 +3651,7 @@ app.put('/api/credits/budget', requireAuth, requireTenant, requireRole('owner',
 
 // Start a background analysis job for a project
 // Rate limited: max 3 concurrent jobs per tenant
-app.post('/api/projects/:id/background-analysis', requireAuth, requireTenant, async (req, res) => {
+app.post('/api/projects/:id/background-analysis', requireAuth, requireTenant, releasingDataSources(async (req, res) => {
   try {
     const projectId = req.params.id;
     const { creditsBudget = 2.00 } = req.body;
@@ -2487,16 +3687,8 @@ app.post('/api/projects/:id/background-analysis', requireAuth, requireTenant, as
       });
     }
 
-    // Get the default data source for the tenant
-    const defaultDs = tenantManager.getDefaultDataSource(req.tenantId);
-    if (!defaultDs) {
-      return res.status(400).json({
-        error: 'No data source found. Please upload some data first.'
-      });
-    }
-
-    // Get connected data source instance
-    const dataSource = await tenantManager.getDataSourceInstance(req.tenantId, defaultDs.id);
+    // Get the project's data source
+    const dataSource = releaseWhenDone(res, await tenantManager.getProjectDataSourceInstance(req.tenantId, projectId));
 
     // Gather schema context
     const schemaContext = await dataSource.gatherSchemaContext();
@@ -2510,14 +3702,19 @@ app.post('/api/projects/:id/background-analysis', requireAuth, requireTenant, as
     // Validate budget range
     const validBudget = Math.max(0.50, Math.min(5.00, creditsBudget));
 
+    // The analysis keeps running after this response, so it borrows the data source for itself
+    const jobDataSource = await tenantManager.getProjectDataSourceInstance(req.tenantId, projectId);
+
     // Start the background analysis
     const jobId = await backgroundAnalysis.startBackgroundAnalysis({
       db,
       tenantId: req.tenantId,
       projectId,
+      userId: req.user.id,
       creditsBudget: validBudget,
-      dataSource,
-      schemaContext
+      dataSource: jobDataSource,
+      schemaContext,
+      onFinish: () => tenantManager.releaseDataSource(jobDataSource)
     });
 
     res.json({
@@ -2530,7 +3727,7 @@ app.post('/api/projects/:id/background-analysis', requireAuth, requireTenant, as
     console.error('Background analysis start error:', err);
     res.status(400).json({ error: err.message });
   }
-});
+}));
 
 // Get active background jobs for current tenant (for sidebar)
 // NOTE: This route must come BEFORE /api/background-jobs/:id to avoid matching "active" as an ID
@@ -2729,7 +3926,7 @@ app.delete('/api/team/:userId', requireAuth, requireTenant, requireRole('owner',
 const RelationshipDetector = require('./lib/relationshipDetector');
 
 // Auto-detect relationships for a project
-app.post('/api/projects/:id/detect-relationships', requireAuth, requireTenant, async (req, res) => {
+app.post('/api/projects/:id/detect-relationships', requireAuth, requireTenant, releasingDataSources(async (req, res) => {
   try {
     const projectId = req.params.id;
 
@@ -2739,27 +3936,19 @@ app.post('/api/projects/:id/detect-relationships', requireAuth, requireTenant, a
       return res.status(404).json({ error: 'Project not found' });
     }
 
-    // Get data source instance
-    const dsRecord = tenantManager.getDefaultDataSource(req.tenantId);
-    if (!dsRecord) {
-      return res.status(400).json({ error: 'No data source configured' });
-    }
-
-    const dataSource = await tenantManager.getDataSourceInstance(req.tenantId, dsRecord.id);
-    await dataSource.connect();
+    // Get the project's data source
+    const dataSource = releaseWhenDone(res, await tenantManager.getProjectDataSourceInstance(req.tenantId, projectId));
 
     // Detect relationships
     const detector = new RelationshipDetector(db, dataSource);
     const relationships = await detector.detectRelationships(projectId, req.tenantId);
     await detector.saveRelationships(relationships);
 
-    await dataSource.disconnect();
-
     res.json({ success: true, relationships });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
-});
+}));
 
 // Get relationships for a project
 app.get('/api/projects/:id/relationships', requireAuth, requireTenant, (req, res) => {
@@ -2841,8 +4030,12 @@ app.delete('/api/relationships/:id', requireAuth, requireTenant, requireRole('ow
 const ExcelJS = require('exceljs');
 const { v4: uuidv4 } = require('uuid');
 
+// Exports re-run the saved (generated) SQL on the read-only connection
+const EXPORT_TIMEOUT_MS = 60000;
+const EXPORT_MAX_ROWS = 100000;
+
 // Export query result as CSV
-app.get('/api/queries/:id/export/csv', requireAuth, requireTenant, async (req, res) => {
+app.get('/api/queries/:id/export/csv', requireAuth, requireTenant, releasingDataSources(async (req, res) => {
   try {
     const queryId = req.params.id;
 
@@ -2855,13 +4048,13 @@ app.get('/api/queries/:id/export/csv', requireAuth, requireTenant, async (req, r
       return res.status(404).json({ error: 'Query not found' });
     }
 
-    // Get data source and re-execute query
-    const dsRecord = tenantManager.getDefaultDataSource(req.tenantId);
-    const dataSource = await tenantManager.getDataSourceInstance(req.tenantId, dsRecord.id);
-    await dataSource.connect();
+    // Get the project's data source and re-execute query
+    const dataSource = releaseWhenDone(res, await tenantManager.getProjectDataSourceInstance(req.tenantId, query.project_id));
 
-    const result = await dataSource.execute(query.sql_generated);
-    await dataSource.disconnect();
+    const result = await dataSource.executeReadOnly(query.sql_generated, [], {
+      timeoutMs: EXPORT_TIMEOUT_MS,
+      maxRows: EXPORT_MAX_ROWS
+    });
 
     // Build CSV
     const rows = result.rows;
@@ -2895,10 +4088,10 @@ app.get('/api/queries/:id/export/csv', requireAuth, requireTenant, async (req, r
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
-});
+}));
 
 // Export query result as Excel
-app.get('/api/queries/:id/export/excel', requireAuth, requireTenant, async (req, res) => {
+app.get('/api/queries/:id/export/excel', requireAuth, requireTenant, releasingDataSources(async (req, res) => {
   try {
     const queryId = req.params.id;
 
@@ -2911,13 +4104,13 @@ app.get('/api/queries/:id/export/excel', requireAuth, requireTenant, async (req,
       return res.status(404).json({ error: 'Query not found' });
     }
 
-    // Get data source and re-execute query
-    const dsRecord = tenantManager.getDefaultDataSource(req.tenantId);
-    const dataSource = await tenantManager.getDataSourceInstance(req.tenantId, dsRecord.id);
-    await dataSource.connect();
+    // Get the project's data source and re-execute query
+    const dataSource = releaseWhenDone(res, await tenantManager.getProjectDataSourceInstance(req.tenantId, query.project_id));
 
-    const result = await dataSource.execute(query.sql_generated);
-    await dataSource.disconnect();
+    const result = await dataSource.executeReadOnly(query.sql_generated, [], {
+      timeoutMs: EXPORT_TIMEOUT_MS,
+      maxRows: EXPORT_MAX_ROWS
+    });
 
     const rows = result.rows;
     const columns = result.columns;
@@ -2961,7 +4154,7 @@ app.get('/api/queries/:id/export/excel', requireAuth, requireTenant, async (req,
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
-});
+}));
 
 // Export dashboard as PDF
 app.get('/api/dashboards/:id/export/pdf', requireAuth, requireTenant, async (req, res) => {
@@ -3227,6 +4420,7 @@ app.get('/api/webhooks/:id/deliveries', requireAuth, requireTenant, (req, res) =
 
 // Refresh a data source (re-upload file)
 app.post('/api/sources/:id/refresh', requireAuth, requireTenant, requireRole('owner', 'admin'), upload.single('file'), async (req, res) => {
+  let claimed = null;
   try {
     const sourceId = req.params.id;
 
@@ -3246,56 +4440,101 @@ app.post('/api/sources/:id/refresh', requireAuth, requireTenant, requireRole('ow
       return res.status(400).json({ error: 'No file uploaded' });
     }
 
-    // Get tenant data source instance
-    const dsRecord = tenantManager.getDefaultDataSource(req.tenantId);
-    const dataSource = await tenantManager.getDataSourceInstance(req.tenantId, dsRecord.id);
-    await dataSource.connect();
-
-    // Drop existing table
-    const tableName = source.name.replace(/[^a-zA-Z0-9_]/g, '_');
-    await dataSource.execute(`DROP TABLE IF EXISTS ${tableName}`);
+    const validation = validateUpload(req.file);
+    if (!validation.valid) {
+      return res.status(400).json({ error: validation.error });
+    }
 
-    // Re-import file with same table name
-    const ext = path.extname(req.file.originalname).toLowerCase();
-    const fileBuffer = req.file.buffer;
+    // replace (default) swaps in the new file; append adds its rows; upsert updates
+    // rows matching keyColumns (comma-separated or repeated field) and inserts the rest
+    const mode = req.body.mode || 'replace';
+    if (!['replace', 'append', 'upsert'].includes(mode)) {
+      return res.status(400).json({ error: 'mode must be one of: replace, append, upsert' });
+    }
+    const keyColumns = [].concat(req.body.keyColumns || [])
+      .flatMap(value => String(value).split(','))
+      .map(value => value.trim())
+      .filter(Boolean);
+    if (mode === 'upsert' && keyColumns.length === 0) {
+      return res.status(400).json({ error: 'keyColumns is required for upsert' });
+    }
 
-    await dataSource.importFile(fileBuffer, ext, tableName);
+    // Column overrides sent with the refresh replace the ones saved with the source.
+    // Saved overrides may name columns the new file no longer has.
+    const newOverrides = parseColumnOverrides(req.body.columns);
+    const columns = newOverrides || (source.column_overrides ? JSON.parse(source.column_overrides) : null);
 
-    // Update schema snapshot
-    const columns = await dataSource.getColumns(tableName);
-    const rowCountResult = await dataSource.execute(`SELECT COUNT(*) as count FROM ${tableName}`);
-    const rowCount = rowCountResult.rows[0].count;
+    // Workbook sources refresh from the sheet (and table on it) they were imported
+    // from, unless another sheet is chosen
+    const sheet = req.body.sheet || source.sheet_name || undefined;
+    const table = req.body.table !== undefined || req.body.sheet ? req.body.table : source.sheet_table;
 
-    db.prepare(`
-      UPDATE data_sources
-      SET schema_snapshot = ?,
-          row_count = ?,
-          column_count = ?,
-          size_bytes = ?,
-          status = 'ready',
-          uploaded_at = CURRENT_TIMESTAMP
-      WHERE id = ?
-    `).run(
-      JSON.stringify({ columns }),
-      rowCount,
-      columns.length,
-      req.file.size,
-      sourceId
-    );
+    // Claim the source in one statement, so two refreshes can't both start (imports
+    // of the same table would share a staging table)
+    const claim = db.prepare(`
+      UPDATE data_sources SET status = 'processing' WHERE id = ? AND status != 'processing'
+    `).run(sourceId);
+    if (claim.changes === 0) {
+      return res.status(409).json({ error: 'This data source is already being imported' });
+    }
+    claimed = source;
 
-    await dataSource.disconnect();
+    // Re-import into the same table through the upload pipeline (the table is only
+    // changed once the import succeeds)
+    const tableName = sourceTableName(source.name);
+    const { result, schemaSnapshot, version } = await importIntoProject({
+      tenantId: req.tenantId,
+      projectId: source.project_id,
+      file: req.file,
+      tableName,
+      source,
+      importOptions: {
+        sheet,
+        table: table === null ? undefined : table,
+        encoding: req.body.encoding,
+        locale: importLocale(req),
+        columns,
+        strictColumns: newOverrides !== null,
+        mode,
+        keyColumns
+      }
+    });
+    claimed = null;
 
-    // Invalidate query cache for this tenant (data has changed)
-    queryCache.invalidateTenant(req.tenantId);
+    // Fire webhook for the refresh
+    const { fireWebhooks } = require('./lib/webhookDelivery');
+    const project = db.prepare('SELECT name FROM projects WHERE id = ?').get(source.project_id);
+    fireWebhooks(db, req.tenantId, 'data_source.refreshed', {
+      dataSourceId: sourceId,
+      dataSourceName: source.name,
+      project: project?.name || 'Unknown Project',
+      mode,
+      rowCount: schemaSnapshot.rowCount,
+      diff: result.diff,
+      schemaChanges: result.schemaChanges
+    }, source.project_id);
 
     res.json({
       success: true,
       message: 'Data source refreshed successfully',
-      rowCount,
-      columnCount: columns.length
+      mode,
+      version,
+      rowCount: schemaSnapshot.rowCount,
+      columnCount: schemaSnapshot.columns.length,
+      diff: result.diff,
+      schemaChanges: result.schemaChanges,
+      sheets: result.sheets,
+      warnings: result.warnings
     });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    console.error('Refresh error:', err);
+    // Give up the claim if the import didn't get far enough to restore the status itself
+    if (claimed) {
+      db.prepare(`UPDATE data_sources SET status = ? WHERE id = ? AND status = 'processing'`).run(claimed.status, claimed.id);
+    }
+    res.status(err.tableBusy ? 409 : 400).json({ error: err.message });
+  } finally {
+    removeUploadedFile(req.file);
   }
 });
 
@@ -3674,6 +4913,15 @@ async function start() {
   // Seed default user if database is empty
   await seedDefaultUser();
 
+  // Imports still 'processing' were interrupted by the restart
+  db.prepare(`UPDATE data_sources SET status = 'error' WHERE status = 'processing'`).run();
+
+  // Encrypt plain-text data source secrets and re-wrap ones using a retired master key
+  const credentials = tenantManager.migrateCredentials();
+  if (credentials.encrypted > 0 || credentials.rewrapped > 0) {
+    console.log(`Data source credentials: ${credentials.encrypted} encrypted, ${credentials.rewrapped} re-wrapped with the current master key`);
+  }
+
   app.listen(PORT, () => {
     console.log(`Affix running on port ${PORT}`);
     console.log(`  Main site: http://localhost:${PORT}`);
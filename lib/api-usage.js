@@ -1,7 +1,8 @@
 /**
  * API Usage Tracking Module
  *
- * Tracks Anthropic API usage and costs per tenant per month.
+ * Tracks Anthropic API usage and costs per tenant per month, with a ledger of
+ * every call (api_usage_ledger) for breaking spend down by purpose and user.
  */
 
 const { v4: uuidv4 } = require('uuid');
@@ -19,7 +20,8 @@ const PRICING = {
  * Calculate cost based on token usage
  * @param {number} inputTokens - Number of input tokens
  * @param {number} outputTokens - Number of output tokens
- * @param {string} model - Model name (default: claude-sonnet-4-20250514)
+ * @param {string} model - Model name (default: claude-sonnet-4-20250514; models without
+ *   pricing, such as the offline stub, are charged at its price so credit limits still apply)
  * @returns {number} Cost in dollars
  */
 function calculateCost(inputTokens, outputTokens, model = 'claude-sonnet-4-20250514') {
@@ -43,53 +45,76 @@ function getCurrentMonth() {
 }
 
 /**
- * Track API usage for a tenant
+ * Track API usage for a tenant: add the call to the month's totals and record it
+ * in the ledger
  * @param {object} db - Database instance
  * @param {string} tenantId - Tenant ID
  * @param {number} inputTokens - Number of input tokens
  * @param {number} outputTokens - Number of output tokens
- * @param {string} purpose - Purpose of the API call ('query_sql', 'query_insights', 'background_analysis')
+ * @param {string} purpose - Purpose of the API call ('query_sql', 'query_insights', 'query_explanation',
+ *   'suggestions', 'dashboard_generation', 'dashboard_prompts', 'background_analysis')
+ * @param {object} details - { model (see calculateCost), projectId, userId } (each optional)
  * @returns {object} Updated usage record
  */
-function trackApiUsage(db, tenantId, inputTokens, outputTokens, purpose) {
+function trackApiUsage(db, tenantId, inputTokens, outputTokens, purpose, details = {}) {
   if (!inputTokens && !outputTokens) {
     return null;
   }
 
-  const cost = calculateCost(inputTokens, outputTokens);
+  const cost = calculateCost(inputTokens, outputTokens, details.model);
   const month = getCurrentMonth();
 
-  // Try to update existing record
-  const updateResult = db.prepare(`
-    UPDATE credits_usage
-    SET credits_used = credits_used + ?,
-        query_count = query_count + ?,
-        background_analysis_count = background_analysis_count + ?,
-        updated_at = CURRENT_TIMESTAMP
-    WHERE tenant_id = ? AND month = ?
-  `).run(
-    cost,
-    purpose === 'query_sql' || purpose === 'query_insights' ? 1 : 0,
-    purpose === 'background_analysis' ? 1 : 0,
-    tenantId,
-    month
-  );
-
-  // If no record exists, create one
-  if (updateResult.changes === 0) {
-    const id = uuidv4();
+  // The ledger and the month's totals are written together, so they always agree
+  db.transaction(() => {
     db.prepare(`
-      INSERT INTO credits_usage (id, tenant_id, month, credits_used, query_count, background_analysis_count)
-      VALUES (?, ?, ?, ?, ?, ?)
+      INSERT INTO api_usage_ledger
+      (id, tenant_id, month, purpose, model, project_id, user_id, input_tokens, output_tokens, cost)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `).run(
-      id,
+      uuidv4(),
       tenantId,
       month,
+      purpose,
+      details.model || null,
+      details.projectId || null,
+      details.userId || null,
+      inputTokens || 0,
+      outputTokens || 0,
+      cost
+    );
+
+    // Try to update existing record
+    const updateResult = db.prepare(`
+      UPDATE credits_usage
+      SET credits_used = credits_used + ?,
+          query_count = query_count + ?,
+          background_analysis_count = background_analysis_count + ?,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE tenant_id = ? AND month = ?
+    `).run(
       cost,
       purpose === 'query_sql' || purpose === 'query_insights' ? 1 : 0,
-      purpose === 'background_analysis' ? 1 : 0
+      purpose === 'background_analysis' ? 1 : 0,
+      tenantId,
+      month
     );
-  }
+
+    // If no record exists, create one
+    if (updateResult.changes === 0) {
+      const id = uuidv4();
+      db.prepare(`
+        INSERT INTO credits_usage (id, tenant_id, month, credits_used, query_count, background_analysis_count)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `).run(
+        id,
+        tenantId,
+        month,
+        cost,
+        purpose === 'query_sql' || purpose === 'query_insights' ? 1 : 0,
+        purpose === 'background_analysis' ? 1 : 0
+      );
+    }
+  })();
 
   // Return updated record
   return db.prepare(`
@@ -126,6 +151,43 @@ function getUsageHistory(db, tenantId, months = 12) {
   `).all(tenantId, months);
 }
 
+/**
+ * Break a month's spend down by purpose and by user, from the ledger
+ * @param {object} db - Database instance
+ * @param {string} tenantId - Tenant ID
+ * @param {string} month - Month (YYYY-MM-01, default: the current month)
+ * @returns {object} { byPurpose: [{ purpose, calls, inputTokens, outputTokens, cost }],
+ *   byUser: [{ userId, name, email, calls, inputTokens, outputTokens, cost }] }, most spent first;
+ *   calls not made for a user (such as those of a deleted user) have userId null
+ */
+function getUsageBreakdown(db, tenantId, month = getCurrentMonth()) {
+  const totals = `
+    COUNT(*) AS calls,
+    SUM(l.input_tokens) AS inputTokens,
+    SUM(l.output_tokens) AS outputTokens,
+    SUM(l.cost) AS cost
+  `;
+
+  const byPurpose = db.prepare(`
+    SELECT l.purpose, ${totals}
+    FROM api_usage_ledger l
+    WHERE l.tenant_id = ? AND l.month = ?
+    GROUP BY l.purpose
+    ORDER BY cost DESC
+  `).all(tenantId, month);
+
+  const byUser = db.prepare(`
+    SELECT l.user_id AS userId, u.name, u.email, ${totals}
+    FROM api_usage_ledger l
+    LEFT JOIN users u ON u.id = l.user_id
+    WHERE l.tenant_id = ? AND l.month = ?
+    GROUP BY l.user_id
+    ORDER BY cost DESC
+  `).all(tenantId, month);
+
+  return { byPurpose, byUser };
+}
+
 /**
  * Check if tenant has budget remaining
  * @param {object} db - Database instance
@@ -186,6 +248,7 @@ module.exports = {
   trackApiUsage,
   getCurrentUsage,
   getUsageHistory,
+  getUsageBreakdown,
   hasBudget,
   setMonthlyBudget,
   getCurrentMonth
@@ -5,11 +5,12 @@
  * generating questions, executing queries, and finding insights.
  */
 
-const Anthropic = require('@anthropic-ai/sdk');
 const { v4: uuidv4 } = require('uuid');
 const { askQuestion } = require('./nlquery');
 const { generateInsights } = require('./insights');
 const { trackApiUsage, getCurrentUsage, calculateCost } = require('./api-usage');
+const { projectDataVersions } = require('./dataSourceVersions');
+const { getProvider } = require('./llm');
 
 // Minimum credits required to start a background analysis
 const MIN_CREDITS_REQUIRED = 0.50;
@@ -64,24 +65,23 @@ const runningJobs = new Map();
  * @returns {Promise<object>} { questions: Array, usage: object }
  */
 async function generateAnalysisPlan(schemaContext) {
-  const apiKey = process.env.ANTHROPIC_API_KEY;
-  if (!apiKey) {
-    throw new Error('Anthropic API key not configured');
+  const llm = getProvider();
+  if (!llm) {
+    throw new Error('AI provider not configured');
   }
 
   const prompt = ANALYSIS_PLAN_PROMPT.replace('{schema_context}', schemaContext);
 
-  const anthropic = new Anthropic({ apiKey });
-  const message = await anthropic.messages.create({
-    model: 'claude-sonnet-4-20250514',
-    max_tokens: 2000,
-    temperature: 0.3,
+  const reply = await llm.complete({
+    task: 'analysis_plan',
     messages: [
       { role: 'user', content: prompt }
-    ]
+    ],
+    maxTokens: 2000,
+    temperature: 0.3
   });
 
-  const responseText = message.content[0].text;
+  const responseText = reply.text;
 
   // Parse the JSON response
   let questions = [];
@@ -97,10 +97,7 @@ async function generateAnalysisPlan(schemaContext) {
 
   return {
     questions,
-    usage: {
-      inputTokens: message.usage.input_tokens,
-      outputTokens: message.usage.output_tokens
-    }
+    usage: reply.usage
   };
 }
 
@@ -110,8 +107,8 @@ async function generateAnalysisPlan(schemaContext) {
  * @returns {Promise<object>} { summary: string, usage: object }
  */
 async function generateExecutiveSummary(insights) {
-  const apiKey = process.env.ANTHROPIC_API_KEY;
-  if (!apiKey) {
+  const llm = getProvider();
+  if (!llm) {
     return { summary: 'Analysis complete. Review individual findings for details.', usage: null };
   }
 
@@ -121,22 +118,18 @@ async function generateExecutiveSummary(insights) {
 
   const prompt = SUMMARY_PROMPT.replace('{insights_json}', JSON.stringify(insights, null, 2));
 
-  const anthropic = new Anthropic({ apiKey });
-  const message = await anthropic.messages.create({
-    model: 'claude-sonnet-4-20250514',
-    max_tokens: 500,
-    temperature: 0.3,
+  const reply = await llm.complete({
+    task: 'analysis_summary',
     messages: [
       { role: 'user', content: prompt }
-    ]
+    ],
+    maxTokens: 500,
+    temperature: 0.3
   });
 
   return {
-    summary: message.content[0].text.trim(),
-    usage: {
-      inputTokens: message.usage.input_tokens,
-      outputTokens: message.usage.output_tokens
-    }
+    summary: reply.text.trim(),
+    usage: reply.usage
   };
 }
 
@@ -164,12 +157,15 @@ function isJobCancelled(jobId) {
  * @param {object} options.db - Database instance
  * @param {string} options.tenantId - Tenant ID
  * @param {string} options.projectId - Project ID
+ * @param {number} options.userId - The user who started the analysis (charged for its tokens)
  * @param {number} options.creditsBudget - Max credits to spend
  * @param {object} options.dataSource - Connected DataSource instance
  * @param {string} options.schemaContext - Schema context
+ * @param {function} options.onFinish - Called once the data source is no longer needed: when
+ *   the analysis ends, or straight away if it can't be started
  * @returns {Promise<string>} Job ID
  */
-async function startBackgroundAnalysis({ db, tenantId, projectId, creditsBudget = 2.00, dataSource, schemaContext }) {
+async function startBackgroundAnalysis({ db, tenantId, projectId, userId = null, creditsBudget = 2.00, dataSource, schemaContext, onFinish = () => {} }) {
   // Check remaining credits for this month
   const usage = getCurrentUsage(db, tenantId);
   const creditsAllocated = usage?.credits_allocated || 10.00; // Default allocation
@@ -177,6 +173,7 @@ async function startBackgroundAnalysis({ db, tenantId, projectId, creditsBudget
   const creditsRemaining = creditsAllocated - creditsUsed;
 
   if (creditsRemaining < MIN_CREDITS_REQUIRED) {
+    onFinish();
     throw new Error(`Not enough credits remaining this month. You have $${creditsRemaining.toFixed(2)} left.`);
   }
 
@@ -195,7 +192,11 @@ async function startBackgroundAnalysis({ db, tenantId, projectId, creditsBudget
 
   // Start the analysis asynchronously
   setImmediate(async () => {
-    await runAnalysis(db, jobId, tenantId, projectId, effectiveBudget, dataSource, schemaContext);
+    try {
+      await runAnalysis(db, jobId, tenantId, projectId, effectiveBudget, dataSource, schemaContext, userId);
+    } finally {
+      onFinish();
+    }
   });
 
   return jobId;
@@ -210,12 +211,20 @@ async function startBackgroundAnalysis({ db, tenantId, projectId, creditsBudget
  * @param {number} creditsBudget - Max credits to spend
  * @param {object} dataSource - Connected DataSource instance
  * @param {string} schemaContext - Schema context
+ * @param {number} userId - The user who started the analysis
  */
-async function runAnalysis(db, jobId, tenantId, projectId, creditsBudget, dataSource, schemaContext) {
+async function runAnalysis(db, jobId, tenantId, projectId, creditsBudget, dataSource, schemaContext, userId) {
   let totalCreditsUsed = 0;
   const allInsights = [];
   const findings = [];
 
+  // Charge a call's tokens to the tenant and to the job's budget
+  const chargeUsage = (usage) => {
+    if (!usage) return;
+    totalCreditsUsed += calculateCost(usage.inputTokens, usage.outputTokens, usage.model);
+    trackApiUsage(db, tenantId, usage.inputTokens, usage.outputTokens, 'background_analysis', { model: usage.model, projectId, userId });
+  };
+
   try {
     // Update status to running
     db.prepare(`
@@ -236,11 +245,7 @@ async function runAnalysis(db, jobId, tenantId, projectId, creditsBudget, dataSo
     const planResult = await generateAnalysisPlan(schemaContext);
 
     // Track usage for plan generation
-    if (planResult.usage) {
-      const planCost = calculateCost(planResult.usage.inputTokens, planResult.usage.outputTokens);
-      totalCreditsUsed += planCost;
-      trackApiUsage(db, tenantId, planResult.usage.inputTokens, planResult.usage.outputTokens, 'background_analysis');
-    }
+    chargeUsage(planResult.usage);
 
     const questions = planResult.questions || [];
     console.log(`[BackgroundAnalysis ${jobId}] Generated ${questions.length} questions`);
@@ -252,6 +257,10 @@ async function runAnalysis(db, jobId, tenantId, projectId, creditsBudget, dataSo
       WHERE id = ?
     `).run(questions.length, totalCreditsUsed, jobId);
 
+    // The data source versions the job's queries run against
+    const versions = projectDataVersions(db, projectId);
+    const dataVersions = versions ? JSON.stringify(versions) : null;
+
     // Step 2: Execute each question sequentially
     for (let i = 0; i < questions.length; i++) {
       // Check for cancellation
@@ -291,10 +300,8 @@ async function runAnalysis(db, jobId, tenantId, projectId, creditsBudget, dataSo
           relationshipsContext
         });
 
-        // Estimate and track query cost (rough estimate: ~500 input, ~300 output tokens)
-        const queryCost = calculateCost(500, 300);
-        totalCreditsUsed += queryCost;
-        trackApiUsage(db, tenantId, 500, 300, 'background_analysis');
+        // Track the tokens used generating the query's SQL
+        chargeUsage(queryResult.usage);
 
         if (!queryResult.error && queryResult.rows && queryResult.rows.length > 0) {
           // Save the query to the database
@@ -308,8 +315,9 @@ async function runAnalysis(db, jobId, tenantId, projectId, creditsBudget, dataSo
           db.prepare(`
             INSERT INTO queries
             (id, project_id, tenant_id, question, sql_generated, explanation, assumptions,
-             visualization_type, visualization_config, result_summary, execution_time_ms, status, source, background_job_id)
-            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'success', 'background', ?)
+             visualization_type, visualization_config, result_summary, execution_time_ms, status, source, background_job_id, data_versions,
+             sql_attempts)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'success', 'background', ?, ?, ?)
           `).run(
             queryId,
             projectId,
@@ -322,7 +330,9 @@ async function runAnalysis(db, jobId, tenantId, projectId, creditsBudget, dataSo
             queryResult.chartConfig ? JSON.stringify(queryResult.chartConfig) : null,
             JSON.stringify(resultSummary),
             queryResult.queryTime || 0,
-            jobId
+            jobId,
+            dataVersions,
+            queryResult.attempts ? JSON.stringify(queryResult.attempts) : null
           );
 
           // Generate insights for this query
@@ -335,11 +345,7 @@ async function runAnalysis(db, jobId, tenantId, projectId, creditsBudget, dataSo
           });
 
           // Track insight generation cost
-          if (insightResult.usage) {
-            const insightCost = calculateCost(insightResult.usage.inputTokens, insightResult.usage.outputTokens);
-            totalCreditsUsed += insightCost;
-            trackApiUsage(db, tenantId, insightResult.usage.inputTokens, insightResult.usage.outputTokens, 'background_analysis');
-          }
+          chargeUsage(insightResult.usage);
 
           // Save insights to database
           if (insightResult.insights && insightResult.insights.length > 0) {
@@ -422,11 +428,7 @@ async function runAnalysis(db, jobId, tenantId, projectId, creditsBudget, dataSo
     console.log(`[BackgroundAnalysis ${jobId}] Generating executive summary...`);
     const summaryResult = await generateExecutiveSummary(allInsights);
 
-    if (summaryResult.usage) {
-      const summaryCost = calculateCost(summaryResult.usage.inputTokens, summaryResult.usage.outputTokens);
-      totalCreditsUsed += summaryCost;
-      trackApiUsage(db, tenantId, summaryResult.usage.inputTokens, summaryResult.usage.outputTokens, 'background_analysis');
-    }
+    chargeUsage(summaryResult.usage);
 
     // Mark job as completed
     db.prepare(`
@@ -0,0 +1,306 @@
+/**
+ * Conversations
+ * Questions asked in a project form threads: each query is a numbered turn of a
+ * conversation, and a follow-up is asked with the thread's recent turns (their
+ * question, SQL and a summary of their result) as context. A thread can be
+ * branched from any of its turns; the branch shares the turns up to that point
+ * (they are not copied) and numbers its own turns after them.
+ *
+ * A follow-up that needs a new thread or branch gets a draft of it (id null),
+ * which is only stored when the follow-up is saved as its first turn (see
+ * conversationForFollowUp and saveConversation).
+ */
+
+const { v4: uuidv4 } = require('uuid');
+
+// Turns of a thread given as context for its next question
+const CONTEXT_TURNS = 5;
+
+// Result rows of each context turn included in the prompt
+const CONTEXT_SAMPLE_ROWS = 5;
+
+const MAX_TITLE_LENGTH = 200;
+
+/**
+ * Title for a thread started by a question
+ */
+function titleFor(question) {
+  const title = question.trim().replace(/\s+/g, ' ');
+  return title.length > 80 ? `${title.slice(0, 77)}...` : title;
+}
+
+/**
+ * Check a conversation title
+ * @param {*} title - Title given by the user
+ * @returns {string} The trimmed title
+ */
+function validateTitle(title) {
+  if (typeof title !== 'string' || !title.trim()) {
+    throw new Error('Title must be a non-empty string');
+  }
+  if (title.trim().length > MAX_TITLE_LENGTH) {
+    throw new Error(`Title must be at most ${MAX_TITLE_LENGTH} characters`);
+  }
+  return title.trim();
+}
+
+/**
+ * Start a conversation in a project
+ * @param {object} db - Main database
+ * @param {object} options - { projectId, tenantId, title, userId, parentConversationId, branchedAtTurn }
+ * @returns {object} The conversation, as in getConversation
+ */
+function createConversation(db, { projectId, tenantId, title, userId = null, parentConversationId = null, branchedAtTurn = null }) {
+  const id = uuidv4();
+  db.prepare(`
+    INSERT INTO conversations (id, project_id, tenant_id, title, parent_conversation_id, branched_at_turn, created_by)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(id, projectId, tenantId, validateTitle(title), parentConversationId, branchedAtTurn, userId);
+  return getConversation(db, id, tenantId);
+}
+
+/**
+ * Get a conversation
+ * @param {object} db - Main database
+ * @param {string} conversationId - Conversation ID
+ * @param {string} tenantId - Tenant ID (for isolation)
+ * @returns {object|null} { id, projectId, title, parentConversationId, branchedAtTurn, turnCount, createdBy, createdAt, updatedAt }
+ */
+function getConversation(db, conversationId, tenantId) {
+  const row = db.prepare(`
+    SELECT c.*, (SELECT MAX(turn) FROM queries WHERE conversation_id = c.id) AS last_turn
+    FROM conversations c
+    WHERE c.id = ? AND c.tenant_id = ?
+  `).get(conversationId, tenantId);
+  return row ? formatConversation(row) : null;
+}
+
+/**
+ * List a project's conversations, most recently active first
+ * @returns {object[]} As in getConversation
+ */
+function listConversations(db, projectId) {
+  return db.prepare(`
+    SELECT c.*, (SELECT MAX(turn) FROM queries WHERE conversation_id = c.id) AS last_turn
+    FROM conversations c
+    WHERE c.project_id = ?
+    ORDER BY c.updated_at DESC, c.created_at DESC
+  `).all(projectId).map(formatConversation);
+}
+
+function formatConversation(row) {
+  return {
+    id: row.id,
+    projectId: row.project_id,
+    title: row.title,
+    parentConversationId: row.parent_conversation_id,
+    branchedAtTurn: row.branched_at_turn,
+    turnCount: row.last_turn || row.branched_at_turn || 0,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Rename a conversation
+ * @returns {object} The conversation, as in getConversation
+ */
+function renameConversation(db, conversation, title, tenantId) {
+  db.prepare('UPDATE conversations SET title = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?')
+    .run(validateTitle(title), conversation.id);
+  return getConversation(db, conversation.id, tenantId);
+}
+
+/**
+ * A conversation's turns in order, including those it shares with the thread it
+ * was branched from
+ * @param {object} db - Main database
+ * @param {object} conversation - From getConversation, or a draft from conversationForFollowUp
+ * @param {string} tenantId - Tenant ID
+ * @returns {object[]} [{ turn, queryId, conversationId, question, sql, explanation, visualizationType,
+ *   status, error, resultSummary, createdAt }]
+ */
+function getTurns(db, conversation, tenantId) {
+  let inherited = [];
+  if (conversation.parentConversationId) {
+    const parent = getConversation(db, conversation.parentConversationId, tenantId);
+    if (parent) {
+      inherited = getTurns(db, parent, tenantId).filter(turn => turn.turn <= conversation.branchedAtTurn);
+    }
+  }
+
+  // A draft has no turns of its own, unless it adopts a query asked before threads existed
+  let ownQueries = [];
+  if (conversation.id) {
+    ownQueries = db.prepare('SELECT * FROM queries WHERE conversation_id = ? ORDER BY turn').all(conversation.id);
+  } else if (conversation.firstQueryId) {
+    ownQueries = db.prepare('SELECT * FROM queries WHERE id = ?').all(conversation.firstQueryId);
+  }
+
+  const own = ownQueries.map(query => ({
+    turn: query.turn || 1,
+    queryId: query.id,
+    conversationId: query.conversation_id,
+    question: query.question,
+    sql: query.sql_generated,
+    explanation: query.explanation,
+    visualizationType: query.visualization_type,
+    status: query.status,
+    error: query.error_message,
+    resultSummary: query.result_summary ? JSON.parse(query.result_summary) : null,
+    createdAt: query.created_at
+  }));
+
+  return [...inherited, ...own];
+}
+
+/**
+ * The number the conversation's next turn gets
+ */
+function nextTurn(db, conversation) {
+  const last = db.prepare('SELECT MAX(turn) AS turn FROM queries WHERE conversation_id = ?').get(conversation.id);
+  return (last.turn || conversation.branchedAtTurn || 0) + 1;
+}
+
+/**
+ * Mark a conversation as active now (when a turn is added)
+ */
+function touchConversation(db, conversationId) {
+  db.prepare('UPDATE conversations SET updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(conversationId);
+}
+
+/**
+ * Branch a conversation from one of its turns
+ * @param {object} db - Main database
+ * @param {object} conversation - From getConversation
+ * @param {number} turn - The last turn the branch shares
+ * @param {object} options - { tenantId, userId, title (defaults to the thread's title, marked as a branch) }
+ * @returns {object} The new conversation, as in getConversation
+ */
+function branchConversation(db, conversation, turn, { tenantId, userId = null, title = null }) {
+  if (!Number.isInteger(turn) || turn < 1 || turn > conversation.turnCount) {
+    throw new Error(`Turn must be a whole number from 1 to ${conversation.turnCount}`);
+  }
+  return saveConversation(db, branchDraft(conversation, turn, { userId, title }), tenantId);
+}
+
+/**
+ * A branch of a conversation that isn't stored yet, shaped as in getConversation
+ */
+function branchDraft(conversation, turn, { userId = null, title = null }) {
+  return {
+    id: null,
+    projectId: conversation.projectId,
+    title: title || `${conversation.title.slice(0, MAX_TITLE_LENGTH - 9)} (branch)`,
+    parentConversationId: conversation.id,
+    branchedAtTurn: turn,
+    turnCount: turn,
+    createdBy: userId,
+    createdAt: null,
+    updatedAt: null
+  };
+}
+
+/**
+ * The conversation a follow-up to a query belongs in: the query's own thread if
+ * the query is its latest turn, otherwise a branch of that thread from the query.
+ * A query asked before threads existed becomes the first turn of a new thread.
+ * Nothing is written here: a new branch or thread is returned as a draft (id null)
+ * for saveConversation to store once the follow-up is saved.
+ * @param {object} db - Main database
+ * @param {object} query - Row from the queries table
+ * @param {object} options - { tenantId, userId }
+ * @returns {object} Conversation, as in getConversation, or a draft of one
+ */
+function conversationForFollowUp(db, query, { tenantId, userId = null }) {
+  if (!query.conversation_id) {
+    return {
+      id: null,
+      projectId: query.project_id,
+      title: titleFor(query.question),
+      parentConversationId: null,
+      branchedAtTurn: null,
+      turnCount: 1,
+      createdBy: userId,
+      createdAt: null,
+      updatedAt: null,
+      firstQueryId: query.id
+    };
+  }
+
+  const conversation = getConversation(db, query.conversation_id, tenantId);
+  if (query.turn === conversation.turnCount) {
+    return conversation;
+  }
+  return branchDraft(conversation, query.turn, { userId });
+}
+
+/**
+ * Store a draft conversation (see conversationForFollowUp), making the query it
+ * adopts, if any, its first turn. Stored conversations are returned as they are.
+ * @param {object} db - Main database
+ * @param {object} conversation - Draft or stored conversation
+ * @param {string} tenantId - Tenant ID
+ * @returns {object} The conversation, as in getConversation
+ */
+function saveConversation(db, conversation, tenantId) {
+  if (conversation.id) {
+    return conversation;
+  }
+
+  const saved = createConversation(db, {
+    projectId: conversation.projectId,
+    tenantId,
+    title: conversation.title,
+    userId: conversation.createdBy,
+    parentConversationId: conversation.parentConversationId,
+    branchedAtTurn: conversation.branchedAtTurn
+  });
+  if (conversation.firstQueryId) {
+    db.prepare('UPDATE queries SET conversation_id = ?, turn = 1 WHERE id = ? AND conversation_id IS NULL')
+      .run(saved.id, conversation.firstQueryId);
+  }
+  return getConversation(db, saved.id, tenantId);
+}
+
+/**
+ * A conversation's recent turns, summarized for the prompt (see nlquery's
+ * conversationContext)
+ * @param {object} db - Main database
+ * @param {object} conversation - From getConversation
+ * @param {string} tenantId - Tenant ID
+ * @param {number} limit - Turns to include (default CONTEXT_TURNS)
+ * @returns {object[]} [{ turn, question, sql, explanation, error, result: { rowCount, columns, sampleRows } }]
+ */
+function contextTurns(db, conversation, tenantId, limit = CONTEXT_TURNS) {
+  return getTurns(db, conversation, tenantId).slice(-limit).map(turn => ({
+    turn: turn.turn,
+    question: turn.question,
+    sql: turn.sql,
+    explanation: turn.explanation,
+    error: turn.status === 'error' ? turn.error : null,
+    result: turn.resultSummary ? {
+      rowCount: turn.resultSummary.rowCount,
+      columns: turn.resultSummary.columns,
+      sampleRows: (turn.resultSummary.rows || []).slice(0, CONTEXT_SAMPLE_ROWS)
+    } : null
+  }));
+}
+
+module.exports = {
+  CONTEXT_TURNS,
+  titleFor,
+  validateTitle,
+  createConversation,
+  getConversation,
+  listConversations,
+  renameConversation,
+  getTurns,
+  nextTurn,
+  touchConversation,
+  branchConversation,
+  conversationForFollowUp,
+  saveConversation,
+  contextTurns
+};
@@ -1,5 +1,5 @@
-const Anthropic = require('@anthropic-ai/sdk');
 const { trackApiUsage } = require('./api-usage');
+const { getProvider } = require('./llm');
 const db = require('../db/init');
 
 /**
@@ -7,16 +7,15 @@ const db = require('../db/init');
  * @param {string} description - User's description of desired dashboard
  * @param {string} schemaContext - Rich schema context from data source
  * @param {string} tenantId - Tenant ID for credit tracking
+ * @param {object} attribution - Who the tokens are charged to: { projectId, userId }
  * @returns {Object} Dashboard specification with widgets
  */
-async function generateDashboardSpec(description, schemaContext, tenantId) {
-  const apiKey = process.env.ANTHROPIC_API_KEY;
-  if (!apiKey) {
+async function generateDashboardSpec(description, schemaContext, tenantId, { projectId, userId } = {}) {
+  const llm = getProvider();
+  if (!llm) {
     throw new Error('ANTHROPIC_API_KEY not configured');
   }
 
-  const anthropic = new Anthropic({ apiKey });
-
   const systemPrompt = `You are building a dashboard for a business intelligence tool. Based on the user's description and the available data, generate a dashboard specification.
 
 AVAILABLE DATA:
@@ -48,25 +47,24 @@ RULES:
 9. Respond with ONLY the JSON object, no additional text or markdown`;
 
   try {
-    const message = await anthropic.messages.create({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 2000,
-      temperature: 0,
+    const reply = await llm.complete({
+      task: 'dashboard',
       system: systemPrompt,
       messages: [
         {
           role: 'user',
           content: description
         }
-      ]
+      ],
+      maxTokens: 2000,
+      temperature: 0
     });
 
     // Track API usage
-    const inputTokens = message.usage.input_tokens;
-    const outputTokens = message.usage.output_tokens;
-    trackApiUsage(db, tenantId, inputTokens, outputTokens, 'dashboard_generation');
+    const { inputTokens, outputTokens, model } = reply.usage;
+    trackApiUsage(db, tenantId, inputTokens, outputTokens, 'dashboard_generation', { model, projectId, userId });
 
-    const responseText = message.content[0].text.trim();
+    const responseText = reply.text.trim();
 
     // Try to extract JSON from the response (in case Claude wrapped it in markdown)
     let jsonText = responseText;
@@ -114,11 +112,12 @@ RULES:
 /**
  * Generate suggested dashboard prompts based on schema
  * @param {string} schemaContext - Rich schema context from data source
+ * @param {object} attribution - Who the tokens are charged to: { tenantId, projectId, userId }
  * @returns {Array<string>} Array of 3 suggested prompts
  */
-async function generateSuggestedPrompts(schemaContext) {
-  const apiKey = process.env.ANTHROPIC_API_KEY;
-  if (!apiKey) {
+async function generateSuggestedPrompts(schemaContext, { tenantId, projectId, userId } = {}) {
+  const llm = getProvider();
+  if (!llm) {
     // Return generic prompts if API key not available
     return [
       "A comprehensive overview showing key metrics and trends",
@@ -127,8 +126,6 @@ async function generateSuggestedPrompts(schemaContext) {
     ];
   }
 
-  const anthropic = new Anthropic({ apiKey });
-
   const systemPrompt = `Based on the data schema provided, suggest 3 specific dashboard prompts that would be useful for this data. Each prompt should be 8-15 words describing a specific analytical dashboard.
 
 AVAILABLE DATA:
@@ -138,20 +135,25 @@ Respond with ONLY a JSON array of 3 strings, like:
 ["First dashboard prompt", "Second dashboard prompt", "Third dashboard prompt"]`;
 
   try {
-    const message = await anthropic.messages.create({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 500,
-      temperature: 0.3,
+    const reply = await llm.complete({
+      task: 'dashboard_prompts',
       system: systemPrompt,
       messages: [
         {
           role: 'user',
           content: 'Generate 3 suggested dashboard prompts for this data'
         }
-      ]
+      ],
+      maxTokens: 500,
+      temperature: 0.3
     });
 
-    const responseText = message.content[0].text.trim();
+    if (tenantId) {
+      const { inputTokens, outputTokens, model } = reply.usage;
+      trackApiUsage(db, tenantId, inputTokens, outputTokens, 'dashboard_prompts', { model, projectId, userId });
+    }
+
+    const responseText = reply.text.trim();
 
     // Try to extract JSON array
     let jsonText = responseText;
@@ -0,0 +1,308 @@
+/**
+ * Data Profiler
+ * Column statistics and data-quality checks for an imported table: null rates,
+ * distinct counts, ranges, quantiles, top values, value formats (emails, dates,
+ * currency, ...) and outliers. Runs in the background after each upload or
+ * refresh, in a child process (see FileDataSource.profileDataQuality), and the
+ * result is stored with the data source (see GET /api/sources/:id/profile).
+ * Unlike FileDataSource.profileTable, which keeps the few statistics the schema
+ * context needs for every question, this reads every value of every column.
+ */
+
+// Tables larger than this are profiled on their first rows
+const PROFILE_MAX_ROWS = 1000000;
+
+// Values checked per column for format detection
+const FORMAT_SAMPLE_ROWS = 1000;
+
+const TOP_VALUES = 5;
+const QUANTILES = { p5: 0.05, p25: 0.25, p50: 0.5, p75: 0.75, p95: 0.95 };
+
+// Checked in order; the first match wins (integer before phone, etc.)
+const FORMATS = [
+  { name: 'email', pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/ },
+  { name: 'url', pattern: /^https?:\/\/\S+$/i },
+  { name: 'uuid', pattern: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i },
+  { name: 'datetime', pattern: /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/ },
+  { name: 'date', pattern: /^\d{4}-\d{2}-\d{2}$/ },
+  { name: 'date_slash', pattern: /^\d{1,2}\/\d{1,2}\/(\d{2}|\d{4})$/ },
+  { name: 'currency', pattern: /^-?[$€£¥]\s?-?(\d{1,3}(,\d{3})+|\d+)(\.\d+)?$/ },
+  { name: 'percentage', pattern: /^-?\d+(\.\d+)?\s?%$/ },
+  { name: 'boolean', pattern: /^(true|false|yes|no)$/i },
+  { name: 'integer', pattern: /^-?\d+$/ },
+  { name: 'decimal', pattern: /^-?\d*\.\d+$/ },
+  { name: 'phone', pattern: /^\+?[\d\s().-]{7,20}$/ }
+];
+
+// Thresholds for data-quality issues
+const MOSTLY_NULL_PERCENT = 50;
+const MIXED_FORMAT_MIN_RATE = 0.5;      // Below this there is no dominant format
+const FORMAT_EXAMPLES = 3;              // Non-matching values reported per column
+const TYPE_MISMATCH_SERIOUS_RATE = 0.05;
+const OUTLIER_WARNING_RATE = 0.05;
+const DUPLICATE_SERIOUS_RATE = 0.1;
+
+function quoteIdentifier(name) {
+  return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+function isNumericType(type) {
+  const upperType = (type || '').toUpperCase();
+  return ['INT', 'REAL', 'NUMERIC', 'DECIMAL', 'FLOAT', 'DOUBLE'].some(t => upperType.includes(t));
+}
+
+function round(value, digits = 2) {
+  return value === null || value === undefined ? value : Number(value.toFixed(digits));
+}
+
+function plural(count, word) {
+  return `${count.toLocaleString()} ${word}${count === 1 ? '' : 's'}`;
+}
+
+function formatOf(value) {
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? 'integer' : 'decimal';
+  }
+  const text = String(value).trim();
+  const format = FORMATS.find(f => f.pattern.test(text));
+  return format ? format.name : 'text';
+}
+
+/**
+ * Work out the dominant format of a column's sample values
+ * @param {any[]} values - Non-empty values
+ * @returns {{ name: string, matchRate: number, mismatches: any[] }|null} The format, the share
+ *   of values in it, and a few values that aren't
+ */
+function detectFormat(values) {
+  if (values.length === 0) {
+    return null;
+  }
+
+  const formats = values.map(formatOf);
+  const counts = new Map();
+  for (const name of formats) {
+    counts.set(name, (counts.get(name) || 0) + 1);
+  }
+
+  const [name, count] = [...counts.entries()].sort((a, b) => b[1] - a[1])[0];
+  const mismatches = [...new Set(values.filter((_, i) => formats[i] !== name))].slice(0, FORMAT_EXAMPLES);
+  return { name, matchRate: round(count / values.length, 3), mismatches };
+}
+
+/**
+ * Profile the columns and data quality of a table in a SQLite database
+ * @param {object} dataSource - Anything with the DataSource execute() and getColumns() methods
+ * @param {string} table - Table name
+ * @returns {Promise<object>} { table, rowCount, profiledRows, sampled, duplicateRows, columns, issues, status, profiledAt }
+ */
+async function profileDataQuality(dataSource, table) {
+  const quotedTable = quoteIdentifier(table);
+  const rowCount = (await dataSource.execute(`SELECT COUNT(*) AS count FROM ${quotedTable}`)).rows[0].count;
+  const sampled = rowCount > PROFILE_MAX_ROWS;
+  const src = sampled ? `(SELECT * FROM ${quotedTable} LIMIT ${PROFILE_MAX_ROWS})` : quotedTable;
+  const profiledRows = Math.min(rowCount, PROFILE_MAX_ROWS);
+
+  const columnInfo = await dataSource.getColumns(table);
+  const columns = columnInfo.map(col => ({
+    name: col.name,
+    type: col.type || 'TEXT',
+    numeric: isNumericType(col.type),
+    quoted: quoteIdentifier(col.name)
+  }));
+
+  // One scan for the basic statistics of every column
+  const aggregates = columns.map((col, i) => {
+    const c = col.quoted;
+    const isNumber = `typeof(${c}) IN ('integer', 'real')`;
+    return [
+      `SUM(CASE WHEN ${c} IS NULL OR ${c} = '' THEN 1 ELSE 0 END) AS n${i}`,
+      `COUNT(DISTINCT ${c}) AS d${i}`,
+      `SUM(CASE WHEN ${isNumber} THEN 1 ELSE 0 END) AS num${i}`,
+      col.numeric
+        ? `MIN(CASE WHEN ${isNumber} THEN ${c} END) AS min${i}, MAX(CASE WHEN ${isNumber} THEN ${c} END) AS max${i}, AVG(CASE WHEN ${isNumber} THEN ${c} END) AS avg${i}`
+        : `MIN(NULLIF(${c}, '')) AS min${i}, MAX(NULLIF(${c}, '')) AS max${i}, NULL AS avg${i}`
+    ].join(', ');
+  });
+  const stats = columns.length > 0
+    ? (await dataSource.execute(`SELECT ${aggregates.join(', ')} FROM ${src}`)).rows[0]
+    : {};
+
+  const sampleRows = (await dataSource.execute(`SELECT * FROM ${src} LIMIT ${FORMAT_SAMPLE_ROWS}`)).rows;
+
+  const profiles = [];
+  for (let i = 0; i < columns.length; i++) {
+    const col = columns[i];
+    const nullCount = stats[`n${i}`] || 0;
+    const nonNull = profiledRows - nullCount;
+    const numericCount = stats[`num${i}`] || 0;
+
+    const profile = {
+      name: col.name,
+      type: col.type,
+      nullCount,
+      nullPercent: profiledRows > 0 ? round(100 * nullCount / profiledRows, 1) : 0,
+      distinctCount: stats[`d${i}`] || 0,
+      min: stats[`min${i}`] ?? null,
+      max: stats[`max${i}`] ?? null
+    };
+    profile.unique = nonNull > 0 && profile.distinctCount === nonNull;
+
+    if (col.numeric) {
+      profile.mean = round(stats[`avg${i}`]);
+      // Imports keep values that aren't numbers as text in numeric columns
+      profile.typeMismatches = nonNull - numericCount;
+
+      if (numericCount > 0) {
+        const positions = Object.values(QUANTILES).map(q => Math.floor(q * (numericCount - 1)) + 1);
+        const result = await dataSource.execute(`
+          SELECT rn, v FROM (
+            SELECT ${col.quoted} AS v, ROW_NUMBER() OVER (ORDER BY ${col.quoted}) AS rn
+            FROM ${src} WHERE typeof(${col.quoted}) IN ('integer', 'real')
+          ) WHERE rn IN (${[...new Set(positions)].join(', ')})
+        `);
+        const byPosition = new Map(result.rows.map(r => [r.rn, r.v]));
+        profile.quantiles = {};
+        Object.keys(QUANTILES).forEach((key, k) => {
+          profile.quantiles[key] = byPosition.get(positions[k]);
+        });
+
+        // Tukey's fences: more than 1.5 IQR outside the quartiles
+        const iqr = profile.quantiles.p75 - profile.quantiles.p25;
+        const lower = profile.quantiles.p25 - 1.5 * iqr;
+        const upper = profile.quantiles.p75 + 1.5 * iqr;
+        const outliers = (await dataSource.execute(`
+          SELECT COUNT(*) AS count FROM ${src}
+          WHERE typeof(${col.quoted}) IN ('integer', 'real') AND (${col.quoted} < ? OR ${col.quoted} > ?)
+        `, [lower, upper])).rows[0].count;
+        profile.outliers = { count: outliers, lower: round(lower, 4), upper: round(upper, 4) };
+      }
+    }
+
+    // Top values (not useful for columns where every value is different)
+    profile.topValues = [];
+    if (nonNull > 0 && !profile.unique) {
+      profile.topValues = (await dataSource.execute(`
+        SELECT ${col.quoted} AS value, COUNT(*) AS count FROM ${src}
+        WHERE ${col.quoted} IS NOT NULL AND ${col.quoted} != ''
+        GROUP BY ${col.quoted} ORDER BY count DESC, value LIMIT ${TOP_VALUES}
+      `)).rows;
+    }
+
+    profile.format = detectFormat(
+      sampleRows.map(r => r[col.name]).filter(v => v !== null && v !== undefined && v !== '')
+    );
+
+    profiles.push(profile);
+  }
+
+  let duplicateRows = 0;
+  if (columns.length > 0 && profiledRows > 0) {
+    const distinctRows = (await dataSource.execute(`SELECT COUNT(*) AS count FROM (SELECT DISTINCT * FROM ${src})`)).rows[0].count;
+    duplicateRows = profiledRows - distinctRows;
+  }
+
+  const issues = findIssues({ rowCount: profiledRows, duplicateRows, columns: profiles });
+  const status = issues.some(i => i.severity === 'serious') ? 'serious'
+    : issues.length > 0 ? 'warning' : 'ok';
+
+  return {
+    table,
+    rowCount,
+    profiledRows,
+    sampled,
+    duplicateRows,
+    columns: profiles,
+    issues,
+    status,
+    profiledAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Turn profile statistics into data-quality issues
+ * @param {object} profile - { rowCount, duplicateRows, columns }
+ * @returns {object[]} [{ severity: 'warning'|'serious', code, column?, message }]
+ */
+function findIssues({ rowCount, duplicateRows, columns }) {
+  const issues = [];
+
+  if (rowCount === 0) {
+    issues.push({ severity: 'serious', code: 'no_rows', message: 'The file has no data rows' });
+    return issues;
+  }
+
+  const emptyColumns = columns.filter(c => c.nullPercent === 100);
+  if (columns.length > 1 && emptyColumns.length > columns.length / 2) {
+    issues.push({
+      severity: 'serious',
+      code: 'mostly_empty_columns',
+      message: `${emptyColumns.length} of ${columns.length} columns are empty (is the header row right?)`
+    });
+  }
+
+  if (duplicateRows > 0) {
+    const rate = duplicateRows / rowCount;
+    issues.push({
+      severity: rate > DUPLICATE_SERIOUS_RATE ? 'serious' : 'warning',
+      code: 'duplicate_rows',
+      message: `${plural(duplicateRows, 'row')} (${round(100 * rate, 1)}%) ${duplicateRows === 1 ? 'duplicates' : 'duplicate'} an earlier row`
+    });
+  }
+
+  for (const col of columns) {
+    const nonNull = rowCount - col.nullCount;
+
+    if (col.nullPercent === 100) {
+      issues.push({ severity: 'warning', code: 'empty_column', column: col.name, message: `"${col.name}" is empty` });
+      continue;
+    }
+    if (col.nullPercent >= MOSTLY_NULL_PERCENT) {
+      issues.push({
+        severity: 'warning',
+        code: 'mostly_null',
+        column: col.name,
+        message: `${col.nullPercent}% of "${col.name}" values are missing`
+      });
+    }
+
+    if (col.typeMismatches > 0) {
+      const rate = col.typeMismatches / nonNull;
+      issues.push({
+        severity: rate > TYPE_MISMATCH_SERIOUS_RATE ? 'serious' : 'warning',
+        code: 'type_mismatch',
+        column: col.name,
+        message: `${plural(col.typeMismatches, 'value')} in numeric column "${col.name}" ${col.typeMismatches === 1 ? 'is' : 'are'} not a number`
+      });
+    }
+
+    // Numeric columns already report stray values as type mismatches
+    if (col.format && col.format.name !== 'text' && !col.typeMismatches &&
+        col.format.matchRate >= MIXED_FORMAT_MIN_RATE && col.format.matchRate < 1) {
+      const examples = col.format.mismatches.map(v => `'${v}'`).join(', ');
+      issues.push({
+        severity: 'warning',
+        code: 'mixed_formats',
+        column: col.name,
+        message: `${round(100 * (1 - col.format.matchRate), 1)}% of sampled "${col.name}" values are not ${col.format.name.replace('_', ' ')} values (e.g. ${examples})`
+      });
+    }
+
+    if (col.outliers && col.outliers.count / nonNull > OUTLIER_WARNING_RATE) {
+      issues.push({
+        severity: 'warning',
+        code: 'outliers',
+        column: col.name,
+        message: `${plural(col.outliers.count, 'value')} of "${col.name}" ${col.outliers.count === 1 ? 'is an outlier' : 'are outliers'} (outside ${col.outliers.lower} to ${col.outliers.upper})`
+      });
+    }
+  }
+
+  return issues;
+}
+
+module.exports = {
+  profileDataQuality,
+  detectFormat,
+  findIssues
+};
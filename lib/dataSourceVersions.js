@@ -0,0 +1,231 @@
+/**
+ * Data Source Versions
+ * Every upload or refresh of a project data source is kept as a numbered version:
+ * a snapshot of the table as the import left it, stored in the project database
+ * (see FileDataSource.snapshotTable). Versions can be listed, compared by row count
+ * and schema, and rolled back to. Each source keeps its newest versions up to the
+ * tenant's retention limit (settings.versionRetention); the current version is
+ * always kept.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+
+const DEFAULT_RETENTION = 5;
+const MAX_RETENTION = 50;
+
+/**
+ * Name of the snapshot holding a version's data
+ */
+function snapshotName(sourceId, version) {
+  return `version_${String(sourceId).replace(/[^a-zA-Z0-9]/g, '')}_${version}`;
+}
+
+/**
+ * The number of versions a tenant keeps per data source
+ * @param {object} settings - Tenant settings
+ * @returns {number}
+ */
+function getRetention(settings) {
+  return (settings && settings.versionRetention) || DEFAULT_RETENTION;
+}
+
+/**
+ * Check a versionRetention setting
+ * @param {*} value - Setting value
+ */
+function validateRetention(value) {
+  if (!Number.isInteger(value) || value < 1 || value > MAX_RETENTION) {
+    throw new Error(`versionRetention must be a whole number from 1 to ${MAX_RETENTION}`);
+  }
+}
+
+/**
+ * Record a source's table as it stands now as the source's next version, and drop
+ * versions beyond the retention limit
+ * @param {object} db - Main database
+ * @param {FileDataSource} ds - The project's database
+ * @param {object} options
+ * @param {string} options.sourceId - Data source ID
+ * @param {string} options.tenantId - Tenant ID
+ * @param {string} options.tableName - The source's table
+ * @param {object} options.details - About the import: { mode, originalFilename, sizeBytes, diff }
+ * @param {number} options.retention - Versions to keep (see getRetention)
+ * @returns {Promise<number>} The new version number
+ */
+async function recordVersion(db, ds, { sourceId, tenantId, tableName, details = {}, retention = DEFAULT_RETENTION }) {
+  const last = db.prepare('SELECT MAX(version) AS version FROM data_source_versions WHERE data_source_id = ?').get(sourceId);
+  const version = (last.version || 0) + 1;
+
+  await ds.snapshotTable(tableName, snapshotName(sourceId, version));
+  const columns = (await ds.getColumns(tableName)).map(col => ({ name: col.name, type: col.type }));
+  const rowCount = (await ds.execute(`SELECT COUNT(*) as count FROM "${tableName}"`)).rows[0].count;
+
+  db.prepare(`
+    INSERT INTO data_source_versions
+    (id, data_source_id, tenant_id, version, row_count, column_count, columns, mode, original_filename, size_bytes, diff)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    uuidv4(),
+    sourceId,
+    tenantId,
+    version,
+    rowCount,
+    columns.length,
+    JSON.stringify(columns),
+    details.mode || null,
+    details.originalFilename || null,
+    details.sizeBytes || null,
+    details.diff ? JSON.stringify(details.diff) : null
+  );
+  db.prepare('UPDATE data_sources SET current_version = ? WHERE id = ?').run(version, sourceId);
+
+  await pruneVersions(db, ds, sourceId, retention);
+  return version;
+}
+
+/**
+ * List a source's versions, newest first
+ * @returns {object[]} [{ version, rowCount, columnCount, columns, mode, originalFilename, sizeBytes, diff, createdAt }]
+ */
+function listVersions(db, sourceId) {
+  return db.prepare(`
+    SELECT * FROM data_source_versions WHERE data_source_id = ? ORDER BY version DESC
+  `).all(sourceId).map(formatVersion);
+}
+
+/**
+ * Get one version of a source
+ * @returns {object|null} As in listVersions
+ */
+function getVersion(db, sourceId, version) {
+  const row = db.prepare(`
+    SELECT * FROM data_source_versions WHERE data_source_id = ? AND version = ?
+  `).get(sourceId, version);
+  return row ? formatVersion(row) : null;
+}
+
+function formatVersion(row) {
+  return {
+    version: row.version,
+    rowCount: row.row_count,
+    columnCount: row.column_count,
+    columns: row.columns ? JSON.parse(row.columns) : [],
+    mode: row.mode,
+    originalFilename: row.original_filename,
+    sizeBytes: row.size_bytes,
+    diff: row.diff ? JSON.parse(row.diff) : null,
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * Compare two versions of a source: row counts and schema
+ * @param {object} db - Main database
+ * @param {string} sourceId - Data source ID
+ * @param {number} from - Older version
+ * @param {number} to - Newer version
+ * @returns {object} { from, to, rowCountChange, schemaChanges: { added, removed, typeChanged } }
+ */
+function diffVersions(db, sourceId, from, to) {
+  const before = getVersion(db, sourceId, from);
+  const after = getVersion(db, sourceId, to);
+  if (!before || !after) {
+    throw new Error(`Version ${before ? to : from} not found`);
+  }
+
+  const typesBefore = new Map(before.columns.map(col => [col.name.toLowerCase(), col]));
+  const typesAfter = new Map(after.columns.map(col => [col.name.toLowerCase(), col]));
+  const summary = ({ version, rowCount, columnCount, createdAt }) => ({ version, rowCount, columnCount, createdAt });
+
+  return {
+    from: summary(before),
+    to: summary(after),
+    rowCountChange: after.rowCount - before.rowCount,
+    schemaChanges: {
+      added: after.columns.filter(col => !typesBefore.has(col.name.toLowerCase())).map(col => col.name),
+      removed: before.columns.filter(col => !typesAfter.has(col.name.toLowerCase())).map(col => col.name),
+      typeChanged: after.columns
+        .filter(col => typesBefore.has(col.name.toLowerCase()) && typesBefore.get(col.name.toLowerCase()).type !== col.type)
+        .map(col => ({ name: col.name, from: typesBefore.get(col.name.toLowerCase()).type, to: col.type }))
+    }
+  };
+}
+
+/**
+ * Replace a source's table with one of its versions, which becomes the current
+ * version (later versions are kept, so this can be undone)
+ * @param {object} db - Main database
+ * @param {FileDataSource} ds - The project's database
+ * @param {object} options - { sourceId, tableName, version }
+ * @returns {Promise<object>} The version rolled back to, as in listVersions
+ */
+async function rollbackToVersion(db, ds, { sourceId, tableName, version }) {
+  const target = getVersion(db, sourceId, version);
+  if (!target) {
+    throw new Error(`Version ${version} not found`);
+  }
+
+  await ds.restoreSnapshot(snapshotName(sourceId, version), tableName);
+  db.prepare('UPDATE data_sources SET current_version = ? WHERE id = ?').run(version, sourceId);
+  return target;
+}
+
+/**
+ * Drop a source's oldest versions beyond the retention limit (never the current one)
+ */
+async function pruneVersions(db, ds, sourceId, retention) {
+  const source = db.prepare('SELECT current_version FROM data_sources WHERE id = ?').get(sourceId);
+  const versions = db.prepare(`
+    SELECT version FROM data_source_versions WHERE data_source_id = ? ORDER BY version DESC
+  `).all(sourceId).map(row => row.version);
+
+  const remove = db.prepare('DELETE FROM data_source_versions WHERE data_source_id = ? AND version = ?');
+  for (const version of versions.slice(retention)) {
+    if (source && version === source.current_version) continue;
+
+    await ds.dropSnapshot(snapshotName(sourceId, version));
+    remove.run(sourceId, version);
+  }
+}
+
+/**
+ * Drop every version of a source (when the source is deleted)
+ */
+async function deleteVersions(db, ds, sourceId) {
+  const versions = db.prepare('SELECT version FROM data_source_versions WHERE data_source_id = ?').all(sourceId);
+  for (const { version } of versions) {
+    await ds.dropSnapshot(snapshotName(sourceId, version));
+  }
+  db.prepare('DELETE FROM data_source_versions WHERE data_source_id = ?').run(sourceId);
+}
+
+/**
+ * The current version of each of a project's data sources, recorded with queries
+ * so it's known which data they ran against
+ * @returns {object|null} { [sourceName]: version }, or null if no source has versions
+ */
+function projectDataVersions(db, projectId) {
+  const sources = db.prepare(`
+    SELECT name, current_version FROM data_sources
+    WHERE project_id = ? AND current_version IS NOT NULL
+  `).all(projectId);
+  if (sources.length === 0) {
+    return null;
+  }
+  return Object.fromEntries(sources.map(source => [source.name, source.current_version]));
+}
+
+module.exports = {
+  DEFAULT_RETENTION,
+  MAX_RETENTION,
+  getRetention,
+  validateRetention,
+  recordVersion,
+  listVersions,
+  getVersion,
+  diffVersions,
+  rollbackToVersion,
+  pruneVersions,
+  deleteVersions,
+  projectDataVersions
+};
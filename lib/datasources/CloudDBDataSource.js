@@ -1,32 +1,52 @@
 const DataSource = require('./DataSource');
 
+// Database types with a working driver
+const SUPPORTED_DB_TYPES = ['postgres', 'mysql'];
+
+// Default ports per database type
+const DEFAULT_PORTS = {
+  postgres: 5432,
+  mysql: 3306
+};
+
+// Rows pulled per table when building schema context (keeps cloud round-trips cheap)
+const CONTEXT_SAMPLE_ROWS = 1000;
+
+// Postgres cursor that executeReadOnly fetches its rows through
+const READ_ONLY_CURSOR = 'affix_read_only';
+
 /**
  * CloudDBDataSource - Direct connection to cloud databases
  *
  * Supports direct connections to:
- * - PostgreSQL
- * - MySQL
- * - SQL Server
- * - etc.
+ * - PostgreSQL (via pg)
+ * - MySQL / MariaDB (via mysql2)
  *
  * Config options:
- * - type: 'postgres' | 'mysql' | 'mssql'
+ * - dbType: 'postgres' | 'mysql' | 'mariadb' (falls back to type when constructed directly)
  * - host: Database host
- * - port: Database port
+ * - port: Database port (defaults to the standard port for the database type)
  * - database: Database name
+ * - schema: Schema to introspect (Postgres only, defaults to public)
  * - user: Username
  * - password: Password
- * - ssl: SSL configuration
+ * - ssl: SSL configuration (true or a driver-specific options object)
+ * - poolSize: Maximum pooled connections (defaults to 5)
+ * - connectTimeout: Connection timeout in ms (defaults to 10000)
+ * - statementTimeout: Server-side statement timeout in ms (defaults to 30000)
  *
- * NOTE: This is a placeholder implementation.
- * Each database type will need its own driver (pg, mysql2, mssql, etc.)
+ * Each database type needs its own driver (pg, mysql2), which is required
+ * lazily in connect(). test-postgres.js runs this class against a real
+ * Postgres server (e.g. a local container).
  */
 class CloudDBDataSource extends DataSource {
   constructor(config) {
     super(config);
 
-    if (!config.type) {
-      throw new Error('CloudDBDataSource requires type in config');
+    const dbType = config.dbType || config.type;
+
+    if (!dbType) {
+      throw new Error('CloudDBDataSource requires dbType in config');
     }
     if (!config.host) {
       throw new Error('CloudDBDataSource requires host in config');
@@ -35,8 +55,12 @@ class CloudDBDataSource extends DataSource {
       throw new Error('CloudDBDataSource requires database in config');
     }
 
-    this.dbType = config.type;
+    // MariaDB speaks the MySQL protocol and shares its driver and dialect
+    this.dbType = dbType === 'mariadb' ? 'mysql' : dbType;
+    this.schema = config.schema || 'public';
     this.client = null;
+    // Set on connect: MariaDB and MySQL name their statement time limits differently
+    this.isMariaDb = false;
   }
 
   async connect() {
@@ -44,18 +68,120 @@ class CloudDBDataSource extends DataSource {
       return;
     }
 
-    // TODO: Implement actual database connections
-    // This will require installing and using database-specific drivers:
-    // - PostgreSQL: pg
-    // - MySQL: mysql2
-    // - SQL Server: mssql
+    switch (this.dbType) {
+      case 'postgres':
+        await this._connectPostgres();
+        break;
+      case 'mysql':
+        await this._connectMysql();
+        break;
+      default:
+        throw new Error(`CloudDBDataSource does not support ${this.dbType}. Use one of: ${SUPPORTED_DB_TYPES.join(', ')}`);
+    }
+
+    this.connected = true;
+  }
+
+  async _connectPostgres() {
+    const pg = require('pg');
+
+    // Return BIGINT/NUMERIC as numbers (COUNT(*) and SUM() would otherwise be strings)
+    // and keep DATE/TIMESTAMP as the raw strings Postgres sends, so results look like
+    // the ones coming out of SQLite.
+    const parseNumber = val => (val === null ? null : Number(val));
+    const keepRaw = val => val;
+    const typeParsers = {
+      [pg.types.builtins.INT8]: parseNumber,
+      [pg.types.builtins.NUMERIC]: parseNumber,
+      [pg.types.builtins.DATE]: keepRaw,
+      [pg.types.builtins.TIMESTAMP]: keepRaw,
+      [pg.types.builtins.TIMESTAMPTZ]: keepRaw
+    };
+
+    const pool = new pg.Pool({
+      host: this.config.host,
+      port: this.config.port || DEFAULT_PORTS.postgres,
+      database: this.config.database,
+      user: this.config.user,
+      password: this.config.password,
+      ssl: this.config.ssl || false,
+      max: this.config.poolSize || 5,
+      connectionTimeoutMillis: this.config.connectTimeout || 10000,
+      statement_timeout: this.config.statementTimeout || 30000,
+      application_name: 'affix',
+      types: {
+        getTypeParser: (oid, format) => typeParsers[oid] || pg.types.getTypeParser(oid, format)
+      }
+    });
+
+    // Idle clients can error (e.g. server restart) - log instead of crashing the process
+    pool.on('error', (err) => {
+      console.error(`PostgreSQL pool error (${this.config.host}/${this.config.database}):`, err.message);
+    });
+
+    // Generated SQL uses unqualified table names, so resolve them in the configured schema
+    pool.on('connect', (client) => {
+      client.query(`SET search_path TO ${this._quoteIdentifier(this.schema)}`).catch((err) => {
+        console.error(`PostgreSQL session setup error (${this.config.host}/${this.config.database}):`, err.message);
+      });
+    });
+
+    try {
+      await pool.query('SELECT 1');
+    } catch (err) {
+      await pool.end().catch(() => {});
+      throw new Error(`Failed to connect to PostgreSQL: ${err.message}`);
+    }
+
+    this.client = pool;
+  }
+
+  async _connectMysql() {
+    const mysql = require('mysql2/promise');
+
+    // Same result shapes as Postgres: DECIMAL/BIGINT as numbers, dates as raw strings
+    const pool = mysql.createPool({
+      host: this.config.host,
+      port: this.config.port || DEFAULT_PORTS.mysql,
+      database: this.config.database,
+      user: this.config.user,
+      password: this.config.password,
+      ssl: this.config.ssl || undefined,
+      connectionLimit: this.config.poolSize || 5,
+      connectTimeout: this.config.connectTimeout || 10000,
+      decimalNumbers: true,
+      supportBigNumbers: true,
+      dateStrings: true,
+      multipleStatements: false
+    });
 
-    throw new Error(`CloudDBDataSource for ${this.dbType} not yet implemented. Coming soon!`);
+    // ANSI_QUOTES makes "double quoted" names identifiers, so the quoting used across
+    // the app (and asked of Claude) works unchanged against MySQL
+    pool.on('connection', (conn) => {
+      conn.query("SET SESSION sql_mode = CONCAT_WS(',', NULLIF(@@SESSION.sql_mode, ''), 'ANSI_QUOTES')", (err) => {
+        if (err) {
+          console.error(`MySQL session setup error (${this.config.host}/${this.config.database}):`, err.message);
+        }
+      });
+    });
+
+    try {
+      const [[{ version }]] = await pool.query('SELECT VERSION() AS version');
+      this.isMariaDb = /mariadb/i.test(version);
+    } catch (err) {
+      await pool.end().catch(() => {});
+      throw new Error(`Failed to connect to MySQL: ${err.message}`);
+    }
+
+    this.client = pool;
   }
 
   async disconnect() {
     if (this.client) {
       // Close connection based on database type
+      if (this.dbType === 'postgres' || this.dbType === 'mysql') {
+        await this.client.end();
+      }
       this.client = null;
     }
     this.connected = false;
@@ -66,8 +192,208 @@ class CloudDBDataSource extends DataSource {
       throw new Error('Not connected. Call connect() first.');
     }
 
-    // TODO: Implement query execution for each database type
-    throw new Error('Not implemented');
+    try {
+      switch (this.dbType) {
+        case 'postgres': {
+          const text = params.length > 0 ? this._toPositionalParams(sql) : sql;
+          let result = await this.client.query(text, params);
+
+          // Multi-statement strings return one result per statement; keep the last
+          if (Array.isArray(result)) {
+            result = result[result.length - 1];
+          }
+
+          if (result.fields && result.fields.length > 0) {
+            return {
+              rows: result.rows,
+              columns: result.fields.map(f => f.name)
+            };
+          }
+
+          return {
+            rows: [],
+            columns: [],
+            changes: result.rowCount
+          };
+        }
+        case 'mysql': {
+          // mysql2 has no server-side statement timeout that works on both MySQL and
+          // MariaDB, so use the driver's per-query timeout instead
+          const options = { sql, timeout: this.config.statementTimeout || 30000 };
+          const [rows, fields] = params.length > 0
+            ? await this.client.query(options, params)
+            : await this.client.query(options);
+
+          if (Array.isArray(rows)) {
+            return {
+              rows,
+              columns: (fields || []).map(f => f.name)
+            };
+          }
+
+          return {
+            rows: [],
+            columns: [],
+            changes: rows.affectedRows
+          };
+        }
+        default:
+          throw new Error('Not implemented');
+      }
+    } catch (err) {
+      throw new Error(`SQL execution error: ${err.message}`);
+    }
+  }
+
+  /**
+   * Execute generated SQL inside a READ ONLY transaction on its own connection
+   * The row limit and timeout are enforced by the server, so a huge result is
+   * never sent: Postgres fetches maxRows + 1 rows through a cursor under SET LOCAL
+   * statement_timeout; MySQL wraps the query in a LIMIT maxRows + 1 subquery with
+   * a MAX_EXECUTION_TIME hint (max_statement_time on MariaDB), so its columns
+   * need distinct names. The MySQL driver timeout stays as a backstop, stopping
+   * the statement with KILL QUERY.
+   * @param {string} sql - The SQL query to execute
+   * @param {any[]} params - Query parameters
+   * @param {object} options - { timeoutMs (default 30000), maxRows (default 1000) }
+   * @returns {Promise<{rows: any[], columns: string[], truncated: boolean}>}
+   */
+  async executeReadOnly(sql, params = [], options = {}) {
+    if (!this.connected) {
+      throw new Error('Not connected. Call connect() first.');
+    }
+
+    const timeoutMs = options.timeoutMs || 30000;
+    const maxRows = options.maxRows || 1000;
+
+    let rows;
+    let columns;
+
+    switch (this.dbType) {
+      case 'postgres': {
+        const client = await this.client.connect();
+        try {
+          await client.query('BEGIN READ ONLY');
+          await client.query(`SET LOCAL statement_timeout = ${Math.floor(timeoutMs)}`);
+          const text = params.length > 0 ? this._toPositionalParams(sql) : sql;
+          await client.query(`DECLARE ${READ_ONLY_CURSOR} NO SCROLL CURSOR FOR ${this._withoutTrailingSemicolon(text)}`, params);
+          const result = await client.query(`FETCH ${maxRows + 1} FROM ${READ_ONLY_CURSOR}`);
+          rows = result.rows || [];
+          columns = (result.fields || []).map(f => f.name);
+        } catch (err) {
+          // 57014 = query_canceled (statement_timeout)
+          if (err.code === '57014') {
+            throw new Error('Query timed out');
+          }
+          throw new Error(`SQL execution error: ${err.message}`);
+        } finally {
+          await client.query('ROLLBACK').catch(() => {});
+          client.release();
+        }
+        break;
+      }
+      case 'mysql': {
+        const conn = await this.client.getConnection();
+        let timedOut = false;
+        try {
+          await conn.query('START TRANSACTION READ ONLY');
+          // The newline keeps a trailing -- comment from swallowing the parenthesis
+          const limited = `SELECT * FROM (\n${this._withoutTrailingSemicolon(sql)}\n) AS _affix_limited LIMIT ${maxRows + 1}`;
+          const query = {
+            sql: this.isMariaDb
+              ? `SET STATEMENT max_statement_time = ${timeoutMs / 1000} FOR ${limited}`
+              : limited.replace(/^SELECT/, `SELECT /*+ MAX_EXECUTION_TIME(${Math.floor(timeoutMs)}) */`),
+            // Only fires if the server-side limit doesn't
+            timeout: timeoutMs + 5000
+          };
+          const [resultRows, fields] = params.length > 0
+            ? await conn.query(query, params)
+            : await conn.query(query);
+          rows = Array.isArray(resultRows) ? resultRows : [];
+          columns = (fields || []).map(f => f.name);
+        } catch (err) {
+          // 3024 = ER_QUERY_TIMEOUT (MySQL), 1969 = ER_STATEMENT_TIMEOUT (MariaDB)
+          if (err.errno === 3024 || err.errno === 1969) {
+            throw new Error('Query timed out');
+          }
+          if (err.code === 'PROTOCOL_SEQUENCE_TIMEOUT') {
+            timedOut = true;
+            // The driver only gives up locally; stop the statement on the server too
+            await this.client.query(`KILL QUERY ${Number(conn.threadId)}`).catch(() => {});
+            throw new Error('Query timed out');
+          }
+          throw new Error(`SQL execution error: ${err.message}`);
+        } finally {
+          if (timedOut) {
+            conn.destroy();
+          } else {
+            await conn.query('ROLLBACK').catch(() => {});
+            conn.release();
+          }
+        }
+        break;
+      }
+      default:
+        throw new Error('Not implemented');
+    }
+
+    return {
+      rows: rows.slice(0, maxRows),
+      columns,
+      truncated: rows.length > maxRows
+    };
+  }
+
+  _withoutTrailingSemicolon(sql) {
+    return sql.trim().replace(/;\s*$/, '');
+  }
+
+  /**
+   * Rewrite SQLite-style ? placeholders to Postgres $1, $2, ...
+   * Placeholders inside string literals and quoted identifiers are left alone.
+   */
+  _toPositionalParams(sql) {
+    let result = '';
+    let index = 0;
+    let quote = null;
+
+    for (let i = 0; i < sql.length; i++) {
+      const char = sql[i];
+
+      if (quote) {
+        if (char === quote) {
+          quote = null;
+        }
+        result += char;
+      } else if (char === '\'' || char === '"') {
+        quote = char;
+        result += char;
+      } else if (char === '?') {
+        index++;
+        result += `$${index}`;
+      } else {
+        result += char;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Quote an identifier for the current database type
+   */
+  _quoteIdentifier(name) {
+    return `"${String(name).replace(/"/g, '""')}"`;
+  }
+
+  /**
+   * Fully qualified, quoted table reference
+   */
+  _tableRef(table) {
+    if (this.dbType === 'postgres') {
+      return `${this._quoteIdentifier(this.schema)}.${this._quoteIdentifier(table)}`;
+    }
+    return this._quoteIdentifier(table);
   }
 
   async getSchema() {
@@ -75,8 +401,27 @@ class CloudDBDataSource extends DataSource {
       throw new Error('Not connected. Call connect() first.');
     }
 
-    // TODO: Implement schema introspection for each database type
-    throw new Error('Not implemented');
+    const tables = await this.getTables();
+
+    // Get views
+    let views = [];
+    if (this.dbType === 'postgres') {
+      const result = await this.execute(`
+        SELECT table_name AS name FROM information_schema.views
+        WHERE table_schema = $1
+        ORDER BY table_name
+      `, [this.schema]);
+      views = result.rows.map(r => r.name);
+    } else if (this.dbType === 'mysql') {
+      const result = await this.execute(`
+        SELECT TABLE_NAME AS name FROM information_schema.views
+        WHERE TABLE_SCHEMA = DATABASE()
+        ORDER BY TABLE_NAME
+      `);
+      views = result.rows.map(r => r.name);
+    }
+
+    return { tables, views };
   }
 
   async getTables() {
@@ -84,7 +429,24 @@ class CloudDBDataSource extends DataSource {
       throw new Error('Not connected. Call connect() first.');
     }
 
-    // TODO: Implement table listing for each database type
+    if (this.dbType === 'postgres') {
+      const result = await this.execute(`
+        SELECT table_name AS name FROM information_schema.tables
+        WHERE table_schema = $1 AND table_type = 'BASE TABLE'
+        ORDER BY table_name
+      `, [this.schema]);
+      return result.rows.map(r => r.name);
+    }
+
+    if (this.dbType === 'mysql') {
+      const result = await this.execute(`
+        SELECT TABLE_NAME AS name FROM information_schema.tables
+        WHERE TABLE_SCHEMA = DATABASE() AND TABLE_TYPE = 'BASE TABLE'
+        ORDER BY TABLE_NAME
+      `);
+      return result.rows.map(r => r.name);
+    }
+
     throw new Error('Not implemented');
   }
 
@@ -93,10 +455,120 @@ class CloudDBDataSource extends DataSource {
       throw new Error('Not connected. Call connect() first.');
     }
 
-    // TODO: Implement column introspection for each database type
+    // Validate table name to prevent SQL injection
+    const tables = await this.getTables();
+    if (!tables.includes(table)) {
+      throw new Error(`Table '${table}' not found`);
+    }
+
+    if (this.dbType === 'postgres') {
+      const result = await this.execute(`
+        SELECT
+          c.column_name AS name,
+          c.data_type AS type,
+          c.is_nullable = 'YES' AS nullable,
+          c.column_default AS default_value,
+          EXISTS (
+            SELECT 1
+            FROM information_schema.table_constraints tc
+            JOIN information_schema.key_column_usage kcu
+              ON kcu.constraint_name = tc.constraint_name
+             AND kcu.table_schema = tc.table_schema
+             AND kcu.table_name = tc.table_name
+            WHERE tc.constraint_type = 'PRIMARY KEY'
+              AND tc.table_schema = c.table_schema
+              AND tc.table_name = c.table_name
+              AND kcu.column_name = c.column_name
+          ) AS primary_key
+        FROM information_schema.columns c
+        WHERE c.table_schema = $1 AND c.table_name = $2
+        ORDER BY c.ordinal_position
+      `, [this.schema, table]);
+
+      return result.rows.map(col => ({
+        name: col.name,
+        type: col.type,
+        nullable: col.nullable,
+        primaryKey: col.primary_key,
+        defaultValue: col.default_value
+      }));
+    }
+
+    if (this.dbType === 'mysql') {
+      // COLUMN_TYPE keeps length/precision and unsigned, e.g. decimal(10,2)
+      const result = await this.execute(`
+        SELECT
+          COLUMN_NAME AS name,
+          COLUMN_TYPE AS type,
+          IS_NULLABLE = 'YES' AS nullable,
+          COLUMN_DEFAULT AS default_value,
+          COLUMN_KEY = 'PRI' AS primary_key
+        FROM information_schema.columns
+        WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?
+        ORDER BY ORDINAL_POSITION
+      `, [table]);
+
+      return result.rows.map(col => ({
+        name: col.name,
+        type: col.type,
+        nullable: Boolean(col.nullable),
+        primaryKey: Boolean(col.primary_key),
+        defaultValue: col.default_value
+      }));
+    }
+
     throw new Error('Not implemented');
   }
 
+  /**
+   * Row counts per table. Catalog estimates are used where there are any
+   * (pg_class.reltuples, information_schema.tables.TABLE_ROWS); tables without
+   * one (e.g. never analyzed) fall back to COUNT(*).
+   * @returns {Promise<{name: string, rowCount: number, estimated: boolean}[]>}
+   */
+  async _getTableStats(tables) {
+    const estimates = new Map();
+
+    if (this.dbType === 'postgres') {
+      const result = await this.execute(`
+        SELECT c.relname AS name, c.reltuples::bigint AS estimate
+        FROM pg_class c
+        JOIN pg_namespace n ON n.oid = c.relnamespace
+        WHERE n.nspname = $1 AND c.relkind IN ('r', 'p')
+      `, [this.schema]);
+      for (const row of result.rows) {
+        estimates.set(row.name, row.estimate);
+      }
+    } else if (this.dbType === 'mysql') {
+      const result = await this.execute(`
+        SELECT TABLE_NAME AS name, TABLE_ROWS AS estimate
+        FROM information_schema.tables
+        WHERE TABLE_SCHEMA = DATABASE() AND TABLE_TYPE = 'BASE TABLE'
+      `);
+      for (const row of result.rows) {
+        estimates.set(row.name, Number(row.estimate));
+      }
+    }
+
+    const stats = [];
+    for (const table of tables) {
+      const estimate = estimates.get(table);
+      if (estimate > 0) {
+        stats.push({ name: table, rowCount: estimate, estimated: true });
+        continue;
+      }
+
+      try {
+        const countResult = await this.execute(`SELECT COUNT(*) AS count FROM ${this._tableRef(table)}`);
+        stats.push({ name: table, rowCount: Number(countResult.rows[0].count), estimated: false });
+      } catch (err) {
+        stats.push({ name: table, rowCount: 0, estimated: false });
+      }
+    }
+
+    return stats;
+  }
+
   getType() {
     return 'cloud';
   }
@@ -104,6 +576,172 @@ class CloudDBDataSource extends DataSource {
   getDbType() {
     return this.dbType;
   }
+
+  getDialect() {
+    return this.dbType;
+  }
+
+  /**
+   * Gather rich schema context for AI-powered querying
+   *
+   * Produces the same text format as FileDataSource.gatherSchemaContext(), but
+   * keeps round-trips low for remote databases: one row count, one sample and
+   * one MIN/MAX query per table. Distinct counts and sample values are taken
+   * from the sample rows.
+   * @param {object} options - Options for context gathering (maxTables, samplesPerColumn, tables)
+   * @returns {Promise<string>} Formatted schema context
+   */
+  async gatherSchemaContext(options = {}) {
+    if (!this.connected) {
+      throw new Error('Not connected. Call connect() first.');
+    }
+
+    if (!SUPPORTED_DB_TYPES.includes(this.dbType)) {
+      throw new Error('Not implemented');
+    }
+
+    const maxTables = options.maxTables || 20;
+    const samplesPerColumn = options.samplesPerColumn || 5;
+    const sampleRows = options.sampleRows || CONTEXT_SAMPLE_ROWS;
+
+    // Optionally restrict the context to the tables a query may use
+    let tables = await this.getTables();
+    if (options.tables) {
+      const wanted = new Set(options.tables);
+      tables = tables.filter(t => wanted.has(t));
+    }
+    if (tables.length === 0) {
+      return 'No tables found in the database.';
+    }
+
+    // Sort by row count descending and limit
+    const tableStats = await this._getTableStats(tables);
+    tableStats.sort((a, b) => b.rowCount - a.rowCount);
+    const selectedTables = tableStats.slice(0, maxTables);
+
+    // Track column names across tables for relationship detection
+    const columnsByName = new Map(); // columnName -> [tableName, ...]
+
+    const contextParts = [];
+
+    for (const { name: table, rowCount, estimated } of selectedTables) {
+      const countLabel = `${estimated ? '~' : ''}${rowCount.toLocaleString()} rows`;
+      const tableContext = [`TABLE: ${table} (${countLabel})`];
+      tableContext.push('COLUMNS:');
+
+      try {
+        const columns = await this.getColumns(table);
+
+        let sample = [];
+        try {
+          const sampleResult = await this.execute(`SELECT * FROM ${this._tableRef(table)} LIMIT ${sampleRows}`);
+          sample = sampleResult.rows;
+        } catch (err) {
+          // Skip samples if query fails
+        }
+        const sampleIsComplete = !estimated && sample.length >= rowCount;
+
+        // One MIN/MAX query for all numeric and date-like columns
+        const rangeColumns = columns.filter(col => this._isNumericType(col.type) || this._isTemporalType(col.type));
+        let ranges = {};
+        if (rangeColumns.length > 0) {
+          try {
+            const selects = rangeColumns.map((col, i) =>
+              `MIN(${this._quoteIdentifier(col.name)}) AS min_${i}, MAX(${this._quoteIdentifier(col.name)}) AS max_${i}`
+            );
+            const rangeResult = await this.execute(`SELECT ${selects.join(', ')} FROM ${this._tableRef(table)}`);
+            const row = rangeResult.rows[0] || {};
+            rangeColumns.forEach((col, i) => {
+              ranges[col.name] = { min: row[`min_${i}`], max: row[`max_${i}`] };
+            });
+          } catch (err) {
+            // Skip ranges if query fails
+            ranges = {};
+          }
+        }
+
+        for (const col of columns) {
+          // Track for relationship detection
+          if (!columnsByName.has(col.name)) {
+            columnsByName.set(col.name, []);
+          }
+          columnsByName.get(col.name).push(table);
+
+          let colDesc = `  - ${col.name} (${col.type || 'TEXT'}`;
+          colDesc += col.nullable ? ', nullable' : ', not null';
+          if (col.primaryKey) colDesc += ', PRIMARY KEY';
+          colDesc += ')';
+
+          const values = sample
+            .map(r => r[col.name])
+            .filter(val => val !== null && val !== undefined && val !== '');
+          const distinct = Array.from(new Set(values.map(val => (typeof val === 'object' ? JSON.stringify(val) : val))));
+
+          if (sample.length > 0) {
+            colDesc += sampleIsComplete
+              ? ` — ${distinct.length.toLocaleString()} distinct values`
+              : ` — ${distinct.length.toLocaleString()} distinct values in a ${sample.length.toLocaleString()}-row sample`;
+          }
+
+          if (distinct.length > 0) {
+            const samples = distinct.slice(0, samplesPerColumn).map(val => {
+              if (typeof val === 'string') {
+                // Truncate long strings
+                const truncated = val.length > 30 ? val.substring(0, 30) + '...' : val;
+                return `'${truncated}'`;
+              }
+              return String(val);
+            });
+            colDesc += ` — Sample: ${samples.join(', ')}`;
+          }
+
+          const range = ranges[col.name];
+          if (range && range.min !== null && range.min !== undefined) {
+            colDesc += ` — Range: ${range.min} to ${range.max}`;
+          }
+
+          tableContext.push(colDesc);
+        }
+      } catch (err) {
+        tableContext.push(`  (Error reading columns: ${err.message})`);
+      }
+
+      contextParts.push(tableContext.join('\n'));
+    }
+
+    // Detect potential relationships (columns that appear in multiple tables)
+    const relationships = [];
+    for (const [colName, tablesWithCol] of columnsByName) {
+      if (tablesWithCol.length > 1) {
+        // Common join key patterns
+        const isLikelyFK = colName.toLowerCase().endsWith('_id') ||
+                          colName.toLowerCase().endsWith('id') ||
+                          colName.toLowerCase() === 'id';
+        if (isLikelyFK) {
+          relationships.push(`  - ${tablesWithCol.map(t => `${t}.${colName}`).join(' ↔ ')} (likely join key)`);
+        }
+      }
+    }
+
+    if (relationships.length > 0) {
+      contextParts.push('\nDETECTED RELATIONSHIPS:\n' + relationships.join('\n'));
+    }
+
+    // Add note if tables were truncated
+    if (tables.length > maxTables) {
+      contextParts.push(`\n(Showing ${maxTables} of ${tables.length} tables, sorted by row count)`);
+    }
+
+    return contextParts.join('\n\n');
+  }
+
+  _isNumericType(type) {
+    return /^((tiny|small|medium|big)?int(eger)?|numeric|decimal|real|double|float|money)\b/i.test(type || '');
+  }
+
+  _isTemporalType(type) {
+    return /^(date|time|timestamp|datetime)\b/i.test(type || '');
+  }
 }
 
 module.exports = CloudDBDataSource;
@@ -42,6 +42,19 @@ class DataSource {
     throw new Error('execute() must be implemented by subclass');
   }
 
+  /**
+   * Execute untrusted (e.g. AI-generated) SQL on a read-only connection
+   * Implementations must refuse writes, stop the query when the timeout expires
+   * and never return more than maxRows rows.
+   * @param {string} sql - The SQL query to execute
+   * @param {any[]} params - Query parameters
+   * @param {object} options - { timeoutMs, maxRows }
+   * @returns {Promise<{rows: any[], columns: string[], truncated: boolean}>}
+   */
+  async executeReadOnly(sql, params = [], options = {}) {
+    throw new Error('executeReadOnly() must be implemented by subclass');
+  }
+
   /**
    * Get the database schema information
    * @returns {Promise<{tables: string[], views: string[]}>}
@@ -82,6 +95,14 @@ class DataSource {
   getType() {
     throw new Error('getType() must be implemented by subclass');
   }
+
+  /**
+   * Get the SQL dialect queries must be written in
+   * @returns {string} 'sqlite' | 'postgres' | 'mysql' | ...
+   */
+  getDialect() {
+    throw new Error('getDialect() must be implemented by subclass');
+  }
 }
 
 module.exports = DataSource;
@@ -1,19 +1,91 @@
 const Database = require('better-sqlite3');
+const crypto = require('crypto');
 const path = require('path');
 const fs = require('fs');
+const { fork } = require('child_process');
+const readline = require('readline');
+const { Readable } = require('stream');
 const DataSource = require('./DataSource');
+const { readCsvRows } = require('./csvParser');
+const { parseDate, matchingDateFormats, normalizeOverrides } = require('./columnOverrides');
+const { getLocale, parseNumber, parseDateTime, detectNormalization } = require('./valueNormalizer');
 const XLSX = require('xlsx');
 
+// Child process script that runs read-only queries (see executeReadOnly)
+const QUERY_RUNNER_PATH = path.join(__dirname, 'sqliteQueryRunner.js');
+
+// Heap cap for the child processes (see _runInChildProcess), so a huge result
+// can't exhaust server memory
+const CHILD_PROCESS_MAX_HEAP_MB = 512;
+
+// Child process script that profiles a table's data quality (see profileDataQuality)
+const PROFILE_RUNNER_PATH = path.join(__dirname, 'sqliteProfileRunner.js');
+const PROFILE_RUNNER_TIMEOUT_MS = 10 * 60 * 1000;
+
+// Child process script that stores a table's schema profile (see profileTableInChildProcess)
+const SCHEMA_PROFILE_RUNNER_PATH = path.join(__dirname, 'sqliteSchemaProfileRunner.js');
+
+// Child process script that builds and profiles saved views and derived tables
+// (see createDerivedDataset)
+const DERIVED_RUNNER_PATH = path.join(__dirname, 'sqliteDerivedRunner.js');
+const DERIVED_RUNNER_TIMEOUT_MS = 10 * 60 * 1000;
+
+// A derived table's query is first counted read-only (see _checkDerivedTableQuery):
+// it must finish within this time and return at most this many rows
+const DERIVED_CHECK_TIMEOUT_MS = 60 * 1000;
+const DERIVED_MAX_ROWS = 5000000;
+
+// CSV and JSON Lines imports detect column types from the first rows, then insert in batches
+const CSV_SAMPLE_ROWS = 1000;
+const CSV_BATCH_SIZE = 5000;
+
+// Imports load into a staging table, which is merged into the real table only on
+// success. Tables with this prefix are internal and hidden from getTables().
+const INTERNAL_TABLE_PREFIX = '_affix_';
+const STAGING_TABLE_PREFIX = `${INTERNAL_TABLE_PREFIX}staging_`;
+
+// What imports learned about columns beyond their SQL type: the currency of
+// normalized numbers, DATE/DATETIME text columns, and where original text is kept
+const COLUMN_META_TABLE = `${INTERNAL_TABLE_PREFIX}column_meta`;
+
+// Snapshots are copies of a table kept for later restores (see snapshotTable)
+const SNAPSHOT_TABLE_PREFIX = `${INTERNAL_TABLE_PREFIX}snapshot_`;
+
+// Previews load the first CSV_SAMPLE_ROWS rows of a file into a temporary table
+// and return this many of them
+const PREVIEW_TABLE_PREFIX = `${INTERNAL_TABLE_PREFIX}preview_`;
+const PREVIEW_ROWS = 20;
+
+// Plain decimal numbers, optionally with an exponent. Number() alone also accepts
+// hex/binary/octal literals and Infinity, which are text in a data file.
+const DECIMAL_PATTERN = /^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i;
+
+// How an import is merged into an existing table (see _mergeStagingTable)
+const IMPORT_MODES = ['replace', 'append', 'upsert'];
+
+// Per-table statistics used for the schema context, computed when a table is
+// imported rather than on every query (see getSchemaProfile)
+const SCHEMA_PROFILE_TABLE = `${INTERNAL_TABLE_PREFIX}schema_profile`;
+const PROFILE_SAMPLE_VALUES = 5;
+const PROFILE_SAMPLE_MAX_LENGTH = 30;
+
+// Saved views and derived tables: named SELECTs over the project's tables, kept
+// as a view or materialized as a table (see createDerivedDataset)
+const DERIVED_DATASETS_TABLE = `${INTERNAL_TABLE_PREFIX}derived_datasets`;
+const DERIVED_KINDS = ['view', 'table'];
+
 /**
  * FileDataSource - Local file-based database using SQLite
  *
- * Each tenant gets their own isolated SQLite database file.
+ * Each tenant gets their own isolated SQLite database file, and each project
+ * stores its uploads in its own file under projects/ in the tenant directory.
  * In the future, this can be extended to support DuckDB for analytics workloads.
  *
  * Config options:
  * - tenantId: Required. The tenant identifier
  * - basePath: Optional. Base directory for database files (defaults to /var/data/tenants or ./data/tenants)
- * - filename: Optional. Custom database filename (defaults to data.db)
+ * - projectId: Optional. Store data in the project's database (projects/<projectId>.db)
+ * - filename: Optional. Custom database filename (defaults to data.db, or the project database)
  */
 class FileDataSource extends DataSource {
   constructor(config) {
@@ -23,7 +95,12 @@ class FileDataSource extends DataSource {
       throw new Error('FileDataSource requires tenantId in config');
     }
 
+    if (config.projectId && !/^[\w-]+$/.test(config.projectId)) {
+      throw new Error('Invalid projectId for FileDataSource');
+    }
+
     this.tenantId = config.tenantId;
+    this.projectId = config.projectId || null;
     this.db = null;
 
     // Determine base path
@@ -32,7 +109,8 @@ class FileDataSource extends DataSource {
     this.basePath = config.basePath ||
       (isProduction ? path.join(persistentPath, 'tenants') : path.join(__dirname, '../../data/tenants'));
 
-    this.filename = config.filename || 'data.db';
+    this.filename = config.filename ||
+      (this.projectId ? path.join('projects', `${this.projectId}.db`) : 'data.db');
   }
 
   /**
@@ -54,18 +132,49 @@ class FileDataSource extends DataSource {
       return;
     }
 
-    // Ensure tenant directory exists
-    const tenantDir = this.getTenantDir();
-    if (!fs.existsSync(tenantDir)) {
-      fs.mkdirSync(tenantDir, { recursive: true });
+    // Ensure tenant (and project) directory exists
+    const dbPath = this.getDbPath();
+    const dbDir = path.dirname(dbPath);
+    if (!fs.existsSync(dbDir)) {
+      fs.mkdirSync(dbDir, { recursive: true });
     }
 
-    const dbPath = this.getDbPath();
     this.db = new Database(dbPath);
 
     // Enable WAL mode for better concurrency
     this.db.pragma('journal_mode = WAL');
 
+    // Saved views read tables by name: replacing a table (drop it, rename the
+    // staging table) must not make SQLite rewrite or re-check them
+    this.db.pragma('legacy_alter_table = ON');
+
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS "${SCHEMA_PROFILE_TABLE}" (
+        table_name TEXT PRIMARY KEY,
+        row_count INTEGER NOT NULL,
+        columns TEXT NOT NULL,
+        profiled_at TEXT NOT NULL
+      )
+    `);
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS "${COLUMN_META_TABLE}" (
+        table_name TEXT NOT NULL,
+        column_name TEXT NOT NULL,
+        meta TEXT NOT NULL,
+        PRIMARY KEY (table_name, column_name)
+      )
+    `);
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS "${DERIVED_DATASETS_TABLE}" (
+        name TEXT PRIMARY KEY,
+        kind TEXT NOT NULL,
+        sql TEXT NOT NULL,
+        description TEXT,
+        created_at TEXT NOT NULL,
+        refreshed_at TEXT NOT NULL
+      )
+    `);
+
     this.connected = true;
   }
 
@@ -96,6 +205,7 @@ class FileDataSource extends DataSource {
       } else {
         const stmt = this.db.prepare(sql);
         const result = stmt.run(...params);
+        this._invalidateProfiles();
         return {
           rows: [],
           columns: [],
@@ -108,6 +218,148 @@ class FileDataSource extends DataSource {
     }
   }
 
+  /**
+   * Execute generated SQL on a separate read-only connection
+   *
+   * The query runs in a short-lived child process with its own readonly handle.
+   * When the timeout expires the process is killed, which stops the query
+   * instead of leaving it running on the shared read-write handle.
+   * @param {string} sql - The SQL query to execute
+   * @param {any[]} params - Query parameters
+   * @param {object} options - { timeoutMs (default 30000), maxRows (default 1000) }
+   * @returns {Promise<{rows: any[], columns: string[], truncated: boolean}>}
+   */
+  executeReadOnly(sql, params = [], options = {}) {
+    if (!this.connected) {
+      return Promise.reject(new Error('Not connected. Call connect() first.'));
+    }
+
+    const timeoutMs = options.timeoutMs || 30000;
+    const maxRows = options.maxRows || 1000;
+
+    return this._runInChildProcess(QUERY_RUNNER_PATH, { sql, params, maxRows }, timeoutMs)
+      .catch(err => {
+        throw new Error(err.timedOut ? 'Query timed out' : `SQL execution error: ${err.message}`);
+      });
+  }
+
+  /**
+   * Profile a table's columns and check its data quality (see dataProfiler.js)
+   * The profile scans the whole table several times, so it runs in a child
+   * process with its own readonly handle, like executeReadOnly.
+   * @param {string} table - Table name
+   * @param {object} options - { timeoutMs (default 10 minutes) }
+   * @returns {Promise<object>} The profile (see profileDataQuality in dataProfiler.js)
+   */
+  profileDataQuality(table, options = {}) {
+    if (!this.connected) {
+      return Promise.reject(new Error('Not connected. Call connect() first.'));
+    }
+
+    return this._runInChildProcess(PROFILE_RUNNER_PATH, { table }, options.timeoutMs || PROFILE_RUNNER_TIMEOUT_MS)
+      .catch(err => {
+        throw new Error(err.timedOut ? `Profiling ${table} timed out` : `Failed to profile ${table}: ${err.message}`);
+      });
+  }
+
+  /**
+   * Run a job on this database in a short-lived child process, which is killed
+   * when the timeout expires
+   * @param {string} runnerPath - Script that receives { dbPath, ...message } over IPC,
+   *   replies with its result or { error } and exits
+   * @param {object} message - Job details
+   * @param {number} timeoutMs - Time limit
+   * @returns {Promise<object>} The reply (rejects with err.timedOut set on timeout)
+   */
+  _runInChildProcess(runnerPath, message, timeoutMs) {
+    return new Promise((resolve, reject) => {
+      const child = fork(runnerPath, [], {
+        execArgv: [`--max-old-space-size=${CHILD_PROCESS_MAX_HEAP_MB}`],
+        serialization: 'advanced', // keeps BLOBs as Buffers
+        stdio: ['ignore', 'inherit', 'inherit', 'ipc']
+      });
+
+      let settled = false;
+      const finish = (err, result) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        if (err) {
+          reject(err);
+        } else {
+          resolve(result);
+        }
+      };
+
+      const timer = setTimeout(() => {
+        child.kill('SIGKILL');
+        finish(Object.assign(new Error('timed out'), { timedOut: true }));
+      }, timeoutMs);
+
+      child.once('message', (reply) => {
+        if (reply.error) {
+          finish(new Error(reply.error));
+        } else {
+          finish(null, reply);
+        }
+      });
+      child.once('error', err => finish(err));
+      child.once('exit', (code, signal) => {
+        finish(new Error(`child process exited unexpectedly (${signal || `code ${code}`})`));
+      });
+
+      child.send({ dbPath: this.getDbPath(), ...message });
+    });
+  }
+
+  /**
+   * Copy tables (schema and rows) from another SQLite database file
+   * Tables that already exist here, or don't exist in the source, are skipped.
+   * @param {string} sourcePath - Database file to copy from
+   * @param {string[]} tables - Table names to copy
+   * @returns {string[]} Names of the copied tables
+   */
+  copyTablesFrom(sourcePath, tables) {
+    if (!this.connected) {
+      throw new Error('Not connected. Call connect() first.');
+    }
+
+    if (tables.length === 0 || !fs.existsSync(sourcePath)) {
+      return [];
+    }
+
+    const existing = new Set(
+      this.db.prepare(`SELECT name FROM sqlite_master WHERE type = 'table'`).all().map(r => r.name)
+    );
+    const copied = [];
+
+    this.db.prepare('ATTACH DATABASE ? AS source').run(sourcePath);
+    try {
+      const getCreateSql = this.db.prepare(`
+        SELECT sql FROM source.sqlite_master WHERE type = 'table' AND name = ?
+      `);
+
+      this.db.transaction(() => {
+        for (const table of tables) {
+          if (existing.has(table)) continue;
+
+          const row = getCreateSql.get(table);
+          if (!row) continue;
+
+          // Unqualified CREATE TABLE creates the table in main
+          const quoted = `"${table.replace(/"/g, '""')}"`;
+          this.db.exec(row.sql);
+          this.db.exec(`INSERT INTO main.${quoted} SELECT * FROM source.${quoted}`);
+          copied.push(table);
+        }
+      })();
+    } finally {
+      this.db.exec('DETACH DATABASE source');
+    }
+
+    return copied;
+  }
+
   async getSchema() {
     if (!this.connected) {
       throw new Error('Not connected. Call connect() first.');
@@ -115,15 +367,17 @@ class FileDataSource extends DataSource {
 
     const tables = await this.getTables();
 
-    // Get views
-    const viewsResult = this.db.prepare(`
+    const views = this._viewNames();
+
+    return { tables, views };
+  }
+
+  _viewNames() {
+    return this.db.prepare(`
       SELECT name FROM sqlite_master
       WHERE type = 'view'
       ORDER BY name
-    `).all();
-    const views = viewsResult.map(r => r.name);
-
-    return { tables, views };
+    `).all().map(r => r.name);
   }
 
   async getTables() {
@@ -137,7 +391,7 @@ class FileDataSource extends DataSource {
       ORDER BY name
     `).all();
 
-    return result.map(r => r.name);
+    return result.map(r => r.name).filter(name => !name.startsWith(INTERNAL_TABLE_PREFIX));
   }
 
   async getColumns(table) {
@@ -163,22 +417,112 @@ class FileDataSource extends DataSource {
   }
 
   /**
-   * Import data from a file (CSV, JSON, Excel, etc.)
+   * Import data from a file (CSV, TSV, JSON, JSON Lines, Parquet, Excel)
+   * CSV, TSV and JSON Lines files are streamed and Parquet files are read one row
+   * group at a time, so their size is limited only by disk space.
    * @param {string} filePath - Path to the file to import
    * @param {string} tableName - Name of the table to create/import into
-   * @param {object} options - Import options
+   * @param {object} options - Import options (sheet and table as listed by listWorkbookTables,
+   *   workbook from readWorkbook to skip parsing an Excel file again, delimiter, encoding, locale,
+   *   onProgress, columns as described in columnOverrides.js, and mode/keyColumns as described
+   *   in _mergeStagingTable)
+   * @returns {Promise<object>} { imported, table, columns, warnings, mode, diff, schemaChanges, sheet?, range?, sheets? }
    */
   async importFile(filePath, tableName, options = {}) {
     if (!this.connected) {
       throw new Error('Not connected. Call connect() first.');
     }
 
+    return this._importViaStaging(tableName, options, (stagingTable) => {
+      return this._loadFile(filePath, stagingTable, options);
+    });
+  }
+
+  /**
+   * Dry run of an import, to check how a file's columns will come out
+   * The rows column types are detected from (the first CSV_SAMPLE_ROWS) are loaded
+   * into a temporary table with the column overrides applied, then dropped.
+   * @param {string} filePath - Path to the file
+   * @param {object} options - sheet, table, delimiter, encoding, locale and columns, as for importFile
+   * @returns {Promise<object>} { columns, rows, rowsScanned, truncated, warnings, sheet?, range?, sheets? }
+   */
+  async previewFile(filePath, options = {}) {
+    if (!this.connected) {
+      throw new Error('Not connected. Call connect() first.');
+    }
+
+    const previewTable = `${PREVIEW_TABLE_PREFIX}${crypto.randomBytes(8).toString('hex')}`;
+    try {
+      const result = await this._loadFile(filePath, previewTable, { ...options, maxRows: CSV_SAMPLE_ROWS });
+      const rows = this.db.prepare(`SELECT * FROM "${previewTable}" LIMIT ${PREVIEW_ROWS}`).all();
+
+      return {
+        columns: result.columns,
+        rows,
+        rowsScanned: result.imported,
+        truncated: result.truncated,
+        warnings: result.warnings,
+        sheet: result.sheet,
+        range: result.range,
+        sheets: result.sheets
+      };
+    } finally {
+      this.db.exec(`DROP TABLE IF EXISTS "${previewTable}"`);
+    }
+  }
+
+  /**
+   * Parse an Excel workbook, for listing its tables and importing several of them
+   * without parsing it again (pass it as the `workbook` import option)
+   * @param {string} filePath - Path to the .xlsx or .xls file
+   * @returns {Promise<object>} { sheetNames, hasSheet(sheet), tables(sheet) }, where tables
+   *   finds a sheet's tables once (see _sheetTables)
+   */
+  async readWorkbook(filePath) {
+    return this._parseWorkbook(fs.readFileSync(filePath));
+  }
+
+  /**
+   * List the tables in an Excel workbook, sheet by sheet (see _sheetTables)
+   * @param {string|object} workbook - Path to the .xlsx or .xls file, or a workbook from readWorkbook
+   * @returns {Promise<object[]>} [{ sheet, table, range, headerRow, columns, rowCount }], where
+   *   table is the table's index on its sheet (the `table` import option)
+   */
+  async listWorkbookTables(workbook) {
+    if (typeof workbook === 'string') {
+      workbook = await this.readWorkbook(workbook);
+    }
+
+    return workbook.sheetNames.flatMap(sheet => workbook.tables(sheet).map((found, table) => ({
+      sheet,
+      table,
+      range: found.range,
+      headerRow: found.headerRow,
+      columns: found.headers,
+      rowCount: found.rows.length
+    })));
+  }
+
+  /**
+   * Load a file into a new table with the importer for its extension
+   * @param {string} filePath - Path to the file
+   * @param {string} tableName - Table to create (a staging or preview table)
+   * @param {object} options - Import options, plus maxRows to stop early
+   */
+  _loadFile(filePath, tableName, options) {
     const ext = path.extname(filePath).toLowerCase();
+    options = { ...options, columns: normalizeOverrides(options.columns) };
 
     if (ext === '.csv') {
       return this._importCsv(filePath, tableName, options);
+    } else if (ext === '.tsv') {
+      return this._importCsv(filePath, tableName, { delimiter: '\t', ...options });
     } else if (ext === '.json') {
       return this._importJson(filePath, tableName, options);
+    } else if (ext === '.ndjson' || ext === '.jsonl') {
+      return this._importNdjsonStream(fs.createReadStream(filePath), tableName, options);
+    } else if (ext === '.parquet') {
+      return this._importParquet(filePath, tableName, options);
     } else if (ext === '.xlsx' || ext === '.xls') {
       return this._importExcel(filePath, tableName, options);
     } else {
@@ -199,214 +543,956 @@ class FileDataSource extends DataSource {
     }
 
     const ext = path.extname(originalName).toLowerCase();
+    options = { ...options, columns: normalizeOverrides(options.columns) };
+
+    return this._importViaStaging(tableName, options, (stagingTable) => {
+      if (ext === '.csv') {
+        return this._importCsvStream(Readable.from([buffer]), stagingTable, options);
+      } else if (ext === '.tsv') {
+        return this._importCsvStream(Readable.from([buffer]), stagingTable, { delimiter: '\t', ...options });
+      } else if (ext === '.json') {
+        const content = buffer.toString('utf-8');
+        return this._importJsonContent(content, stagingTable, options);
+      } else if (ext === '.ndjson' || ext === '.jsonl') {
+        return this._importNdjsonStream(Readable.from([buffer]), stagingTable, options);
+      } else if (ext === '.parquet') {
+        return this._importParquet(buffer, stagingTable, options);
+      } else if (ext === '.xlsx' || ext === '.xls') {
+        return this._importExcelBuffer(buffer, stagingTable, options);
+      } else {
+        throw new Error(`Unsupported file type: ${ext}`);
+      }
+    });
+  }
 
-    if (ext === '.csv') {
-      const content = buffer.toString('utf-8');
-      return this._importCsvContent(content, tableName, options);
-    } else if (ext === '.json') {
-      const content = buffer.toString('utf-8');
-      return this._importJsonContent(content, tableName, options);
-    } else if (ext === '.xlsx' || ext === '.xls') {
-      return this._importExcelBuffer(buffer, tableName, options);
-    } else {
-      throw new Error(`Unsupported file type: ${ext}`);
+  /**
+   * Run an importer against a staging table, then merge it into the target table
+   * The target table is untouched if the import fails.
+   * @param {string} tableName - Target table
+   * @param {object} options - Import options (mode, keyColumns)
+   * @param {function} load - Called with the staging table name; resolves to the importer's result
+   */
+  async _importViaStaging(tableName, options, load) {
+    const mode = options.mode || 'replace';
+    if (!IMPORT_MODES.includes(mode)) {
+      throw new Error(`Invalid import mode "${mode}". Use one of: ${IMPORT_MODES.join(', ')}`);
+    }
+    if (mode === 'upsert' && (!options.keyColumns || options.keyColumns.length === 0)) {
+      throw new Error('Upsert imports require keyColumns');
+    }
+
+    const derived = this.getDerivedDataset(tableName);
+    if (derived) {
+      throw new Error(`"${tableName}" is a saved ${derived.kind === 'view' ? 'view' : 'derived table'}. Import into another table`);
+    }
+
+    // Each import gets its own staging table, so imports into the same table can't
+    // load into each other's
+    const stagingTable = `${STAGING_TABLE_PREFIX}${tableName}_${crypto.randomBytes(8).toString('hex')}`;
+
+    try {
+      const result = await load(stagingTable);
+      const merged = this._mergeStagingTable(stagingTable, tableName, mode, options.keyColumns);
+      this._saveColumnMetadata(tableName, result.columns || [], mode);
+      await this.profileTableInChildProcess(tableName);
+      return { ...result, table: tableName, mode, ...merged };
+    } finally {
+      this.db.exec(`DROP TABLE IF EXISTS "${stagingTable}"`);
     }
   }
 
-  async _importCsv(filePath, tableName, options) {
-    const content = fs.readFileSync(filePath, 'utf-8');
-    return this._importCsvContent(content, tableName, options);
+  /**
+   * Store what an import learned about its columns (see COLUMN_META_TABLE)
+   * Replace imports forget the table's earlier metadata; append and upsert
+   * imports update the columns they loaded.
+   * @param {string} tableName - Target table
+   * @param {object[]} columns - The importer's described columns (see _describeColumns)
+   * @param {string} mode - Import mode
+   */
+  _saveColumnMetadata(tableName, columns, mode) {
+    const save = this.db.prepare(`INSERT OR REPLACE INTO "${COLUMN_META_TABLE}" (table_name, column_name, meta) VALUES (?, ?, ?)`);
+    const remove = this.db.prepare(`DELETE FROM "${COLUMN_META_TABLE}" WHERE table_name = ? AND column_name = ?`);
+
+    this.db.transaction(() => {
+      if (mode === 'replace') {
+        this.db.prepare(`DELETE FROM "${COLUMN_META_TABLE}" WHERE table_name = ?`).run(tableName);
+      }
+      for (const column of columns.filter(c => !c.skipped)) {
+        const meta = {
+          ...((column.type === 'DATE' || column.type === 'DATETIME') && { semanticType: column.type }),
+          ...(column.unit && { unit: column.unit }),
+          ...(column.originalColumn && { originalColumn: column.originalColumn })
+        };
+        if (Object.keys(meta).length > 0) {
+          save.run(tableName, column.name, JSON.stringify(meta));
+        } else {
+          remove.run(tableName, column.name);
+        }
+      }
+    })();
   }
 
-  async _importCsvContent(content, tableName, options) {
-    const lines = content.split('\n').filter(line => line.trim());
+  /**
+   * Merge a loaded staging table into the target table, in one transaction
+   * - replace: the staging table becomes the target table
+   * - append: staging rows are inserted into the target table
+   * - upsert: rows whose keyColumns match an existing row update it; others are inserted
+   * For append/upsert, columns new in the file are added to the target table, and
+   * target columns missing from the file are reported (and left NULL for new rows).
+   * A missing target table is created as in replace mode.
+   * @param {string} stagingTable - Loaded staging table
+   * @param {string} tableName - Target table
+   * @param {string} mode - 'replace' | 'append' | 'upsert'
+   * @param {string[]} keyColumns - Upsert key columns
+   * @returns {object} { diff: { inserted, updated, unchanged, deleted }, schemaChanges: { added, removed } }
+   */
+  _mergeStagingTable(stagingTable, tableName, mode, keyColumns = []) {
+    const columnsOf = (table) => this.db.prepare(`PRAGMA table_info("${table}")`).all();
+    const count = (sql) => this.db.prepare(sql).get().count;
+
+    const stagingColumns = columnsOf(stagingTable);
+    const targetColumns = columnsOf(tableName);
+    const stagingCount = count(`SELECT COUNT(*) AS count FROM "${stagingTable}"`);
+
+    const targetNames = new Set(targetColumns.map(c => c.name.toLowerCase()));
+    const stagingNames = new Set(stagingColumns.map(c => c.name.toLowerCase()));
+    const schemaChanges = {
+      added: targetColumns.length > 0
+        ? stagingColumns.filter(c => !targetNames.has(c.name.toLowerCase())).map(c => c.name)
+        : [],
+      removed: targetColumns.filter(c => !stagingNames.has(c.name.toLowerCase())).map(c => c.name)
+    };
+
+    if (mode === 'replace' || targetColumns.length === 0) {
+      const deleted = targetColumns.length > 0 ? count(`SELECT COUNT(*) AS count FROM "${tableName}"`) : 0;
 
-    if (lines.length === 0) {
-      throw new Error('CSV file is empty');
+      this.db.transaction(() => {
+        this.db.exec(`DROP TABLE IF EXISTS "${tableName}"`);
+        this.db.exec(`ALTER TABLE "${stagingTable}" RENAME TO "${tableName}"`);
+      })();
+
+      return { diff: { inserted: stagingCount, updated: 0, unchanged: 0, deleted }, schemaChanges };
     }
 
-    // Parse header
-    const delimiter = options.delimiter || ',';
-    const headers = this._parseCsvLine(lines[0], delimiter);
+    const columns = stagingColumns.map(c => `"${c.name}"`).join(', ');
 
-    // Sanitize headers for SQL
-    const sanitizedHeaders = headers.map(h => this._sanitizeColumnName(h));
+    if (mode === 'append') {
+      this.db.transaction(() => {
+        for (const name of schemaChanges.added) {
+          const column = stagingColumns.find(c => c.name === name);
+          this.db.exec(`ALTER TABLE "${tableName}" ADD COLUMN "${name}" ${column.type}`);
+        }
+        this.db.exec(`INSERT INTO "${tableName}" (${columns}) SELECT ${columns} FROM "${stagingTable}"`);
+      })();
 
-    // Parse all data rows first
-    const dataRows = lines.slice(1).map(line => this._parseCsvLine(line, delimiter));
+      return { diff: { inserted: stagingCount, updated: 0, unchanged: 0, deleted: 0 }, schemaChanges };
+    }
 
-    // Auto-detect column types from data
-    const columnTypes = this._detectColumnTypes(sanitizedHeaders, dataRows);
+    // Upsert: resolve key columns against both tables
+    const keys = keyColumns.map(key => {
+      const name = this._sanitizeColumnName(key);
+      const column = stagingColumns.find(c => c.name.toLowerCase() === name.toLowerCase());
+      if (!column) {
+        throw new Error(`Key column "${key}" not found in the file`);
+      }
+      if (!targetNames.has(column.name.toLowerCase())) {
+        throw new Error(`Key column "${key}" not found in table "${tableName}"`);
+      }
+      return column.name;
+    });
 
-    // Create table with detected types
-    const columns = sanitizedHeaders.map((h, i) => `"${h}" ${columnTypes[i]}`).join(', ');
-    this.db.exec(`DROP TABLE IF EXISTS "${tableName}"`);
-    this.db.exec(`CREATE TABLE "${tableName}" (${columns})`);
+    const keyList = keys.map(k => `"${k}"`).join(', ');
+    const duplicateKeys = count(`
+      SELECT COUNT(*) AS count FROM (
+        SELECT 1 FROM "${stagingTable}" GROUP BY ${keyList} HAVING COUNT(*) > 1
+      )
+    `);
+    if (duplicateKeys > 0) {
+      throw new Error(`The file has ${duplicateKeys} duplicate value(s) for key columns ${keys.join(', ')}`);
+    }
 
-    // Insert data with type conversion
-    const placeholders = sanitizedHeaders.map(() => '?').join(', ');
-    const insertStmt = this.db.prepare(`INSERT INTO "${tableName}" VALUES (${placeholders})`);
+    const keyMatch = keys.map(k => `s."${k}" = t."${k}"`).join(' AND ');
+    const valueColumns = stagingColumns.map(c => c.name).filter(name => !keys.includes(name));
+    const sameValues = valueColumns.length > 0
+      ? valueColumns.map(name => `s."${name}" IS t."${name}"`).join(' AND ')
+      : '1';
 
-    const insertMany = this.db.transaction((rows) => {
-      for (const row of rows) {
-        const convertedRow = row.map((val, i) => this._convertValue(val, columnTypes[i]));
-        insertStmt.run(...convertedRow);
+    return this.db.transaction(() => {
+      for (const name of schemaChanges.added) {
+        const column = stagingColumns.find(c => c.name === name);
+        this.db.exec(`ALTER TABLE "${tableName}" ADD COLUMN "${name}" ${column.type}`);
       }
-    });
 
-    insertMany(dataRows);
+      this.db.exec(`CREATE INDEX "${stagingTable}_keys" ON "${stagingTable}" (${keyList})`);
+
+      // Counted per file row (their keys are unique), not per joined row, since the
+      // table may hold several rows with the same key
+      const matched = count(`
+        SELECT COUNT(*) AS count FROM "${stagingTable}" s
+        WHERE EXISTS (SELECT 1 FROM "${tableName}" t WHERE ${keyMatch})
+      `);
+      const updated = count(`
+        SELECT COUNT(*) AS count FROM "${stagingTable}" s
+        WHERE EXISTS (SELECT 1 FROM "${tableName}" t WHERE ${keyMatch} AND NOT (${sameValues}))
+      `);
+
+      if (valueColumns.length > 0) {
+        const assignments = valueColumns.map(name => `"${name}" = s."${name}"`).join(', ');
+        this.db.exec(`
+          UPDATE "${tableName}" AS t SET ${assignments}
+          FROM "${stagingTable}" AS s
+          WHERE ${keyMatch} AND NOT (${sameValues})
+        `);
+      }
 
-    return {
-      imported: dataRows.length,
-      table: tableName,
-      columns: sanitizedHeaders.map((name, i) => ({ name, type: columnTypes[i] }))
-    };
+      const inserted = this.db.prepare(`
+        INSERT INTO "${tableName}" (${columns})
+        SELECT ${columns} FROM "${stagingTable}" s
+        WHERE NOT EXISTS (SELECT 1 FROM "${tableName}" t WHERE ${keyMatch})
+      `).run().changes;
+
+      return {
+        diff: { inserted, updated, unchanged: matched - updated, deleted: 0 },
+        schemaChanges
+      };
+    })();
   }
 
-  _parseCsvLine(line, delimiter) {
-    const result = [];
-    let current = '';
-    let inQuotes = false;
+  async _importCsv(filePath, tableName, options) {
+    return this._importCsvStream(fs.createReadStream(filePath), tableName, options);
+  }
 
-    for (let i = 0; i < line.length; i++) {
-      const char = line[i];
+  /**
+   * Stream delimited text into a new table
+   * Column types are detected from the first CSV_SAMPLE_ROWS rows; later values that
+   * don't fit the detected type are stored as text rather than dropped. Rows are
+   * inserted in batches of CSV_BATCH_SIZE, one transaction per batch.
+   * @param {AsyncIterable<Buffer>} input - File bytes
+   * @param {string} tableName - Name of the table to create (the import's staging table)
+   * @param {object} options - delimiter, encoding, columns (overrides), maxRows, and
+   *   onProgress({ rowsImported, bytesRead })
+   */
+  async _importCsvStream(input, tableName, options) {
+    const sampleRows = options.sampleRows || CSV_SAMPLE_ROWS;
+    const batchSize = options.batchSize || CSV_BATCH_SIZE;
+    const maxRows = options.maxRows || Infinity;
+
+    let headers = null;
+    let plans = null;
+    let insertBatch = null;
+    let pending = [];
+    let imported = 0;
+    let raggedRows = 0;
+    let truncated = false;
+
+    const createTable = () => {
+      const columnTypes = this._detectColumnTypes(headers, pending);
+      plans = this._planColumns(headers.map((header, i) => ({
+        ...header,
+        type: columnTypes[i],
+        sample: pending.map(row => row[i])
+      })), options);
+      this._checkOverridesUsed(options, plans);
+
+      // Short rows are padded and extra fields dropped
+      const insertRow = this._createImportTable(tableName, plans, (val, plan) => this._convertColumnValue(val, plan));
+      insertBatch = this.db.transaction((rows) => {
+        for (const row of rows) {
+          insertRow(row);
+        }
+      });
+    };
 
-      if (char === '"') {
-        if (inQuotes && line[i + 1] === '"') {
-          current += '"';
-          i++;
-        } else {
-          inQuotes = !inQuotes;
+    for await (const { rows, bytesRead } of readCsvRows(input, options)) {
+      for (const row of rows) {
+        if (!headers) {
+          const names = this._uniqueColumnNames(row.map(h => this._sanitizeColumnName(h)));
+          headers = row.map((h, i) => ({ sourceName: h, name: names[i] }));
+          continue;
+        }
+        if (imported + pending.length >= maxRows) {
+          truncated = true;
+          break;
+        }
+        if (row.length !== headers.length) {
+          raggedRows++;
+        }
+        pending.push(row);
+      }
+
+      if (!plans && pending.length >= sampleRows) {
+        createTable();
+      }
+      if (plans && pending.length >= batchSize) {
+        insertBatch(pending);
+        imported += pending.length;
+        pending = [];
+
+        if (options.onProgress) {
+          options.onProgress({ rowsImported: imported, bytesRead });
         }
-      } else if (char === delimiter && !inQuotes) {
-        result.push(current.trim());
-        current = '';
-      } else {
-        current += char;
+      }
+      if (truncated) {
+        break;
       }
     }
-    result.push(current.trim());
 
-    return result;
-  }
+    if (!headers) {
+      throw new Error('CSV file is empty');
+    }
+    if (!plans) {
+      createTable();
+    }
+    insertBatch(pending);
+    imported += pending.length;
 
-  async _importJson(filePath, tableName, options) {
-    const content = fs.readFileSync(filePath, 'utf-8');
-    return this._importJsonContent(content, tableName, options);
+    const warnings = this._columnWarnings(plans);
+    if (raggedRows > 0) {
+      warnings.push(`${raggedRows} ${raggedRows === 1 ? 'row has' : 'rows have'} a different number of fields than the header row (missing fields are left empty, extra fields are dropped)`);
+    }
+
+    return {
+      imported,
+      table: tableName,
+      columns: this._describeColumns(plans),
+      warnings,
+      truncated
+    };
   }
 
-  async _importJsonContent(content, tableName, options) {
-    let data = JSON.parse(content);
+  /**
+   * Stream JSON Lines (one object per line) into a new table
+   * Nested objects are flattened into columns joined with underscores
+   * ({"customer": {"id": 1}} becomes customer_id); arrays are stored as JSON text.
+   * Column types come from the first CSV_SAMPLE_ROWS records, and fields first seen
+   * later are added as TEXT columns (unless overridden).
+   * @param {AsyncIterable<Buffer>} input - File bytes (UTF-8)
+   * @param {string} tableName - Name of the table to create (the import's staging table)
+   * @param {object} options - columns (overrides), maxRows, and onProgress({ rowsImported, bytesRead })
+   */
+  async _importNdjsonStream(input, tableName, options) {
+    const sampleRows = options.sampleRows || CSV_SAMPLE_ROWS;
+    const batchSize = options.batchSize || CSV_BATCH_SIZE;
+    const maxRows = options.maxRows || Infinity;
+
+    const keys = [];                // Flattened field names, in column order
+    const columnNames = new Map();  // Flattened field name -> detected column name
+    const usedNames = new Set();
+    let plans = null;               // One per key, once the table exists
+    let insertBatch = null;
+    let pending = [];
+    let imported = 0;
+    let lineNumber = 0;
+    let bytesRead = 0;
+    let truncated = false;
+
+    const addColumns = (record) => {
+      for (const key of Object.keys(record)) {
+        if (columnNames.has(key)) continue;
+
+        const [name] = this._uniqueColumnNames([this._sanitizeColumnName(key)], usedNames);
+        columnNames.set(key, name);
+        keys.push(key);
+
+        if (plans) {
+          const [plan] = this._planColumns([{ sourceName: key, name, type: 'TEXT' }], options, plans);
+          plan.index = keys.length - 1;
+          plans.push(plan);
+          for (const column of this._importColumns([plan])) {
+            this.db.exec(`ALTER TABLE "${tableName}" ADD COLUMN "${column.name}" ${column.type}`);
+          }
+        }
+      }
+    };
 
-    // Handle array of objects
-    if (!Array.isArray(data)) {
-      if (data.data && Array.isArray(data.data)) {
-        data = data.data;
-      } else {
-        data = [data];
+    const prepareInsert = () => {
+      const columns = this._importColumns(plans);
+      const names = columns.map(c => `"${c.name}"`).join(', ');
+      const placeholders = columns.map(() => '?').join(', ');
+      const insertStmt = this.db.prepare(`INSERT INTO "${tableName}" (${names}) VALUES (${placeholders})`);
+      const batchPlans = plans.slice();
+      const batchKeys = keys.slice();
+      const convert = (val, plan) => this._convertColumnValue(val, plan);
+
+      insertBatch = this.db.transaction((records) => {
+        for (const record of records) {
+          insertStmt.run(this._importValues(batchPlans, batchKeys.map(key => record[key]), convert));
+        }
+      });
+    };
+
+    const createTable = () => {
+      const columnTypes = this._detectColumnTypes(keys, pending.map(record => keys.map(key => record[key])));
+      plans = this._planColumns(keys.map((key, i) => ({
+        sourceName: key,
+        name: columnNames.get(key),
+        type: columnTypes[i],
+        sample: pending.map(record => record[key])
+      })), options);
+
+      const columns = this._importColumns(plans);
+      if (columns.length === 0) {
+        throw new Error('Every column is skipped');
       }
-    }
+      this.db.exec(`CREATE TABLE "${tableName}" (${columns.map(c => `"${c.name}" ${c.type}`).join(', ')})`);
+      prepareInsert();
+    };
 
-    if (data.length === 0) {
-      throw new Error('JSON file has no records');
-    }
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
 
-    // Get all unique keys from all objects
-    const allKeys = new Set();
-    data.forEach(obj => Object.keys(obj).forEach(key => allKeys.add(key)));
-    const headers = Array.from(allKeys).map(h => this._sanitizeColumnName(h));
+    try {
+      for await (const line of lines) {
+        lineNumber++;
+        bytesRead += Buffer.byteLength(line) + 1;
 
-    // Create table
-    const columns = headers.map(h => `"${h}" TEXT`).join(', ');
-    this.db.exec(`DROP TABLE IF EXISTS "${tableName}"`);
-    this.db.exec(`CREATE TABLE "${tableName}" (${columns})`);
+        const text = lineNumber === 1 ? line.replace(/^\uFEFF/, '') : line;
+        if (!text.trim()) continue;
 
-    // Insert data
-    const placeholders = headers.map(() => '?').join(', ');
-    const insertStmt = this.db.prepare(`INSERT INTO "${tableName}" VALUES (${placeholders})`);
+        if (imported + pending.length >= maxRows) {
+          truncated = true;
+          break;
+        }
 
-    const insertMany = this.db.transaction((rows) => {
-      for (const row of rows) {
-        const values = headers.map((h, i) => {
-          const originalKey = Array.from(allKeys)[i];
-          const val = row[originalKey];
-          return val === undefined ? null : (typeof val === 'object' ? JSON.stringify(val) : String(val));
-        });
-        insertStmt.run(...values);
+        let value;
+        try {
+          value = JSON.parse(text);
+        } catch (err) {
+          throw new Error(`Invalid JSON on line ${lineNumber}: ${err.message}`);
+        }
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+          throw new Error(`Line ${lineNumber} is not a JSON object`);
+        }
+
+        const record = this._flattenRecord(value);
+
+        if (!plans) {
+          addColumns(record);
+        } else if (Object.keys(record).some(key => !columnNames.has(key))) {
+          // New fields after the sample window: insert what we have, then add columns
+          insertBatch(pending);
+          imported += pending.length;
+          pending = [];
+          addColumns(record);
+          prepareInsert();
+        }
+        pending.push(record);
+
+        if (!plans && pending.length >= sampleRows) {
+          createTable();
+        }
+        if (plans && pending.length >= batchSize) {
+          insertBatch(pending);
+          imported += pending.length;
+          pending = [];
+
+          if (options.onProgress) {
+            options.onProgress({ rowsImported: imported, bytesRead });
+          }
+        }
       }
-    });
+    } finally {
+      lines.close();
+      if (typeof input.destroy === 'function') {
+        input.destroy();
+      }
+    }
 
-    insertMany(data);
+    if (!plans) {
+      if (pending.length === 0) {
+        throw new Error('JSON Lines file has no records');
+      }
+      createTable();
+    }
+    insertBatch(pending);
+    imported += pending.length;
 
-    return { imported: data.length, table: tableName, columns: headers.map(name => ({ name, type: 'TEXT' })) };
-  }
+    // Fields can first appear anywhere in the file, so overrides are checked at the end
+    this._checkOverridesUsed(options, plans);
 
-  async _importExcel(filePath, tableName, options) {
-    const buffer = fs.readFileSync(filePath);
-    return this._importExcelBuffer(buffer, tableName, options);
+    return {
+      imported,
+      table: tableName,
+      columns: this._describeColumns(plans),
+      warnings: this._columnWarnings(plans),
+      truncated
+    };
   }
 
-  async _importExcelBuffer(buffer, tableName, options) {
-    const workbook = XLSX.read(buffer, { type: 'buffer' });
+  /**
+   * Flatten nested objects into one level, joining keys with '.'
+   * (sanitized to '_' as column names). Arrays are kept as JSON text.
+   */
+  _flattenRecord(value, prefix = '', result = {}) {
+    for (const [key, val] of Object.entries(value)) {
+      const name = prefix ? `${prefix}.${key}` : key;
+
+      if (val && typeof val === 'object' && !Array.isArray(val) && Object.keys(val).length > 0) {
+        this._flattenRecord(val, name, result);
+      } else if (val && typeof val === 'object') {
+        result[name] = JSON.stringify(val);
+      } else {
+        result[name] = val;
+      }
+    }
 
-    // Use first sheet by default, or specified sheet
-    const sheetName = options.sheet || workbook.SheetNames[0];
-    const worksheet = workbook.Sheets[sheetName];
+    return result;
+  }
 
-    if (!worksheet) {
-      throw new Error(`Sheet "${sheetName}" not found`);
-    }
+  /**
+   * Import a Parquet file into a new table, one row group at a time
+   * Column types come from the Parquet schema. Nested columns (lists, maps, structs)
+   * are stored as JSON text, and dates/timestamps as ISO 8601 text.
+   * @param {string|Buffer} source - File path or file contents
+   * @param {string} tableName - Name of the table to create (the import's staging table)
+   * @param {object} options - columns (overrides), maxRows, and onProgress({ rowsImported, bytesRead })
+   */
+  async _importParquet(source, tableName, options) {
+    // hyparquet is only published as an ES module
+    const { asyncBufferFromFile, parquetMetadataAsync, parquetSchema, parquetReadObjects } = await import('hyparquet');
+    const { compressors } = await import('hyparquet-compressors');
 
-    // Convert to JSON array
-    const data = XLSX.utils.sheet_to_json(worksheet, { header: 1 });
+    const file = Buffer.isBuffer(source)
+      ? source.buffer.slice(source.byteOffset, source.byteOffset + source.byteLength)
+      : await asyncBufferFromFile(source);
 
-    if (data.length < 2) {
-      throw new Error('Excel file must have a header row and at least one data row');
+    let metadata;
+    try {
+      metadata = await parquetMetadataAsync(file);
+    } catch (err) {
+      throw new Error(`Invalid Parquet file: ${err.message}`);
     }
 
-    // First row is headers
-    const rawHeaders = data[0].map(h => String(h || 'column'));
-    const headers = rawHeaders.map(h => this._sanitizeColumnName(h));
-
-    // Remaining rows are data
-    const dataRows = data.slice(1).filter(row => row.some(cell => cell !== undefined && cell !== ''));
+    const fields = parquetSchema(metadata).children;
+    if (fields.length === 0) {
+      throw new Error('Parquet file has no columns');
+    }
 
-    // Auto-detect column types
-    const columnTypes = this._detectColumnTypes(headers, dataRows);
+    const fieldNames = fields.map(field => field.element.name);
+    const headers = this._uniqueColumnNames(fieldNames.map(name => this._sanitizeColumnName(name)));
 
-    // Create table
-    const columns = headers.map((h, i) => `"${h}" ${columnTypes[i]}`).join(', ');
-    this.db.exec(`DROP TABLE IF EXISTS "${tableName}"`);
-    this.db.exec(`CREATE TABLE "${tableName}" (${columns})`);
+    // Types come from the schema, so only columns given another type are converted
+    const plans = this._planColumns(fields.map((field, i) => ({
+      sourceName: fieldNames[i],
+      name: headers[i],
+      type: this._parquetColumnType(field)
+    })), options);
+    this._checkOverridesUsed(options, plans);
 
-    // Insert data
-    const placeholders = headers.map(() => '?').join(', ');
-    const insertStmt = this.db.prepare(`INSERT INTO "${tableName}" VALUES (${placeholders})`);
+    const insertRow = this._createImportTable(tableName, plans, (val, plan) => {
+      return plan.typeOverridden ? this._convertColumnValue(this._parquetValue(val), plan) : this._parquetValue(val);
+    });
 
     const insertMany = this.db.transaction((rows) => {
       for (const row of rows) {
-        // Ensure row has correct number of columns
-        const paddedRow = headers.map((_, i) => row[i] !== undefined ? row[i] : null);
-        const convertedRow = paddedRow.map((val, i) => this._convertValue(val, columnTypes[i]));
-        insertStmt.run(...convertedRow);
+        insertRow(fieldNames.map(name => row[name]));
       }
     });
 
-    insertMany(dataRows);
+    const totalRows = Number(metadata.num_rows);
+    const maxRows = Math.min(totalRows, options.maxRows || Infinity);
+    let imported = 0;
+    let rowStart = 0;
+
+    for (const rowGroup of metadata.row_groups) {
+      if (rowStart >= maxRows) break;
+
+      const rowEnd = Math.min(rowStart + Number(rowGroup.num_rows), maxRows);
+      const rows = await parquetReadObjects({ file, metadata, rowStart, rowEnd, compressors });
+
+      insertMany(rows);
+      imported += rows.length;
+      rowStart = rowEnd;
+
+      if (options.onProgress) {
+        options.onProgress({
+          rowsImported: imported,
+          bytesRead: Math.round(file.byteLength * (imported / totalRows))
+        });
+      }
+    }
 
     return {
-      imported: dataRows.length,
+      imported,
       table: tableName,
-      columns: headers.map((name, i) => ({ name, type: columnTypes[i] })),
-      sheets: workbook.SheetNames
+      columns: this._describeColumns(plans),
+      warnings: this._columnWarnings(plans),
+      truncated: imported < totalRows
     };
   }
 
   /**
-   * Sanitize a string to be a valid SQL column name
+   * Map a top-level Parquet schema field to a SQLite column type
    */
-  _sanitizeColumnName(name) {
-    // Remove or replace invalid characters
+  _parquetColumnType(field) {
+    if (field.children.length > 0) return 'TEXT';
+
+    const { type, converted_type: convertedType, logical_type: logicalType } = field.element;
+    const logical = logicalType && logicalType.type;
+
+    if (logical === 'DECIMAL' || convertedType === 'DECIMAL') return 'REAL';
+    if (['DATE', 'TIME', 'TIMESTAMP'].includes(logical) || /^(DATE|TIME|TIMESTAMP)/.test(convertedType || '')) {
+      return 'TEXT';
+    }
+
+    switch (type) {
+      case 'BOOLEAN':
+      case 'INT32':
+      case 'INT64':
+        return 'INTEGER';
+      case 'FLOAT':
+      case 'DOUBLE':
+        return 'REAL';
+      default:
+        return 'TEXT';
+    }
+  }
+
+  /**
+   * Convert a value read from Parquet into something SQLite can store
+   */
+  _parquetValue(val) {
+    if (val === null || val === undefined) return null;
+    if (typeof val === 'bigint') {
+      return Number.isSafeInteger(Number(val)) ? Number(val) : val.toString();
+    }
+    if (typeof val === 'boolean') return val ? 1 : 0;
+    if (val instanceof Date) return val.toISOString();
+    if (val instanceof Uint8Array) return Buffer.from(val).toString('base64');
+    if (typeof val === 'object') {
+      return JSON.stringify(val, (key, v) => (typeof v === 'bigint' ? v.toString() : v));
+    }
+    return val;
+  }
+
+  async _importJson(filePath, tableName, options) {
+    const content = fs.readFileSync(filePath, 'utf-8');
+    return this._importJsonContent(content, tableName, options);
+  }
+
+  async _importJsonContent(content, tableName, options) {
+    let data = JSON.parse(content);
+
+    // Handle array of objects
+    if (!Array.isArray(data)) {
+      if (data.data && Array.isArray(data.data)) {
+        data = data.data;
+      } else {
+        data = [data];
+      }
+    }
+
+    if (data.length === 0) {
+      throw new Error('JSON file has no records');
+    }
+
+    const truncated = data.length > (options.maxRows || Infinity);
+    if (truncated) {
+      data = data.slice(0, options.maxRows);
+    }
+
+    // Get all unique keys from all objects
+    const allKeys = new Set();
+    data.forEach(obj => Object.keys(obj).forEach(key => allKeys.add(key)));
+    const keys = Array.from(allKeys);
+    const headers = this._uniqueColumnNames(keys.map(h => this._sanitizeColumnName(h)));
+
+    // Values are stored as text, unless a column is given another type
+    const toText = (val) => val === undefined || val === null ? null : (typeof val === 'object' ? JSON.stringify(val) : String(val));
+    const sample = data.slice(0, CSV_SAMPLE_ROWS);
+    const plans = this._planColumns(keys.map((key, i) => ({
+      sourceName: key,
+      name: headers[i],
+      type: 'TEXT',
+      sample: sample.map(obj => toText(obj[key]))
+    })), options);
+    this._checkOverridesUsed(options, plans);
+
+    const insertRow = this._createImportTable(tableName, plans, (val, plan) => {
+      return plan.typeOverridden ? this._convertColumnValue(toText(val), plan) : toText(val);
+    });
+
+    const insertMany = this.db.transaction((rows) => {
+      for (const row of rows) {
+        insertRow(keys.map(key => row[key]));
+      }
+    });
+
+    insertMany(data);
+
+    return {
+      imported: data.length,
+      table: tableName,
+      columns: this._describeColumns(plans),
+      warnings: this._columnWarnings(plans),
+      truncated
+    };
+  }
+
+  async _importExcel(filePath, tableName, options) {
+    const workbook = options.workbook || await this.readWorkbook(filePath);
+    return this._importWorkbook(workbook, tableName, options);
+  }
+
+  async _importExcelBuffer(buffer, tableName, options) {
+    return this._importWorkbook(this._parseWorkbook(buffer), tableName, options);
+  }
+
+  async _importWorkbook(workbook, tableName, options) {
+    // Use first sheet by default, or specified sheet
+    const sheetName = options.sheet || workbook.sheetNames[0];
+
+    if (!workbook.hasSheet(sheetName)) {
+      throw new Error(`Sheet "${sheetName}" not found`);
+    }
+
+    // A sheet can hold several tables; import the first unless told otherwise
+    const tables = workbook.tables(sheetName);
+    if (tables.length === 0) {
+      throw new Error('Excel file must have a header row and at least one data row');
+    }
+    const tableIndex = Number(options.table) || 0;
+    const found = tables[tableIndex];
+    if (!found) {
+      throw new Error(`Sheet "${sheetName}" has ${tables.length} table${tables.length === 1 ? '' : 's'}; there is no table ${tableIndex}`);
+    }
+
+    const rawHeaders = found.headers;
+    const headers = this._uniqueColumnNames(rawHeaders.map(h => this._sanitizeColumnName(h)));
+
+    let dataRows = found.rows;
+    const truncated = dataRows.length > (options.maxRows || Infinity);
+    if (truncated) {
+      dataRows = dataRows.slice(0, options.maxRows);
+    }
+
+    // Auto-detect column types, then apply overrides
+    const columnTypes = this._detectColumnTypes(headers, dataRows);
+    const sample = dataRows.slice(0, CSV_SAMPLE_ROWS);
+    const plans = this._planColumns(headers.map((name, i) => ({
+      sourceName: rawHeaders[i],
+      name,
+      type: columnTypes[i],
+      sample: sample.map(row => row[i])
+    })), options);
+    this._checkOverridesUsed(options, plans);
+
+    // Serial numbers in DATE columns that weren't formatted as dates
+    const insertRow = this._createImportTable(tableName, plans, (val, plan) => {
+      return (plan.type === 'DATE' || plan.type === 'DATETIME') && typeof val === 'number'
+        ? this._excelDate(val, plan.type === 'DATETIME')
+        : this._convertColumnValue(val, plan);
+    });
+
+    const insertMany = this.db.transaction((rows) => {
+      for (const row of rows) {
+        insertRow(row);
+      }
+    });
+
+    insertMany(dataRows);
+
+    const warnings = this._columnWarnings(plans);
+    if (tables.length > 1) {
+      warnings.push(`Sheet "${sheetName}" has ${tables.length} tables; imported the one at ${found.range}. Upload with sheets=all to import each of them`);
+    }
+    if (found.titleRows > 0) {
+      warnings.push(`The header is on row ${found.headerRow} of sheet "${sheetName}"; ${found.titleRows === 1 ? 'the row' : `${found.titleRows} rows`} above it ${found.titleRows === 1 ? 'was' : 'were'} skipped`);
+    }
+    if (found.mergedCells > 0) {
+      warnings.push(`${found.mergedCells === 1 ? '1 merged cell was' : `${found.mergedCells} merged cells were`} split, repeating ${found.mergedCells === 1 ? 'its' : 'their'} value in each cell`);
+    }
+
+    return {
+      imported: dataRows.length,
+      table: tableName,
+      columns: this._describeColumns(plans),
+      warnings,
+      truncated,
+      sheet: sheetName,
+      range: found.range,
+      sheets: workbook.sheetNames
+    };
+  }
+
+  /**
+   * Parse an Excel workbook, finding each sheet's tables the first time they're asked for
+   */
+  _parseWorkbook(buffer) {
+    const workbook = this._readWorkbook(buffer);
+    const tablesBySheet = new Map();
+
+    return {
+      sheetNames: workbook.SheetNames,
+      hasSheet: (sheet) => Object.prototype.hasOwnProperty.call(workbook.Sheets, sheet),
+      tables: (sheet) => {
+        if (!tablesBySheet.has(sheet)) {
+          tablesBySheet.set(sheet, this._sheetTables(workbook.Sheets[sheet]));
+        }
+        return tablesBySheet.get(sheet);
+      }
+    };
+  }
+
+  /**
+   * Parse an Excel workbook
+   * Cells formatted as dates hold Excel serial numbers; they are read as ISO dates,
+   * or date-times if the format shows the time.
+   */
+  _readWorkbook(buffer) {
+    const workbook = XLSX.read(buffer, { type: 'buffer', cellNF: true });
+
+    for (const worksheet of Object.values(workbook.Sheets)) {
+      for (const address of Object.keys(worksheet).filter(key => key[0] !== '!')) {
+        const cell = worksheet[address];
+        if (cell.t === 'n' && cell.z && XLSX.SSF.is_date(cell.z)) {
+          cell.t = 's';
+          cell.v = this._excelDate(cell.v, /[hs]/i.test(cell.z.replace(/"[^"]*"|\[[^\]]*\]/g, '')));
+        }
+      }
+    }
+
+    return workbook;
+  }
+
+  /**
+   * Find the tables on a worksheet
+   * Merged cells are split, repeating their value in each cell. Tables are blocks
+   * of cells separated by blank rows or columns; a block below a table with the same
+   * columns continues it unless its first row looks like a header (text only). Title
+   * rows above a table's header (a single value, or cells in under half its columns)
+   * are skipped.
+   * @param {object} worksheet - XLSX worksheet
+   * @returns {object[]} [{ range, headerRow, titleRows, mergedCells, headers, rows }]
+   *   (range is in A1 notation, headerRow is 1-based)
+   */
+  _sheetTables(worksheet) {
+    if (!worksheet['!ref']) {
+      return [];
+    }
+
+    const bounds = XLSX.utils.decode_range(worksheet['!ref']);
+    const grid = XLSX.utils.sheet_to_json(worksheet, { header: 1, raw: true, defval: null, blankrows: true });
+    const isBlank = (val) => val === null || val === undefined || (typeof val === 'string' && val.trim() === '');
+    const isHeaderLike = (row) => row.every(val => isBlank(val) || typeof val === 'string');
+
+    // Split merged cells, remembering where they were
+    const merges = [];
+    for (const merge of worksheet['!merges'] || []) {
+      const top = merge.s.r - bounds.s.r;
+      const left = merge.s.c - bounds.s.c;
+      if (!grid[top]) continue;
+
+      const value = grid[top][left];
+      for (let r = top; r <= merge.e.r - bounds.s.r && r < grid.length; r++) {
+        for (let c = left; c <= merge.e.c - bounds.s.c; c++) {
+          grid[r][c] = value;
+        }
+      }
+      merges.push({ r: top, c: left });
+    }
+
+    // Blocks of non-blank rows, then runs of non-blank columns within each block
+    const regions = [];
+    for (let r = 0; r < grid.length;) {
+      if (grid[r].every(isBlank)) {
+        r++;
+        continue;
+      }
+      const top = r;
+      while (r < grid.length && !grid[r].every(isBlank)) r++;
+      const bottom = r - 1;
+
+      const runs = [];
+      const width = Math.max(...grid.slice(top, r).map(row => row.length));
+      const used = (col) => grid.slice(top, bottom + 1).some(row => !isBlank(row[col]));
+      for (let c = 0; c < width;) {
+        if (!used(c)) {
+          c++;
+          continue;
+        }
+        const left = c;
+        while (c < width && used(c)) c++;
+
+        // Trim rows that are blank in these columns
+        const blankRow = (row) => grid[row].slice(left, c).every(isBlank);
+        let first = top;
+        let last = bottom;
+        while (blankRow(first)) first++;
+        while (blankRow(last)) last--;
+
+        // Runs spanning the same rows are one table with an empty column
+        const before = runs[runs.length - 1];
+        if (before && before.top === first && before.bottom === last) {
+          before.right = c - 1;
+        } else {
+          runs.push({ top: first, bottom: last, left, right: c - 1 });
+        }
+      }
+
+      for (const run of runs) {
+        const cells = grid[run.top].slice(run.left, run.right + 1);
+        const previous = [...regions].reverse().find(region => region.left === run.left && region.right === run.right);
+        if (previous && previous.bottom < run.top && !isHeaderLike(cells)) {
+          previous.bottom = run.bottom;
+        } else {
+          regions.push(run);
+        }
+      }
+    }
+
+    const tables = [];
+    for (const region of regions) {
+      const rows = grid.slice(region.top, region.bottom + 1).map(row => {
+        const cells = row.slice(region.left, region.right + 1);
+        while (cells.length < region.right - region.left + 1) cells.push(null);
+        return cells;
+      });
+      const width = region.right - region.left + 1;
+
+      // The header is the first row with at least two different values in half the columns
+      const headerIndex = rows.slice(0, 10).findIndex(row => {
+        const values = row.filter(val => !isBlank(val));
+        return width === 1 || (new Set(values.map(String)).size >= 2 && values.length >= width / 2);
+      });
+      const dataRows = headerIndex === -1 ? [] : rows.slice(headerIndex + 1).filter(row => !row.every(isBlank));
+      if (dataRows.length === 0) {
+        continue;
+      }
+
+      const headerTop = region.top + headerIndex;
+      tables.push({
+        range: XLSX.utils.encode_range({
+          s: { r: bounds.s.r + headerTop, c: bounds.s.c + region.left },
+          e: { r: bounds.s.r + region.bottom, c: bounds.s.c + region.right }
+        }),
+        headerRow: bounds.s.r + headerTop + 1,
+        titleRows: headerIndex,
+        mergedCells: merges.filter(m => m.r >= headerTop && m.r <= region.bottom && m.c >= region.left && m.c <= region.right).length,
+        headers: rows[headerIndex].map(h => String(isBlank(h) ? 'column' : h)),
+        rows: dataRows
+      });
+    }
+
+    return tables;
+  }
+
+  /**
+   * Convert an Excel date serial number to YYYY-MM-DD, or YYYY-MM-DD HH:MM:SS withTime
+   */
+  _excelDate(serial, withTime = false) {
+    const date = XLSX.SSF.parse_date_code(serial);
+    if (!date) return String(serial);
+
+    const pad = (n) => String(n).padStart(2, '0');
+    const day = `${date.y}-${pad(date.m)}-${pad(date.d)}`;
+    return withTime ? `${day} ${pad(date.H)}:${pad(date.M)}:${pad(Math.floor(date.S))}` : day;
+  }
+
+  /**
+   * Sanitize a string to be a valid SQL column name
+   */
+  _sanitizeColumnName(name) {
+    // Remove or replace invalid characters
     let sanitized = String(name)
       .trim()
       .replace(/[^a-zA-Z0-9_]/g, '_')  // Replace invalid chars with underscore
@@ -422,6 +1508,22 @@ class FileDataSource extends DataSource {
     return sanitized;
   }
 
+  /**
+   * Make sanitized column names unique by suffixing repeats (id, id_2, id_3)
+   * Pass `seen` to keep names unique across calls.
+   */
+  _uniqueColumnNames(names, seen = new Set()) {
+
+    return names.map(name => {
+      let unique = name;
+      for (let n = 2; seen.has(unique.toLowerCase()); n++) {
+        unique = `${name}_${n}`;
+      }
+      seen.add(unique.toLowerCase());
+      return unique;
+    });
+  }
+
   /**
    * Detect column types from data
    */
@@ -438,8 +1540,8 @@ class FileDataSource extends DataSource {
 
         // Check if numeric
         if (types[i].isNumber) {
-          const num = Number(strVal);
-          if (isNaN(num)) {
+          const num = this._parseDecimal(strVal);
+          if (num === null) {
             types[i].isNumber = false;
             types[i].isInteger = false;
           } else if (!Number.isInteger(num)) {
@@ -457,169 +1559,840 @@ class FileDataSource extends DataSource {
     });
   }
 
+  /**
+   * Decide each file column's final name and type, applying the caller's overrides
+   * Text columns of dates, date-times or formatted numbers are normalized (see
+   * valueNormalizer.js), keeping their original text in a <name>_original column.
+   * @param {object[]} columns - Detected columns in file order: { sourceName, name, type, sample? }
+   * @param {object} options - Import options: columns (normalized overrides, see columnOverrides.js) and locale
+   * @param {object[]} existing - Plans of columns already in the table, for name clashes
+   * @returns {object[]} Plans: { index, sourceName, detectedName, detectedType, name, type, sqlType,
+   *   skip, dateFormat, dateFormats, unit, originalName, locale, typeOverridden, leadingZeros, invalid, invalidExample }
+   */
+  _planColumns(columns, options = {}, existing = []) {
+    const overrides = options.columns || {};
+    const locale = getLocale(options.locale);
+
+    // A file header only selects a column if no column was detected under that name
+    const detectedNames = new Set([...existing.map(plan => plan.detectedName), ...columns.map(column => column.name)]);
+    const overrideFor = (column) => overrides[column.name]
+      || (!detectedNames.has(column.sourceName) && overrides[column.sourceName])
+      || {};
+
+    const plans = columns.map((column, index) => {
+      const override = overrideFor(column);
+      const sample = (column.sample || [])
+        .filter(val => typeof val === 'string' && val.trim() !== '')
+        .map(val => val.trim());
+
+      const normalization = column.type === 'TEXT' && !override.type ? detectNormalization(sample, locale) : null;
+      const detectedType = normalization ? normalization.type : column.type;
+      const type = override.type || detectedType;
+
+      // Work out the date format of DATE and DATETIME columns
+      let dateFormats = normalization && normalization.dateFormats || [];
+      let dateFormat = normalization && normalization.dateFormat || null;
+      if ((type === 'DATE' || type === 'DATETIME') && !normalization) {
+        dateFormats = matchingDateFormats(sample, locale.dateOrder, type === 'DATE' ? parseDate : parseDateTime);
+        dateFormat = override.dateFormat || dateFormats[0] || (sample.length === 0 ? 'YYYY-MM-DD' : null);
+        if (!dateFormat) {
+          throw new Error(`Can't tell the date format of column "${column.name}" (e.g. "${sample[0]}"); set its dateFormat`);
+        }
+      }
+
+      // The currency of formatted numbers, if they all have the same one
+      let unit = null;
+      if (type === 'INTEGER' || type === 'REAL') {
+        const units = new Set(sample.map(val => parseNumber(val, locale)).filter(n => n && n.unit).map(n => n.unit));
+        unit = units.size === 1 ? [...units][0] : null;
+      }
+
+      return {
+        index,
+        sourceName: column.sourceName,
+        detectedName: column.name,
+        detectedType,
+        name: override.rename ? this._sanitizeColumnName(override.rename) : column.name,
+        type,
+        sqlType: type === 'DATE' || type === 'DATETIME' ? 'TEXT' : type,
+        skip: Boolean(override.skip),
+        dateFormat,
+        dateFormats,
+        dateFormatGiven: Boolean(override.dateFormat),
+        unit,
+        keepOriginal: Boolean(normalization && normalization.changesValues),
+        originalName: null,
+        locale,
+        typeOverridden: Boolean(override.type),
+        leadingZeros: sample.find(val => /^[+-]?0\d/.test(val)) || null,
+        invalid: 0,
+        invalidExample: null
+      };
+    });
+
+    const names = new Set(existing.filter(plan => !plan.skip).flatMap(plan => [plan.name, plan.originalName])
+      .filter(Boolean).map(name => name.toLowerCase()));
+    for (const plan of plans.filter(p => !p.skip)) {
+      if (names.has(plan.name.toLowerCase())) {
+        throw new Error(`More than one column would be named "${plan.name}"; rename or skip one of them`);
+      }
+      names.add(plan.name.toLowerCase());
+    }
+    for (const plan of plans.filter(p => !p.skip && p.keepOriginal)) {
+      [plan.originalName] = this._uniqueColumnNames([`${plan.name}_original`], names);
+    }
+
+    return plans;
+  }
+
+  /**
+   * Reject overrides for columns the file doesn't have (usually a typo), unless
+   * options.strictColumns is false (overrides saved from an earlier import)
+   */
+  _checkOverridesUsed(options, plans) {
+    if (options.strictColumns === false) {
+      return;
+    }
+
+    const unknown = Object.keys(options.columns || {})
+      .filter(column => !plans.some(plan => plan.detectedName === column || plan.sourceName === column));
+    if (unknown.length > 0) {
+      throw new Error(`Column overrides name columns that aren't in the file: ${unknown.join(', ')}`);
+    }
+  }
+
+  /**
+   * Create an import's table from its column plans
+   * @param {string} tableName - Table to create
+   * @param {object[]} plans - From _planColumns
+   * @param {function(*, object): *} convert - Converts a file value for its column's plan
+   * @returns {function(Array)} Inserts one row, given its values in file column order
+   */
+  _createImportTable(tableName, plans, convert) {
+    const columns = this._importColumns(plans);
+    if (columns.length === 0) {
+      throw new Error('Every column is skipped');
+    }
+    this.db.exec(`CREATE TABLE "${tableName}" (${columns.map(c => `"${c.name}" ${c.type}`).join(', ')})`);
+
+    const names = columns.map(c => `"${c.name}"`).join(', ');
+    const placeholders = columns.map(() => '?').join(', ');
+    const insertStmt = this.db.prepare(`INSERT INTO "${tableName}" (${names}) VALUES (${placeholders})`);
+
+    return (values) => insertStmt.run(this._importValues(plans, values, convert));
+  }
+
+  /**
+   * The table columns for an import's column plans, including <name>_original columns
+   * @returns {object[]} [{ name, type }]
+   */
+  _importColumns(plans) {
+    return plans.filter(plan => !plan.skip).flatMap(plan => [
+      { name: plan.name, type: plan.sqlType },
+      ...(plan.originalName ? [{ name: plan.originalName, type: 'TEXT' }] : [])
+    ]);
+  }
+
+  /**
+   * The values to insert for one row, in _importColumns order
+   * @param {object[]} plans - Column plans
+   * @param {Array} values - The row's file values, by plan index
+   * @param {function(*, object): *} convert - Converts a file value for its column's plan
+   */
+  _importValues(plans, values, convert) {
+    const row = [];
+    for (const plan of plans) {
+      if (plan.skip) continue;
+
+      const value = values[plan.index];
+      row.push(convert(value, plan));
+      if (plan.originalName) {
+        row.push(value === null || value === undefined || value === '' ? null : String(value));
+      }
+    }
+    return row;
+  }
+
+  /**
+   * Convert a file value for its column, counting values that don't fit the type
+   * (which are kept as text)
+   */
+  _convertColumnValue(val, plan) {
+    let converted;
+    if ((plan.type === 'DATE' || plan.type === 'DATETIME') && val !== null && val !== undefined && String(val).trim() !== '') {
+      converted = plan.type === 'DATE' ? parseDate(val, plan.dateFormat) : parseDateTime(val, plan.dateFormat);
+      if (converted !== null) {
+        return converted;
+      }
+      converted = String(val).trim();
+    } else {
+      converted = this._convertValue(val, plan.sqlType);
+      if (plan.sqlType === 'TEXT' || typeof converted !== 'string') {
+        return converted;
+      }
+
+      // Numbers formatted for people ("$1,234.50", "1.234,50"), in the column's currency
+      const number = parseNumber(converted, plan.locale);
+      if (number && (!number.unit || number.unit === plan.unit)) {
+        return number.value;
+      }
+    }
+
+    plan.invalid++;
+    if (plan.invalidExample === null) {
+      plan.invalidExample = converted;
+    }
+    return converted;
+  }
+
+  /**
+   * Things about an import's columns worth telling the user
+   * @param {object[]} plans - Column plans, after the rows were inserted
+   * @returns {string[]}
+   */
+  _columnWarnings(plans) {
+    const warnings = [];
+
+    for (const plan of plans) {
+      if (plan.detectedName !== this._sanitizeColumnName(plan.sourceName)) {
+        warnings.push(`Column "${plan.sourceName}" is imported as "${plan.detectedName}" because the name is repeated`);
+      }
+      if (plan.skip) continue;
+
+      if (plan.invalid > 0) {
+        const expected = plan.type === 'DATE' || plan.type === 'DATETIME'
+          ? `dates in the format ${plan.dateFormat}`
+          : `numbers${plan.unit ? ` in ${plan.unit}` : ''}`;
+        const values = plan.invalid === 1 ? '1 value' : `${plan.invalid} values`;
+        warnings.push(`${values} in "${plan.name}" couldn't be read as ${expected} and ${plan.invalid === 1 ? 'was' : 'were'} kept as text (e.g. "${plan.invalidExample}")`);
+      }
+      if ((plan.type === 'INTEGER' || plan.type === 'REAL') && plan.leadingZeros) {
+        warnings.push(`"${plan.name}" has values with leading zeros (e.g. "${plan.leadingZeros}") that are lost as ${plan.type}; make it TEXT to keep them`);
+      }
+      if ((plan.type === 'DATE' || plan.type === 'DATETIME') && !plan.dateFormatGiven && plan.dateFormats.length > 1) {
+        warnings.push(`Dates in "${plan.name}" could be ${plan.dateFormats.join(' or ')}; reading them as ${plan.dateFormat}, set its dateFormat if that's wrong`);
+      }
+    }
+
+    return warnings;
+  }
+
+  /**
+   * Describe an import's columns for API responses
+   * @param {object[]} plans - Column plans
+   * @returns {object[]} [{ name, type, sourceName, detectedName, detectedType, skipped?, dateFormat?,
+   *   dateFormats?, unit?, originalColumn? }]
+   */
+  _describeColumns(plans) {
+    return plans.map(plan => ({
+      name: plan.name,
+      type: plan.type,
+      sourceName: plan.sourceName,
+      detectedName: plan.detectedName,
+      detectedType: plan.detectedType,
+      ...(plan.skip && { skipped: true }),
+      ...(plan.dateFormat && { dateFormat: plan.dateFormat }),
+      ...(plan.dateFormats.length > 0 && { dateFormats: plan.dateFormats }),
+      ...(plan.unit && { unit: plan.unit }),
+      ...(plan.originalName && { originalColumn: plan.originalName })
+    }));
+  }
+
   /**
    * Convert a value to the appropriate type
+   * Values that aren't numbers are kept as text in numeric columns (SQLite allows
+   * it), since types detected from a sample can be wrong for later rows.
    */
   _convertValue(val, type) {
     if (val === null || val === undefined || val === '') return null;
 
     const strVal = String(val).trim();
 
-    if (type === 'INTEGER') {
-      const num = parseInt(strVal, 10);
-      return isNaN(num) ? null : num;
-    } else if (type === 'REAL') {
-      const num = parseFloat(strVal);
-      return isNaN(num) ? null : num;
+    if (type === 'INTEGER' || type === 'REAL') {
+      if (strVal === '') return null;
+      const num = this._parseDecimal(strVal);
+      return num === null ? strVal : num;
     }
 
     return strVal;
   }
 
+  /**
+   * Read a plain decimal number ("12", "-0.5", "1.2e3")
+   * @returns {number|null} null if the text isn't one or is out of range ("1e400")
+   */
+  _parseDecimal(strVal) {
+    if (!DECIMAL_PATTERN.test(strVal)) return null;
+    const num = Number(strVal);
+    return Number.isFinite(num) ? num : null;
+  }
+
+  /**
+   * Copy a table, with its column metadata, into a snapshot that restoreSnapshot
+   * can bring back. Snapshots are internal tables, hidden from getTables.
+   * @param {string} table - Table to copy
+   * @param {string} snapshot - Snapshot name (letters, digits and underscores); an
+   *   existing snapshot of that name is replaced
+   */
+  async snapshotTable(table, snapshot) {
+    if (!this.connected) {
+      throw new Error('Not connected. Call connect() first.');
+    }
+
+    this._copyTable(table, this._snapshotTableName(snapshot));
+  }
+
+  /**
+   * Replace a table with a copy of a snapshot, and profile it
+   * @param {string} snapshot - Snapshot name
+   * @param {string} table - Table to replace
+   */
+  async restoreSnapshot(snapshot, table) {
+    if (!this.connected) {
+      throw new Error('Not connected. Call connect() first.');
+    }
+
+    const snapshotTable = this._snapshotTableName(snapshot);
+    const exists = this.db.prepare(`SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?`).get(snapshotTable);
+    if (!exists) {
+      throw new Error(`Snapshot "${snapshot}" not found`);
+    }
+
+    this._copyTable(snapshotTable, table);
+    await this.profileTableInChildProcess(table);
+  }
+
+  /**
+   * Delete a snapshot
+   * @param {string} snapshot - Snapshot name
+   */
+  async dropSnapshot(snapshot) {
+    if (!this.connected) {
+      throw new Error('Not connected. Call connect() first.');
+    }
+
+    const snapshotTable = this._snapshotTableName(snapshot);
+    this.db.transaction(() => {
+      this.db.exec(`DROP TABLE IF EXISTS "${snapshotTable}"`);
+      this.db.prepare(`DELETE FROM "${COLUMN_META_TABLE}" WHERE table_name = ?`).run(snapshotTable);
+    })();
+  }
+
+  _snapshotTableName(snapshot) {
+    if (!/^\w+$/.test(snapshot)) {
+      throw new Error('Invalid snapshot name');
+    }
+    return `${SNAPSHOT_TABLE_PREFIX}${snapshot}`;
+  }
+
+  /**
+   * Replace one table with a copy of another (declared column types and column
+   * metadata included), in one transaction
+   */
+  _copyTable(from, to) {
+    const columns = this.db.prepare(`PRAGMA table_info("${from}")`).all();
+    if (columns.length === 0) {
+      throw new Error(`Table '${from}' not found`);
+    }
+
+    const definitions = columns.map(col => `"${col.name}"${col.type ? ` ${col.type}` : ''}`).join(', ');
+    const names = columns.map(col => `"${col.name}"`).join(', ');
+
+    this.db.transaction(() => {
+      this.db.exec(`DROP TABLE IF EXISTS "${to}"`);
+      this.db.exec(`CREATE TABLE "${to}" (${definitions})`);
+      this.db.exec(`INSERT INTO "${to}" (${names}) SELECT ${names} FROM "${from}"`);
+
+      this.db.prepare(`DELETE FROM "${COLUMN_META_TABLE}" WHERE table_name = ?`).run(to);
+      this.db.prepare(`
+        INSERT INTO "${COLUMN_META_TABLE}" (table_name, column_name, meta)
+        SELECT ?, column_name, meta FROM "${COLUMN_META_TABLE}" WHERE table_name = ?
+      `).run(to, from);
+    })();
+  }
+
+  /**
+   * List the saved views and derived tables
+   * @returns {object[]} [{ name, kind, sql, description, createdAt, refreshedAt }]
+   */
+  listDerivedDatasets() {
+    if (!this.connected) {
+      throw new Error('Not connected. Call connect() first.');
+    }
+
+    return this.db.prepare(`SELECT * FROM "${DERIVED_DATASETS_TABLE}" ORDER BY name`).all()
+      .map(row => this._formatDerivedDataset(row));
+  }
+
+  /**
+   * Get a saved view or derived table
+   * @param {string} name - Dataset name
+   * @returns {object|null} As in listDerivedDatasets
+   */
+  getDerivedDataset(name) {
+    if (!this.connected) {
+      throw new Error('Not connected. Call connect() first.');
+    }
+
+    const row = this.db.prepare(`SELECT * FROM "${DERIVED_DATASETS_TABLE}" WHERE name = ?`).get(name);
+    return row ? this._formatDerivedDataset(row) : null;
+  }
+
+  _formatDerivedDataset(row) {
+    return {
+      name: row.name,
+      kind: row.kind,
+      sql: row.sql,
+      description: row.description,
+      createdAt: row.created_at,
+      refreshedAt: row.refreshed_at
+    };
+  }
+
+  /**
+   * Save a SELECT over the database's tables as a named dataset: a view, which
+   * always reads the current data, or a table holding the query's result until it
+   * is refreshed. The SQL is not checked here; callers validate it first. A table's
+   * query is counted first (see _checkDerivedTableQuery), then the dataset is built
+   * and profiled in a child process (see sqliteDerivedRunner.js).
+   * @param {string} name - Dataset name (letters, digits and underscores)
+   * @param {object} options
+   * @param {string} options.sql - SELECT statement
+   * @param {string} options.kind - 'view' (default) or 'table'
+   * @param {string} options.description - What the dataset holds, included in the schema context
+   * @returns {Promise<object>} The dataset, as in listDerivedDatasets, with its rowCount
+   */
+  async createDerivedDataset(name, { sql, kind = 'view', description = null }) {
+    if (!this.connected) {
+      throw new Error('Not connected. Call connect() first.');
+    }
+
+    if (typeof name !== 'string' || !/^[A-Za-z_]\w{0,63}$/.test(name) ||
+        name.startsWith(INTERNAL_TABLE_PREFIX) || name.toLowerCase().startsWith('sqlite_')) {
+      throw new Error('Dataset names must start with a letter or underscore and contain only letters, digits and underscores');
+    }
+    if (!DERIVED_KINDS.includes(kind)) {
+      throw new Error(`Invalid dataset kind "${kind}". Use one of: ${DERIVED_KINDS.join(', ')}`);
+    }
+    if (typeof sql !== 'string' || !sql.trim()) {
+      throw new Error('Dataset SQL is required');
+    }
+    const exists = this.db.prepare(`SELECT type FROM sqlite_master WHERE lower(name) = lower(?)`).get(name);
+    if (exists) {
+      throw new Error(`A ${exists.type} named "${name}" already exists`);
+    }
+
+    const query = sql.trim().replace(/;\s*$/, '');
+    if (kind === 'table') {
+      await this._checkDerivedTableQuery(query);
+    }
+
+    const { rowCount } = await this._runDerivedDatasetInChildProcess({
+      name, kind, sql: query, description: description || null, create: true
+    });
+    return { ...this.getDerivedDataset(name), rowCount };
+  }
+
+  /**
+   * Rebuild a derived table from its SQL (a view is recreated, which checks it
+   * still reads tables and columns that exist), and profile it again
+   * @param {string} name - Dataset name
+   * @returns {Promise<object>} The dataset, as in listDerivedDatasets, with its rowCount
+   */
+  async refreshDerivedDataset(name) {
+    const dataset = this.getDerivedDataset(name);
+    if (!dataset) {
+      throw new Error(`Dataset "${name}" not found`);
+    }
+
+    if (dataset.kind === 'table') {
+      await this._checkDerivedTableQuery(dataset.sql);
+    }
+
+    const { rowCount } = await this._runDerivedDatasetInChildProcess({
+      name, kind: dataset.kind, sql: dataset.sql, create: false
+    });
+    return { ...this.getDerivedDataset(name), rowCount };
+  }
+
+  /**
+   * Delete a saved view or derived table
+   * @param {string} name - Dataset name
+   */
+  async dropDerivedDataset(name) {
+    const dataset = this.getDerivedDataset(name);
+    if (!dataset) {
+      throw new Error(`Dataset "${name}" not found`);
+    }
+
+    this.db.transaction(() => {
+      this.db.exec(`DROP ${dataset.kind === 'view' ? 'VIEW' : 'TABLE'} IF EXISTS "${name}"`);
+      this.db.prepare(`DELETE FROM "${DERIVED_DATASETS_TABLE}" WHERE name = ?`).run(name);
+      this.db.prepare(`DELETE FROM "${SCHEMA_PROFILE_TABLE}" WHERE table_name = ?`).run(name);
+    })();
+  }
+
+  /**
+   * Check that a derived table's query can be materialized: it is counted on a
+   * read-only connection (see executeReadOnly), which must finish within
+   * DERIVED_CHECK_TIMEOUT_MS and find at most DERIVED_MAX_ROWS rows
+   * @param {string} sql - SELECT statement
+   */
+  async _checkDerivedTableQuery(sql) {
+    let count;
+    try {
+      // On its own lines, so a trailing comment can't swallow the parenthesis
+      const { rows } = await this.executeReadOnly(`SELECT COUNT(*) AS count FROM (\n${sql}\n)`, [], {
+        timeoutMs: DERIVED_CHECK_TIMEOUT_MS,
+        maxRows: 1
+      });
+      count = rows[0].count;
+    } catch (err) {
+      if (err.message === 'Query timed out') {
+        throw new Error(`The query took longer than ${DERIVED_CHECK_TIMEOUT_MS / 1000} seconds to run; save it as a view instead`);
+      }
+      throw err;
+    }
+
+    if (count > DERIVED_MAX_ROWS) {
+      throw new Error(`The query returns ${count} rows; derived tables can hold at most ${DERIVED_MAX_ROWS}. Save it as a view instead`);
+    }
+  }
+
+  /**
+   * Build and profile a derived dataset in a child process (see sqliteDerivedRunner.js)
+   * @param {object} job - As for _runDerivedDatasetJob
+   * @returns {Promise<object>} { rowCount }
+   */
+  _runDerivedDatasetInChildProcess(job) {
+    return this._runInChildProcess(DERIVED_RUNNER_PATH, { config: this._childProcessConfig(), job }, DERIVED_RUNNER_TIMEOUT_MS)
+      .catch(err => {
+        throw new Error(err.timedOut ? `Building "${job.name}" timed out` : err.message);
+      });
+  }
+
+  /**
+   * Build a derived dataset and record it, in one transaction, then profile it.
+   * Runs in the child process, on its own connection.
+   * @param {object} job - { name, kind, sql, description, create }, where create
+   *   records a new dataset and otherwise an existing one is refreshed
+   * @returns {object} { rowCount }
+   */
+  _runDerivedDatasetJob({ name, kind, sql, description, create }) {
+    const now = new Date().toISOString();
+
+    this.db.transaction(() => {
+      if (create) {
+        // Checked again, as a table may have been imported under the name meanwhile
+        const exists = this.db.prepare(`SELECT type FROM sqlite_master WHERE lower(name) = lower(?)`).get(name);
+        if (exists) {
+          throw new Error(`A ${exists.type} named "${name}" already exists`);
+        }
+      }
+
+      this._buildDerivedDataset(name, kind, sql);
+
+      if (create) {
+        this.db.prepare(`
+          INSERT INTO "${DERIVED_DATASETS_TABLE}" (name, kind, sql, description, created_at, refreshed_at)
+          VALUES (?, ?, ?, ?, ?, ?)
+        `).run(name, kind, sql, description, now, now);
+      } else {
+        this.db.prepare(`UPDATE "${DERIVED_DATASETS_TABLE}" SET refreshed_at = ? WHERE name = ?`).run(now, name);
+      }
+    })();
+
+    return { rowCount: this.profileTable(name).rowCount };
+  }
+
+  /**
+   * (Re)create a derived dataset's view or table from its SQL
+   */
+  _buildDerivedDataset(name, kind, sql) {
+    if (kind === 'view') {
+      this.db.exec(`DROP VIEW IF EXISTS "${name}"`);
+      this.db.exec(`CREATE VIEW "${name}" AS ${sql}`);
+      // SQLite only resolves a view's tables and columns when it is read
+      this.db.prepare(`SELECT * FROM "${name}" LIMIT 0`).all();
+    } else {
+      this.db.exec(`DROP TABLE IF EXISTS "${name}"`);
+      this.db.exec(`CREATE TABLE "${name}" AS ${sql}`);
+    }
+  }
+
   getType() {
     return 'file';
   }
 
+  getDialect() {
+    return 'sqlite';
+  }
+
   /**
-   * Gather rich schema context for AI-powered querying
-   * Returns structured text describing all tables, columns, sample values, etc.
-   * @param {object} options - Options for context gathering
-   * @returns {Promise<string>} Formatted schema context
+   * Compute and store the schema profile of a table
+   * Runs a COUNT(*), and per column COUNT(DISTINCT), sample and range queries, so
+   * this is called once per import rather than per question.
+   * @param {string} table - Table name
+   * @returns {object} { table, rowCount, columns, profiledAt }
    */
-  async gatherSchemaContext(options = {}) {
+  profileTable(table) {
     if (!this.connected) {
       throw new Error('Not connected. Call connect() first.');
     }
 
-    const maxTables = options.maxTables || 20;
-    const samplesPerColumn = options.samplesPerColumn || 5;
+    const quotedTable = `"${table.replace(/"/g, '""')}"`;
+    const rowCount = this.db.prepare(`SELECT COUNT(*) as count FROM ${quotedTable}`).get().count;
+    const metadata = new Map(
+      this.db.prepare(`SELECT column_name, meta FROM "${COLUMN_META_TABLE}" WHERE table_name = ?`).all(table)
+        .map(row => [row.column_name, JSON.parse(row.meta)])
+    );
+    const columns = this.db.prepare(`PRAGMA table_info(${quotedTable})`).all().map(col => {
+      const quoted = `"${col.name.replace(/"/g, '""')}"`;
+
+      // View columns computed by an expression have no declared type; use their values'
+      if (!col.type) {
+        try {
+          const first = this.db.prepare(`SELECT typeof(${quoted}) as type FROM ${quotedTable} WHERE ${quoted} IS NOT NULL LIMIT 1`).get();
+          col.type = first && first.type !== 'blob' ? first.type.toUpperCase() : '';
+        } catch (err) {
+          // Leave the type empty if the query fails
+        }
+      }
 
-    const tables = await this.getTables();
-    if (tables.length === 0) {
-      return 'No tables found in the database.';
+      const column = {
+        name: col.name,
+        type: col.type,
+        nullable: col.notnull === 0,
+        primaryKey: col.pk === 1,
+        ...metadata.get(col.name)
+      };
+
+      try {
+        column.distinctCount = this.db.prepare(`SELECT COUNT(DISTINCT ${quoted}) as cnt FROM ${quotedTable}`).get().cnt;
+      } catch (err) {
+        // Skip if column access fails
+      }
+
+      try {
+        column.samples = this.db.prepare(
+          `SELECT DISTINCT ${quoted} as val FROM ${quotedTable} WHERE ${quoted} IS NOT NULL AND ${quoted} != '' LIMIT ?`
+        ).all(PROFILE_SAMPLE_VALUES).map(r => (
+          typeof r.val === 'string' && r.val.length > PROFILE_SAMPLE_MAX_LENGTH
+            ? r.val.substring(0, PROFILE_SAMPLE_MAX_LENGTH) + '...'
+            : r.val
+        ));
+      } catch (err) {
+        // Skip samples if query fails
+      }
+
+      // Min/max for numeric columns, and for TEXT columns that hold dates
+      const upperType = (col.type || '').toUpperCase();
+      const isNumeric = ['INT', 'REAL', 'NUMERIC', 'DECIMAL', 'FLOAT', 'DOUBLE'].some(t => upperType.includes(t));
+      let hasRange = isNumeric;
+      if (!isNumeric && (upperType === 'TEXT' || !upperType)) {
+        try {
+          const first = this.db.prepare(`SELECT ${quoted} as val FROM ${quotedTable} WHERE ${quoted} IS NOT NULL LIMIT 1`).get();
+          // Simple date pattern check (YYYY-MM-DD or similar)
+          hasRange = Boolean(first) && (/^\d{4}-\d{2}-\d{2}/.test(String(first.val)) || /^\d{1,2}\/\d{1,2}\/\d{2,4}/.test(String(first.val)));
+        } catch (err) {
+          // Skip date check if query fails
+        }
+      }
+      if (hasRange) {
+        try {
+          const range = this.db.prepare(
+            `SELECT MIN(${quoted}) as min_val, MAX(${quoted}) as max_val FROM ${quotedTable} WHERE ${quoted} IS NOT NULL`
+          ).get();
+          if (range.min_val !== null && range.min_val !== '') {
+            column.min = range.min_val;
+            column.max = range.max_val;
+          }
+        } catch (err) {
+          // Skip range if query fails
+        }
+      }
+
+      return column;
+    });
+
+    const profile = { table, rowCount, columns, profiledAt: new Date().toISOString() };
+    this.db.prepare(`
+      INSERT OR REPLACE INTO "${SCHEMA_PROFILE_TABLE}" (table_name, row_count, columns, profiled_at)
+      VALUES (?, ?, ?, ?)
+    `).run(table, rowCount, JSON.stringify(columns), profile.profiledAt);
+
+    // Views read the current data, so their profiles are redone after a table's
+    const views = this._viewNames();
+    if (!views.includes(table)) {
+      const remove = this.db.prepare(`DELETE FROM "${SCHEMA_PROFILE_TABLE}" WHERE table_name = ?`);
+      views.forEach(view => remove.run(view));
+    }
+
+    return profile;
+  }
+
+  /**
+   * Compute and store the schema profile of a table in a child process (see
+   * sqliteSchemaProfileRunner.js), as imports and snapshot restores do, so the
+   * scans don't block the server's event loop
+   * @param {string} table - Table name
+   * @returns {Promise<object>} { rowCount }
+   */
+  profileTableInChildProcess(table) {
+    if (!this.connected) {
+      return Promise.reject(new Error('Not connected. Call connect() first.'));
+    }
+
+    return this._runInChildProcess(SCHEMA_PROFILE_RUNNER_PATH, { config: this._childProcessConfig(), table }, PROFILE_RUNNER_TIMEOUT_MS)
+      .catch(err => {
+        throw new Error(err.timedOut ? `Profiling ${table} timed out` : `Failed to profile ${table}: ${err.message}`);
+      });
+  }
+
+  /**
+   * The config a child process opens this database with (see _runInChildProcess)
+   */
+  _childProcessConfig() {
+    return { tenantId: this.tenantId, basePath: this.basePath, filename: this.filename };
+  }
+
+  /**
+   * Get the stored schema profile of each table and view
+   * Tables without a profile (created before profiles existed, or changed with
+   * execute()) are profiled now; profiles of dropped tables are removed. Views
+   * that can no longer be read (their tables were dropped or changed) are left out.
+   * @param {object} options - { tables } to restrict the result to some tables
+   * @returns {Promise<object[]>} [{ table, rowCount, columns, profiledAt }]
+   */
+  async getSchemaProfile(options = {}) {
+    if (!this.connected) {
+      throw new Error('Not connected. Call connect() first.');
     }
 
-    // Get row counts for all tables to prioritize
-    const tableStats = [];
+    const views = this._viewNames();
+    const allTables = [...await this.getTables(), ...views];
+    const existing = new Set(allTables);
+    const stored = new Map();
+    for (const row of this.db.prepare(`SELECT * FROM "${SCHEMA_PROFILE_TABLE}"`).all()) {
+      if (!existing.has(row.table_name)) {
+        this.db.prepare(`DELETE FROM "${SCHEMA_PROFILE_TABLE}" WHERE table_name = ?`).run(row.table_name);
+        this.db.prepare(`DELETE FROM "${COLUMN_META_TABLE}" WHERE table_name = ?`).run(row.table_name);
+        continue;
+      }
+      stored.set(row.table_name, {
+        table: row.table_name,
+        rowCount: row.row_count,
+        columns: JSON.parse(row.columns),
+        profiledAt: row.profiled_at
+      });
+    }
+
+    let tables = allTables;
+    if (options.tables) {
+      const wanted = new Set(options.tables);
+      tables = tables.filter(t => wanted.has(t));
+    }
+
+    const profiles = [];
     for (const table of tables) {
+      if (stored.has(table)) {
+        profiles.push(stored.get(table));
+        continue;
+      }
       try {
-        const countResult = this.db.prepare(`SELECT COUNT(*) as count FROM "${table}"`).get();
-        tableStats.push({ name: table, rowCount: countResult.count });
+        profiles.push(this.profileTable(table));
       } catch (err) {
-        tableStats.push({ name: table, rowCount: 0 });
+        if (!views.includes(table)) {
+          throw err;
+        }
       }
     }
+    return profiles;
+  }
+
+  /**
+   * Drop every stored profile after a write statement. Which tables a statement
+   * changed can't be told reliably from its text (triggers, views, quoting), and
+   * imports, which profile their own table, don't write through execute().
+   */
+  _invalidateProfiles() {
+    this.db.prepare(`DELETE FROM "${SCHEMA_PROFILE_TABLE}"`).run();
+  }
+
+  /**
+   * Gather rich schema context for AI-powered querying
+   * Returns structured text describing all tables, columns, sample values, etc.,
+   * built from the stored schema profile (see getSchemaProfile).
+   * @param {object} options - Options for context gathering (maxTables, samplesPerColumn, tables)
+   * @returns {Promise<string>} Formatted schema context
+   */
+  async gatherSchemaContext(options = {}) {
+    if (!this.connected) {
+      throw new Error('Not connected. Call connect() first.');
+    }
+
+    const maxTables = options.maxTables || 20;
+    const samplesPerColumn = options.samplesPerColumn || PROFILE_SAMPLE_VALUES;
+
+    const profiles = await this.getSchemaProfile({ tables: options.tables });
+    if (profiles.length === 0) {
+      return 'No tables found in the database.';
+    }
+    const derived = new Map(this.listDerivedDatasets().map(dataset => [dataset.name, dataset]));
 
     // Sort by row count descending and limit
-    tableStats.sort((a, b) => b.rowCount - a.rowCount);
-    const selectedTables = tableStats.slice(0, maxTables);
+    const selectedTables = [...profiles].sort((a, b) => b.rowCount - a.rowCount).slice(0, maxTables);
 
     // Track column names across tables for relationship detection
     const columnsByName = new Map(); // columnName -> [tableName, ...]
 
     const contextParts = [];
 
-    for (const { name: table, rowCount } of selectedTables) {
-      const tableContext = [`TABLE: ${table} (${rowCount.toLocaleString()} rows)`];
+    for (const { table, rowCount, columns } of selectedTables) {
+      const dataset = derived.get(table);
+      const tableContext = [`${dataset && dataset.kind === 'view' ? 'VIEW' : 'TABLE'}: ${table} (${rowCount.toLocaleString()} rows)`];
+      if (dataset) {
+        const saved = dataset.kind === 'view' ? 'Saved view' : `Saved query result, refreshed ${dataset.refreshedAt.slice(0, 10)}`;
+        tableContext.push(`DESCRIPTION: ${saved}${dataset.description ? ` — ${dataset.description}` : ''}`);
+      }
       tableContext.push('COLUMNS:');
 
-      try {
-        const columns = await this.getColumns(table);
-
-        for (const col of columns) {
-          // Track for relationship detection
-          if (!columnsByName.has(col.name)) {
-            columnsByName.set(col.name, []);
-          }
-          columnsByName.get(col.name).push(table);
-
-          let colDesc = `  - ${col.name} (${col.type || 'TEXT'}`;
-          colDesc += col.nullable ? ', nullable' : ', not null';
-          if (col.primaryKey) colDesc += ', PRIMARY KEY';
-          colDesc += ')';
-
-          // Get cardinality (distinct count)
-          let cardinality = 0;
-          try {
-            const cardResult = this.db.prepare(
-              `SELECT COUNT(DISTINCT "${col.name}") as cnt FROM "${table}"`
-            ).get();
-            cardinality = cardResult.cnt;
-            colDesc += ` — ${cardinality.toLocaleString()} distinct values`;
-          } catch (err) {
-            // Skip if column access fails
-          }
-
-          // Get sample values for non-empty columns
-          try {
-            const sampleResult = this.db.prepare(
-              `SELECT DISTINCT "${col.name}" FROM "${table}" WHERE "${col.name}" IS NOT NULL AND "${col.name}" != '' LIMIT ?`
-            ).all(samplesPerColumn);
-
-            if (sampleResult.length > 0) {
-              const samples = sampleResult.map(r => {
-                const val = r[col.name];
-                if (typeof val === 'string') {
-                  // Truncate long strings
-                  const truncated = val.length > 30 ? val.substring(0, 30) + '...' : val;
-                  return `'${truncated}'`;
-                }
-                return String(val);
-              });
-              colDesc += ` — Sample: ${samples.join(', ')}`;
-            }
-          } catch (err) {
-            // Skip samples if query fails
-          }
-
-          // Get min/max for numeric and date-like columns
-          const upperType = (col.type || '').toUpperCase();
-          if (upperType.includes('INT') || upperType.includes('REAL') ||
-              upperType.includes('NUMERIC') || upperType.includes('DECIMAL') ||
-              upperType.includes('FLOAT') || upperType.includes('DOUBLE')) {
-            try {
-              const rangeResult = this.db.prepare(
-                `SELECT MIN("${col.name}") as min_val, MAX("${col.name}") as max_val FROM "${table}" WHERE "${col.name}" IS NOT NULL`
-              ).get();
-              if (rangeResult.min_val !== null) {
-                colDesc += ` — Range: ${rangeResult.min_val} to ${rangeResult.max_val}`;
-              }
-            } catch (err) {
-              // Skip range if query fails
-            }
-          }
+      for (const col of columns) {
+        // Track for relationship detection
+        if (!columnsByName.has(col.name)) {
+          columnsByName.set(col.name, []);
+        }
+        columnsByName.get(col.name).push(table);
 
-          // Check for date-like TEXT columns by looking at sample values
-          if (upperType === 'TEXT' || !upperType) {
-            try {
-              const dateCheck = this.db.prepare(
-                `SELECT "${col.name}" FROM "${table}" WHERE "${col.name}" IS NOT NULL LIMIT 1`
-              ).get();
-              if (dateCheck) {
-                const val = String(dateCheck[col.name]);
-                // Simple date pattern check (YYYY-MM-DD or similar)
-                if (/^\d{4}-\d{2}-\d{2}/.test(val) || /^\d{1,2}\/\d{1,2}\/\d{2,4}/.test(val)) {
-                  try {
-                    const rangeResult = this.db.prepare(
-                      `SELECT MIN("${col.name}") as min_val, MAX("${col.name}") as max_val FROM "${table}" WHERE "${col.name}" IS NOT NULL`
-                    ).get();
-                    if (rangeResult.min_val) {
-                      colDesc += ` — Range: ${rangeResult.min_val} to ${rangeResult.max_val}`;
-                    }
-                  } catch (err) {
-                    // Skip range if query fails
-                  }
-                }
-              }
-            } catch (err) {
-              // Skip date check if query fails
-            }
-          }
+        let colDesc = `  - ${col.name} (${col.type || 'TEXT'}`;
+        colDesc += col.nullable ? ', nullable' : ', not null';
+        if (col.primaryKey) colDesc += ', PRIMARY KEY';
+        colDesc += ')';
 
-          tableContext.push(colDesc);
+        if (col.distinctCount !== undefined) {
+          colDesc += ` — ${col.distinctCount.toLocaleString()} distinct values`;
         }
-      } catch (err) {
-        tableContext.push(`  (Error reading columns: ${err.message})`);
+        if (col.samples && col.samples.length > 0) {
+          const samples = col.samples.slice(0, samplesPerColumn)
+            .map(val => (typeof val === 'string' ? `'${val}'` : String(val)));
+          colDesc += ` — Sample: ${samples.join(', ')}`;
+        }
+        if (col.min !== undefined) {
+          colDesc += ` — Range: ${col.min} to ${col.max}`;
+        }
+        if (col.semanticType === 'DATE') {
+          colDesc += ' — ISO dates (YYYY-MM-DD)';
+        } else if (col.semanticType === 'DATETIME') {
+          colDesc += ' — ISO date-times (YYYY-MM-DD HH:MM:SS)';
+        }
+        if (col.unit) {
+          colDesc += ` — Unit: ${col.unit}`;
+        }
+        if (col.originalColumn) {
+          colDesc += ` — Original text in ${col.originalColumn}`;
+        }
+
+        tableContext.push(colDesc);
       }
 
       contextParts.push(tableContext.join('\n'));
@@ -644,8 +2417,8 @@ class FileDataSource extends DataSource {
     }
 
     // Add note if tables were truncated
-    if (tables.length > maxTables) {
-      contextParts.push(`\n(Showing ${maxTables} of ${tables.length} tables, sorted by row count)`);
+    if (profiles.length > maxTables) {
+      contextParts.push(`\n(Showing ${maxTables} of ${profiles.length} tables, sorted by row count)`);
     }
 
     return contextParts.join('\n\n');
@@ -96,6 +96,11 @@ class GatewayDataSource extends DataSource {
   getType() {
     return 'gateway';
   }
+
+  getDialect() {
+    // Queries run on the target database behind the gateway
+    return this.targetType;
+  }
 }
 
 module.exports = GatewayDataSource;
@@ -0,0 +1,167 @@
+/**
+ * Column overrides for file imports
+ *
+ * Imports detect each column's type from the first rows of the file. Callers can
+ * override that per column (keyed by the detected column name or the file's own
+ * header): set the type, rename the column, skip it, or give the format of a
+ * DATE or DATETIME column's dates. DATE columns are stored as ISO 8601 text
+ * (YYYY-MM-DD), DATETIME columns as YYYY-MM-DD HH:MM:SS.
+ */
+
+const COLUMN_TYPES = ['TEXT', 'INTEGER', 'REAL', 'DATE', 'DATETIME'];
+
+// Date formats tried when a DATE column has no dateFormat, in order of preference
+// (formats in the locale's day/month order come first, see matchingDateFormats)
+const DATE_FORMATS = [
+  'YYYY-MM-DD', 'YYYY/M/D', 'D/M/YYYY', 'M/D/YYYY', 'D.M.YYYY', 'D-M-YYYY', 'M-D-YYYY', 'D/M/YY', 'M/D/YY', 'D.M.YY'
+];
+
+const DATE_TOKENS = {
+  YYYY: { part: 'year', pattern: '(\\d{4})' },
+  YY: { part: 'year', pattern: '(\\d{2})' },
+  MM: { part: 'month', pattern: '(\\d{2})' },
+  M: { part: 'month', pattern: '(\\d{1,2})' },
+  DD: { part: 'day', pattern: '(\\d{2})' },
+  D: { part: 'day', pattern: '(\\d{1,2})' }
+};
+
+const compiledFormats = new Map();
+
+/**
+ * Compile a date format such as DD/MM/YYYY into a regex and the order of its parts
+ * @param {string} format - Format built from YYYY, YY, MM, M, DD, D and separators
+ * @returns {{ regex: RegExp, parts: string[] }}
+ */
+function compileDateFormat(format) {
+  if (compiledFormats.has(format)) {
+    return compiledFormats.get(format);
+  }
+
+  const parts = [];
+  const source = format.replace(/YYYY|YY|MM|M|DD|D|[^YMD]/g, (token) => {
+    if (DATE_TOKENS[token]) {
+      parts.push(DATE_TOKENS[token].part);
+      return DATE_TOKENS[token].pattern;
+    }
+    return token.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  });
+
+  if (['year', 'month', 'day'].some(part => parts.filter(p => p === part).length !== 1) || /[YMD]/.test(format.replace(/YYYY|YY|MM|M|DD|D/g, ''))) {
+    throw new Error(`Invalid date format "${format}". Use YYYY (or YY), MM (or M) and DD (or D) with separators, e.g. DD/MM/YYYY`);
+  }
+
+  const compiled = { regex: new RegExp(`^${source}$`), parts };
+  compiledFormats.set(format, compiled);
+  return compiled;
+}
+
+/**
+ * Parse a date in the given format
+ * @param {string} value - Date text
+ * @param {string} format - Date format (see compileDateFormat)
+ * @returns {string|null} YYYY-MM-DD, or null if the value doesn't match or isn't a real date
+ */
+function parseDate(value, format) {
+  const { regex, parts } = compileDateFormat(format);
+  const match = regex.exec(String(value).trim());
+  if (!match) {
+    return null;
+  }
+
+  const date = {};
+  parts.forEach((part, i) => {
+    date[part] = Number(match[i + 1]);
+  });
+  if (match[parts.indexOf('year') + 1].length === 2) {
+    date.year += date.year < 70 ? 2000 : 1900;
+  }
+
+  const parsed = new Date(Date.UTC(date.year, date.month - 1, date.day));
+  if (parsed.getUTCFullYear() !== date.year || parsed.getUTCMonth() !== date.month - 1 || parsed.getUTCDate() !== date.day) {
+    return null;
+  }
+  return parsed.toISOString().slice(0, 10);
+}
+
+/**
+ * Order of the day, month and year in a date format
+ * @param {string} format - Date format
+ * @returns {string} 'DMY', 'MDY' or 'YMD'
+ */
+function dateOrderOf(format) {
+  return compileDateFormat(format).parts.map(part => part[0].toUpperCase()).join('');
+}
+
+/**
+ * Date formats that every value matches
+ * @param {Array} values - Non-empty sample values
+ * @param {string} dateOrder - Preferred order for ambiguous dates ('DMY', 'MDY' or 'YMD')
+ * @param {function(string, string): *} parse - Parser to test with (defaults to parseDate)
+ * @returns {string[]} Matching DATE_FORMATS, in order of preference
+ */
+function matchingDateFormats(values, dateOrder = null, parse = parseDate) {
+  if (values.length === 0) {
+    return [];
+  }
+  const formats = DATE_FORMATS.filter(format => values.every(value => parse(value, format) !== null));
+  return formats
+    .map((format, i) => ({ format, rank: dateOrderOf(format) === dateOrder ? i - DATE_FORMATS.length : i }))
+    .sort((a, b) => a.rank - b.rank)
+    .map(({ format }) => format);
+}
+
+/**
+ * Check and normalize the overrides given for an import
+ * @param {object} overrides - { [column]: { type, rename, skip, dateFormat } }
+ * @returns {object} Overrides with upper-cased types
+ */
+function normalizeOverrides(overrides) {
+  if (!overrides) {
+    return {};
+  }
+  if (typeof overrides !== 'object' || Array.isArray(overrides)) {
+    throw new Error('Column overrides must be an object keyed by column name');
+  }
+
+  const normalized = {};
+  for (const [column, override] of Object.entries(overrides)) {
+    if (!override || typeof override !== 'object') {
+      throw new Error(`Override for column "${column}" must be an object`);
+    }
+
+    const unknown = Object.keys(override).filter(key => !['type', 'rename', 'skip', 'dateFormat'].includes(key));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown override for column "${column}": ${unknown.join(', ')}`);
+    }
+
+    const type = override.type ? String(override.type).toUpperCase() : undefined;
+    if (type && !COLUMN_TYPES.includes(type)) {
+      throw new Error(`Invalid type "${override.type}" for column "${column}". Use one of: ${COLUMN_TYPES.join(', ')}`);
+    }
+    if (override.dateFormat) {
+      if (type && type !== 'DATE' && type !== 'DATETIME') {
+        throw new Error(`dateFormat for column "${column}" requires type DATE or DATETIME`);
+      }
+      compileDateFormat(override.dateFormat);
+    }
+    if (override.rename !== undefined && (typeof override.rename !== 'string' || !override.rename.trim())) {
+      throw new Error(`rename for column "${column}" must be a non-empty string`);
+    }
+
+    normalized[column] = {
+      type: type || (override.dateFormat ? 'DATE' : undefined),
+      rename: override.rename,
+      skip: Boolean(override.skip),
+      dateFormat: override.dateFormat
+    };
+  }
+  return normalized;
+}
+
+module.exports = {
+  COLUMN_TYPES,
+  DATE_FORMATS,
+  parseDate,
+  matchingDateFormats,
+  normalizeOverrides
+};
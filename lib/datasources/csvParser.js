@@ -0,0 +1,255 @@
+/**
+ * Streaming CSV parser
+ *
+ * RFC 4180 parser used by FileDataSource to import delimited files without
+ * loading them into memory. Handles quoted fields with embedded delimiters,
+ * line breaks and "" escapes, CRLF/LF/CR line endings, and byte order marks.
+ * The text encoding comes from the BOM, then the caller, then a UTF-8 check of
+ * the first chunk (falling back to Windows-1252, which Excel uses for CSV).
+ */
+
+const QUOTE = 34;
+const LF = 10;
+const CR = 13;
+
+// A single field larger than this almost always means an unbalanced quote
+// swallowing the rest of the file
+const MAX_FIELD_LENGTH = 10 * 1024 * 1024;
+
+class CsvParser {
+  /**
+   * @param {object} options
+   * @param {string} options.delimiter - Field delimiter (defaults to ',')
+   */
+  constructor(options = {}) {
+    const delimiter = options.delimiter || ',';
+    if (delimiter.length !== 1 || delimiter === '"' || delimiter === '\n' || delimiter === '\r') {
+      throw new Error(`Invalid CSV delimiter: ${JSON.stringify(delimiter)}`);
+    }
+
+    this.delimiterCode = delimiter.charCodeAt(0);
+    this.row = [];
+    this.field = '';
+    this.quoted = false;      // Current field started with a quote
+    this.inQuotes = false;    // Inside a quoted section
+    this.pendingQuote = false; // Chunk ended on a quote inside a quoted field
+    this.pendingCR = false;    // Chunk ended on \r, so a leading \n is part of it
+    this.rowCount = 0;
+  }
+
+  /**
+   * Parse the next piece of text
+   * @param {string} text - Decoded text, split anywhere
+   * @returns {string[][]} Rows completed by this piece
+   */
+  push(text) {
+    const rows = [];
+    const len = text.length;
+    let i = 0;
+
+    if (len === 0) {
+      return rows;
+    }
+
+    if (this.pendingQuote) {
+      this.pendingQuote = false;
+      if (text.charCodeAt(0) === QUOTE) {
+        this.field += '"';
+        i = 1;
+      } else {
+        this.inQuotes = false;
+      }
+    } else if (this.pendingCR) {
+      this.pendingCR = false;
+      if (text.charCodeAt(0) === LF) {
+        i = 1;
+      }
+    }
+
+    while (i < len) {
+      if (this.inQuotes) {
+        const quote = text.indexOf('"', i);
+        if (quote === -1) {
+          this.field += text.slice(i);
+          i = len;
+        } else {
+          this.field += text.slice(i, quote);
+          if (quote + 1 === len) {
+            this.pendingQuote = true;
+            i = len;
+          } else if (text.charCodeAt(quote + 1) === QUOTE) {
+            this.field += '"';
+            i = quote + 2;
+          } else {
+            this.inQuotes = false;
+            i = quote + 1;
+          }
+        }
+        this._checkFieldLength();
+        continue;
+      }
+
+      const code = text.charCodeAt(i);
+
+      if (code === this.delimiterCode) {
+        this._endField();
+        i++;
+      } else if (code === LF || code === CR) {
+        this._endField();
+        this._endRow(rows);
+        if (code === CR) {
+          if (i + 1 === len) {
+            this.pendingCR = true;
+          } else if (text.charCodeAt(i + 1) === LF) {
+            i++;
+          }
+        }
+        i++;
+      } else if (code === QUOTE && !this.quoted && this.field.trim() === '') {
+        // Opening quote (whitespace before it is dropped, as in `a, "b"`)
+        this.field = '';
+        this.quoted = true;
+        this.inQuotes = true;
+        i++;
+      } else {
+        // Plain characters up to the next delimiter, line break or quote
+        let end = i + 1;
+        while (end < len) {
+          const c = text.charCodeAt(end);
+          if (c === this.delimiterCode || c === LF || c === CR || c === QUOTE) break;
+          end++;
+        }
+        this.field += text.slice(i, end);
+        this._checkFieldLength();
+        i = end;
+      }
+    }
+
+    return rows;
+  }
+
+  /**
+   * Finish parsing at end of input
+   * @returns {string[][]} The last row, if the input did not end with a line break
+   */
+  flush() {
+    const rows = [];
+
+    if (this.pendingQuote) {
+      this.pendingQuote = false;
+      this.inQuotes = false;
+    }
+    if (this.inQuotes) {
+      throw new Error(`CSV parse error: unterminated quoted field in row ${this.rowCount + 1}`);
+    }
+
+    if (this.field !== '' || this.quoted || this.row.length > 0) {
+      this._endField();
+      this._endRow(rows);
+    }
+
+    return rows;
+  }
+
+  _endField() {
+    this.row.push(this.field);
+    this.field = '';
+    this.quoted = false;
+  }
+
+  _endRow(rows) {
+    const row = this.row;
+    this.row = [];
+
+    // Skip blank lines
+    if (row.length === 1 && row[0] === '') {
+      return;
+    }
+
+    this.rowCount++;
+    rows.push(row);
+  }
+
+  _checkFieldLength() {
+    if (this.field.length > MAX_FIELD_LENGTH) {
+      throw new Error(`CSV parse error: field in row ${this.rowCount + 1} is larger than 10 MB (check for an unbalanced quote)`);
+    }
+  }
+}
+
+/**
+ * Work out the text encoding of a file from its first bytes
+ * @param {Buffer} head - First chunk of the file
+ * @param {string} [encoding] - Encoding requested by the caller (used when there is no BOM)
+ * @returns {string} Encoding label for TextDecoder
+ */
+function detectEncoding(head, encoding) {
+  if (head[0] === 0xEF && head[1] === 0xBB && head[2] === 0xBF) return 'utf-8';
+  if (head[0] === 0xFF && head[1] === 0xFE) return 'utf-16le';
+  if (head[0] === 0xFE && head[1] === 0xFF) return 'utf-16be';
+
+  if (encoding) {
+    return encoding;
+  }
+
+  try {
+    // stream: true so a multi-byte character cut off at the end is not an error
+    new TextDecoder('utf-8', { fatal: true }).decode(head, { stream: true });
+    return 'utf-8';
+  } catch (err) {
+    return 'windows-1252';
+  }
+}
+
+/**
+ * Create a decoder for an encoding label
+ * @param {string} encoding - Encoding label
+ * @returns {TextDecoder}
+ */
+function createDecoder(encoding) {
+  try {
+    // The BOM, if any, is stripped by the decoder
+    return new TextDecoder(encoding);
+  } catch (err) {
+    throw new Error(`Unsupported encoding: ${encoding}`);
+  }
+}
+
+/**
+ * Parse a byte stream into rows
+ * Yields the rows completed by each chunk, so memory use is bounded by the chunk size.
+ * @param {AsyncIterable<Buffer>} input - Readable stream of file bytes
+ * @param {object} options
+ * @param {string} options.delimiter - Field delimiter (defaults to ',')
+ * @param {string} options.encoding - Encoding to use when the file has no BOM
+ * @yields {{ rows: string[][], bytesRead: number, encoding: string }}
+ */
+async function* readCsvRows(input, options = {}) {
+  const parser = new CsvParser({ delimiter: options.delimiter });
+  let decoder = null;
+  let encoding = null;
+  let bytesRead = 0;
+
+  for await (const chunk of input) {
+    if (!decoder) {
+      encoding = detectEncoding(chunk, options.encoding);
+      decoder = createDecoder(encoding);
+    }
+    bytesRead += chunk.length;
+
+    const rows = parser.push(decoder.decode(chunk, { stream: true }));
+    if (rows.length > 0) {
+      yield { rows, bytesRead, encoding };
+    }
+  }
+
+  const rows = decoder ? parser.push(decoder.decode()) : [];
+  rows.push(...parser.flush());
+  yield { rows, bytesRead, encoding };
+}
+
+module.exports = {
+  CsvParser,
+  detectEncoding,
+  readCsvRows
+};
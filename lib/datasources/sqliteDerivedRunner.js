@@ -0,0 +1,38 @@
+const FileDataSource = require('./FileDataSource');
+
+/**
+ * SQLite derived dataset runner
+ *
+ * Builds a saved view or derived table and profiles it in a child process
+ * forked by FileDataSource.createDerivedDataset() and refreshDerivedDataset(),
+ * so running the dataset's SELECT and scanning its result don't block the
+ * server's event loop, and can be stopped by killing the process. The dataset
+ * is built and recorded in one transaction, so a killed build leaves the
+ * database as it was.
+ *
+ * Protocol: receives { dbPath, config, job } over IPC, where config locates the
+ * database for a FileDataSource and job is as for _runDerivedDatasetJob, and
+ * replies with { rowCount } or { error }, then exits.
+ */
+
+async function run({ config, job }) {
+  const ds = new FileDataSource(config);
+  await ds.connect();
+
+  try {
+    return ds._runDerivedDatasetJob(job);
+  } finally {
+    await ds.disconnect();
+  }
+}
+
+process.once('message', async (message) => {
+  let reply;
+  try {
+    reply = await run(message);
+  } catch (err) {
+    reply = { error: err.message };
+  }
+
+  process.send(reply, () => process.exit(0));
+});
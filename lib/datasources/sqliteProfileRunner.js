@@ -0,0 +1,50 @@
+const Database = require('better-sqlite3');
+const { profileDataQuality } = require('../dataProfiler');
+
+/**
+ * SQLite data-quality profile runner
+ *
+ * Profiles one table in a child process forked by
+ * FileDataSource.profileDataQuality(), so the profile's full-table scans don't
+ * block the server's event loop. The database is opened readonly.
+ *
+ * Protocol: receives { dbPath, table } over IPC and replies with the profile
+ * or { error }, then exits.
+ */
+
+async function run({ dbPath, table }) {
+  const db = new Database(dbPath, { readonly: true, fileMustExist: true });
+
+  try {
+    const exists = db.prepare(`SELECT 1 FROM sqlite_master WHERE type IN ('table', 'view') AND name = ?`).get(table);
+    if (!exists) {
+      throw new Error(`Table '${table}' not found`);
+    }
+
+    // The parts of the DataSource interface the profiler uses
+    const dataSource = {
+      async execute(sql, params = []) {
+        return { rows: db.prepare(sql).all(...params) };
+      },
+      async getColumns(name) {
+        return db.prepare(`PRAGMA table_info("${name.replace(/"/g, '""')}")`).all()
+          .map(col => ({ name: col.name, type: col.type }));
+      }
+    };
+
+    return await profileDataQuality(dataSource, table);
+  } finally {
+    db.close();
+  }
+}
+
+process.once('message', async (message) => {
+  let reply;
+  try {
+    reply = await run(message);
+  } catch (err) {
+    reply = { error: err.message };
+  }
+
+  process.send(reply, () => process.exit(0));
+});
@@ -0,0 +1,64 @@
+const Database = require('better-sqlite3');
+
+/**
+ * SQLite read-only query runner
+ *
+ * Runs one generated query in a child process forked by
+ * FileDataSource.executeReadOnly(), so a runaway query can be interrupted by
+ * killing the process. better-sqlite3 exposes neither sqlite3_interrupt() nor
+ * an authorizer callback, so the sandbox is built from what it does expose:
+ * - the database is opened with readonly: true and PRAGMA query_only
+ * - the statement must return rows and be readonly according to SQLite
+ *   (stmt.reader / stmt.readonly), which rules out writes and ATTACH/DETACH
+ * - PRAGMA statements are refused outright
+ *
+ * Protocol: receives { dbPath, sql, params, maxRows } over IPC and replies with
+ * { rows, columns, truncated } or { error }, then exits.
+ */
+
+function run({ dbPath, sql, params, maxRows }) {
+  const db = new Database(dbPath, { readonly: true, fileMustExist: true });
+
+  try {
+    db.pragma('query_only = ON');
+
+    if (/^\s*PRAGMA\b/i.test(sql)) {
+      throw new Error('PRAGMA statements are not allowed');
+    }
+
+    const stmt = db.prepare(sql);
+    if (!stmt.reader) {
+      throw new Error('Only statements that return rows are allowed');
+    }
+    if (!stmt.readonly) {
+      throw new Error('Only read-only statements are allowed');
+    }
+
+    const columns = stmt.columns().map(col => col.name);
+    const rows = [];
+    let truncated = false;
+
+    for (const row of stmt.iterate(...(params || []))) {
+      if (rows.length >= maxRows) {
+        truncated = true;
+        break;
+      }
+      rows.push(row);
+    }
+
+    return { rows, columns, truncated };
+  } finally {
+    db.close();
+  }
+}
+
+process.once('message', (message) => {
+  let reply;
+  try {
+    reply = run(message);
+  } catch (err) {
+    reply = { error: err.message };
+  }
+
+  process.send(reply, () => process.exit(0));
+});
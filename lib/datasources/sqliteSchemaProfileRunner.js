@@ -0,0 +1,35 @@
+const FileDataSource = require('./FileDataSource');
+
+/**
+ * SQLite schema profile runner
+ *
+ * Computes and stores a table's schema profile (see FileDataSource.profileTable)
+ * in a child process forked by FileDataSource.profileTableInChildProcess(), so
+ * the profile's COUNT(*) and per-column scans don't block the server's event loop
+ * after every import.
+ *
+ * Protocol: receives { dbPath, config, table } over IPC, where config locates the
+ * database for a FileDataSource, and replies with { rowCount } or { error }, then exits.
+ */
+
+async function run({ config, table }) {
+  const ds = new FileDataSource(config);
+  await ds.connect();
+
+  try {
+    return { rowCount: ds.profileTable(table).rowCount };
+  } finally {
+    await ds.disconnect();
+  }
+}
+
+process.once('message', async (message) => {
+  let reply;
+  try {
+    reply = await run(message);
+  } catch (err) {
+    reply = { error: err.message };
+  }
+
+  process.send(reply, () => process.exit(0));
+});
@@ -0,0 +1,211 @@
+/**
+ * Value normalization for file imports
+ *
+ * Text columns whose values are all dates, date-times or formatted numbers
+ * ("$1,234.50", "1.234,50 €", "(45.00)") are converted on import: dates to
+ * YYYY-MM-DD, date-times to YYYY-MM-DD HH:MM:SS (in UTC when the value has a
+ * time zone), and numbers to plain numbers, with the currency kept as the
+ * column's unit. The tenant's locale decides how ambiguous values are read:
+ * 1,234 vs 1.234 and 03/12/2024 as March or December.
+ */
+
+const { parseDate, matchingDateFormats } = require('./columnOverrides');
+
+// decimal/group separators, date order, and the currency "$" stands for
+const LOCALES = {
+  'en-US': { decimal: '.', group: [','], dateOrder: 'MDY', dollar: 'USD' },
+  'en-GB': { decimal: '.', group: [','], dateOrder: 'DMY', dollar: 'USD' },
+  'en-AU': { decimal: '.', group: [','], dateOrder: 'DMY', dollar: 'AUD' },
+  'de-DE': { decimal: ',', group: ['.'], dateOrder: 'DMY', dollar: 'USD' },
+  'de-CH': { decimal: '.', group: ["'", '\u2019'], dateOrder: 'DMY', dollar: 'USD' },
+  'fr-FR': { decimal: ',', group: [' ', '\u00a0', '\u202f'], dateOrder: 'DMY', dollar: 'USD' },
+  'es-ES': { decimal: ',', group: ['.'], dateOrder: 'DMY', dollar: 'USD' },
+  'it-IT': { decimal: ',', group: ['.'], dateOrder: 'DMY', dollar: 'USD' },
+  'nl-NL': { decimal: ',', group: ['.'], dateOrder: 'DMY', dollar: 'USD' },
+  'pt-BR': { decimal: ',', group: ['.'], dateOrder: 'DMY', dollar: 'USD' },
+  'ja-JP': { decimal: '.', group: [','], dateOrder: 'YMD', dollar: 'USD' }
+};
+const DEFAULT_LOCALE = 'en-US';
+
+const CURRENCY_SYMBOLS = {
+  'US$': 'USD', 'A$': 'AUD', 'C$': 'CAD', 'R$': 'BRL', 'CHF': 'CHF',
+  '€': 'EUR', '£': 'GBP', '¥': 'JPY', '₹': 'INR', '₩': 'KRW', '₽': 'RUB', 'kr': 'SEK'
+};
+const CURRENCY_CODES = ['USD', 'EUR', 'GBP', 'JPY', 'CHF', 'CAD', 'AUD', 'NZD', 'INR', 'BRL', 'CNY', 'SEK', 'NOK', 'DKK', 'MXN', 'ZAR'];
+
+const TIME_PATTERN = /^(\d{1,2}):(\d{2})(?::(\d{2})(?:[.,]\d+)?)?\s*([AaPp][Mm])?\s*(Z|[+-]\d{2}:?\d{2})?$/;
+
+const numberPatterns = new Map();
+
+/**
+ * Look up a locale's number and date conventions
+ * @param {string} code - Locale code, e.g. 'de-DE' (defaults to DEFAULT_LOCALE)
+ * @returns {object} { code, decimal, group, dateOrder, dollar }
+ */
+function getLocale(code) {
+  const name = code || DEFAULT_LOCALE;
+  if (!LOCALES[name]) {
+    throw new Error(`Unsupported locale "${code}". Use one of: ${Object.keys(LOCALES).join(', ')}`);
+  }
+  return { code: name, ...LOCALES[name] };
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function numberPattern(locale) {
+  if (!numberPatterns.has(locale.code)) {
+    const group = locale.group.map(escapeRegex).join('|');
+    const decimal = escapeRegex(locale.decimal);
+    numberPatterns.set(locale.code, new RegExp(`^(\\d{1,3}(?:(?:${group})\\d{3})+|\\d+)(?:${decimal}(\\d+))?$`));
+  }
+  return numberPatterns.get(locale.code);
+}
+
+/**
+ * Split a currency symbol or code off the start or end of a value
+ * @returns {{ unit: string|null, rest: string }}
+ */
+function splitCurrency(text, locale) {
+  const symbols = [
+    ...Object.entries(CURRENCY_SYMBOLS),
+    ...CURRENCY_CODES.map(code => [code, code]),
+    ['$', locale.dollar]
+  ].sort((a, b) => b[0].length - a[0].length);
+
+  for (const [symbol, unit] of symbols) {
+    if (text.startsWith(symbol)) {
+      return { unit, rest: text.slice(symbol.length).trim() };
+    }
+    if (text.endsWith(symbol)) {
+      return { unit, rest: text.slice(0, -symbol.length).trim() };
+    }
+  }
+  return { unit: null, rest: text };
+}
+
+/**
+ * Parse a number written for people: thousands separators, currency, (negatives)
+ * @param {string} value - e.g. "$1,234.50", "1.234,50 €", "(45.00)", "-EUR 12"
+ * @param {object} locale - From getLocale
+ * @returns {{ value: number, unit: string|null }|null} null if it isn't a number in this locale
+ */
+function parseNumber(value, locale) {
+  let text = String(value).trim();
+  let negative = false;
+
+  if (/^\(.+\)$/.test(text)) {
+    negative = true;
+    text = text.slice(1, -1).trim();
+  }
+  if (/^[-−]/.test(text)) {
+    negative = !negative;
+    text = text.slice(1).trim();
+  }
+
+  const { unit, rest } = splitCurrency(text, locale);
+  text = rest;
+  if (unit && /^[-−]/.test(text)) {
+    negative = !negative;
+    text = text.slice(1).trim();
+  }
+
+  const match = numberPattern(locale).exec(text);
+  if (!match) {
+    return null;
+  }
+
+  const digits = match[1].replace(/\D/g, '');
+  const number = Number(match[2] ? `${digits}.${match[2]}` : digits);
+  return { value: negative ? -number : number, unit };
+}
+
+/**
+ * Parse a date with an optional time ("2024-03-12T10:30:00Z", "12/03/2024 2:30 PM")
+ * @param {string} value - Date-time text
+ * @param {string} dateFormat - Format of the date part (see columnOverrides.js)
+ * @returns {string|null} YYYY-MM-DD HH:MM:SS (UTC if the value had a time zone), or null
+ */
+function parseDateTime(value, dateFormat) {
+  const text = String(value).trim();
+  const split = text.search(/[T ]\d{1,2}:/);
+  const date = parseDate(split === -1 ? text : text.slice(0, split), dateFormat);
+  if (!date) {
+    return null;
+  }
+  if (split === -1) {
+    return `${date} 00:00:00`;
+  }
+
+  const time = TIME_PATTERN.exec(text.slice(split + 1).trim());
+  if (!time) {
+    return null;
+  }
+
+  let hours = Number(time[1]);
+  const minutes = Number(time[2]);
+  const seconds = Number(time[3] || 0);
+  if (time[4]) {
+    if (hours < 1 || hours > 12) return null;
+    hours = (hours % 12) + (time[4].toUpperCase() === 'PM' ? 12 : 0);
+  }
+  if (hours > 23 || minutes > 59 || seconds > 59) {
+    return null;
+  }
+
+  const [year, month, day] = date.split('-').map(Number);
+  let timestamp = Date.UTC(year, month - 1, day, hours, minutes, seconds);
+  if (time[5] && time[5].toUpperCase() !== 'Z') {
+    const offset = time[5].replace(':', '');
+    const sign = offset[0] === '-' ? -1 : 1;
+    timestamp -= sign * (Number(offset.slice(1, 3)) * 60 + Number(offset.slice(3, 5))) * 60 * 1000;
+  }
+  return new Date(timestamp).toISOString().slice(0, 19).replace('T', ' ');
+}
+
+/**
+ * Work out whether a text column holds dates, date-times or formatted numbers
+ * @param {string[]} values - Non-empty sample values
+ * @param {object} locale - From getLocale
+ * @returns {object|null} { type: 'DATE'|'DATETIME', dateFormat, dateFormats, changesValues }
+ *   or { type: 'INTEGER'|'REAL', unit, changesValues }, or null to keep the column as text
+ */
+function detectNormalization(values, locale) {
+  if (values.length === 0) {
+    return null;
+  }
+
+  const dateFormats = matchingDateFormats(values, locale.dateOrder);
+  if (dateFormats.length > 0) {
+    const changesValues = values.some(value => parseDate(value, dateFormats[0]) !== value);
+    return { type: 'DATE', dateFormat: dateFormats[0], dateFormats, changesValues };
+  }
+
+  const dateTimeFormats = matchingDateFormats(values, locale.dateOrder, parseDateTime);
+  if (dateTimeFormats.length > 0) {
+    const changesValues = values.some(value => parseDateTime(value, dateTimeFormats[0]) !== value);
+    return { type: 'DATETIME', dateFormat: dateTimeFormats[0], dateFormats: dateTimeFormats, changesValues };
+  }
+
+  const numbers = values.map(value => parseNumber(value, locale));
+  if (numbers.every(Boolean)) {
+    const units = new Set(numbers.map(n => n.unit).filter(Boolean));
+    if (units.size > 1) {
+      return null;  // Mixed currencies can't share a column of plain numbers
+    }
+    const integers = numbers.every(n => Number.isInteger(n.value)) && !values.some(v => v.includes(locale.decimal));
+    return { type: integers && units.size === 0 ? 'INTEGER' : 'REAL', unit: [...units][0] || null, changesValues: true };
+  }
+
+  return null;
+}
+
+module.exports = {
+  LOCALES,
+  DEFAULT_LOCALE,
+  getLocale,
+  parseNumber,
+  parseDateTime,
+  detectNormalization
+};
@@ -1,4 +1,4 @@
-const Anthropic = require('@anthropic-ai/sdk');
+const { getProvider } = require('./llm');
 
 /**
  * Insight Generation Module
@@ -124,13 +124,14 @@ function parseInsightResponse(response) {
  * @param {Array} options.columns - Column names
  * @param {Array} options.rows - Result rows
  * @param {string} options.schemaContext - Schema context for the data source
- * @returns {Promise<object>} { insights: Array, usage: { inputTokens, outputTokens } }
+ * @param {LLMProvider} options.provider - Provider to use instead of the configured one
+ * @returns {Promise<object>} { insights: Array, usage: { inputTokens, outputTokens, model } }
  */
-async function generateInsights({ question, sql, columns, rows, schemaContext }) {
-  const apiKey = process.env.ANTHROPIC_API_KEY;
+async function generateInsights({ question, sql, columns, rows, schemaContext, provider }) {
+  const llm = provider || getProvider();
 
-  if (!apiKey) {
-    return { insights: [], usage: null, error: 'API key not configured' };
+  if (!llm) {
+    return { insights: [], usage: null, error: 'AI provider not configured' };
   }
 
   // Skip insight generation for very simple results
@@ -148,27 +149,21 @@ async function generateInsights({ question, sql, columns, rows, schemaContext })
     .replace('{schema_context}', schemaContext || 'No schema context available');
 
   try {
-    const anthropic = new Anthropic({ apiKey });
-
-    const message = await anthropic.messages.create({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 1000,
-      temperature: 0.3,
+    const reply = await llm.complete({
+      task: 'insights',
       system: 'You are a data analyst. Respond only with valid JSON.',
       messages: [
         { role: 'user', content: prompt }
-      ]
+      ],
+      maxTokens: 1000,
+      temperature: 0.3
     });
 
-    const responseText = message.content[0].text;
-    const insights = parseInsightResponse(responseText);
+    const insights = parseInsightResponse(reply.text);
 
     return {
       insights,
-      usage: {
-        inputTokens: message.usage.input_tokens,
-        outputTokens: message.usage.output_tokens
-      }
+      usage: reply.usage
     };
 
   } catch (err) {
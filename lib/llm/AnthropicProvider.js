@@ -0,0 +1,61 @@
+const Anthropic = require('@anthropic-ai/sdk');
+const LLMProvider = require('./LLMProvider');
+
+const DEFAULT_MODEL = 'claude-sonnet-4-20250514';
+
+/**
+ * Claude through the Anthropic API
+ *
+ * Config:
+ * - apiKey: Anthropic API key
+ * - model: Model to use (default DEFAULT_MODEL)
+ * - maxRetries, retryDelayMs: see LLMProvider
+ */
+class AnthropicProvider extends LLMProvider {
+  constructor(config = {}) {
+    super({ ...config, model: config.model || DEFAULT_MODEL });
+    if (!config.apiKey) {
+      throw new Error('Anthropic API key not configured');
+    }
+    // Retries are done by LLMProvider.complete, the same way for every provider
+    this.client = new Anthropic({ apiKey: config.apiKey, maxRetries: 0 });
+  }
+
+  async _complete({ system, messages, maxTokens = 1000, temperature = 0 }) {
+    const message = await this.client.messages.create({
+      model: this.model,
+      max_tokens: maxTokens,
+      temperature,
+      ...(system ? { system } : {}),
+      messages
+    });
+
+    return {
+      text: message.content[0].text,
+      usage: {
+        inputTokens: message.usage.input_tokens,
+        outputTokens: message.usage.output_tokens,
+        model: this.model
+      }
+    };
+  }
+
+  /**
+   * Rate limits, overload, server errors and dropped connections are retried;
+   * bad requests and authentication failures are not
+   */
+  isRetryable(err) {
+    if (err instanceof Anthropic.APIConnectionError) {
+      return true;
+    }
+    return [408, 409, 429].includes(err.status) || err.status >= 500;
+  }
+
+  getType() {
+    return 'anthropic';
+  }
+}
+
+AnthropicProvider.DEFAULT_MODEL = DEFAULT_MODEL;
+
+module.exports = AnthropicProvider;
@@ -0,0 +1,80 @@
+/**
+ * Abstract LLM Provider Interface
+ *
+ * Every AI call in the app goes through a provider, so the model can be chosen in
+ * one place, transient failures are retried the same way everywhere, and each
+ * reply reports the tokens it used for credit accounting.
+ * - AnthropicProvider: Claude through the Anthropic API
+ * - StubProvider: deterministic local replies, for running and testing offline
+ */
+class LLMProvider {
+  /**
+   * @param {object} config
+   * @param {string} config.model - Model to use
+   * @param {number} config.maxRetries - Retries after a retryable failure (default 2)
+   * @param {number} config.retryDelayMs - Delay before the first retry, doubled each time (default 1000)
+   */
+  constructor(config = {}) {
+    if (new.target === LLMProvider) {
+      throw new Error('LLMProvider is abstract and cannot be instantiated directly');
+    }
+    this.config = config;
+    this.model = config.model;
+    this.maxRetries = config.maxRetries ?? 2;
+    this.retryDelayMs = config.retryDelayMs ?? 1000;
+  }
+
+  /**
+   * Get a reply, retrying failures that isRetryable() allows
+   * @param {object} request
+   * @param {string} request.task - What the reply is for ('sql', 'insights', 'analysis_plan',
+   *   'analysis_summary', 'dashboard', 'dashboard_prompts', 'suggestions' or 'explanation')
+   * @param {string} request.system - System prompt (optional)
+   * @param {object[]} request.messages - [{ role: 'user'|'assistant', content }]
+   * @param {number} request.maxTokens - Longest reply allowed
+   * @param {number} request.temperature - Sampling temperature
+   * @returns {Promise<{text: string, usage: {inputTokens: number, outputTokens: number, model: string}}>}
+   */
+  async complete(request) {
+    for (let retry = 0; ; retry++) {
+      try {
+        return await this._complete(request);
+      } catch (err) {
+        if (retry >= this.maxRetries || !this.isRetryable(err)) {
+          throw err;
+        }
+        const delay = this.retryDelayMs * 2 ** retry;
+        console.warn(`[LLM] ${request.task} failed (${err.message}), retrying in ${delay}ms`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  /**
+   * Get a single reply (no retries)
+   * @param {object} request - As in complete()
+   * @returns {Promise<{text: string, usage: {inputTokens: number, outputTokens: number, model: string}}>}
+   */
+  async _complete(request) {
+    throw new Error('_complete() must be implemented by subclass');
+  }
+
+  /**
+   * Whether a failed request is worth trying again
+   * @param {Error} err - The failure
+   * @returns {boolean}
+   */
+  isRetryable(err) {
+    return false;
+  }
+
+  /**
+   * Get provider type identifier
+   * @returns {string}
+   */
+  getType() {
+    throw new Error('getType() must be implemented by subclass');
+  }
+}
+
+module.exports = LLMProvider;
@@ -0,0 +1,237 @@
+const LLMProvider = require('./LLMProvider');
+
+/**
+ * Deterministic local replies, for running and testing the app without network
+ * access or an API key (LLM_PROVIDER=stub)
+ *
+ * Replies are built from the prompt alone, so the same prompt always gets the same
+ * reply: SQL questions are answered with a breakdown of the table the question
+ * names (or the largest table), and plans, dashboards and suggestions ask about
+ * the tables in the schema. Token usage is estimated from the text's length.
+ */
+class StubProvider extends LLMProvider {
+  constructor(config = {}) {
+    super({ ...config, model: config.model || 'stub' });
+  }
+
+  async _complete({ task, system = '', messages }) {
+    const reply = REPLIES[task];
+    if (!reply) {
+      throw new Error(`The stub provider has no reply for task "${task}"`);
+    }
+
+    const prompt = [system, ...messages.map(message => message.content)].join('\n');
+    const text = reply({ system, messages, prompt, tables: parseSchema(prompt) });
+    return {
+      text,
+      usage: {
+        inputTokens: estimateTokens(prompt),
+        outputTokens: estimateTokens(text),
+        model: this.model
+      }
+    };
+  }
+
+  getType() {
+    return 'stub';
+  }
+}
+
+function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+/**
+ * Read the tables and columns from schema context (see gatherSchemaContext)
+ * @returns {object[]} [{ name, columns: [{ name, type, primaryKey }], category, measure }]
+ */
+function parseSchema(text) {
+  const tables = [];
+  for (const line of text.split('\n')) {
+    const table = /^(?:TABLE|VIEW): (.+?) \(/.exec(line);
+    if (table) {
+      tables.push({ name: table[1], columns: [] });
+      continue;
+    }
+    const column = /^ {2}- (.+?) \((\w+)([^)]*)\)/.exec(line);
+    if (column && tables.length > 0) {
+      tables[tables.length - 1].columns.push({
+        name: column[1],
+        type: column[2].toUpperCase(),
+        primaryKey: column[3].includes('PRIMARY KEY')
+      });
+    }
+  }
+
+  for (const table of tables) {
+    table.category = table.columns.find(col => col.type === 'TEXT' || col.type.startsWith('VARCHAR'));
+    table.measure = table.columns.find(col => !col.primaryKey && /INT|REAL|NUMERIC|DECIMAL|DOUBLE|FLOAT/.test(col.type));
+  }
+  return tables;
+}
+
+/**
+ * The table a question is about: the first one it names, or else the first listed
+ */
+function findTable(tables, question) {
+  const text = question.toLowerCase();
+  return tables.find(table => text.includes(table.name.toLowerCase())) || tables[0];
+}
+
+/**
+ * Questions about a table, in the order dashboards and suggestions use them
+ * @returns {object[]} [{ question, viz, size, category }]
+ */
+function tableQuestions(table) {
+  const questions = [{ question: `How many rows are in ${table.name}?`, viz: 'single_number', size: 'small', category: 'summary' }];
+  if (table.category && table.measure) {
+    const breakdown = `What is the total ${table.measure.name} by ${table.category.name} in ${table.name}?`;
+    questions.push(
+      { question: breakdown, viz: 'bar_chart', size: 'large', category: 'ranking' },
+      { question: breakdown, viz: 'pie_chart', size: 'medium', category: 'comparison' }
+    );
+  }
+  questions.push({ question: `Show the rows in ${table.name}`, viz: 'table', size: 'full_width', category: 'summary' });
+  return questions;
+}
+
+/**
+ * Up to count questions across the tables, repeating them if there are too few
+ */
+function schemaQuestions(tables, count) {
+  const questions = tables.flatMap(tableQuestions);
+  if (questions.length === 0) {
+    return [];
+  }
+  return Array.from({ length: count }, (_, i) => questions[i % questions.length]);
+}
+
+function quote(name) {
+  return `"${name.replace(/"/g, '""')}"`;
+}
+
+/**
+ * SQL and a chart type for a question about a table
+ */
+function answerQuestion(table, question) {
+  if (!table) {
+    return { explanation: 'There are no tables to query.', sql: 'SELECT 1 AS "no_data"', viz: 'table' };
+  }
+  if (/^show/i.test(question.trim())) {
+    return {
+      explanation: `Lists the rows in ${table.name}.`,
+      sql: `SELECT * FROM ${quote(table.name)} LIMIT 100`,
+      viz: 'table'
+    };
+  }
+  if (table.category && table.measure && !/^how many rows/i.test(question.trim())) {
+    const total = `total_${table.measure.name}`;
+    return {
+      explanation: `Adds up ${table.measure.name} for each ${table.category.name} in ${table.name}, largest first.`,
+      sql: `SELECT ${quote(table.category.name)} AS ${quote(table.category.name)}, SUM(${quote(table.measure.name)}) AS ${quote(total)} FROM ${quote(table.name)} GROUP BY 1 ORDER BY 2 DESC LIMIT 10`,
+      viz: 'bar_chart'
+    };
+  }
+  return {
+    explanation: `Counts the rows in ${table.name}.`,
+    sql: `SELECT COUNT(*) AS "row_count" FROM ${quote(table.name)}`,
+    viz: 'single_number'
+  };
+}
+
+function sqlReply({ explanation, sql, viz }, fix) {
+  return `${fix ? `FIX:\n${fix}\n\n` : ''}EXPLANATION:
+${explanation}
+
+ASSUMPTIONS:
+None
+
+SQL:
+\`\`\`sql
+${sql}
+\`\`\`
+
+VISUALIZATION:
+${viz} (offline reply)
+
+VISUALIZATION_TYPE:
+${viz}`;
+}
+
+// Reply builders, keyed by task
+const REPLIES = {
+  sql({ messages, tables }) {
+    const question = messages[0].content.split("USER'S FOLLOW-UP QUESTION:\n").pop();
+    const table = findTable(tables, question);
+    if (messages.length > 1) {
+      return sqlReply(answerQuestion(table, 'show'), 'Fell back to listing the rows of the table.');
+    }
+    return sqlReply(answerQuestion(table, question));
+  },
+
+  insights({ prompt }) {
+    const question = (/User asked: "(.*)"/.exec(prompt) || [])[1] || '';
+    const [, rowCount = '0', columns = ''] = /Query returned (\d+) rows with columns: (.*)/.exec(prompt) || [];
+    return JSON.stringify([{
+      type: 'trend',
+      severity: 'info',
+      title: `${rowCount} rows for "${question}"`.slice(0, 80),
+      description: `The query returned ${rowCount} rows with columns ${columns}.`,
+      evidence: { metric: 'rows', comparison: rowCount, delta: '0' }
+    }]);
+  },
+
+  analysis_plan({ tables }) {
+    const questions = [...new Set(schemaQuestions(tables, tables.length * 2).map(q => q.question))].slice(0, 10);
+    return JSON.stringify(questions.map(question => ({
+      question,
+      rationale: 'Offline plan built from the schema',
+      estimated_complexity: 'simple'
+    })));
+  },
+
+  analysis_summary({ prompt }) {
+    const count = (prompt.match(/"title":/g) || []).length;
+    return `The analysis found ${count} ${count === 1 ? 'insight' : 'insights'} (offline summary). Review individual findings for details.`;
+  },
+
+  dashboard({ messages, tables }) {
+    const positions = ['top_left', 'top_right', 'middle_left', 'middle_right', 'bottom_left', 'bottom_right'];
+    return JSON.stringify({
+      dashboard_name: messages[messages.length - 1].content.slice(0, 60),
+      dashboard_description: 'Built offline from the schema',
+      widgets: schemaQuestions(tables, 4).map((q, i) => ({
+        question: q.question,
+        suggested_viz: q.viz,
+        size: q.size,
+        position_hint: positions[i]
+      }))
+    });
+  },
+
+  dashboard_prompts({ tables }) {
+    const name = tables.length > 0 ? tables[0].name : 'the data';
+    return JSON.stringify([
+      `An overview of ${name} with its key totals`,
+      `A breakdown of ${name} by category`,
+      `A detailed listing of the rows in ${name}`
+    ]);
+  },
+
+  suggestions({ tables }) {
+    return JSON.stringify(schemaQuestions(tables, 6).map(q => ({
+      question: q.question,
+      category: q.category,
+      complexity: 'simple',
+      business_value: 'Suggested offline from the schema'
+    })));
+  },
+
+  explanation({ prompt }) {
+    const question = (/ORIGINAL QUESTION:\n(.*)/.exec(prompt) || [])[1] || 'the question';
+    const rowCount = (/"rowCount": (\d+)/.exec(prompt) || [])[1] || '0';
+    return `These ${rowCount} rows answer "${question}" (offline explanation).`;
+  }
+};
+
+module.exports = StubProvider;
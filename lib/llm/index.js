@@ -0,0 +1,49 @@
+const LLMProvider = require('./LLMProvider');
+const AnthropicProvider = require('./AnthropicProvider');
+const StubProvider = require('./StubProvider');
+
+const PROVIDER_TYPES = ['anthropic', 'stub'];
+
+/**
+ * Create an LLM provider based on configuration
+ * @param {object} config - Provider configuration ({ type, model, apiKey, maxRetries, retryDelayMs })
+ * @returns {LLMProvider}
+ */
+function createProvider(config) {
+  const { type, ...rest } = config;
+
+  switch (type) {
+    case 'anthropic':
+      return new AnthropicProvider(rest);
+    case 'stub':
+      return new StubProvider(rest);
+    default:
+      throw new Error(`Unknown LLM provider: ${type}. Use one of: ${PROVIDER_TYPES.join(', ')}`);
+  }
+}
+
+/**
+ * The provider configured by the environment: LLM_PROVIDER (default anthropic),
+ * LLM_MODEL and, for anthropic, ANTHROPIC_API_KEY
+ * @returns {LLMProvider|null} null if the anthropic provider has no API key
+ */
+function getProvider() {
+  const type = process.env.LLM_PROVIDER || 'anthropic';
+  if (type === 'anthropic' && !process.env.ANTHROPIC_API_KEY) {
+    return null;
+  }
+  return createProvider({
+    type,
+    model: process.env.LLM_MODEL || undefined,
+    apiKey: process.env.ANTHROPIC_API_KEY
+  });
+}
+
+module.exports = {
+  LLMProvider,
+  AnthropicProvider,
+  StubProvider,
+  PROVIDER_TYPES,
+  createProvider,
+  getProvider
+};
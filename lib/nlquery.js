@@ -1,4 +1,5 @@
-const Anthropic = require('@anthropic-ai/sdk');
+const { validateSQL } = require('./sqlValidator');
+const { getProvider } = require('./llm');
 
 /**
  * Natural Language Query Module
@@ -6,30 +7,92 @@ const Anthropic = require('@anthropic-ai/sdk');
  * Handles AI-powered data querying using Claude to generate SQL from natural language.
  */
 
-// Dangerous SQL keywords that should never appear in generated queries
-const DANGEROUS_KEYWORDS = [
-  'DELETE', 'UPDATE', 'INSERT', 'DROP', 'ALTER', 'CREATE',
-  'TRUNCATE', 'GRANT', 'REVOKE', 'EXEC', 'EXECUTE'
+// SQL dialects the prompt can target, keyed by DataSource.getDialect()
+// - syntaxRule / formattingRule: dialect-specific prompt rules
+// - examples: idiomatic snippets for the things Claude most often gets wrong per dialect
+const DIALECTS = {
+  sqlite: {
+    name: 'SQLite',
+    syntaxRule: 'Use SQLite syntax — it supports common SQL features but NOT window functions with QUALIFY, PIVOT, etc.',
+    formattingRule: 'Use CAST() or printf() for formatting numbers when needed.',
+    examples: [
+      `Group by month: SELECT strftime('%Y-%m', "order_date") AS "month", SUM("total") AS "revenue" FROM "orders" GROUP BY 1 ORDER BY 1`,
+      `Last 30 days: WHERE "order_date" >= date('now', '-30 days')`,
+      `Case-insensitive match: WHERE "region" LIKE '%west%' (LIKE is case-insensitive for ASCII)`
+    ]
+  },
+  postgres: {
+    name: 'PostgreSQL',
+    syntaxRule: 'Use PostgreSQL syntax — date_trunc(), EXTRACT(), ILIKE, FILTER (WHERE ...) and window functions are available.',
+    formattingRule: 'Use CAST(), ::numeric and ROUND(value, 2) for formatting numbers when needed.',
+    examples: [
+      `Group by month: SELECT to_char(date_trunc('month', "order_date"), 'YYYY-MM') AS "month", SUM("total") AS "revenue" FROM "orders" GROUP BY 1 ORDER BY 1`,
+      `Last 30 days: WHERE "order_date" >= CURRENT_DATE - INTERVAL '30 days'`,
+      `Case-insensitive match: WHERE "region" ILIKE '%west%'`,
+      `Rounding: ROUND(AVG("total")::numeric, 2) (ROUND with a precision needs numeric, not double precision)`
+    ]
+  },
+  mysql: {
+    name: 'MySQL',
+    syntaxRule: 'Use MySQL 8 syntax — DATE_FORMAT(), YEAR(), IFNULL() and window functions are available, but NOT FULL OUTER JOIN, ILIKE or FILTER (WHERE ...). Double-quoted names are identifiers (ANSI_QUOTES is on), so use single quotes for strings.',
+    formattingRule: 'Use CAST(), ROUND(value, 2) or FORMAT() for formatting numbers when needed.',
+    examples: [
+      `Group by month: SELECT DATE_FORMAT("order_date", '%Y-%m') AS "month", SUM("total") AS "revenue" FROM "orders" GROUP BY 1 ORDER BY 1`,
+      `Last 30 days: WHERE "order_date" >= CURDATE() - INTERVAL 30 DAY`,
+      `String concatenation: CONCAT("first_name", ' ', "last_name") (|| is logical OR in MySQL)`
+    ]
+  }
+};
+
+// Chart types a result can be shown as
+const VISUALIZATION_TYPES = [
+  'table', 'bar_chart', 'line_chart', 'pie_chart', 'scatter_plot', 'area_chart',
+  'heatmap', 'single_number', 'grouped_bar_chart'
 ];
 
+// When generated SQL is rejected or fails, the error goes back to Claude for a
+// corrected query, up to this many times (options.maxRepairAttempts)
+const MAX_REPAIR_ATTEMPTS = 2;
+const REPAIRABLE_ERRORS = ['sql_validation_error', 'sql_execution_error'];
+
+const REPAIR_PROMPT = `That SQL did not work.
+
+SQL:
+\`\`\`sql
+{sql}
+\`\`\`
+
+ERROR ({error_type}):
+{error}
+
+Write a corrected query that answers the same question. Start your reply with
+
+FIX:
+[One sentence on what was wrong and what you changed]
+
+then respond in the same format as before (EXPLANATION, ASSUMPTIONS, SQL, VISUALIZATION, VISUALIZATION_TYPE).`;
+
 // System prompt template for Claude
-const SYSTEM_PROMPT = `You are a data analyst assistant. You help users explore their data by writing SQLite SQL queries.
+const SYSTEM_PROMPT = `You are a data analyst assistant. You help users explore their data by writing {dialect} SQL queries.
 
 You have access to the following database schema:
 
 {schema_context}
 
 RULES:
-1. Write a single SQLite-compatible SQL query that answers the user's question.
-2. Always use double quotes around table and column names to handle spaces and special characters (common in CSV uploads).
-3. Use SQLite syntax — it supports common SQL features but NOT window functions with QUALIFY, PIVOT, etc.
+1. Write a single {dialect}-compatible SQL query that answers the user's question.
+2. Always use double quotes around table and column names to handle spaces and special characters (common in CSV uploads). Use table names exactly as listed in the schema, without a schema or database prefix.
+3. {syntax_rule}
 4. If the question is ambiguous, make reasonable assumptions and state them.
 5. Limit results to 1000 rows maximum (add LIMIT 1000 if no limit specified).
 6. For aggregations, always include meaningful column aliases using AS.
 7. If the question cannot be answered with the available data, explain why and suggest what data would be needed.
 8. Never use DELETE, UPDATE, INSERT, DROP, ALTER, or any DDL/DML. SELECT queries only.
 9. For percentage calculations, multiply by 100.0 to get a proper percentage.
-10. Use CAST() or printf() for formatting numbers when needed.
+10. {formatting_rule}
+
+{dialect} EXAMPLES:
+{examples}
 
 Respond in this exact format:
 
@@ -41,15 +104,44 @@ ASSUMPTIONS:
 
 SQL:
 \`\`\`sql
-[Your SQLite SQL query here]
+[Your {dialect} SQL query here]
 \`\`\`
 
 VISUALIZATION:
-[Recommend the single best visualization type for this result from: table, bar_chart, line_chart, pie_chart, scatter_plot, area_chart, heatmap, single_number, grouped_bar_chart. Explain in one sentence why this visualization fits.]
+[Recommend the single best visualization type for this result from: ${VISUALIZATION_TYPES.join(', ')}. Explain in one sentence why this visualization fits.]
 
 VISUALIZATION_TYPE:
 [Just the type name from the list above, nothing else — this line is for programmatic parsing]`;
 
+/**
+ * Resolve the SQL dialect for a data source
+ * @param {object} dataSource - DataSource instance
+ * @returns {string} Dialect key in DIALECTS
+ */
+function getDialect(dataSource) {
+  const dialect = dataSource.getDialect();
+  if (!DIALECTS[dialect]) {
+    throw new Error(`Unsupported SQL dialect: ${dialect}`);
+  }
+  return dialect;
+}
+
+/**
+ * Build the system prompt for a dialect
+ * @param {string} schemaContext - Schema context for the data source
+ * @param {string} dialect - Dialect key in DIALECTS
+ * @returns {string} System prompt
+ */
+function buildSystemPrompt(schemaContext, dialect = 'sqlite') {
+  const spec = DIALECTS[dialect] || DIALECTS.sqlite;
+  return SYSTEM_PROMPT
+    .replace(/\{dialect\}/g, spec.name)
+    .replace('{syntax_rule}', spec.syntaxRule)
+    .replace('{formatting_rule}', spec.formattingRule)
+    .replace('{examples}', spec.examples.map(example => `- ${example}`).join('\n'))
+    .replace('{schema_context}', () => schemaContext);
+}
+
 /**
  * Parse Claude's response to extract components
  * @param {string} response - Raw response from Claude
@@ -57,6 +149,7 @@ VISUALIZATION_TYPE:
  */
 function parseResponse(response) {
   const result = {
+    fix: '',
     explanation: '',
     assumptions: '',
     sql: '',
@@ -66,6 +159,12 @@ function parseResponse(response) {
   };
 
   try {
+    // Extract what a repair attempt changed
+    const fixMatch = response.match(/FIX:\s*([\s\S]*?)(?=\nEXPLANATION:)/i);
+    if (fixMatch) {
+      result.fix = fixMatch[1].trim();
+    }
+
     // Extract explanation
     const explanationMatch = response.match(/EXPLANATION:\s*([\s\S]*?)(?=\nASSUMPTIONS:)/i);
     if (explanationMatch) {
@@ -102,119 +201,34 @@ function parseResponse(response) {
   return result;
 }
 
-/**
- * Validate SQL for safety with enhanced injection detection
- * @param {string} sql - SQL query to validate
- * @returns {object} { valid: boolean, error?: string }
- */
-function validateSQL(sql) {
-  if (!sql || sql.trim().length === 0) {
-    return { valid: false, error: 'No SQL query was generated' };
-  }
-
-  const upperSQL = sql.toUpperCase();
-  const trimmedSQL = sql.trim();
-
-  // Check for dangerous keywords
-  for (const keyword of DANGEROUS_KEYWORDS) {
-    // Match keyword as a whole word
-    const regex = new RegExp(`\\b${keyword}\\b`, 'i');
-    if (regex.test(upperSQL)) {
-      return { valid: false, error: `Query contains forbidden keyword: ${keyword}` };
-    }
-  }
-
-  // Must start with SELECT or WITH (for CTEs)
-  if (!upperSQL.trimStart().startsWith('SELECT') && !upperSQL.trimStart().startsWith('WITH')) {
-    return { valid: false, error: 'Only SELECT queries are allowed' };
-  }
-
-  // Enhanced injection detection patterns
-  const injectionPatterns = [
-    // Semicolon-based injection (statement stacking)
-    { pattern: /;\s*(DROP|DELETE|INSERT|UPDATE|ALTER|CREATE|TRUNCATE|GRANT|REVOKE)/i, error: 'SQL injection detected: statement stacking' },
-    { pattern: /;\s*--/i, error: 'SQL injection detected: comment after semicolon' },
-    { pattern: /;\s*\/\*/i, error: 'SQL injection detected: block comment after semicolon' },
-
-    // UNION-based injection
-    { pattern: /UNION\s+(ALL\s+)?SELECT\s+NULL/i, error: 'SQL injection detected: UNION NULL injection' },
-    { pattern: /UNION\s+(ALL\s+)?SELECT\s+\d+\s*,/i, error: 'SQL injection detected: UNION number injection' },
-
-    // Comment-based bypass attempts
-    { pattern: /--\s*$/m, error: 'SQL injection detected: trailing comment' },
-    { pattern: /\/\*.*\*\/\s*(DROP|DELETE|INSERT|UPDATE|ALTER)/i, error: 'SQL injection detected: comment bypass' },
-
-    // Time-based blind injection
-    { pattern: /WAITFOR\s+DELAY/i, error: 'SQL injection detected: time-based injection' },
-    { pattern: /SLEEP\s*\(/i, error: 'SQL injection detected: time-based injection' },
-    { pattern: /BENCHMARK\s*\(/i, error: 'SQL injection detected: time-based injection' },
-
-    // Boolean-based blind injection patterns
-    { pattern: /OR\s+1\s*=\s*1/i, error: 'SQL injection detected: boolean injection' },
-    { pattern: /OR\s+'[^']*'\s*=\s*'[^']*'/i, error: 'SQL injection detected: boolean injection' },
-    { pattern: /AND\s+1\s*=\s*0/i, error: 'SQL injection detected: boolean injection' },
-
-    // SQLite-specific attacks
-    { pattern: /ATTACH\s+DATABASE/i, error: 'SQL injection detected: database attach' },
-    { pattern: /DETACH\s+DATABASE/i, error: 'SQL injection detected: database detach' },
-    { pattern: /sqlite_master/i, error: 'SQL injection detected: schema access attempt' },
-    { pattern: /sqlite_schema/i, error: 'SQL injection detected: schema access attempt' },
-
-    // File operations
-    { pattern: /INTO\s+OUTFILE/i, error: 'SQL injection detected: file write attempt' },
-    { pattern: /LOAD_FILE/i, error: 'SQL injection detected: file read attempt' },
-    { pattern: /readfile\s*\(/i, error: 'SQL injection detected: file read attempt' },
-
-    // Hex/char encoding bypass
-    { pattern: /0x[0-9a-fA-F]{6,}/i, error: 'SQL injection detected: hex encoding' },
-    { pattern: /CHAR\s*\(\s*\d+\s*(,\s*\d+\s*)+\)/i, error: 'SQL injection detected: char encoding' },
-  ];
-
-  for (const { pattern, error } of injectionPatterns) {
-    if (pattern.test(sql)) {
-      console.warn(`SQL validation failed: ${error}`, sql.substring(0, 200));
-      return { valid: false, error };
-    }
-  }
-
-  // Check for multiple statements (allow semicolon only at the end)
-  const semicolonIndex = trimmedSQL.indexOf(';');
-  if (semicolonIndex !== -1 && semicolonIndex !== trimmedSQL.length - 1) {
-    return { valid: false, error: 'Multiple SQL statements are not allowed' };
-  }
-
-  // Check for unbalanced quotes (potential injection)
-  const singleQuotes = (sql.match(/'/g) || []).length;
-  const doubleQuotes = (sql.match(/"/g) || []).length;
-  if (singleQuotes % 2 !== 0) {
-    return { valid: false, error: 'SQL syntax error: unbalanced single quotes' };
-  }
-
-  return { valid: true };
-}
-
 /**
  * Ask a natural language question about the data
  * @param {object} dataSource - Connected DataSource instance
  * @param {string} question - User's question in natural language
- * @param {object} options - Additional options
- * @returns {Promise<object>} Query result with explanation, SQL, and data
+ * @param {object} options - Additional options (timeout, allowedTables, conversationContext
+ *   ({ turns }, see conversations.contextTurns), relationshipsContext, maxRepairAttempts, onProgress(stage, data), called with
+ *   'sql' when Claude returns SQL and 'executing' before it runs, and provider, an
+ *   LLMProvider to use instead of the configured one)
+ * @returns {Promise<object>} Query result with explanation, SQL, and data, and the
+ *   tokens used by every SQL generation as usage { inputTokens, outputTokens, model }
  */
 async function askQuestion(dataSource, question, options = {}) {
-  const apiKey = process.env.ANTHROPIC_API_KEY;
+  const llm = options.provider || getProvider();
 
-  if (!apiKey) {
+  if (!llm) {
     return {
       error: true,
       errorType: 'configuration_error',
-      message: 'Anthropic API key is not configured. Please set ANTHROPIC_API_KEY environment variable.'
+      message: 'No AI provider is configured. Please set the ANTHROPIC_API_KEY environment variable, or LLM_PROVIDER=stub to run offline.'
     };
   }
 
   // Gather schema context
   let schemaContext;
   try {
-    schemaContext = await dataSource.gatherSchemaContext();
+    schemaContext = await dataSource.gatherSchemaContext(
+      options.allowedTables ? { tables: options.allowedTables } : {}
+    );
   } catch (err) {
     return {
       error: true,
@@ -236,20 +250,31 @@ async function askQuestion(dataSource, question, options = {}) {
     schemaContext += '\n' + options.relationshipsContext;
   }
 
-  // Build the prompt
-  let systemPrompt = SYSTEM_PROMPT.replace('{schema_context}', schemaContext);
+  // Build the prompt for the data source's SQL dialect
+  let dialect;
+  try {
+    dialect = getDialect(dataSource);
+  } catch (err) {
+    return {
+      error: true,
+      errorType: 'configuration_error',
+      message: err.message
+    };
+  }
+  const systemPrompt = buildSystemPrompt(schemaContext, dialect);
 
   // Build user message with conversation context if this is a follow-up
   let userMessage = question;
-  if (options.conversationContext) {
-    const ctx = options.conversationContext;
-    const contextPrefix = `CONVERSATION CONTEXT:
-The user previously asked: "${ctx.parentQuestion}"
-Which generated this SQL: ${ctx.parentSql || 'N/A'}
-And returned these results: ${JSON.stringify(ctx.parentResultSummary || {}, null, 2)}
-The explanation was: ${ctx.parentExplanation || 'N/A'}
+  if (options.conversationContext && options.conversationContext.turns.length > 0) {
+    const turns = options.conversationContext.turns.map(turn => `TURN ${turn.turn}:
+The user asked: "${turn.question}"
+Which generated this SQL: ${turn.sql || 'N/A'}
+${turn.error ? `Which failed: ${turn.error}` : `And returned these results: ${JSON.stringify(turn.result || {}, null, 2)}`}
+The explanation was: ${turn.explanation || 'N/A'}`);
+    const contextPrefix = `CONVERSATION CONTEXT (the most recent turns, oldest first):
+${turns.join('\n\n')}
 
-The user is now asking a follow-up question. Use the context above to understand what they're referring to. You may need to modify the previous query, add filters, change grouping, or drill into a specific segment. Write a NEW standalone SQL query (don't reference the previous one as a subquery unless necessary).
+The user is now asking a follow-up question. Use the context above to understand what they're referring to — usually the latest turn. You may need to modify a previous query, add filters, change grouping, or drill into a specific segment. Write a NEW standalone SQL query (don't reference a previous one as a subquery unless necessary).
 
 USER'S FOLLOW-UP QUESTION:
 `;
@@ -257,21 +282,11 @@ USER'S FOLLOW-UP QUESTION:
   }
 
   // Call Claude API
+  const messages = [{ role: 'user', content: userMessage }];
+  const usage = { inputTokens: 0, outputTokens: 0, model: llm.model };
   let claudeResponse;
   try {
-    const anthropic = new Anthropic({ apiKey });
-
-    const message = await anthropic.messages.create({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 1500,
-      temperature: 0,
-      system: systemPrompt,
-      messages: [
-        { role: 'user', content: userMessage }
-      ]
-    });
-
-    claudeResponse = message.content[0].text;
+    claudeResponse = await generateSQL(llm, systemPrompt, messages, usage);
   } catch (err) {
     console.error('Claude API error:', err);
     return {
@@ -282,59 +297,182 @@ USER'S FOLLOW-UP QUESTION:
     };
   }
 
-  // Parse the response
-  const parsed = parseResponse(claudeResponse);
+  // Run the SQL; when it is rejected or fails, send the error back for a corrected
+  // query, recording every attempt
+  const maxRepairAttempts = options.maxRepairAttempts ?? MAX_REPAIR_ATTEMPTS;
+  const onProgress = options.onProgress || (() => {});
+  const attempts = [];
+  let parsed;
+  let run;
+  for (let attempt = 1; ; attempt++) {
+    parsed = parseResponse(claudeResponse);
+    onProgress('sql', { attempt, sql: parsed.sql, fix: parsed.fix || null });
+    onProgress('executing', { attempt });
+    run = await runSQL(dataSource, parsed.sql, {
+      dialect,
+      timeout: options.timeout,
+      allowedTables: options.allowedTables
+    });
+    attempts.push({
+      attempt,
+      sql: parsed.sql,
+      fix: parsed.fix || null,
+      error: run.error ? run.message : null,
+      errorType: run.error ? run.errorType : null
+    });
 
-  // Validate the SQL
-  const validation = validateSQL(parsed.sql);
-  if (!validation.valid) {
+    if (!run.error || !REPAIRABLE_ERRORS.includes(run.errorType) || attempt > maxRepairAttempts) {
+      break;
+    }
+
+    messages.push(
+      { role: 'assistant', content: claudeResponse },
+      {
+        role: 'user',
+        content: REPAIR_PROMPT
+          .replace('{sql}', () => parsed.sql)
+          .replace('{error_type}', run.errorType === 'sql_validation_error' ? 'rejected by the SQL validator' : 'failed when run')
+          .replace('{error}', () => run.message)
+      }
+    );
+    try {
+      claudeResponse = await generateSQL(llm, systemPrompt, messages, usage);
+    } catch (err) {
+      console.error('Claude API error during SQL repair:', err);
+      break;
+    }
+  }
+
+  if (run.error) {
+    const userMessages = {
+      timeout_error: 'That query took too long. Try asking about a smaller subset of data.',
+      sql_execution_error: `The generated query had an error: ${run.message}. Try rephrasing your question.`
+    };
     return {
-      error: true,
-      errorType: 'sql_validation_error',
-      message: validation.error,
+      ...run,
+      message: userMessages[run.errorType] || run.message,
       explanation: parsed.explanation,
       assumptions: parsed.assumptions,
       sql: parsed.sql,
+      attempts,
+      usage,
       rawResponse: parsed.raw
     };
   }
 
-  // Execute the SQL with timeout
+  return {
+    error: false,
+    explanation: parsed.explanation,
+    assumptions: parsed.assumptions,
+    sql: parsed.sql,
+    visualizationType: parsed.visualizationType,
+    visualizationDescription: parsed.visualizationDescription,
+    columns: run.columns,
+    columnTypes: run.columnTypes,
+    rows: run.rows,
+    rowCount: run.rowCount,
+    truncated: run.truncated,
+    queryTime: run.queryTime,
+    attempts,
+    repaired: attempts.length > 1,
+    fix: attempts.length > 1 ? parsed.fix || null : null,
+    usage,
+    rawResponse: parsed.raw
+  };
+}
+
+/**
+ * Ask Claude for SQL
+ * @param {LLMProvider} llm - Provider to ask
+ * @param {string} systemPrompt - From buildSystemPrompt
+ * @param {object[]} messages - The conversation so far (the question, then any repair rounds)
+ * @param {object} usage - Token totals the reply's usage is added to
+ * @returns {Promise<string>} Claude's reply
+ */
+async function generateSQL(llm, systemPrompt, messages, usage) {
+  const reply = await llm.complete({
+    task: 'sql',
+    system: systemPrompt,
+    messages,
+    maxTokens: 1500,
+    temperature: 0
+  });
+  usage.inputTokens += reply.usage.inputTokens;
+  usage.outputTokens += reply.usage.outputTokens;
+  return reply.text;
+}
+
+/**
+ * Validate SQL and run it on the data source's read-only connection, which stops
+ * the query when the timeout expires and caps the number of rows returned
+ * Used for generated SQL and for SQL written by users.
+ * @param {object} dataSource - Connected DataSource instance
+ * @param {string} sql - SQL query
+ * @param {object} options - { dialect (defaults to the source's), timeout (ms, default 30000),
+ *   allowedTables (defaults to the source's tables and views) }
+ * @returns {Promise<object>} { error: false, columns, columnTypes, rows, rowCount, truncated, queryTime },
+ *   or { error: true, errorType, message }
+ */
+async function runSQL(dataSource, sql, options = {}) {
+  let dialect = options.dialect;
+  if (!dialect) {
+    try {
+      dialect = getDialect(dataSource);
+    } catch (err) {
+      return {
+        error: true,
+        errorType: 'configuration_error',
+        message: err.message
+      };
+    }
+  }
+
+  // Validate the SQL against the tables (and views) this query may read
+  let allowedTables = options.allowedTables;
+  if (!allowedTables) {
+    try {
+      const { tables, views } = await dataSource.getSchema();
+      allowedTables = [...tables, ...(views || [])];
+    } catch (err) {
+      return {
+        error: true,
+        errorType: 'schema_error',
+        message: `Failed to list tables: ${err.message}`
+      };
+    }
+  }
+  const validation = validateSQL(sql, { dialect, allowedTables });
+  if (!validation.valid) {
+    return {
+      error: true,
+      errorType: 'sql_validation_error',
+      message: validation.error
+    };
+  }
+
+  const maxRows = 1000;
   let queryResult;
   let queryTime;
   try {
-    // Set a timeout using Promise.race
-    const timeoutMs = options.timeout || 30000;
-
     const queryStart = Date.now();
-    const queryPromise = dataSource.execute(parsed.sql);
-    const timeoutPromise = new Promise((_, reject) => {
-      setTimeout(() => reject(new Error('Query timed out')), timeoutMs);
+    queryResult = await dataSource.executeReadOnly(sql, [], {
+      timeoutMs: options.timeout || 30000,
+      maxRows
     });
-
-    queryResult = await Promise.race([queryPromise, timeoutPromise]);
     queryTime = Date.now() - queryStart;
   } catch (err) {
     if (err.message === 'Query timed out') {
       return {
         error: true,
         errorType: 'timeout_error',
-        message: 'That query took too long. Try asking about a smaller subset of data.',
-        explanation: parsed.explanation,
-        assumptions: parsed.assumptions,
-        sql: parsed.sql,
-        rawResponse: parsed.raw
+        message: `The query took longer than ${Math.round((options.timeout || 30000) / 1000)} seconds and was stopped`
       };
     }
 
     return {
       error: true,
       errorType: 'sql_execution_error',
-      message: `The generated query had an error: ${err.message}. Try rephrasing your question.`,
-      explanation: parsed.explanation,
-      assumptions: parsed.assumptions,
-      sql: parsed.sql,
-      rawResponse: parsed.raw
+      message: err.message
     };
   }
 
@@ -351,29 +489,23 @@ USER'S FOLLOW-UP QUESTION:
     }
   }
 
-  // Check if results were truncated
-  const maxRows = 1000;
-  const truncated = queryResult.rows.length >= maxRows;
-
   return {
     error: false,
-    explanation: parsed.explanation,
-    assumptions: parsed.assumptions,
-    sql: parsed.sql,
-    visualizationType: parsed.visualizationType,
-    visualizationDescription: parsed.visualizationDescription,
     columns: queryResult.columns,
-    columnTypes: columnTypes,
-    rows: queryResult.rows.slice(0, maxRows),
+    columnTypes,
+    rows: queryResult.rows,
     rowCount: queryResult.rows.length,
-    truncated: truncated,
-    queryTime: queryTime,
-    rawResponse: parsed.raw
+    truncated: queryResult.truncated,
+    queryTime
   };
 }
 
 module.exports = {
+  VISUALIZATION_TYPES,
   askQuestion,
+  runSQL,
+  buildSystemPrompt,
+  getDialect,
   parseResponse,
   validateSQL
 };
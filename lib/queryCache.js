@@ -35,18 +35,27 @@ class QueryCache {
 
   /**
    * Generate a schema hash to detect data changes
-   * @param {string} schemaContext - Schema context string
+   * @param {object[]|string} schema - Schema profile (see FileDataSource.getSchemaProfile), or
+   *   the schema context string for data sources without one
    * @returns {string} Hash of schema
    */
-  getSchemaHash(schemaContext) {
-    // Extract table names and row counts from schema
-    // This changes when data is refreshed or new tables are added
-    const tablePattern = /Table: (\S+).*?(\d+) rows/g;
-    let match;
+  getSchemaHash(schema) {
     const tableInfo = [];
 
-    while ((match = tablePattern.exec(schemaContext)) !== null) {
-      tableInfo.push(`${match[1]}:${match[2]}`);
+    if (Array.isArray(schema)) {
+      // Profiles are rebuilt on every upload and refresh, so profiledAt changes
+      // even when a refresh leaves the row count and columns as they were
+      for (const { table, rowCount, columns, profiledAt } of schema) {
+        tableInfo.push(`${table}:${rowCount}:${columns.map(c => `${c.name} ${c.type}`).join(',')}:${profiledAt}`);
+      }
+    } else {
+      // Extract table names and row counts ("TABLE: orders (1,234 rows)", or "~1,234 rows" when estimated)
+      // This changes when data is refreshed or new tables are added
+      const tablePattern = /^TABLE: (\S+) \(~?([\d,]+) rows\)/gm;
+      let match;
+      while ((match = tablePattern.exec(schema)) !== null) {
+        tableInfo.push(`${match[1]}:${match[2].replace(/,/g, '')}`);
+      }
     }
 
     return hashString(tableInfo.sort().join('|'));
@@ -0,0 +1,244 @@
+const { Parser } = require('node-sql-parser');
+
+/**
+ * SQL Validator Module
+ * Parses generated SQL into an AST and checks it against allow-lists of
+ * statement types, functions and tables, instead of matching keywords.
+ */
+
+const parser = new Parser();
+
+// node-sql-parser grammars to try per dialect. The SQLite grammar has no window
+// function support, so SQLite falls back to the PostgreSQL grammar, which accepts
+// the double-quoted identifiers and SQL features both engines share.
+const PARSER_GRAMMARS = {
+  sqlite: ['sqlite', 'postgresql'],
+  postgres: ['postgresql'],
+  mysql: ['mysql']
+};
+
+// Functions that exist (with compatible meaning) in every supported dialect
+const COMMON_FUNCTIONS = [
+  // Aggregates
+  'COUNT', 'SUM', 'AVG', 'MIN', 'MAX',
+  // Window functions
+  'ROW_NUMBER', 'RANK', 'DENSE_RANK', 'NTILE', 'LAG', 'LEAD', 'FIRST_VALUE',
+  'LAST_VALUE', 'NTH_VALUE', 'PERCENT_RANK', 'CUME_DIST',
+  // Math
+  'ABS', 'ROUND', 'CEIL', 'CEILING', 'FLOOR', 'POWER', 'POW', 'SQRT', 'MOD', 'SIGN',
+  'EXP', 'LN', 'LOG', 'LOG10', 'PI',
+  // Strings
+  'LOWER', 'UPPER', 'LENGTH', 'TRIM', 'LTRIM', 'RTRIM', 'SUBSTR', 'SUBSTRING',
+  'REPLACE', 'CONCAT', 'CHAR',
+  // Null handling and dates
+  'COALESCE', 'NULLIF', 'CURRENT_DATE', 'CURRENT_TIME', 'CURRENT_TIMESTAMP', 'DATE'
+];
+
+// Dialect-specific additions to COMMON_FUNCTIONS
+const DIALECT_FUNCTIONS = {
+  sqlite: [
+    'TOTAL', 'GROUP_CONCAT', 'STRFTIME', 'TIME', 'DATETIME', 'JULIANDAY', 'UNIXEPOCH',
+    'PRINTF', 'FORMAT', 'IFNULL', 'IIF', 'INSTR', 'TYPEOF', 'UNICODE', 'HEX',
+    'LIKE', 'GLOB', 'JSON_EXTRACT', 'JSON_ARRAY_LENGTH'
+  ],
+  postgres: [
+    'DATE_TRUNC', 'DATE_PART', 'TO_CHAR', 'TO_DATE', 'TO_TIMESTAMP', 'TO_NUMBER',
+    'NOW', 'AGE', 'MAKE_DATE', 'GENERATE_SERIES', 'STRING_AGG', 'ARRAY_AGG',
+    'BOOL_AND', 'BOOL_OR', 'PERCENTILE_CONT', 'PERCENTILE_DISC', 'MODE',
+    'STDDEV', 'STDDEV_POP', 'STDDEV_SAMP', 'VARIANCE', 'VAR_POP', 'VAR_SAMP',
+    'CORR', 'COVAR_POP', 'COVAR_SAMP', 'REGR_SLOPE', 'REGR_INTERCEPT',
+    'GREATEST', 'LEAST', 'TRUNC', 'DIV', 'SPLIT_PART', 'STRPOS', 'POSITION',
+    'LEFT', 'RIGHT', 'LPAD', 'RPAD', 'INITCAP', 'CHR', 'ASCII', 'CONCAT_WS',
+    'FORMAT', 'REGEXP_REPLACE', 'JSONB_EXTRACT_PATH_TEXT', 'JSON_EXTRACT_PATH_TEXT'
+  ],
+  mysql: [
+    'GROUP_CONCAT', 'DATE_FORMAT', 'YEAR', 'MONTH', 'DAY', 'DAYOFMONTH', 'DAYOFWEEK',
+    'DAYOFYEAR', 'DAYNAME', 'MONTHNAME', 'QUARTER', 'WEEK', 'WEEKDAY', 'YEARWEEK',
+    'HOUR', 'MINUTE', 'SECOND', 'NOW', 'CURDATE', 'CURTIME', 'DATEDIFF',
+    'TIMESTAMPDIFF', 'DATE_ADD', 'DATE_SUB', 'ADDDATE', 'SUBDATE', 'STR_TO_DATE',
+    'LAST_DAY', 'UNIX_TIMESTAMP', 'FROM_UNIXTIME', 'IFNULL', 'IF', 'FORMAT',
+    'LEFT', 'RIGHT', 'LPAD', 'RPAD', 'CONCAT_WS', 'LOCATE', 'INSTR', 'CHAR_LENGTH',
+    'TRUNCATE', 'GREATEST', 'LEAST', 'STD', 'STDDEV', 'STDDEV_POP', 'STDDEV_SAMP',
+    'VARIANCE', 'VAR_POP', 'VAR_SAMP', 'REGEXP_REPLACE', 'JSON_EXTRACT', 'JSON_UNQUOTE'
+  ]
+};
+
+/**
+ * Parse SQL with the grammars for a dialect
+ * @param {string} sql - SQL to parse
+ * @param {string} dialect - 'sqlite' | 'postgres' | 'mysql'
+ * @returns {{ tableList: string[], ast: object|object[] }}
+ */
+function parse(sql, dialect) {
+  const grammars = PARSER_GRAMMARS[dialect] || PARSER_GRAMMARS.sqlite;
+  let firstError;
+
+  for (const database of grammars) {
+    try {
+      return parser.parse(sql, { database });
+    } catch (err) {
+      firstError = firstError || err;
+    }
+  }
+
+  throw firstError;
+}
+
+/**
+ * Describe a parser error with its position
+ * @param {Error} err - Error thrown by node-sql-parser
+ * @returns {string} Rejection reason
+ */
+function describeParseError(err) {
+  const location = err.location && err.location.start
+    ? ` at line ${err.location.start.line}, column ${err.location.start.column}`
+    : '';
+  const found = err.found !== undefined
+    ? (err.found === null ? 'end of query' : `"${err.found}"`)
+    : null;
+
+  if (found) {
+    return `SQL syntax error${location}: unexpected ${found}`;
+  }
+  return `SQL syntax error${location}: ${err.message.substring(0, 200)}`;
+}
+
+/**
+ * Visit every object node in an AST
+ * @param {any} node - AST node
+ * @param {function} visit - Called with each object node
+ */
+function walk(node, visit) {
+  if (Array.isArray(node)) {
+    for (const child of node) {
+      walk(child, visit);
+    }
+    return;
+  }
+  if (!node || typeof node !== 'object') {
+    return;
+  }
+
+  visit(node);
+  for (const value of Object.values(node)) {
+    walk(value, visit);
+  }
+}
+
+/**
+ * Name of a function call node, or null for non-function nodes
+ * Schema-qualified calls keep their schema (e.g. pg_catalog.pg_sleep) so they never
+ * match an allow-list entry.
+ * @param {object} node - AST node
+ * @returns {string|null} Upper-cased function name
+ */
+function functionName(node) {
+  if (node.type === 'aggr_func' || node.type === 'window_func') {
+    return typeof node.name === 'string' ? node.name.toUpperCase() : null;
+  }
+  if (node.type !== 'function') {
+    return null;
+  }
+
+  if (typeof node.name === 'string') {
+    return node.name.toUpperCase();
+  }
+  const parts = (node.name && node.name.name) || [];
+  const name = parts.map(part => part.value).join('.');
+  const schema = node.name && node.name.schema ? `${node.name.schema.value}.` : '';
+  return `${schema}${name}`.toUpperCase();
+}
+
+/**
+ * Validate generated SQL against the allow-lists
+ * @param {string} sql - SQL query to validate
+ * @param {object} options
+ * @param {string} options.dialect - 'sqlite' | 'postgres' | 'mysql' (defaults to sqlite)
+ * @param {string[]} options.allowedTables - Tables the query may read; omit to skip the table check
+ * @returns {object} { valid: boolean, error?: string }
+ */
+function validateSQL(sql, options = {}) {
+  const dialect = options.dialect || 'sqlite';
+
+  if (!sql || sql.trim().length === 0) {
+    return { valid: false, error: 'No SQL query was generated' };
+  }
+
+  let parsed;
+  try {
+    parsed = parse(sql, dialect);
+  } catch (err) {
+    return { valid: false, error: describeParseError(err) };
+  }
+
+  // Exactly one statement, and it must be a SELECT
+  const statements = Array.isArray(parsed.ast) ? parsed.ast : [parsed.ast];
+  if (statements.length !== 1) {
+    return { valid: false, error: `Multiple SQL statements are not allowed (found ${statements.length})` };
+  }
+  const statement = statements[0];
+  if (!statement || statement.type !== 'select') {
+    const type = statement && statement.type ? statement.type.toUpperCase() : 'unknown';
+    return { valid: false, error: `Only SELECT queries are allowed, got a ${type} statement` };
+  }
+
+  // CTE names can be referenced like tables
+  const cteNames = new Set();
+  const allowedFunctions = new Set([...COMMON_FUNCTIONS, ...(DIALECT_FUNCTIONS[dialect] || [])]);
+  let error = null;
+
+  walk(statement, (node) => {
+    if (error) return;
+
+    if (Array.isArray(node.with)) {
+      for (const cte of node.with) {
+        const name = cte.name && typeof cte.name === 'object' ? cte.name.value : cte.name;
+        if (name) cteNames.add(String(name).toLowerCase());
+      }
+    }
+
+    // SELECT ... INTO (OUTFILE/DUMPFILE/new table) writes data
+    if (node.into && (node.into.keyword || node.into.expr)) {
+      error = 'SELECT ... INTO is not allowed';
+      return;
+    }
+
+    const name = functionName(node);
+    if (name && !allowedFunctions.has(name)) {
+      error = `Function ${name}() is not allowed`;
+    }
+  });
+
+  if (error) {
+    console.warn(`SQL validation failed: ${error}`, sql.substring(0, 200));
+    return { valid: false, error };
+  }
+
+  // tableList entries look like "select::db::table"
+  const allowedTables = options.allowedTables
+    ? new Set(options.allowedTables.map(t => t.toLowerCase()))
+    : null;
+
+  for (const entry of parsed.tableList) {
+    const [action, db, table] = entry.split('::');
+
+    if (action !== 'select') {
+      error = `Only SELECT queries are allowed, got ${action.toUpperCase()} on table "${table}"`;
+    } else if (db !== 'null') {
+      error = `Schema-qualified table "${db}.${table}" is not allowed; use the table name on its own`;
+    } else if (allowedTables && !cteNames.has(table.toLowerCase()) && !allowedTables.has(table.toLowerCase())) {
+      error = `Table "${table}" is not available to this query`;
+    }
+
+    if (error) {
+      console.warn(`SQL validation failed: ${error}`, sql.substring(0, 200));
+      return { valid: false, error };
+    }
+  }
+
+  return { valid: true };
+}
+
+module.exports = {
+  validateSQL
+};
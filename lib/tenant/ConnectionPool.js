@@ -0,0 +1,273 @@
+/**
+ * ConnectionPool - Shared, connected DataSource instances per tenant and source
+ *
+ * Routes borrow an instance with acquire() and hand it back with release().
+ * Instances stay open between borrows and are reused, so a project's SQLite
+ * file or a cloud database's connection pool is opened once rather than per
+ * request. Instances nobody has borrowed for a while are closed, the number
+ * open at once is capped (globally and per tenant), and an instance is
+ * checked with `SELECT 1` before being handed out if it hasn't been recently.
+ */
+
+const DEFAULT_OPTIONS = {
+  maxHandles: 100,                    // Open instances across all tenants
+  maxHandlesPerTenant: 20,            // Open instances for a single tenant
+  idleTimeoutMs: 5 * 60 * 1000,       // Close instances unused for this long
+  healthCheckIntervalMs: 30 * 1000,   // Re-check an instance at most this often
+  sweepIntervalMs: 60 * 1000          // How often idle instances are looked for
+};
+
+function emptyMetrics() {
+  return {
+    acquired: 0,
+    released: 0,
+    opened: 0,
+    reused: 0,
+    closedIdle: 0,
+    closedForCapacity: 0,
+    healthCheckFailures: 0,
+    exhausted: 0
+  };
+}
+
+class ConnectionPool {
+  /**
+   * @param {object} options - Overrides for DEFAULT_OPTIONS
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.entries = new Map();       // tenantId:key -> entry
+    this.opening = new Map();       // tenantId:key -> Promise<entry>, so concurrent borrows share one open
+    this.instances = new WeakMap(); // DataSource -> entry
+    this.metrics = emptyMetrics();
+    this.tenantMetrics = new Map(); // tenantId -> metrics
+
+    this.sweepTimer = setInterval(() => {
+      this.closeIdle().catch(err => console.error('Connection pool sweep error:', err.message));
+    }, this.options.sweepIntervalMs);
+    this.sweepTimer.unref();
+  }
+
+  /**
+   * Borrow a connected instance, opening one if needed
+   * Every acquire() must be matched by a release() of the returned instance.
+   * @param {string} tenantId - Tenant ID
+   * @param {string} key - Source key within the tenant (data source ID, project:<id>, ...)
+   * @param {function(): Promise<DataSource>} open - Creates and connects a new instance
+   * @returns {Promise<DataSource>}
+   */
+  async acquire(tenantId, key, open) {
+    const poolKey = `${tenantId}:${key}`;
+    let entry = this.entries.get(poolKey);
+
+    if (entry) {
+      // Count the borrow before any await, so the idle sweep can't close it meanwhile
+      entry.borrowed++;
+      if (!(await this._isHealthy(entry))) {
+        entry.borrowed--;
+        this._count(tenantId, 'healthCheckFailures');
+        await this._close(entry);
+        entry = null;
+      }
+    }
+
+    if (entry) {
+      this._count(tenantId, 'reused');
+    } else {
+      if (!this.opening.has(poolKey)) {
+        const opening = this._open(tenantId, key, poolKey, open)
+          .finally(() => this.opening.delete(poolKey));
+        this.opening.set(poolKey, opening);
+      }
+      entry = await this.opening.get(poolKey);
+      entry.borrowed++;
+    }
+
+    entry.lastUsedAt = Date.now();
+    this._count(tenantId, 'acquired');
+    return entry.ds;
+  }
+
+  /**
+   * Return a borrowed instance to the pool
+   * @param {DataSource} ds - Instance returned by acquire()
+   */
+  release(ds) {
+    const entry = ds && this.instances.get(ds);
+    if (!entry || entry.borrowed === 0) {
+      return;
+    }
+
+    entry.borrowed--;
+    entry.lastUsedAt = Date.now();
+    this._count(entry.tenantId, 'released');
+  }
+
+  /**
+   * Close an instance now, even if it is borrowed (e.g. its data is being deleted)
+   * @param {string} tenantId - Tenant ID
+   * @param {string} key - Source key within the tenant
+   */
+  async destroy(tenantId, key) {
+    const entry = this.entries.get(`${tenantId}:${key}`);
+    if (entry) {
+      await this._close(entry);
+    }
+  }
+
+  /**
+   * Close all of a tenant's instances
+   * @param {string} tenantId - Tenant ID
+   */
+  async destroyTenant(tenantId) {
+    const entries = [...this.entries.values()].filter(e => e.tenantId === tenantId);
+    await Promise.all(entries.map(entry => this._close(entry)));
+  }
+
+  /**
+   * Close instances that have not been borrowed within the idle timeout
+   * @returns {Promise<number>} Number of instances closed
+   */
+  async closeIdle() {
+    const cutoff = Date.now() - this.options.idleTimeoutMs;
+    const idle = [...this.entries.values()].filter(e => e.borrowed === 0 && e.lastUsedAt < cutoff);
+    let closed = 0;
+
+    for (const entry of idle) {
+      // An earlier close may have let a request borrow this one
+      if (entry.borrowed > 0 || entry.lastUsedAt >= cutoff) {
+        continue;
+      }
+      this._count(entry.tenantId, 'closedIdle');
+      await this._close(entry);
+      closed++;
+    }
+    return closed;
+  }
+
+  /**
+   * Close every instance and stop the idle sweep
+   */
+  async closeAll() {
+    clearInterval(this.sweepTimer);
+    await Promise.all([...this.entries.values()].map(entry => this._close(entry)));
+  }
+
+  /**
+   * Pool usage, for the whole server or one tenant
+   * @param {string} tenantId - Limit to this tenant's instances and counters
+   * @returns {object} Limits, open/borrowed/idle counts, counters and per-instance detail
+   */
+  getStats(tenantId = null) {
+    const now = Date.now();
+    const entries = [...this.entries.values()].filter(e => !tenantId || e.tenantId === tenantId);
+    const borrowed = entries.filter(e => e.borrowed > 0).length;
+
+    return {
+      limits: {
+        maxHandles: tenantId ? this.options.maxHandlesPerTenant : this.options.maxHandles,
+        idleTimeoutMs: this.options.idleTimeoutMs,
+        healthCheckIntervalMs: this.options.healthCheckIntervalMs
+      },
+      open: entries.length,
+      borrowed,
+      idle: entries.length - borrowed,
+      metrics: tenantId ? { ...(this.tenantMetrics.get(tenantId) || emptyMetrics()) } : { ...this.metrics },
+      connections: entries.map(e => ({
+        key: tenantId ? e.key : `${e.tenantId}:${e.key}`,
+        type: e.ds.constructor.name,
+        borrowed: e.borrowed,
+        ageMs: now - e.openedAt,
+        idleMs: e.borrowed > 0 ? 0 : now - e.lastUsedAt
+      }))
+    };
+  }
+
+  async _open(tenantId, key, poolKey, open) {
+    await this._makeRoom(tenantId);
+
+    const ds = await open();
+    const now = Date.now();
+    const entry = {
+      poolKey,
+      tenantId,
+      key,
+      ds,
+      borrowed: 0,
+      openedAt: now,
+      lastUsedAt: now,
+      lastCheckedAt: now
+    };
+
+    this.entries.set(poolKey, entry);
+    this.instances.set(ds, entry);
+    this._count(tenantId, 'opened');
+    return entry;
+  }
+
+  /**
+   * Close the least recently used idle instance(s) until there is room for one more
+   */
+  async _makeRoom(tenantId) {
+    const limits = [
+      { max: this.options.maxHandles, entries: () => [...this.entries.values()] },
+      { max: this.options.maxHandlesPerTenant, entries: () => [...this.entries.values()].filter(e => e.tenantId === tenantId) }
+    ];
+
+    for (const limit of limits) {
+      let entries = limit.entries();
+      while (entries.length >= limit.max) {
+        const idle = entries.filter(e => e.borrowed === 0).sort((a, b) => a.lastUsedAt - b.lastUsedAt);
+        if (idle.length === 0) {
+          this._count(tenantId, 'exhausted');
+          throw new Error('Too many open data source connections, please try again shortly');
+        }
+        this._count(idle[0].tenantId, 'closedForCapacity');
+        await this._close(idle[0]);
+        entries = limit.entries();
+      }
+    }
+  }
+
+  async _isHealthy(entry) {
+    if (!entry.ds.isConnected()) {
+      return false;
+    }
+    if (Date.now() - entry.lastCheckedAt < this.options.healthCheckIntervalMs) {
+      return true;
+    }
+
+    try {
+      await entry.ds.execute('SELECT 1');
+      entry.lastCheckedAt = Date.now();
+      return true;
+    } catch (err) {
+      console.error(`Data source health check failed (${entry.poolKey}):`, err.message);
+      return false;
+    }
+  }
+
+  async _close(entry) {
+    // Remove first, so nobody borrows an instance that is being closed
+    if (this.entries.get(entry.poolKey) !== entry) {
+      return;
+    }
+    this.entries.delete(entry.poolKey);
+
+    try {
+      await entry.ds.disconnect();
+    } catch (err) {
+      console.error(`Error closing data source (${entry.poolKey}):`, err.message);
+    }
+  }
+
+  _count(tenantId, metric) {
+    this.metrics[metric]++;
+    if (!this.tenantMetrics.has(tenantId)) {
+      this.tenantMetrics.set(tenantId, emptyMetrics());
+    }
+    this.tenantMetrics.get(tenantId)[metric]++;
+  }
+}
+
+module.exports = ConnectionPool;
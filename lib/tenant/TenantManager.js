@@ -1,6 +1,9 @@
 const { v4: uuidv4 } = require('uuid');
 const bcrypt = require('bcrypt');
-const { FileDataSource } = require('../datasources');
+const fs = require('fs');
+const { FileDataSource, CloudDBDataSource, GatewayDataSource } = require('../datasources');
+const credentialVault = require('./credentialVault');
+const ConnectionPool = require('./ConnectionPool');
 
 /**
  * TenantManager - Manages multi-tenant operations
@@ -12,9 +15,14 @@ const { FileDataSource } = require('../datasources');
  * - Tenant isolation enforcement
  */
 class TenantManager {
-  constructor(db) {
+  /**
+   * @param {Database} db - Main application database
+   * @param {object} options
+   * @param {object} options.pool - ConnectionPool options (limits and timeouts)
+   */
+  constructor(db, options = {}) {
     this.db = db;
-    this.dataSources = new Map(); // tenantId -> DataSource
+    this.pool = new ConnectionPool(options.pool);
   }
 
   /**
@@ -198,13 +206,9 @@ class TenantManager {
    * Delete a tenant and all associated data
    * @param {string} id - Tenant ID
    */
-  deleteTenant(id) {
+  async deleteTenant(id) {
     // Close any open data sources
-    const ds = this.dataSources.get(id);
-    if (ds) {
-      ds.disconnect();
-      this.dataSources.delete(id);
-    }
+    await this.pool.destroyTenant(id);
 
     // Delete data sources records
     this.db.prepare('DELETE FROM tenant_data_sources WHERE tenant_id = ?').run(id);
@@ -314,12 +318,10 @@ class TenantManager {
     }
 
     const id = uuidv4();
+    const fullConfig = this._buildDataSourceConfig(tenantId, config);
 
-    // Build the full config based on type
-    let fullConfig = { ...config };
-    if (type === 'file') {
-      fullConfig.tenantId = tenantId;
-    }
+    // Secrets (passwords, gateway secrets) are only ever stored encrypted
+    const storedConfig = credentialVault.encryptSecrets(fullConfig, id);
 
     // If this is default, unset other defaults first
     if (isDefault) {
@@ -333,11 +335,36 @@ class TenantManager {
       VALUES (?, ?, ?, ?, ?, ?)
     `);
 
-    stmt.run(id, tenantId, name, type, JSON.stringify(fullConfig), isDefault ? 1 : 0);
+    stmt.run(id, tenantId, name, type, JSON.stringify(storedConfig), isDefault ? 1 : 0);
 
     return this.getDataSource(id);
   }
 
+  /**
+   * Validate a data source config and fill in tenant-specific fields
+   * @param {string} tenantId - Tenant ID
+   * @param {object} config - Data source config
+   * @returns {object} Full config
+   */
+  _buildDataSourceConfig(tenantId, config) {
+    const fullConfig = { ...config };
+    if (config.type === 'file') {
+      // File sources are always the tenant's own database; paths from the caller are ignored
+      delete fullConfig.basePath;
+      delete fullConfig.filename;
+      delete fullConfig.projectId;
+      fullConfig.tenantId = tenantId;
+    } else if (config.type === 'cloud') {
+      if (!config.dbType || !config.host || !config.database) {
+        throw new Error('Cloud data sources require dbType, host, and database');
+      }
+      if (!['postgres', 'mysql', 'mariadb'].includes(config.dbType)) {
+        throw new Error(`Unsupported cloud database type: ${config.dbType}`);
+      }
+    }
+    return fullConfig;
+  }
+
   /**
    * Get a data source by ID
    * @param {string} id - Data source ID
@@ -388,7 +415,8 @@ class TenantManager {
   }
 
   /**
-   * Get a connected DataSource instance for a tenant
+   * Borrow a connected DataSource instance for a tenant
+   * Return it with releaseDataSource() when done.
    * @param {string} tenantId - Tenant ID
    * @param {string} dataSourceId - Optional specific data source ID
    * @returns {Promise<DataSource>} Connected data source
@@ -408,45 +436,211 @@ class TenantManager {
       }
     }
 
-    // Check if we already have a connected instance
-    const cacheKey = dsRecord.id;
-    if (this.dataSources.has(cacheKey)) {
-      const ds = this.dataSources.get(cacheKey);
-      if (ds.isConnected()) {
-        return ds;
-      }
-    }
+    return this.pool.acquire(tenantId, dsRecord.id, async () => {
+      const ds = this._createDataSource(dsRecord.type, credentialVault.decryptSecrets(dsRecord.config, dsRecord.id), tenantId);
+      await ds.connect();
+      return ds;
+    });
+  }
+
+  /**
+   * Return a DataSource borrowed with one of the get*Instance methods
+   * @param {DataSource} ds - Borrowed data source
+   */
+  releaseDataSource(ds) {
+    this.pool.release(ds);
+  }
 
-    // Create and connect new instance
-    let ds;
-    switch (dsRecord.type) {
+  /**
+   * Connection pool usage for a tenant
+   * @param {string} tenantId - Tenant ID
+   * @returns {object} See ConnectionPool.getStats
+   */
+  getPoolStats(tenantId) {
+    return this.pool.getStats(tenantId);
+  }
+
+  /**
+   * Create an unconnected DataSource from a (decrypted) config
+   * @param {string} type - Data source type
+   * @param {object} config - Config with plain-text secrets
+   * @param {string} tenantId - Tenant ID
+   * @returns {DataSource}
+   */
+  _createDataSource(type, config, tenantId) {
+    switch (type) {
       case 'file':
-        ds = new FileDataSource({
-          ...dsRecord.config,
-          tenantId
-        });
-        break;
+        // Only the tenant locates the database, whatever a stored config says
+        return new FileDataSource({ tenantId });
+      case 'cloud':
+        return new CloudDBDataSource(config);
+      case 'gateway':
+        return new GatewayDataSource(config);
       default:
-        throw new Error(`Data source type ${dsRecord.type} not yet supported`);
+        throw new Error(`Data source type ${type} not yet supported`);
     }
+  }
 
-    await ds.connect();
-    this.dataSources.set(cacheKey, ds);
+  /**
+   * Check that a data source can be reached
+   *
+   * Always opens a fresh connection (not the cached instance), so a source that
+   * went down since it was first used is reported as failing.
+   * @param {string} tenantId - Tenant ID
+   * @param {object} options
+   * @param {string} options.dataSourceId - Saved data source to test
+   * @param {object} options.config - Unsaved config to test instead
+   * @returns {Promise<{ success: boolean, latencyMs: number, error?: string }>}
+   */
+  async testDataSourceConnection(tenantId, { dataSourceId = null, config = null } = {}) {
+    let type;
+    let getConfig;
+    if (dataSourceId) {
+      const dsRecord = this.getDataSource(dataSourceId);
+      if (!dsRecord || dsRecord.tenant_id !== tenantId) {
+        throw new Error('Data source not found or does not belong to tenant');
+      }
+      type = dsRecord.type;
+      getConfig = () => credentialVault.decryptSecrets(dsRecord.config, dsRecord.id);
+    } else {
+      if (!config || !config.type) {
+        throw new Error('Data source type is required');
+      }
+      const fullConfig = this._buildDataSourceConfig(tenantId, config);
+      type = config.type;
+      getConfig = () => fullConfig;
+    }
 
-    return ds;
+    // Anything past validation (decryption, connecting, querying) is a failed test, not an error
+    const startTime = Date.now();
+    let ds = null;
+    try {
+      ds = this._createDataSource(type, getConfig(), tenantId);
+      await ds.connect();
+      await ds.execute('SELECT 1');
+      return { success: true, latencyMs: Date.now() - startTime };
+    } catch (err) {
+      return { success: false, latencyMs: Date.now() - startTime, error: err.message };
+    } finally {
+      if (ds) {
+        await ds.disconnect().catch(() => {});
+      }
+    }
+  }
+
+  /**
+   * Encrypt data source secrets still stored in plain text, and re-wrap
+   * envelopes created with a retired master key
+   *
+   * Run at startup, so rotating the master key only needs the old key moved
+   * to CREDENTIALS_PREVIOUS_KEYS and a restart.
+   * @returns {{ encrypted: number, rewrapped: number }} Number of records updated
+   */
+  migrateCredentials() {
+    const result = { encrypted: 0, rewrapped: 0 };
+    if (!credentialVault.isConfigured()) {
+      return result;
+    }
+
+    const rows = this.db.prepare('SELECT id, config FROM tenant_data_sources').all();
+    const update = this.db.prepare(`
+      UPDATE tenant_data_sources SET config = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+    `);
+
+    this.db.transaction(() => {
+      for (const row of rows) {
+        const config = JSON.parse(row.config || '{}');
+        if (credentialVault.hasPlaintextSecrets(config)) {
+          update.run(JSON.stringify(credentialVault.encryptSecrets(config, row.id)), row.id);
+          result.encrypted++;
+        } else if (credentialVault.needsRewrap(config)) {
+          update.run(JSON.stringify(credentialVault.rewrapSecrets(config, row.id)), row.id);
+          result.rewrapped++;
+        }
+      }
+    })();
+
+    return result;
+  }
+
+  /**
+   * Borrow a connected DataSource for querying a project's data
+   *
+   * This is the project's own file database (see getProjectFileDataSourceInstance),
+   * even before anything is uploaded, unless the project is bound to one of the
+   * tenant's database connections (projects.data_source_id), which it then queries.
+   * @param {string} tenantId - Tenant ID
+   * @param {string} projectId - Project ID
+   * @returns {Promise<DataSource>} Connected data source
+   */
+  async getProjectDataSourceInstance(tenantId, projectId) {
+    const project = this.db.prepare(`
+      SELECT data_source_id FROM projects WHERE id = ? AND tenant_id = ?
+    `).get(projectId, tenantId);
+
+    if (project && project.data_source_id) {
+      return this.getDataSourceInstance(tenantId, project.data_source_id);
+    }
+
+    return this.getProjectFileDataSourceInstance(tenantId, projectId);
+  }
+
+  /**
+   * Borrow a connected FileDataSource for a project's uploads
+   *
+   * Uploads are stored per project (projects/<projectId>.db in the tenant directory),
+   * so projects never see or overwrite each other's tables. Tables a project uploaded
+   * into the tenant's shared data.db before per-project storage existed are copied over
+   * the first time the project's database is opened.
+   * @param {string} tenantId - Tenant ID
+   * @param {string} projectId - Project ID
+   * @returns {Promise<FileDataSource>} Connected data source
+   */
+  async getProjectFileDataSourceInstance(tenantId, projectId) {
+    return this.pool.acquire(tenantId, `project:${projectId}`, async () => {
+      const ds = new FileDataSource({ tenantId, projectId });
+      await ds.connect();
+
+      // Bring over this project's tables from the legacy shared tenant database
+      const projectTables = this.db.prepare(`
+        SELECT name FROM data_sources WHERE project_id = ? AND tenant_id = ? AND status = 'ready'
+      `).all(projectId, tenantId).map(r => r.name);
+      const legacyPath = new FileDataSource({ tenantId }).getDbPath();
+      const copied = ds.copyTablesFrom(legacyPath, projectTables);
+      if (copied.length > 0) {
+        console.log(`Copied ${copied.length} legacy table(s) into project ${projectId}: ${copied.join(', ')}`);
+      }
+
+      return ds;
+    });
+  }
+
+  /**
+   * Delete a project's data (its database file)
+   * @param {string} tenantId - Tenant ID
+   * @param {string} projectId - Project ID
+   */
+  async deleteProjectData(tenantId, projectId) {
+    await this.pool.destroy(tenantId, `project:${projectId}`);
+
+    const dbPath = new FileDataSource({ tenantId, projectId }).getDbPath();
+    for (const file of [dbPath, `${dbPath}-wal`, `${dbPath}-shm`]) {
+      fs.rmSync(file, { force: true });
+    }
   }
 
   /**
    * Delete a data source
    * @param {string} id - Data source ID
    */
-  deleteDataSource(id) {
+  async deleteDataSource(id) {
     // Disconnect if connected
-    if (this.dataSources.has(id)) {
-      this.dataSources.get(id).disconnect();
-      this.dataSources.delete(id);
+    const ds = this.getDataSource(id);
+    if (ds) {
+      await this.pool.destroy(ds.tenant_id, id);
     }
 
+    this.db.prepare('UPDATE projects SET data_source_id = NULL WHERE data_source_id = ?').run(id);
     this.db.prepare('DELETE FROM tenant_data_sources WHERE id = ?').run(id);
   }
 }
@@ -0,0 +1,273 @@
+/**
+ * Credential Vault
+ *
+ * Envelope encryption for the secret fields of tenant data source configs
+ * (database passwords, gateway secrets, ...). Each config gets its own random
+ * data key, which encrypts the secrets with AES-256-GCM; the data key is in
+ * turn encrypted ("wrapped") with the server master key. Rotating the master
+ * key only re-wraps the data keys, never the secrets themselves.
+ *
+ * Master keys are 32 bytes, given as 64 hex characters or base64:
+ * - CREDENTIALS_MASTER_KEY: current key, used for all new encryption
+ * - CREDENTIALS_PREVIOUS_KEYS: comma-separated retired keys, still accepted for decryption
+ *
+ * Without CREDENTIALS_MASTER_KEY, development servers generate a key in
+ * db/credentials.key; production servers refuse to store secrets.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const SECRET_FIELDS = ['password', 'gatewaySecret', 'connectionString', 'apiKey', 'token', 'privateKey'];
+const ENVELOPE_FIELD = 'encryptedSecrets';
+const ENVELOPE_VERSION = 1;
+const REDACTED = '********';
+const ALGORITHM = 'aes-256-gcm';
+const DEV_KEY_PATH = path.join(__dirname, '../../db/credentials.key');
+
+let keyring = null;
+
+/**
+ * Parse a master key from its hex or base64 form
+ * @param {string} value - Encoded key
+ * @param {string} name - Variable name, for error messages
+ * @returns {Buffer} 32-byte key
+ */
+function parseKey(value, name) {
+  const trimmed = value.trim();
+  const key = /^[0-9a-f]{64}$/i.test(trimmed)
+    ? Buffer.from(trimmed, 'hex')
+    : Buffer.from(trimmed, 'base64');
+
+  if (key.length !== 32) {
+    throw new Error(`${name} must be a 32-byte key (64 hex characters or base64)`);
+  }
+  return key;
+}
+
+/**
+ * Short, stable identifier for a master key, stored with each envelope
+ * so decryption can pick the right key after a rotation
+ * @param {Buffer} key - Master key
+ * @returns {string}
+ */
+function keyIdFor(key) {
+  return crypto.createHash('sha256').update(key).digest('hex').slice(0, 16);
+}
+
+function loadDevelopmentKey() {
+  if (fs.existsSync(DEV_KEY_PATH)) {
+    return parseKey(fs.readFileSync(DEV_KEY_PATH, 'utf8'), DEV_KEY_PATH);
+  }
+
+  const key = crypto.randomBytes(32);
+  fs.writeFileSync(DEV_KEY_PATH, key.toString('hex'), { mode: 0o600 });
+  console.log(`Generated development credentials key at ${DEV_KEY_PATH}`);
+  return key;
+}
+
+/**
+ * Load the master keys from the environment (once)
+ * @returns {{ current: { id: string, key: Buffer }|null, keys: Map<string, Buffer> }}
+ */
+function getKeyring() {
+  if (keyring) {
+    return keyring;
+  }
+
+  let current = null;
+  if (process.env.CREDENTIALS_MASTER_KEY) {
+    current = parseKey(process.env.CREDENTIALS_MASTER_KEY, 'CREDENTIALS_MASTER_KEY');
+  } else if (process.env.NODE_ENV !== 'production') {
+    current = loadDevelopmentKey();
+  }
+
+  const keys = new Map();
+  if (current) {
+    keys.set(keyIdFor(current), current);
+  }
+
+  const previous = (process.env.CREDENTIALS_PREVIOUS_KEYS || '').split(',').filter(k => k.trim());
+  for (const value of previous) {
+    const key = parseKey(value, 'CREDENTIALS_PREVIOUS_KEYS');
+    keys.set(keyIdFor(key), key);
+  }
+
+  keyring = {
+    current: current ? { id: keyIdFor(current), key: current } : null,
+    keys
+  };
+  return keyring;
+}
+
+/**
+ * Whether a master key is configured for encrypting new secrets
+ * @returns {boolean}
+ */
+function isConfigured() {
+  return getKeyring().current !== null;
+}
+
+function encrypt(key, plaintext, aad) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  cipher.setAAD(Buffer.from(aad));
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64');
+}
+
+function decrypt(key, encoded, aad) {
+  const data = Buffer.from(encoded, 'base64');
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, data.subarray(0, 12));
+  decipher.setAAD(Buffer.from(aad));
+  decipher.setAuthTag(data.subarray(12, 28));
+  return Buffer.concat([decipher.update(data.subarray(28)), decipher.final()]);
+}
+
+function unwrapDataKey(envelope, recordId) {
+  const masterKey = getKeyring().keys.get(envelope.keyId);
+  if (!masterKey) {
+    throw new Error(`Data source credentials are encrypted with an unknown master key (${envelope.keyId})`);
+  }
+  try {
+    return decrypt(masterKey, envelope.dataKey, recordId);
+  } catch (err) {
+    throw new Error('Failed to decrypt data source credentials');
+  }
+}
+
+/**
+ * Whether a config still holds secret fields in plain text
+ * @param {object} config - Data source config
+ * @returns {boolean}
+ */
+function hasPlaintextSecrets(config) {
+  return SECRET_FIELDS.some(field => config[field] !== undefined && config[field] !== null);
+}
+
+/**
+ * Move a config's secret fields into an encrypted envelope
+ * @param {object} config - Data source config with plain-text secrets
+ * @param {string} recordId - Data source ID (bound to the ciphertext, so envelopes can't be swapped between records)
+ * @returns {object} Config without plain-text secrets
+ */
+function encryptSecrets(config, recordId) {
+  if (!hasPlaintextSecrets(config)) {
+    return config;
+  }
+
+  const { current } = getKeyring();
+  if (!current) {
+    throw new Error('CREDENTIALS_MASTER_KEY must be set to store data source credentials');
+  }
+
+  // Secrets already in an envelope are kept unless the config replaces them
+  const { [ENVELOPE_FIELD]: envelope, ...rest } = config;
+  const merged = envelope ? { ...decryptSecrets(config, recordId), ...rest } : rest;
+  const result = {};
+  const secrets = {};
+  for (const [field, value] of Object.entries(merged)) {
+    if (!SECRET_FIELDS.includes(field)) {
+      result[field] = value;
+    } else if (value !== undefined && value !== null) {
+      secrets[field] = value;
+    }
+  }
+
+  const dataKey = crypto.randomBytes(32);
+  result[ENVELOPE_FIELD] = {
+    version: ENVELOPE_VERSION,
+    keyId: current.id,
+    fields: Object.keys(secrets),
+    dataKey: encrypt(current.key, dataKey, recordId),
+    ciphertext: encrypt(dataKey, Buffer.from(JSON.stringify(secrets)), recordId)
+  };
+  return result;
+}
+
+/**
+ * Restore a config's secret fields from its encrypted envelope
+ * @param {object} config - Stored data source config
+ * @param {string} recordId - Data source ID the envelope was created for
+ * @returns {object} Config with plain-text secrets, for connecting
+ */
+function decryptSecrets(config, recordId) {
+  const { [ENVELOPE_FIELD]: envelope, ...rest } = config;
+  if (!envelope) {
+    return rest;
+  }
+  if (envelope.version !== ENVELOPE_VERSION) {
+    throw new Error(`Unsupported credentials envelope version: ${envelope.version}`);
+  }
+
+  const dataKey = unwrapDataKey(envelope, recordId);
+  let secrets;
+  try {
+    secrets = JSON.parse(decrypt(dataKey, envelope.ciphertext, recordId).toString('utf8'));
+  } catch (err) {
+    throw new Error('Failed to decrypt data source credentials');
+  }
+  return { ...rest, ...secrets };
+}
+
+/**
+ * Whether a config's envelope is wrapped with a key other than the current one
+ * @param {object} config - Stored data source config
+ * @returns {boolean}
+ */
+function needsRewrap(config) {
+  const envelope = config[ENVELOPE_FIELD];
+  const { current } = getKeyring();
+  return Boolean(envelope && current && envelope.keyId !== current.id);
+}
+
+/**
+ * Re-wrap a config's data key with the current master key
+ * The secrets themselves are not re-encrypted.
+ * @param {object} config - Stored data source config
+ * @param {string} recordId - Data source ID the envelope was created for
+ * @returns {object} Config with the re-wrapped envelope
+ */
+function rewrapSecrets(config, recordId) {
+  const envelope = config[ENVELOPE_FIELD];
+  const { current } = getKeyring();
+  const dataKey = unwrapDataKey(envelope, recordId);
+
+  return {
+    ...config,
+    [ENVELOPE_FIELD]: {
+      ...envelope,
+      keyId: current.id,
+      dataKey: encrypt(current.key, dataKey, recordId)
+    }
+  };
+}
+
+/**
+ * Replace a config's secrets with a placeholder for API responses
+ * @param {object} config - Stored data source config
+ * @returns {object} Config safe to return to clients
+ */
+function redactSecrets(config) {
+  const { [ENVELOPE_FIELD]: envelope, ...rest } = config;
+  const fields = envelope ? envelope.fields : SECRET_FIELDS.filter(field => rest[field] != null);
+
+  const redacted = { ...rest };
+  for (const field of fields) {
+    redacted[field] = REDACTED;
+  }
+  return redacted;
+}
+
+module.exports = {
+  SECRET_FIELDS,
+  REDACTED,
+  isConfigured,
+  hasPlaintextSecrets,
+  encryptSecrets,
+  decryptSecrets,
+  needsRewrap,
+  rewrapSecrets,
+  redactSecrets
+};
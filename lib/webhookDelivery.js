@@ -9,7 +9,7 @@ const { v4: uuidv4 } = require('uuid');
  * Fire webhooks for a specific event
  * @param {object} db - Database instance
  * @param {string} tenantId - Tenant ID
- * @param {string} eventType - Event type (e.g., 'insight.critical', 'background_analysis.completed', 'dashboard.updated')
+ * @param {string} eventType - Event type (e.g., 'insight.critical', 'background_analysis.completed', 'dashboard.updated', 'data_source.refreshed')
  * @param {object} payload - Event data to send
  * @param {string} projectId - Optional project ID filter
  */
@@ -0,0 +1,52 @@
+#!/usr/bin/env node
+/**
+ * Conversation Integration Test Script
+ * Starts the server against a throwaway data directory and exercises
+ * conversation threads of NL questions (answered by the offline stub AI
+ * provider): follow-up turns, branches (only stored once a follow-up is
+ * saved in them) and the per-project listing.
+ */
+
+const { check, uploadForm, runWithServer } = require('./test-support/server');
+
+runWithServer('Conversation Tests', async ({ request }) => {
+  const created = await request('POST', '/api/projects', { name: 'Conversation Test' });
+  const projectId = created.data.project.id;
+  await request('POST', `/api/projects/${projectId}/upload`, uploadForm('ledger.csv', 'id,amount\n1,10\n2,20\n3,30\n'));
+
+  // Test 1: Conversation threads
+  console.log('Test 1: Conversation threads');
+  let res = await request('POST', `/api/projects/${projectId}/query`, { question: 'How many rows are in ledger?' });
+  const firstTurn = res.data;
+  const threadId = firstTurn.conversationId;
+  check(threadId && firstTurn.turn === 1, 'A new question starts a conversation');
+  res = await request('POST', `/api/projects/${projectId}/query`, { question: 'Show the rows in ledger', conversationId: threadId });
+  check(res.status === 200 && res.data.conversationId === threadId && res.data.turn === 2, 'Questions asked in a conversation are its next turns');
+
+  // Test 2: Branches
+  console.log('\nTest 2: Branches');
+  res = await request('POST', `/api/conversations/${threadId}/branch`, { turn: 1 });
+  const branchId = res.data.conversation.id;
+  check(res.status === 200 && res.data.turns.length === 1 && res.data.turns[0].queryId === firstTurn.queryId,
+    'A branch shares the turns up to where it was branched');
+  res = await request('POST', `/api/projects/${projectId}/query`, { question: 'Show the rows in ledger', conversationId: branchId });
+  check(res.data.conversationId === branchId && res.data.turn === 2, 'Turns asked in a branch continue from the branch point');
+  res = await request('POST', `/api/projects/${projectId}/query`, {
+    question: 'How many rows are in ledger?', parentQueryId: firstTurn.queryId, dataSourceId: 'missing'
+  });
+  const listed = await request('GET', `/api/projects/${projectId}/conversations`);
+  check(res.status === 404 && listed.data.conversations.length === 2, 'A follow-up that fails before it is saved creates no branch');
+  res = await request('POST', `/api/projects/${projectId}/query`, { question: 'How many rows are in ledger?', parentQueryId: firstTurn.queryId });
+  check(![threadId, branchId].includes(res.data.conversationId) && res.data.turn === 2,
+    'Following up an earlier turn branches its conversation');
+  res = await request('POST', `/api/conversations/${threadId}/branch`, { turn: 5 });
+  check(res.status === 400, 'Branches must start from an existing turn');
+
+  // Test 3: Listing and renaming
+  console.log('\nTest 3: Listing and renaming');
+  res = await request('PATCH', `/api/conversations/${threadId}`, { title: 'Ledger rows' });
+  check(res.status === 200 && res.data.conversation.title === 'Ledger rows', 'Conversations can be renamed');
+  res = await request('GET', `/api/projects/${projectId}/conversations`);
+  const thread = res.data.conversations.find(c => c.id === threadId);
+  check(res.data.conversations.length === 3 && thread.title === 'Ledger rows' && thread.turnCount === 2, 'Conversations are listed per project');
+});
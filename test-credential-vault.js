@@ -0,0 +1,126 @@
+#!/usr/bin/env node
+/**
+ * Credential Vault Test Script
+ * Tests lib/tenant/credentialVault.js: envelope encryption of data source
+ * secrets, binding to the data source record, tampering, redaction, and master
+ * key rotation (re-wrapping data keys with the new key).
+ */
+
+const crypto = require('crypto');
+
+const VAULT_PATH = require.resolve('./lib/tenant/credentialVault');
+
+function check(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+  console.log(`✓ ${message}`);
+}
+
+function throws(fn, pattern) {
+  try {
+    fn();
+    return false;
+  } catch (err) {
+    return pattern.test(err.message);
+  }
+}
+
+// The vault reads its keys from the environment once, so each key setup gets a fresh copy
+function loadVault({ masterKey, previousKeys = [], production = false }) {
+  process.env.NODE_ENV = production ? 'production' : 'test';
+  if (masterKey) {
+    process.env.CREDENTIALS_MASTER_KEY = masterKey;
+  } else {
+    delete process.env.CREDENTIALS_MASTER_KEY;
+  }
+  process.env.CREDENTIALS_PREVIOUS_KEYS = previousKeys.join(',');
+
+  delete require.cache[VAULT_PATH];
+  return require(VAULT_PATH);
+}
+
+function newKey(encoding = 'hex') {
+  return crypto.randomBytes(32).toString(encoding);
+}
+
+function run() {
+  console.log('=== Credential Vault Tests ===\n');
+
+  const oldKey = newKey();
+  const config = { host: 'db.example.com', user: 'analyst', password: 's3cret', apiKey: 'key-123' };
+
+  // Test 1: Encrypting and decrypting secrets
+  console.log('Test 1: Encrypting and decrypting secrets');
+  let vault = loadVault({ masterKey: oldKey });
+  check(vault.isConfigured(), 'A master key is configured');
+
+  const stored = vault.encryptSecrets(config, 'ds-1');
+  check(stored.host === 'db.example.com' && stored.user === 'analyst', 'Fields that aren\'t secret stay readable');
+  check(stored.password === undefined && stored.apiKey === undefined && !JSON.stringify(stored).includes('s3cret'),
+    'Secrets are only stored encrypted');
+  check(stored.encryptedSecrets.fields.join() === 'password,apiKey' && !vault.hasPlaintextSecrets(stored),
+    'The envelope lists which fields it holds');
+  check(JSON.stringify(vault.decryptSecrets(stored, 'ds-1')) === JSON.stringify(config), 'Decryption restores the config');
+  check(vault.encryptSecrets({ host: 'db.example.com' }, 'ds-1').encryptedSecrets === undefined,
+    'Configs without secrets are left as they are');
+
+  const second = vault.encryptSecrets(config, 'ds-1');
+  check(second.encryptedSecrets.ciphertext !== stored.encryptedSecrets.ciphertext &&
+    second.encryptedSecrets.dataKey !== stored.encryptedSecrets.dataKey, 'Each encryption uses a new data key and IV');
+
+  const updated = vault.encryptSecrets({ ...stored, password: 'n3w' }, 'ds-1');
+  const decrypted = vault.decryptSecrets(updated, 'ds-1');
+  check(decrypted.password === 'n3w' && decrypted.apiKey === 'key-123', 'Changing one secret keeps the others');
+
+  check(JSON.stringify(vault.redactSecrets(stored)) ===
+    JSON.stringify({ host: 'db.example.com', user: 'analyst', password: vault.REDACTED, apiKey: vault.REDACTED }),
+  'API responses get placeholders instead of secrets');
+  check(vault.redactSecrets({ user: 'analyst', token: 'plain' }).token === vault.REDACTED, 'Plain-text secrets are redacted too');
+
+  // Test 2: Tampering
+  console.log('\nTest 2: Tampering');
+  check(throws(() => vault.decryptSecrets(stored, 'ds-2'), /Failed to decrypt/),
+    'An envelope can\'t be moved to another data source');
+  const ciphertext = Buffer.from(stored.encryptedSecrets.ciphertext, 'base64');
+  ciphertext[ciphertext.length - 1] ^= 1;
+  const tampered = { ...stored, encryptedSecrets: { ...stored.encryptedSecrets, ciphertext: ciphertext.toString('base64') } };
+  check(throws(() => vault.decryptSecrets(tampered, 'ds-1'), /Failed to decrypt/), 'Modified ciphertext is rejected');
+  check(throws(() => vault.decryptSecrets({ ...stored, encryptedSecrets: { ...stored.encryptedSecrets, version: 2 } }, 'ds-1'),
+    /Unsupported credentials envelope version/), 'Unknown envelope versions are rejected');
+
+  // Test 3: Key rotation
+  console.log('\nTest 3: Key rotation');
+  const newMasterKey = newKey('base64');
+  vault = loadVault({ masterKey: newMasterKey, previousKeys: [oldKey] });
+  check(vault.needsRewrap(stored), 'Envelopes wrapped with a retired key need re-wrapping');
+  check(vault.decryptSecrets(stored, 'ds-1').password === 's3cret', 'Retired keys still decrypt');
+
+  const rewrapped = vault.rewrapSecrets(stored, 'ds-1');
+  check(rewrapped.encryptedSecrets.keyId !== stored.encryptedSecrets.keyId && !vault.needsRewrap(rewrapped),
+    'Re-wrapping switches the envelope to the current key');
+  check(rewrapped.encryptedSecrets.ciphertext === stored.encryptedSecrets.ciphertext,
+    'Re-wrapping leaves the encrypted secrets themselves alone');
+
+  vault = loadVault({ masterKey: newMasterKey });
+  check(vault.decryptSecrets(rewrapped, 'ds-1').apiKey === 'key-123', 'Re-wrapped secrets decrypt once the old key is retired');
+  check(throws(() => vault.decryptSecrets(stored, 'ds-1'), /unknown master key/), 'Envelopes for a removed key are reported');
+
+  // Test 4: Key configuration
+  console.log('\nTest 4: Key configuration');
+  check(throws(() => loadVault({ masterKey: 'too-short' }).isConfigured(), /CREDENTIALS_MASTER_KEY must be a 32-byte key/),
+    'Master keys must be 32 bytes');
+  vault = loadVault({ production: true });
+  check(!vault.isConfigured() && throws(() => vault.encryptSecrets(config, 'ds-1'), /CREDENTIALS_MASTER_KEY must be set/),
+    'Production servers without a master key refuse to store secrets');
+
+  console.log('\n=== All Credential Vault Tests Passed ✓ ===\n');
+}
+
+try {
+  run();
+  process.exit(0);
+} catch (err) {
+  console.error('✗', err.message);
+  process.exit(1);
+}
@@ -0,0 +1,126 @@
+#!/usr/bin/env node
+/**
+ * CSV Parser Test Script
+ * Tests lib/datasources/csvParser.js directly: quoting, embedded line breaks,
+ * line endings, text split across chunks at awkward places, malformed input,
+ * and encoding detection from byte order marks and content.
+ */
+
+const { Readable } = require('stream');
+const { CsvParser, detectEncoding, readCsvRows } = require('./lib/datasources/csvParser');
+
+function check(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+  console.log(`✓ ${message}`);
+}
+
+function same(actual, expected) {
+  return JSON.stringify(actual) === JSON.stringify(expected);
+}
+
+// Parse text given as separate chunks
+function parse(chunks, options) {
+  const parser = new CsvParser(options);
+  const rows = [];
+  for (const chunk of chunks) {
+    rows.push(...parser.push(chunk));
+  }
+  rows.push(...parser.flush());
+  return rows;
+}
+
+// Parse bytes through readCsvRows, one chunk per buffer
+async function read(buffers, options) {
+  const rows = [];
+  let encoding = null;
+  for await (const batch of readCsvRows(Readable.from(buffers), options)) {
+    rows.push(...batch.rows);
+    encoding = batch.encoding;
+  }
+  return { rows, encoding };
+}
+
+function throws(fn, pattern) {
+  try {
+    fn();
+    return false;
+  } catch (err) {
+    return pattern.test(err.message);
+  }
+}
+
+async function run() {
+  console.log('=== CSV Parser Tests ===\n');
+
+  // Test 1: Fields and quoting
+  console.log('Test 1: Fields and quoting');
+  check(same(parse(['a,b,c\n1,2,3\n']), [['a', 'b', 'c'], ['1', '2', '3']]), 'Splits rows and fields');
+  check(same(parse(['name,note\n"Smith, J","said ""hi"""\n']), [['name', 'note'], ['Smith, J', 'said "hi"']]),
+    'Quoted fields keep delimiters and unescape doubled quotes');
+  check(same(parse(['a,"",c\n']), [['a', '', 'c']]), 'An empty quoted field is an empty string');
+  check(same(parse(['a, "b",c\n']), [['a', 'b', 'c']]), 'Whitespace before an opening quote is dropped');
+  check(same(parse(['a,b"c,d\n']), [['a', 'b"c', 'd']]), 'A quote inside an unquoted field is kept');
+  check(same(parse(['a\tb\n1\t2\n'], { delimiter: '\t' }), [['a', 'b'], ['1', '2']]), 'Other delimiters are supported');
+  check(throws(() => new CsvParser({ delimiter: '"' }), /Invalid CSV delimiter/), 'Quotes and line breaks cannot be delimiters');
+
+  // Test 2: Line breaks
+  console.log('\nTest 2: Line breaks');
+  check(same(parse(['id,text\n1,"line one\nline two"\n']), [['id', 'text'], ['1', 'line one\nline two']]),
+    'Line breaks inside quotes stay in the field');
+  check(same(parse(['a,b\r\n1,2\r3,4\n5,6']), [['a', 'b'], ['1', '2'], ['3', '4'], ['5', '6']]),
+    'CRLF, CR and LF line endings all end rows, and the last row needs none');
+  check(same(parse(['a\n\n\nb\n']), [['a'], ['b']]), 'Blank lines are skipped');
+  check(same(parse(['a,\n']), [['a', '']]), 'A trailing delimiter adds an empty field');
+
+  // Test 3: Chunk boundaries
+  console.log('\nTest 3: Chunk boundaries');
+  const text = 'id,quote\r\n1,"He said ""yes"", then\r\nleft"\r\n2,plain\r\n';
+  const whole = parse([text]);
+  check(same(whole, [['id', 'quote'], ['1', 'He said "yes", then\r\nleft'], ['2', 'plain']]), 'Parses the text in one chunk');
+  let allSplitsMatch = true;
+  for (let i = 1; i < text.length; i++) {
+    if (!same(parse([text.slice(0, i), text.slice(i)]), whole)) {
+      allSplitsMatch = false;
+    }
+  }
+  check(allSplitsMatch, 'Splitting the text at any point gives the same rows');
+  check(same(parse(text.split('')), whole), 'One character per chunk gives the same rows');
+
+  // Test 4: Malformed input
+  console.log('\nTest 4: Malformed input');
+  check(throws(() => parse(['a,b\n1,"open\n']), /unterminated quoted field in row 2/), 'An unterminated quote is an error naming the row');
+  const parser = new CsvParser();
+  check(throws(() => parser.push(`"${'x'.repeat(10 * 1024 * 1024 + 1)}`), /larger than 10 MB/), 'A runaway quoted field is stopped');
+
+  // Test 5: Encodings
+  console.log('\nTest 5: Encodings');
+  const bom = Buffer.from([0xEF, 0xBB, 0xBF]);
+  let result = await read([Buffer.concat([bom, Buffer.from('name\ncafé\n')])]);
+  check(result.encoding === 'utf-8' && same(result.rows, [['name'], ['café']]), 'A UTF-8 BOM is detected and stripped');
+
+  const utf16 = Buffer.concat([Buffer.from([0xFF, 0xFE]), Buffer.from('name\nZoë\n', 'utf16le')]);
+  result = await read([utf16]);
+  check(result.encoding === 'utf-16le' && same(result.rows, [['name'], ['Zoë']]), 'UTF-16 files are read from their BOM');
+
+  result = await read([Buffer.from([0x6E, 0x0A, 0x63, 0x61, 0x66, 0xE9, 0x0A])]);
+  check(result.encoding === 'windows-1252' && result.rows[1][0] === 'café', 'Text that isn\'t UTF-8 is read as Windows-1252');
+
+  const euro = Buffer.from('€', 'utf8');
+  result = await read([Buffer.concat([Buffer.from('v\n'), euro.subarray(0, 2)]), Buffer.concat([euro.subarray(2), Buffer.from('\n')])]);
+  check(result.encoding === 'utf-8' && result.rows[1][0] === '€', 'A character split across chunks is decoded whole');
+
+  check(detectEncoding(Buffer.from([0xE9]), 'latin1') === 'latin1', 'The caller\'s encoding is used when there is no BOM');
+  check(detectEncoding(bom, 'latin1') === 'utf-8', 'A BOM wins over the caller\'s encoding');
+  check(!(await read([])).rows.length, 'An empty file has no rows');
+
+  console.log('\n=== All CSV Parser Tests Passed ✓ ===\n');
+}
+
+run()
+  .then(() => process.exit(0))
+  .catch(err => {
+    console.error('✗', err.message);
+    process.exit(1);
+  });
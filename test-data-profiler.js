@@ -0,0 +1,150 @@
+#!/usr/bin/env node
+/**
+ * Data Profiler Test Script
+ * Tests lib/dataProfiler.js: format detection, the data-quality issues found
+ * from profile statistics, and a full profile of a SQLite table run in a child
+ * process through FileDataSource.profileDataQuality.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { detectFormat, findIssues } = require('./lib/dataProfiler');
+const FileDataSource = require('./lib/datasources/FileDataSource');
+
+const basePath = fs.mkdtempSync(path.join(os.tmpdir(), 'affix-profiler-'));
+
+function check(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+  console.log(`✓ ${message}`);
+}
+
+function codes(issues) {
+  return issues.map(i => `${i.severity}:${i.code}${i.column ? `:${i.column}` : ''}`).sort().join(',');
+}
+
+// A column's profile statistics, as profileDataQuality computes them
+function column(name, stats = {}) {
+  return { name, type: 'TEXT', nullCount: 0, nullPercent: 0, distinctCount: 10, format: null, ...stats };
+}
+
+async function run() {
+  console.log('=== Data Profiler Tests ===\n');
+
+  // Test 1: Format detection
+  console.log('Test 1: Format detection');
+  check(detectFormat([]) === null, 'A column with no values has no format');
+  let format = detectFormat(['a@example.com', 'b@example.org', 'c@example.net']);
+  check(format.name === 'email' && format.matchRate === 1 && format.mismatches.length === 0, 'Detects emails');
+  check(detectFormat(['2024-01-05', '2024-02-10']).name === 'date', 'Detects ISO dates');
+  check(detectFormat(['2024-01-05T10:30:00Z', '2024-01-05 10:30']).name === 'datetime', 'Detects date-times');
+  check(detectFormat(['1/5/2024', '12/31/24']).name === 'date_slash', 'Detects dates with slashes');
+  check(detectFormat(['$1,234.50', '€12', '£-3.5']).name === 'currency', 'Detects currency amounts');
+  check(detectFormat(['12%', '3.5 %']).name === 'percentage', 'Detects percentages');
+  check(detectFormat(['00123', '42']).name === 'integer' && detectFormat([1.5, 2.25]).name === 'decimal',
+    'Integers are not taken for phone numbers, and numbers are typed by value');
+  check(detectFormat(['+1 (555) 123-4567', '555-987-6543']).name === 'phone', 'Detects phone numbers');
+  check(detectFormat(['hello', 'world']).name === 'text', 'Anything else is text');
+
+  format = detectFormat(['2024-01-01', '2024-01-02', '2024-01-03', '2024-01-04', '2024-01-05', '2024-01-06',
+    'n/a', 'n/a', 'soon', 'later', 'never']);
+  check(format.name === 'date' && format.matchRate === 0.545, 'The most common format wins, with the share that has it');
+  check(format.mismatches.join() === 'n/a,soon,later', 'A few distinct values that don\'t match are kept as examples');
+
+  // Test 2: Data-quality issues
+  console.log('\nTest 2: Data-quality issues');
+  check(codes(findIssues({ rowCount: 0, duplicateRows: 0, columns: [column('a')] })) === 'serious:no_rows',
+    'A table with no rows is serious, and nothing else is reported');
+  check(findIssues({ rowCount: 100, duplicateRows: 0, columns: [column('a'), column('b')] }).length === 0,
+    'Clean data has no issues');
+
+  check(codes(findIssues({ rowCount: 100, duplicateRows: 5, columns: [column('a')] })) === 'warning:duplicate_rows',
+    'A few duplicate rows are a warning');
+  const duplicates = findIssues({ rowCount: 100, duplicateRows: 20, columns: [column('a')] });
+  check(codes(duplicates) === 'serious:duplicate_rows' && /20 rows \(20%\) duplicate an earlier row/.test(duplicates[0].message),
+    'Many duplicate rows are serious, with their count and share');
+
+  const empty = column('empty', { nullCount: 100, nullPercent: 100 });
+  check(codes(findIssues({ rowCount: 100, duplicateRows: 0, columns: [column('a'), empty] })) === 'warning:empty_column:empty',
+    'An empty column is a warning');
+  check(codes(findIssues({ rowCount: 100, duplicateRows: 0, columns: [column('a'), empty, { ...empty, name: 'e2' }] })) ===
+    'serious:mostly_empty_columns,warning:empty_column:e2,warning:empty_column:empty',
+    'Mostly empty columns are serious (the header row may be wrong)');
+  check(codes(findIssues({ rowCount: 100, duplicateRows: 0, columns: [column('a', { nullCount: 60, nullPercent: 60 })] })) ===
+    'warning:mostly_null:a', 'A column that is mostly missing is a warning');
+
+  const amount = { type: 'REAL', typeMismatches: 2 };
+  check(codes(findIssues({ rowCount: 100, duplicateRows: 0, columns: [column('amount', amount)] })) === 'warning:type_mismatch:amount',
+    'A few text values in a numeric column are a warning');
+  check(codes(findIssues({ rowCount: 100, duplicateRows: 0, columns: [column('amount', { ...amount, typeMismatches: 10 })] })) ===
+    'serious:type_mismatch:amount', 'Many are serious');
+
+  const mixed = findIssues({
+    rowCount: 100,
+    duplicateRows: 0,
+    columns: [column('signup', { format: { name: 'date_slash', matchRate: 0.9, mismatches: ['soon'] } })]
+  });
+  check(codes(mixed) === 'warning:mixed_formats:signup' && /10% of sampled "signup" values are not date slash values \(e\.g\. 'soon'\)/.test(mixed[0].message),
+    'Values outside a column\'s usual format are a warning, with examples');
+  check(findIssues({
+    rowCount: 100,
+    duplicateRows: 0,
+    columns: [
+      column('notes', { format: { name: 'date', matchRate: 0.3, mismatches: ['x'] } }),
+      column('amount', { ...amount, format: { name: 'integer', matchRate: 0.98, mismatches: ['x'] } })
+    ]
+  }).every(i => i.code !== 'mixed_formats'), 'Columns with no dominant format, and numeric type mismatches, are not mixed formats');
+
+  const outliers = { count: 10, lower: -5, upper: 50 };
+  check(codes(findIssues({ rowCount: 100, duplicateRows: 0, columns: [column('n', { outliers })] })) === 'warning:outliers:n',
+    'Many outliers are a warning');
+  check(findIssues({ rowCount: 100, duplicateRows: 0, columns: [column('n', { outliers: { ...outliers, count: 2 } })] }).length === 0,
+    'A few are not');
+
+  // Test 3: Profiling a table
+  console.log('\nTest 3: Profiling a table');
+  const ds = new FileDataSource({ tenantId: 'profiler', projectId: 'test', basePath });
+  await ds.connect();
+  try {
+    ds.db.exec(`
+      CREATE TABLE customers (id INTEGER, email TEXT, spend REAL, region TEXT);
+      INSERT INTO customers VALUES
+        (1, 'a@example.com', 10, 'West'), (2, 'b@example.com', 12, 'West'), (3, 'c@example.com', 11, 'East'),
+        (4, 'd@example.com', 13, 'East'), (5, 'e@example.com', 'n/a', NULL), (6, 'f@example.com', 900, 'West'),
+        (6, 'f@example.com', 900, 'West');
+    `);
+
+    const profile = await ds.profileDataQuality('customers');
+    const byName = Object.fromEntries(profile.columns.map(c => [c.name, c]));
+    check(profile.rowCount === 7 && profile.profiledRows === 7 && !profile.sampled && profile.duplicateRows === 1,
+      'Counts rows and duplicate rows');
+    check(byName.email.format.name === 'email' && byName.email.distinctCount === 6, 'Profiles formats and distinct counts');
+    check(byName.region.nullCount === 1 && byName.region.topValues[0].value === 'West' && byName.region.topValues[0].count === 4,
+      'Profiles missing and most common values');
+    check(byName.spend.typeMismatches === 1 && byName.spend.quantiles.p50 === 12 && byName.spend.outliers.count === 2,
+      'Profiles numeric columns: stray text, quantiles and outliers');
+    check(profile.status === 'serious' && codes(profile.issues).includes('serious:type_mismatch:spend'),
+      'Rates the table by its worst issue');
+
+    let error = null;
+    await ds.profileDataQuality('missing').catch(err => { error = err; });
+    check(error && /Failed to profile missing: Table 'missing' not found/.test(error.message), 'Unknown tables are rejected');
+  } finally {
+    await ds.disconnect();
+  }
+
+  console.log('\n=== All Data Profiler Tests Passed ✓ ===\n');
+}
+
+run()
+  .then(() => {
+    fs.rmSync(basePath, { recursive: true, force: true });
+    process.exit(0);
+  })
+  .catch(err => {
+    console.error('✗', err.message);
+    fs.rmSync(basePath, { recursive: true, force: true });
+    process.exit(1);
+  });
@@ -0,0 +1,54 @@
+#!/usr/bin/env node
+/**
+ * Saved Datasets Integration Test Script
+ * Starts the server against a throwaway data directory and exercises saved
+ * views and derived tables: creating them from SQL, the checks a derived
+ * table's query must pass, what they hold after their source is refreshed, and
+ * refreshing a derived table.
+ */
+
+const { check, uploadForm, runWithServer } = require('./test-support/server');
+
+runWithServer('Saved Dataset Tests', async ({ request }) => {
+  const created = await request('POST', '/api/projects', { name: 'Datasets Test' });
+  const projectId = created.data.project.id;
+  let res = await request('POST', `/api/projects/${projectId}/upload`, uploadForm('ledger.csv', 'id,amount\n1,10\n2,20\n'));
+  const ledgerId = res.data.dataSource.id;
+
+  // Test 1: Saving queries as datasets
+  console.log('Test 1: Saved views and derived tables');
+  res = await request('POST', `/api/projects/${projectId}/datasets`, {
+    name: 'ledger_total', sql: 'SELECT SUM(amount) AS total FROM ledger', description: 'Ledger total'
+  });
+  check(res.status === 200 && res.data.dataset.kind === 'view', 'A query is saved as a view');
+  res = await request('POST', `/api/projects/${projectId}/datasets`, {
+    name: 'ledger_copy', kind: 'table', sql: 'SELECT * FROM ledger'
+  });
+  check(res.status === 200 && res.data.dataset.rowCount === 2, 'A query is materialized as a table');
+  res = await request('POST', `/api/projects/${projectId}/datasets`, { name: 'wipe', sql: 'DELETE FROM ledger' });
+  check(res.status === 400, 'Datasets must be SELECT queries');
+  res = await request('POST', `/api/projects/${projectId}/datasets`, {
+    name: 'big', kind: 'table',
+    sql: 'WITH RECURSIVE n(i) AS (SELECT 1 UNION ALL SELECT i + 1 FROM n WHERE i <= 5000000) SELECT i FROM n'
+  });
+  check(res.status === 400 && /returns 5000001 rows; derived tables can hold at most 5000000/.test(res.data.error),
+    'Derived tables are counted before they are built, and can\'t be too big');
+  res = await request('POST', `/api/projects/${projectId}/datasets`, {
+    name: 'ledger_ids', kind: 'table', sql: 'SELECT id FROM ledger -- every id'
+  });
+  check(res.status === 200 && res.data.dataset.rowCount === 2, 'Queries ending in a comment can be materialized');
+  res = await request('POST', `/api/projects/${projectId}/datasets`, { name: 'typo', sql: 'SELECT idd FROM ledger' });
+  const names = (await request('GET', `/api/projects/${projectId}/datasets`)).data.map(d => d.name);
+  check(res.status === 400 && /no such column: idd/.test(res.data.error) && !names.includes('typo'),
+    'A dataset that fails to build isn\'t saved');
+
+  // Test 2: Datasets over a refreshed source
+  console.log('\nTest 2: Datasets over a refreshed source');
+  await request('POST', `/api/sources/${ledgerId}/refresh`, uploadForm('ledger.csv', 'id,amount\n1,10\n2,20\n3,30\n'));
+  res = await request('GET', `/api/projects/${projectId}/datasets`);
+  const datasets = Object.fromEntries(res.data.map(d => [d.name, d]));
+  check(datasets.ledger_total.rowCount === 1 && datasets.ledger_copy.rowCount === 2,
+    'Views read the refreshed source while derived tables keep their result');
+  res = await request('POST', `/api/projects/${projectId}/datasets/ledger_copy/refresh`);
+  check(res.status === 200 && res.data.dataset.rowCount === 3, 'Refreshing a derived table re-runs its query');
+});
@@ -0,0 +1,148 @@
+#!/usr/bin/env node
+/**
+ * Parquet and JSON Lines Importer Test Script
+ * Imports files into a throwaway FileDataSource: Parquet column types, nulls,
+ * large integers, timestamps, nested values and row groups
+ * (test-support/orders.parquet), JSON Lines flattening, late fields, blank
+ * lines and malformed records, concurrent imports into the same table, and the
+ * schema profile an import stores.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FileDataSource = require('./lib/datasources/FileDataSource');
+
+const basePath = fs.mkdtempSync(path.join(os.tmpdir(), 'affix-importers-'));
+
+// Written with hyparquet-writer: 3 rows in row groups of 2, with the columns
+// id INT32, "customer name" STRING (one null), total DOUBLE, views INT64
+// (one above 2^53), paid BOOLEAN, ordered_at TIMESTAMP (one null), tags JSON
+const PARQUET_FIXTURE = path.join(__dirname, 'test-support', 'orders.parquet');
+
+function check(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+  console.log(`✓ ${message}`);
+}
+
+async function rejects(promise, pattern) {
+  try {
+    await promise;
+    return false;
+  } catch (err) {
+    return pattern.test(err.message);
+  }
+}
+
+function columnTypes(result) {
+  return result.columns.map(c => `${c.name}:${c.type}`).join(',');
+}
+
+function ndjson(...lines) {
+  return Buffer.from(lines.join('\n'));
+}
+
+async function run() {
+  console.log('=== Parquet and JSON Lines Importer Tests ===\n');
+
+  const ds = new FileDataSource({ tenantId: 'importers', projectId: 'test', basePath });
+  await ds.connect();
+
+  try {
+    // Test 1: Parquet
+    console.log('Test 1: Parquet');
+    const progress = [];
+    let result = await ds.importFile(PARQUET_FIXTURE, 'orders', { onProgress: p => progress.push(p) });
+    check(result.imported === 3 &&
+      columnTypes(result) === 'id:INTEGER,customer_name:TEXT,total:REAL,views:INTEGER,paid:INTEGER,ordered_at:TEXT,tags:TEXT',
+      'Column types come from the Parquet schema, with column names sanitized');
+    check(progress.map(p => p.rowsImported).join() === '2,3' && progress[1].bytesRead === fs.statSync(PARQUET_FIXTURE).size,
+      'Rows are read one row group at a time, reporting progress per group');
+
+    const rows = ds.db.prepare('SELECT *, CAST(views AS TEXT) AS views_text FROM orders ORDER BY id').all();
+    check(rows[0].total === 100.5 && rows[0].paid === 1 && rows[1].paid === 0, 'Numbers are numbers and booleans are 0/1');
+    check(rows[1].customer_name === null && rows[2].ordered_at === null, 'Nulls stay null');
+    check(rows[1].views_text === '9007199254740993', 'Integers beyond 2^53 keep every digit');
+    check(rows[0].ordered_at === '2024-01-05T10:00:00.000Z', 'Timestamps are ISO 8601 text');
+    check(rows[0].tags === '["rush"]' && rows[2].tags === '{"gift":true}', 'Nested values are JSON text');
+
+    result = await ds.importFromBuffer(fs.readFileSync(PARQUET_FIXTURE), 'orders.parquet', 'orders_upload');
+    check(result.imported === 3, 'Parquet uploads can be imported from a buffer');
+    check(await rejects(ds.importFromBuffer(Buffer.from('not parquet at all'), 'bad.parquet', 'bad'), /Invalid Parquet file/),
+      'Files that aren\'t Parquet are rejected');
+    check(!(await ds.getTables()).includes('bad'), 'A failed import creates no table');
+
+    // Test 2: JSON Lines
+    console.log('\nTest 2: JSON Lines');
+    result = await ds.importFromBuffer(ndjson(
+      '\uFEFF{"id": 1, "customer": {"name": "Acme", "address": {"city": "Oslo"}}, "tags": ["a", "b"], "total": 10.5}',
+      '',
+      '{"id": 2, "customer": {"name": "Globex"}, "tags": [], "total": 20}',
+      '   ',
+      '{"id": 3, "customer": {}, "total": null}'
+    ), 'orders.ndjson', 'events');
+    check(result.imported === 3 &&
+      columnTypes(result) === 'id:INTEGER,customer_name:TEXT,customer_address_city:TEXT,tags:TEXT,total:REAL,customer:TEXT',
+      'Nested objects are flattened into columns, skipping blank lines and the BOM');
+    const events = ds.db.prepare('SELECT * FROM events ORDER BY id').all();
+    check(events[0].customer_address_city === 'Oslo' && events[1].customer_address_city === null,
+      'Fields a record lacks are null');
+    check(events[0].tags === '["a","b"]' && events[1].tags === '[]' && events[2].customer === '{}',
+      'Arrays and empty objects are stored as JSON text');
+
+    const late = ['{"id": 1}', '{"id": 2}', '{"id": 3, "note": "late"}', '{"id": 4}'];
+    result = await ds.importFromBuffer(ndjson(...late), 'late.jsonl', 'late', { sampleRows: 2, batchSize: 1 });
+    check(result.imported === 4 && columnTypes(result) === 'id:INTEGER,note:TEXT',
+      'Fields first seen after the type-detection sample are added as TEXT columns');
+    check(ds.db.prepare('SELECT note FROM late WHERE id = 3').get().note === 'late', 'Rows before and after a new field keep their values');
+
+    const linesFile = path.join(basePath, 'events.jsonl');
+    fs.writeFileSync(linesFile, '{"id": 1}\r\n{"id": 2}\r\n');
+    result = await ds.importFile(linesFile, 'streamed');
+    check(result.imported === 2, 'JSON Lines files are streamed from disk, with CRLF line endings');
+
+    check(await rejects(ds.importFromBuffer(ndjson('{"id": 1}', '{"id": '), 'bad.ndjson', 'bad'), /Invalid JSON on line 2/),
+      'Malformed lines are reported by line number');
+    check(await rejects(ds.importFromBuffer(ndjson('{"id": 1}', '[1, 2]'), 'bad.ndjson', 'bad'), /Line 2 is not a JSON object/),
+      'Lines must be JSON objects');
+    check(await rejects(ds.importFromBuffer(ndjson('', ''), 'empty.ndjson', 'bad'), /has no records/),
+      'Files with no records are rejected');
+
+    // Test 3: Concurrent imports
+    console.log('\nTest 3: Concurrent imports into one table');
+    const first = path.join(basePath, 'sales-a.csv');
+    const second = path.join(basePath, 'sales-b.csv');
+    // Large enough to be read in several batches, so the imports interleave
+    const csvRows = (count) => Array.from({ length: count }, (_, i) => `${i},${i * 10}`).join('\n');
+    fs.writeFileSync(first, `id,amount\n${csvRows(12000)}\n`);
+    fs.writeFileSync(second, `id,amount\n${csvRows(11000)}\n`);
+    const results = await Promise.allSettled([ds.importFile(first, 'sales'), ds.importFile(second, 'sales')]);
+    check(results.every(r => r.status === 'fulfilled'), 'Both imports succeed');
+    const salesCount = ds.db.prepare('SELECT COUNT(*) AS count FROM sales').get().count;
+    check(salesCount === 12000 || salesCount === 11000, 'The table holds one of the imported files');
+    check(!ds.db.prepare(`SELECT 1 FROM sqlite_master WHERE substr(name, 1, 15) = '_affix_staging_'`).get(),
+      'No staging tables are left behind');
+
+    await ds.importFile(second, 'sales', { mode: 'append' });
+    const [salesProfile] = await ds.getSchemaProfile({ tables: ['sales'] });
+    check(salesProfile.rowCount === salesCount + 11000 && salesProfile.columns.length === 2,
+      'The import stores the table\'s new schema profile');
+  } finally {
+    await ds.disconnect();
+  }
+
+  console.log('\n=== All Importer Tests Passed ✓ ===\n');
+}
+
+run()
+  .then(() => {
+    fs.rmSync(basePath, { recursive: true, force: true });
+    process.exit(0);
+  })
+  .catch(err => {
+    console.error('✗', err.message);
+    fs.rmSync(basePath, { recursive: true, force: true });
+    process.exit(1);
+  });
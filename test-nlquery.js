@@ -0,0 +1,167 @@
+#!/usr/bin/env node
+/**
+ * Natural Language Query Test Script
+ * Tests the SQL repair loop in lib/nlquery.js askQuestion against a throwaway
+ * FileDataSource: queries rejected by the validator or failing when run are
+ * sent back with their error and fixed, attempts run out, and what each
+ * attempt records. Replies come from a scripted provider (and the offline stub).
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FileDataSource = require('./lib/datasources/FileDataSource');
+const LLMProvider = require('./lib/llm/LLMProvider');
+const StubProvider = require('./lib/llm/StubProvider');
+const { askQuestion } = require('./lib/nlquery');
+
+const basePath = fs.mkdtempSync(path.join(os.tmpdir(), 'affix-nlquery-'));
+
+function check(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+  console.log(`✓ ${message}`);
+}
+
+/**
+ * Replies with the given texts in order, keeping the messages of each request
+ */
+class ScriptedProvider extends LLMProvider {
+  constructor(replies) {
+    super({ model: 'scripted' });
+    this.replies = [...replies];
+    this.requests = [];
+  }
+
+  async _complete({ messages }) {
+    this.requests.push(messages.map(message => ({ ...message })));
+    if (this.replies.length === 0) {
+      throw new Error('No replies left');
+    }
+    return { text: this.replies.shift(), usage: { inputTokens: 100, outputTokens: 10, model: this.model } };
+  }
+
+  getType() {
+    return 'scripted';
+  }
+}
+
+function sqlReply(sql, fix) {
+  return `${fix ? `FIX:\n${fix}\n\n` : ''}EXPLANATION:
+Totals the orders.
+
+ASSUMPTIONS:
+None
+
+SQL:
+\`\`\`sql
+${sql}
+\`\`\`
+
+VISUALIZATION:
+A single number
+
+VISUALIZATION_TYPE:
+single_number`;
+}
+
+const TOTAL_SQL = 'SELECT SUM("amount") AS "total" FROM "orders"';
+
+async function run() {
+  console.log('=== Natural Language Query Tests ===\n');
+
+  const ds = new FileDataSource({ tenantId: 'nlquery', projectId: 'test', basePath });
+  await ds.connect();
+
+  try {
+    ds.db.exec(`
+      CREATE TABLE orders (id INTEGER, region TEXT, amount REAL);
+      INSERT INTO orders VALUES (1, 'West', 10), (2, 'East', 20), (3, 'West', 30);
+    `);
+
+    // Test 1: A query the validator rejects
+    console.log('Test 1: A rejected query is fixed');
+    let provider = new ScriptedProvider([
+      sqlReply('DELETE FROM "orders"'),
+      sqlReply(TOTAL_SQL, 'Read the orders instead of deleting them.')
+    ]);
+    const progress = [];
+    let result = await askQuestion(ds, 'What is the total order amount?', {
+      provider,
+      onProgress: (stage, data) => progress.push({ stage, ...data })
+    });
+    check(!result.error && result.rows[0].total === 60, 'The corrected query\'s result is returned');
+    check(result.repaired === true && result.fix === 'Read the orders instead of deleting them.',
+      'The result is marked repaired, with what the fix changed');
+    check(result.attempts.length === 2 && result.attempts[0].errorType === 'sql_validation_error' &&
+      result.attempts[0].sql === 'DELETE FROM "orders"' && result.attempts[0].fix === null,
+    'The rejected attempt is recorded with its SQL and error');
+    check(result.attempts[1].error === null && result.attempts[1].fix === 'Read the orders instead of deleting them.',
+      'The fixed attempt is recorded with its fix');
+
+    const repair = provider.requests[1];
+    check(repair.length === 3 && repair[1].role === 'assistant' && repair[1].content.includes('DELETE FROM "orders"'),
+      'The repair request includes the rejected reply');
+    check(/rejected by the SQL validator/.test(repair[2].content) && repair[2].content.includes(result.attempts[0].error),
+      'The repair request says the query was rejected, and why');
+    check(result.usage.inputTokens === 200 && result.usage.outputTokens === 20, 'Tokens are counted for every attempt');
+    check(progress.filter(p => p.stage === 'sql').map(p => `${p.attempt}:${p.fix !== null}`).join() === '1:false,2:true',
+      'Progress reports each attempt\'s SQL');
+
+    // Test 2: A query that fails when run
+    console.log('\nTest 2: A failed query is fixed');
+    provider = new ScriptedProvider([
+      sqlReply('SELECT SUM("amt") AS "total" FROM "orders"'),
+      sqlReply(TOTAL_SQL, 'The column is called amount.')
+    ]);
+    result = await askQuestion(ds, 'What is the total order amount?', { provider });
+    check(!result.error && result.rows[0].total === 60 && result.repaired && result.fix === 'The column is called amount.',
+      'A query with an unknown column is fixed');
+    check(result.attempts[0].errorType === 'sql_execution_error' && /no such column: amt/.test(result.attempts[0].error),
+      'The failed attempt is recorded with the database error');
+    check(/failed when run/.test(provider.requests[1][2].content), 'The repair request says the query failed when run');
+
+    // Test 3: Running out of attempts
+    console.log('\nTest 3: Attempts run out');
+    provider = new ScriptedProvider([
+      sqlReply('SELECT "amt" FROM "orders"'),
+      sqlReply('SELECT "amnt" FROM "orders"', 'Tried another spelling.'),
+      sqlReply('SELECT "amout" FROM "orders"', 'Tried yet another spelling.')
+    ]);
+    result = await askQuestion(ds, 'What is the total order amount?', { provider });
+    check(result.error && result.errorType === 'sql_execution_error' && /no such column: amout/.test(result.message),
+      'The last attempt\'s error is returned');
+    check(provider.requests.length === 3 && result.attempts.length === 3 &&
+      result.attempts.map(a => a.fix === null).join() === 'true,false,false',
+    'The query is repaired twice by default, and every attempt is recorded');
+    check(result.sql === 'SELECT "amout" FROM "orders"', 'The failed result has the last SQL tried');
+
+    provider = new ScriptedProvider([sqlReply('SELECT "amt" FROM "orders"')]);
+    result = await askQuestion(ds, 'What is the total order amount?', { provider, maxRepairAttempts: 0 });
+    check(result.error && provider.requests.length === 1 && result.attempts.length === 1,
+      'maxRepairAttempts: 0 turns repairs off');
+
+    // Test 4: Queries that work the first time
+    console.log('\nTest 4: A query that works the first time');
+    result = await askQuestion(ds, 'What is the total amount by region in orders?', { provider: new StubProvider() });
+    check(!result.error && result.rowCount === 2 && result.attempts.length === 1, 'The query runs once');
+    check(result.repaired === false && result.fix === null && result.attempts[0].error === null,
+      'It is not marked repaired and has no fix');
+  } finally {
+    await ds.disconnect();
+  }
+
+  console.log('\n=== All Natural Language Query Tests Passed ✓ ===\n');
+}
+
+run()
+  .then(() => {
+    fs.rmSync(basePath, { recursive: true, force: true });
+    process.exit(0);
+  })
+  .catch(err => {
+    console.error('✗', err.message);
+    fs.rmSync(basePath, { recursive: true, force: true });
+    process.exit(1);
+  });
@@ -0,0 +1,151 @@
+#!/usr/bin/env node
+/**
+ * PostgreSQL Data Source Test Script
+ * Runs CloudDBDataSource against a real Postgres server: connection, schema
+ * introspection, parameterized queries, the read-only sandbox, schema context
+ * and a question answered by the offline stub AI provider with Postgres SQL.
+ *
+ * Start a local container and point the script at it with the usual libpq
+ * variables (the script is skipped when PGHOST is not set):
+ *
+ *   docker run --rm -d --name affix-pg -e POSTGRES_PASSWORD=affix -p 5432:5432 postgres:16
+ *   PGHOST=localhost PGUSER=postgres PGPASSWORD=affix PGDATABASE=postgres node test-postgres.js
+ *
+ * Everything is created in a throwaway schema that is dropped afterwards.
+ */
+
+const { Client } = require('pg');
+const CloudDBDataSource = require('./lib/datasources/CloudDBDataSource');
+const { askQuestion } = require('./lib/nlquery');
+const { StubProvider } = require('./lib/llm');
+
+const config = {
+  host: process.env.PGHOST,
+  port: Number(process.env.PGPORT) || 5432,
+  database: process.env.PGDATABASE || 'postgres',
+  user: process.env.PGUSER || 'postgres',
+  password: process.env.PGPASSWORD
+};
+const schema = `affix_test_${process.pid}`;
+
+let admin = null;
+let ds = null;
+
+function check(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+  console.log(`✓ ${message}`);
+}
+
+async function rejects(promise, pattern) {
+  try {
+    await promise;
+    return false;
+  } catch (err) {
+    return pattern.test(err.message);
+  }
+}
+
+async function createFixtures() {
+  admin = new Client(config);
+  await admin.connect();
+  await admin.query(`CREATE SCHEMA ${schema}`);
+  await admin.query(`
+    CREATE TABLE ${schema}.customers (
+      id SERIAL PRIMARY KEY,
+      name TEXT NOT NULL,
+      region TEXT
+    );
+    CREATE TABLE ${schema}.orders (
+      id SERIAL PRIMARY KEY,
+      customer_id INTEGER REFERENCES ${schema}.customers (id),
+      status TEXT,
+      total NUMERIC(10, 2),
+      ordered_at DATE
+    );
+    CREATE VIEW ${schema}.open_orders AS SELECT * FROM ${schema}.orders WHERE status = 'open';
+    INSERT INTO ${schema}.customers (name, region) VALUES ('Acme', 'West'), ('Globex', 'East');
+    INSERT INTO ${schema}.orders (customer_id, status, total, ordered_at) VALUES
+      (1, 'open', 100.50, '2024-01-05'),
+      (1, 'shipped', 250.00, '2024-02-10'),
+      (2, 'open', 75.25, '2024-03-15');
+  `);
+}
+
+async function cleanup() {
+  if (ds) await ds.disconnect().catch(() => {});
+  if (admin) {
+    await admin.query(`DROP SCHEMA IF EXISTS ${schema} CASCADE`).catch(() => {});
+    await admin.end().catch(() => {});
+  }
+}
+
+async function run() {
+  console.log('=== PostgreSQL Data Source Tests ===\n');
+
+  await createFixtures();
+
+  // Test 1: Connect
+  console.log('Test 1: Connect');
+  ds = new CloudDBDataSource({ dbType: 'postgres', ...config, schema });
+  await ds.connect();
+  check(ds.connected && ds.getDialect() === 'postgres', 'Connected with the postgres dialect');
+  const bad = new CloudDBDataSource({ dbType: 'postgres', ...config, port: 1, connectTimeout: 2000 });
+  check(await rejects(bad.connect(), /Failed to connect to PostgreSQL/), 'Connection failures are reported');
+
+  // Test 2: Schema introspection
+  console.log('\nTest 2: Schema introspection');
+  const { tables, views } = await ds.getSchema();
+  check(tables.join() === 'customers,orders' && views.join() === 'open_orders', 'Lists the schema\'s tables and views');
+  const columns = await ds.getColumns('orders');
+  const id = columns.find(c => c.name === 'id');
+  const total = columns.find(c => c.name === 'total');
+  check(id.primaryKey && !id.nullable && total.type === 'numeric', 'Describes columns with their types and primary key');
+  check(await rejects(ds.getColumns('missing'), /not found/), 'Unknown tables are rejected');
+
+  // Test 3: Queries
+  console.log('\nTest 3: Queries');
+  let result = await ds.execute('SELECT COUNT(*) AS n, SUM(total) AS sum FROM orders WHERE status = ?', ['open']);
+  check(result.rows[0].n === 2 && result.rows[0].sum === 175.75, '? parameters work and counts and sums are numbers');
+  result = await ds.execute('SELECT ordered_at FROM orders WHERE status = ? AND \'?\' = \'?\' ORDER BY id LIMIT 1', ['open']);
+  check(result.rows[0].ordered_at === '2024-01-05', 'Dates come back as strings and quoted ? are left alone');
+
+  // Test 4: Read-only sandbox
+  console.log('\nTest 4: Read-only sandbox');
+  result = await ds.executeReadOnly('SELECT * FROM orders ORDER BY id', [], { maxRows: 2 });
+  check(result.rows.length === 2 && result.truncated, 'Results are capped at maxRows');
+  result = await ds.executeReadOnly('SELECT g FROM generate_series(1, 1000000) AS g WHERE g > ?;', [10], { maxRows: 5 });
+  check(result.rows.length === 5 && result.rows[0].g === 11 && result.truncated, 'Only maxRows rows of a large result are fetched');
+  check(await rejects(ds.executeReadOnly('DELETE FROM orders'), /SQL execution error/), 'Writes are refused');
+  check(await rejects(ds.executeReadOnly('SELECT pg_sleep(5)', [], { timeoutMs: 200 }), /timed out/), 'Slow queries time out');
+  result = await ds.execute('SELECT COUNT(*) AS n FROM orders');
+  check(result.rows[0].n === 3, 'The sandbox left the data untouched');
+
+  // Test 5: Schema context and a question
+  console.log('\nTest 5: Schema context and questions');
+  const context = await ds.gatherSchemaContext();
+  check(/TABLE: orders \(3 rows\)/.test(context) && /- total \(numeric/.test(context), 'Schema context describes the tables');
+  check(/\w+\.id ↔ \w+\.id \(likely join key\)/.test(context), 'Schema context lists likely join keys');
+  const answer = await askQuestion(ds, 'What is the breakdown by status in orders?', { provider: new StubProvider() });
+  check(!answer.error && answer.rows.map(r => r.status).sort().join() === 'open,shipped',
+    'A generated question runs against Postgres');
+
+  console.log('\n=== All PostgreSQL Tests Passed ✓ ===\n');
+}
+
+if (!config.host) {
+  console.log('PGHOST is not set; skipping the PostgreSQL tests (see the top of this file).');
+  process.exit(0);
+}
+
+run()
+  .then(async () => {
+    await cleanup();
+    process.exit(0);
+  })
+  .catch(async err => {
+    console.error('✗', err.message);
+    await cleanup();
+    process.exit(1);
+  });
@@ -0,0 +1,112 @@
+#!/usr/bin/env node
+/**
+ * Query Integration Test Script
+ * Starts the server against a throwaway data directory and exercises queries:
+ * manual SQL (with its event stream), and NL questions and dashboard generation
+ * answered by the offline stub AI provider, with the credits they use.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { check, uploadForm, runWithServer } = require('./test-support/server');
+
+runWithServer('Query Tests', async ({ request, baseUrl, headers, email }) => {
+  const created = await request('POST', '/api/projects', { name: 'Query Test' });
+  const projectId = created.data.project.id;
+  await request('POST', `/api/projects/${projectId}/upload`, uploadForm('ledger.csv', 'id,amount\n1,10\n2,20\n3,30\n'));
+  await request('POST', `/api/projects/${projectId}/datasets`, { name: 'ledger_total', sql: 'SELECT SUM(amount) AS total FROM ledger' });
+
+  // Test 1: Manual SQL
+  console.log('Test 1: Manual SQL');
+  let res = await request('POST', `/api/projects/${projectId}/sql`, { sql: 'SELECT total FROM ledger_total', title: 'Ledger total' });
+  check(res.status === 200 && res.data.rows[0].total === 60 && res.data.queryId, 'User-written SQL runs and is saved as a query');
+  res = await request('POST', `/api/projects/${projectId}/sql`, { sql: 'DELETE FROM ledger' });
+  check(res.status === 400 && res.data.errorType === 'sql_validation_error', 'User-written SQL is validated like generated SQL');
+  const tenantSources = await request('GET', '/api/datasources');
+  const sharedFile = tenantSources.data.find(s => s.type === 'file');
+  res = await request('POST', `/api/projects/${projectId}/sql`, { sql: 'SELECT 1 AS one', dataSourceId: sharedFile.id });
+  check(res.status === 400, 'The shared tenant file database cannot be queried from a project');
+  res = await request('POST', `/api/datasources/${sharedFile.id}/query`, { sql: 'SELECT 1 AS one' });
+  check(res.status === 200 && res.data.rows[0].one === 1, 'Data sources can be queried directly');
+  res = await request('POST', `/api/datasources/${sharedFile.id}/query`, { sql: 'CREATE TABLE scratch (id INTEGER)' });
+  check(res.status === 400 && res.data.errorType === 'sql_validation_error', 'Direct queries must be read-only SELECTs');
+  res = await request('POST', `/api/datasources/${sharedFile.id}/query`, { sql: 'SELECT * FROM sqlite_master' });
+  check(res.status === 400 && res.data.errorType === 'sql_validation_error', 'Direct queries can only read the source\'s tables');
+  const outside = path.join(os.tmpdir(), `affix-outside-${process.pid}`);
+  res = await request('POST', '/api/datasources/test', { type: 'file', basePath: outside, filename: 'elsewhere.db' });
+  check(res.status === 200 && res.data.success && !fs.existsSync(outside),
+    'File source tests ignore paths in the request and open the tenant\'s own database');
+  const history = await request('GET', `/api/projects/${projectId}/queries`);
+  check(history.data.queries.some(q => q.question === 'Ledger total' && q.source === 'manual'), 'Manual queries are listed with source "manual"');
+
+  const stream = await fetch(`${baseUrl}/api/projects/${projectId}/sql`, {
+    method: 'POST',
+    headers: headers({ 'content-type': 'application/json', accept: 'text/event-stream' }),
+    body: JSON.stringify({ sql: 'SELECT missing FROM ledger' })
+  });
+  const events = (await stream.text()).match(/^event: \w+/gm).map(line => line.slice(7));
+  check(stream.headers.get('content-type').startsWith('text/event-stream') && events.join() === 'stage,error,done',
+    'Queries stream their progress as Server-Sent Events');
+
+  // A client that disconnects mid-query doesn't return the connection while the query still runs
+  const poolBorrowed = async () => {
+    const pool = await request('GET', '/api/datasources/pool');
+    const connection = pool.data.connections.find(c => c.key === `project:${projectId}`);
+    return connection ? connection.borrowed : 0;
+  };
+  const aborted = new AbortController();
+  const slow = await fetch(`${baseUrl}/api/projects/${projectId}/sql`, {
+    method: 'POST',
+    headers: headers({ 'content-type': 'application/json', accept: 'text/event-stream' }),
+    body: JSON.stringify({
+      sql: 'WITH RECURSIVE n(x) AS (SELECT 1 UNION ALL SELECT x + 1 FROM n WHERE x < 20000000) SELECT COUNT(*) AS c FROM n'
+    }),
+    signal: aborted.signal
+  });
+  await slow.body.getReader().read();
+  aborted.abort();
+  await new Promise(resolve => setTimeout(resolve, 200));
+  check(await poolBorrowed() === 1, 'A query whose client disconnected keeps its connection borrowed');
+  for (let i = 0; i < 300 && await poolBorrowed() > 0; i++) {
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  check(await poolBorrowed() === 0, 'The connection is returned when the query finishes');
+
+  // Test 2: AI features with the offline provider
+  console.log('\nTest 2: Offline AI provider');
+  res = await request('POST', `/api/projects/${projectId}/query`, { question: 'How many rows are in ledger?' });
+  check(res.status === 200 && res.data.rows[0].row_count === 3 && res.data.usage.model === 'stub',
+    'NL questions are answered by the stub provider');
+  res = await request('POST', `/api/projects/${projectId}/query`, { question: 'How many rows are in ledger?' });
+  check(res.status === 200 && res.data.cached && res.data.rows[0].row_count === 3 &&
+    res.data.usage.inputTokens === 0 && res.data.usage.outputTokens === 0 && res.data.attempts.length === 0,
+  'Cached answers report no tokens used and no attempts');
+  res = await request('POST', `/api/projects/${projectId}/generate-dashboard`, { description: 'Ledger overview' });
+  check(res.status === 200 && res.data.widgets.length === 4, 'Dashboards are generated offline');
+  res = await request('GET', '/api/credits');
+  check(res.data.creditsUsed > 0, 'Tokens used by the provider are charged to the tenant');
+  const purposes = res.data.breakdown.byPurpose.map(row => row.purpose);
+  const spent = res.data.breakdown.byPurpose.reduce((sum, row) => sum + row.cost, 0);
+  check(purposes.includes('query_sql') && purposes.includes('dashboard_generation') && Math.abs(spent - res.data.creditsUsed) < 1e-9,
+    'Spend is broken down by purpose from the usage ledger');
+  check(res.data.breakdown.byUser.length === 1 && res.data.breakdown.byUser[0].email === email,
+    'Spend is attributed to the user who made the calls');
+
+  // Test 3: Projects bound to a database source
+  console.log('\nTest 3: Project data source binding');
+  const warehouse = await request('POST', '/api/datasources', {
+    name: 'Warehouse', type: 'cloud', dbType: 'postgres', host: '127.0.0.1', port: 1, database: 'analytics', isDefault: true
+  });
+  res = await request('POST', '/api/projects', { name: 'Empty' });
+  const emptyId = res.data.project.id;
+  res = await request('POST', `/api/projects/${emptyId}/sql`, { sql: 'SELECT 1 AS one' });
+  check(res.status === 200 && res.data.rows[0].one === 1,
+    'A project without uploads queries its own database, not the tenant\'s default connection');
+  res = await request('PUT', `/api/projects/${emptyId}`, { dataSourceId: sharedFile.id });
+  check(res.status === 400, 'Projects cannot be bound to the shared tenant file database');
+  res = await request('PUT', `/api/projects/${emptyId}`, { dataSourceId: warehouse.data.id });
+  check(res.status === 200 && res.data.project.data_source_id === warehouse.data.id, 'Projects can be bound to a database source');
+  res = await request('PUT', `/api/projects/${emptyId}`, { dataSourceId: null });
+  check(res.status === 200 && res.data.project.data_source_id === null, 'dataSourceId: null unbinds the project');
+});
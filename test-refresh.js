@@ -0,0 +1,118 @@
+#!/usr/bin/env node
+/**
+ * Data Refresh Integration Test Script
+ * Starts the server against a throwaway data directory and exercises
+ * POST /api/sources/:id/refresh end to end: validation, sheet selection,
+ * replace/append/upsert modes, concurrent refreshes, schema snapshots and the
+ * data_source.refreshed webhook.
+ */
+
+const XLSX = require('xlsx');
+const { check, uploadForm, startWebhookReceiver, runWithServer } = require('./test-support/server');
+
+runWithServer('Data Refresh Tests', async ({ request }) => {
+  const webhooks = await startWebhookReceiver();
+
+  // Test 1: Upload a file to refresh later
+  console.log('Test 1: Upload the initial file');
+  const created = await request('POST', '/api/projects', { name: 'Refresh Test' });
+  const projectId = created.data.project.id;
+
+  const uploaded = await request('POST', `/api/projects/${projectId}/upload`,
+    uploadForm('orders.csv', 'id,customer,total\n1,Acme,100\n2,Globex,250\n'));
+  check(uploaded.status === 200 && uploaded.data.dataSource.rowCount === 2, 'Uploaded orders.csv with 2 rows');
+  const sourceId = uploaded.data.dataSource.id;
+
+  const webhook = await request('POST', '/api/webhooks', {
+    name: 'Refresh hook',
+    url: webhooks.url,
+    triggers: ['data_source.refreshed'],
+    projectId
+  });
+  check(webhook.status === 200, 'Registered a data_source.refreshed webhook');
+
+  // Test 2: Request validation
+  console.log('\nTest 2: Reject invalid refresh requests');
+  let res = await request('POST', `/api/sources/${sourceId}/refresh`, uploadForm('orders.csv', null));
+  check(res.status === 400 && res.data.error === 'No file uploaded', 'Refresh without a file returns 400');
+
+  res = await request('POST', '/api/sources/does-not-exist/refresh', uploadForm('orders.csv', 'id\n1\n'));
+  check(res.status === 404, 'Refresh of an unknown source returns 404');
+
+  res = await request('POST', `/api/sources/${sourceId}/refresh`, uploadForm('orders.xlsx', 'not really excel'));
+  check(res.status === 400 && /Invalid Excel file/.test(res.data.error), 'Refresh with a fake .xlsx fails the magic-byte check');
+
+  res = await request('POST', `/api/sources/${sourceId}/refresh`,
+    uploadForm('orders.csv', 'id,customer\n1,"unterminated\n'));
+  check(res.status === 400, 'Refresh with a malformed CSV returns 400');
+
+  let sources = await request('GET', `/api/projects/${projectId}/sources`);
+  let source = sources.data.find(s => s.id === sourceId);
+  check(source.status === 'ready' && source.row_count === 2, 'Failed refreshes leave the source ready with its old rows');
+
+  // Test 3: Replace with a CSV
+  console.log('\nTest 3: Replace refresh');
+  res = await request('POST', `/api/sources/${sourceId}/refresh`,
+    uploadForm('orders.csv', 'id,customer,total,region\n1,Acme,100,West\n2,Globex,300,East\n3,Initech,50,West\n'));
+  check(res.status === 200 && res.data.rowCount === 3 && res.data.columnCount === 4, 'Replace refresh returns the new row and column counts');
+  check(res.data.diff.inserted === 3 && res.data.diff.deleted === 2, 'Replace refresh reports 3 inserted and 2 deleted rows');
+
+  sources = await request('GET', `/api/projects/${projectId}/sources`);
+  source = sources.data.find(s => s.id === sourceId);
+  check(source.schema_snapshot.rowCount === 3 && source.schema_snapshot.columns.length === 4, 'Schema snapshot describes the refreshed table');
+  check(/TABLE: orders/.test(source.schema_snapshot.schemaContext), 'Schema snapshot includes the table schema context');
+
+  const event = await webhooks.waitFor('data_source.refreshed');
+  check(event && event.data.dataSourceId === sourceId && event.data.rowCount === 3, 'data_source.refreshed webhook was delivered');
+
+  // Test 4: Upsert
+  console.log('\nTest 4: Upsert refresh');
+  res = await request('POST', `/api/sources/${sourceId}/refresh`,
+    uploadForm('orders.csv', 'id,customer,total,region\n1,Acme,100,West\n2,Globex,350,East\n4,Hooli,75,North\n', {
+      mode: 'upsert',
+      keyColumns: 'id'
+    }));
+  check(res.status === 200 && res.data.rowCount === 4, 'Upsert refresh keeps existing rows and adds new ones');
+  const { inserted, updated, unchanged } = res.data.diff;
+  check(inserted === 1 && updated === 1 && unchanged === 1, 'Upsert diff counts 1 inserted, 1 updated, 1 unchanged row');
+
+  res = await request('POST', `/api/sources/${sourceId}/refresh`,
+    uploadForm('orders.csv', 'id,customer,total,region\n4,Hooli,75,North\n', { mode: 'append' }));
+  check(res.status === 200 && res.data.rowCount === 5, 'Append refresh adds the rows as they are, repeating id 4');
+  res = await request('POST', `/api/sources/${sourceId}/refresh`,
+    uploadForm('orders.csv', 'id,customer,total,region\n4,Hooli,80,North\n', { mode: 'upsert', keyColumns: 'id' }));
+  check(res.status === 200 && res.data.diff.updated === 1 && res.data.diff.inserted === 0,
+    'An upsert row matching several table rows counts as one update');
+
+  const bigOrders = 'id,customer,total,region\n' + Array.from({ length: 50000 }, (_, i) => `${i},C${i},${i},West`).join('\n');
+  const concurrent = await Promise.all([1, 2].map(() =>
+    request('POST', `/api/sources/${sourceId}/refresh`, uploadForm('orders.csv', bigOrders))));
+  check(concurrent.map(r => r.status).sort().join() === '200,409', 'Of two concurrent refreshes of a source, one is refused');
+  const uploadAndRefresh = await Promise.all([
+    request('POST', `/api/projects/${projectId}/upload`, uploadForm('orders.csv', bigOrders)),
+    request('POST', `/api/sources/${sourceId}/refresh`, uploadForm('orders.csv', bigOrders))
+  ]);
+  check(uploadAndRefresh.map(r => r.status).sort().join() === '200,409',
+    'An upload into a table that is being refreshed is refused, and the other way round');
+
+  // Test 5: Excel with sheet selection
+  console.log('\nTest 5: Excel refresh with sheet selection');
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([['note'], ['summary only']]), 'Summary');
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([
+    ['id', 'customer', 'total'],
+    [10, 'Umbrella', 500],
+    [11, 'Stark', 900]
+  ]), 'Orders');
+  const xlsx = XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+
+  res = await request('POST', `/api/sources/${sourceId}/refresh`, uploadForm('orders.xlsx', xlsx, { sheet: 'Orders' }));
+  check(res.status === 200 && res.data.rowCount === 2 && res.data.columnCount === 3, 'Refresh imported the selected sheet');
+  check(Array.isArray(res.data.sheets) && res.data.sheets.includes('Summary'), 'Refresh lists the workbook sheets');
+
+  sources = await request('GET', `/api/projects/${projectId}/sources`);
+  source = sources.data.find(s => s.id === sourceId);
+  check(source.file_type === 'xlsx' && source.original_filename === 'orders.xlsx', 'Source records the refreshed file');
+
+  webhooks.close();
+});
@@ -0,0 +1,183 @@
+/**
+ * Integration test server
+ * Shared by the test-*.js scripts that exercise the HTTP API: starts the server
+ * against a throwaway data directory, with the offline stub AI provider and a
+ * seeded owner account, and provides a cookie-keeping request helper.
+ */
+
+const { spawn } = require('child_process');
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const EMAIL = 'integration-test@useaffix.ai';
+const PASSWORD = 'IntegrationTest2024!';
+
+function check(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+  console.log(`✓ ${message}`);
+}
+
+function uploadForm(filename, content, fields = {}) {
+  const form = new FormData();
+  if (content !== null) {
+    form.append('file', new Blob([content]), filename);
+  }
+  for (const [key, value] of Object.entries(fields)) {
+    form.append(key, value);
+  }
+  return form;
+}
+
+/**
+ * Start the server and log in as the seeded owner
+ * @returns {Promise<object>} { baseUrl, email, request(method, url, body), headers(extra), stop() }
+ */
+async function startServer() {
+  const port = 3900 + Math.floor(Math.random() * 90);
+  const baseUrl = `http://localhost:${port}`;
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'affix-test-'));
+  let cookie = '';
+
+  const child = spawn(process.execPath, [path.join(__dirname, '..', 'index.js')], {
+    env: {
+      ...process.env,
+      NODE_ENV: 'production',
+      PORT: String(port),
+      PERSISTENT_DISK_PATH: dataDir,
+      LLM_PROVIDER: 'stub',
+      DEFAULT_USER_EMAIL: EMAIL,
+      DEFAULT_USER_PASSWORD: PASSWORD
+    },
+    stdio: ['ignore', 'ignore', 'inherit']
+  });
+
+  const stop = () => {
+    child.kill();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  };
+
+  // The server runs in production mode (so it uses dataDir), which means secure
+  // cookies; the forwarded proto header makes it treat the request as HTTPS
+  const headers = (extra = {}) => ({ cookie, 'x-forwarded-proto': 'https', ...extra });
+
+  async function request(method, url, body) {
+    const options = { method, headers: headers() };
+
+    if (body instanceof FormData) {
+      options.body = body;
+    } else if (body) {
+      options.body = JSON.stringify(body);
+      options.headers['content-type'] = 'application/json';
+    }
+
+    const response = await fetch(baseUrl + url, options);
+    const setCookie = response.headers.get('set-cookie');
+    if (setCookie) {
+      cookie = setCookie.split(';')[0];
+    }
+
+    const text = await response.text();
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch {
+      data = text;
+    }
+    return { status: response.status, data };
+  }
+
+  try {
+    let started = false;
+    for (let attempt = 0; attempt < 50 && !started; attempt++) {
+      try {
+        await fetch(`${baseUrl}/login`);
+        started = true;
+      } catch {
+        await new Promise(resolve => setTimeout(resolve, 200));
+      }
+    }
+    if (!started) {
+      throw new Error('Server did not start');
+    }
+
+    const login = await request('POST', '/auth/login', { email: EMAIL, password: PASSWORD });
+    if (login.status !== 200) {
+      throw new Error(`Could not log in as the seeded owner (${login.status})`);
+    }
+  } catch (err) {
+    stop();
+    throw err;
+  }
+
+  return { baseUrl, email: EMAIL, request, headers, stop };
+}
+
+/**
+ * Receive webhooks on a local port
+ * @returns {Promise<object>} { url, waitFor(eventType), close() }
+ */
+async function startWebhookReceiver() {
+  const events = [];
+  const receiver = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      events.push(JSON.parse(body));
+      res.end('ok');
+    });
+  });
+  await new Promise(resolve => receiver.listen(0, resolve));
+
+  return {
+    url: `http://localhost:${receiver.address().port}/hook`,
+    async waitFor(eventType) {
+      for (let attempt = 0; attempt < 50; attempt++) {
+        const event = events.find(e => e.event === eventType);
+        if (event) return event;
+        await new Promise(resolve => setTimeout(resolve, 100));
+      }
+      return null;
+    },
+    close() {
+      receiver.close();
+    }
+  };
+}
+
+/**
+ * Run a test script's tests against a fresh server, then stop it and exit
+ * @param {string} title - Printed before and after the tests
+ * @param {function(object): Promise<void>} tests - Receives the started server
+ */
+function runWithServer(title, tests) {
+  let server = null;
+  console.log(`=== ${title} ===\n`);
+
+  startServer()
+    .then(started => {
+      server = started;
+      return tests(server);
+    })
+    .then(() => {
+      console.log(`\n=== All ${title} Passed ✓ ===\n`);
+      server.stop();
+      process.exit(0);
+    })
+    .catch(err => {
+      console.error('✗', err.message);
+      if (server) server.stop();
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  check,
+  uploadForm,
+  startServer,
+  startWebhookReceiver,
+  runWithServer
+};
@@ -0,0 +1,104 @@
+#!/usr/bin/env node
+/**
+ * Upload Integration Test Script
+ * Starts the server against a throwaway data directory and exercises uploads:
+ * previews, column overrides that later refreshes keep, locale-aware
+ * normalization of dates and amounts, and workbook uploads that import every
+ * table on every sheet.
+ */
+
+const XLSX = require('xlsx');
+const { check, uploadForm, runWithServer } = require('./test-support/server');
+
+runWithServer('Upload Tests', async ({ request }) => {
+  const created = await request('POST', '/api/projects', { name: 'Upload Test' });
+  const projectId = created.data.project.id;
+
+  // Test 1: Preview and column overrides
+  console.log('Test 1: Upload preview and column overrides');
+  const stores = 'store,zip,opened,manager\nNorth,02134,15/03/2021,Ann\nSouth,10001,01/12/2019,Bo\n';
+  let res = await request('POST', `/api/projects/${projectId}/upload/preview`, uploadForm('stores.csv', stores));
+  const zip = res.status === 200 && res.data.columns.find(c => c.name === 'zip');
+  check(zip && zip.type === 'INTEGER' && res.data.rows.length === 2, 'Preview returns the detected columns and sample rows');
+  check(res.data.warnings.some(w => /leading zeros/.test(w)), 'Preview warns that zip codes lose their leading zeros');
+  check(res.data.rows[0].opened === '2021-03-15' && res.data.rows[0].opened_original === '15/03/2021',
+    'Preview normalizes dates to ISO and keeps the original text');
+
+  res = await request('POST', `/api/projects/${projectId}/upload/preview`,
+    uploadForm('codes.csv', 'code,qty\n0x1A,1\nInfinity,2\n1e400,3\n'));
+  check(res.status === 200 && res.data.columns.map(c => c.type).join() === 'TEXT,INTEGER',
+    'Hex literals, Infinity and out-of-range numbers are text, not numbers');
+
+  const prices = 'item,price\nTea,"1.234,50 €"\nCake,"3,00 €"\n';
+  res = await request('POST', `/api/projects/${projectId}/upload/preview`, uploadForm('prices.csv', prices, { locale: 'de-DE' }));
+  const price = res.status === 200 && res.data.columns.find(c => c.name === 'price');
+  check(price && price.type === 'REAL' && price.unit === 'EUR' && res.data.rows[0].price === 1234.5,
+    'Preview reads amounts in the upload\'s locale and records their currency');
+  res = await request('PATCH', '/api/tenant', { settings: { locale: 'xx-XX' } });
+  check(res.status === 400, 'Unsupported tenant locales are rejected');
+
+  const overrides = JSON.stringify({
+    zip: { type: 'TEXT' },
+    opened: { type: 'DATE', dateFormat: 'DD/MM/YYYY' },
+    manager: { skip: true },
+    store: { rename: 'region' }
+  });
+  let sources = await request('GET', `/api/projects/${projectId}/sources`);
+  const sourceCount = sources.data.length;
+  res = await request('POST', `/api/projects/${projectId}/upload/preview`, uploadForm('stores.csv', stores, { columns: overrides }));
+  check(res.status === 200 && res.data.rows[0].zip === '02134' && res.data.rows[0].opened === '2021-03-15', 'Preview applies the column overrides');
+  sources = await request('GET', `/api/projects/${projectId}/sources`);
+  check(sources.data.length === sourceCount, 'Preview does not create a data source');
+
+  res = await request('POST', `/api/projects/${projectId}/upload/preview`,
+    uploadForm('stores.csv', stores, { columns: JSON.stringify({ zipcode: { type: 'TEXT' } }) }));
+  check(res.status === 400 && /zipcode/.test(res.data.error), 'Overrides for a column the file lacks are rejected');
+
+  res = await request('POST', `/api/projects/${projectId}/upload`, uploadForm('stores.csv', stores, { columns: overrides }));
+  check(res.status === 200 && res.data.dataSource.columnCount === 3, 'Upload skips the overridden column');
+  const storesId = res.data.dataSource.id;
+
+  res = await request('POST', `/api/sources/${storesId}/refresh`,
+    uploadForm('stores.csv', 'store,zip,opened,manager\nEast,07030,02/01/2022,Cy\n'));
+  check(res.status === 200 && res.data.columnCount === 3, 'Refresh reuses the saved column overrides');
+  res = await request('POST', `/api/sources/${storesId}/refresh`,
+    uploadForm('stores.csv', 'store,zip,opened\nEast,07030,02/01/2022\n'));
+  check(res.status === 200, 'Saved overrides for columns a refreshed file lacks are ignored');
+
+  // Test 2: Every sheet of a workbook
+  console.log('\nTest 2: Workbook upload with sheets=all');
+  const finance = XLSX.utils.book_new();
+  const budget = XLSX.utils.aoa_to_sheet([
+    ['Budget 2024'], ['Dept', 'Q1', 'Q2'], ['Ops', 1, 2], ['IT', 3, 4], [], ['Owner', 'Email'], ['Ann', 'ann@example.com']
+  ]);
+  budget['!merges'] = [{ s: { r: 0, c: 0 }, e: { r: 0, c: 2 } }];
+  XLSX.utils.book_append_sheet(finance, budget, 'Budget');
+  XLSX.utils.book_append_sheet(finance, XLSX.utils.aoa_to_sheet([['month', 'spend'], ['Jan', 10], ['Feb', 12]]), 'Actuals');
+  const financeXlsx = XLSX.write(finance, { type: 'buffer', bookType: 'xlsx' });
+
+  res = await request('POST', `/api/projects/${projectId}/upload/preview`, uploadForm('finance.xlsx', financeXlsx));
+  check(res.status === 200 && res.data.tables.length === 3 && res.data.tables[0].headerRow === 2,
+    'Preview lists each table, skipping the title row above the header');
+
+  res = await request('POST', `/api/projects/${projectId}/upload`, uploadForm('finance.xlsx', financeXlsx, { sheets: 'all' }));
+  const financeNames = res.status === 200 ? res.data.dataSources.map(s => s.table).sort() : [];
+  check(financeNames.join() === 'finance_Actuals,finance_Budget,finance_Budget_2', 'sheets=all creates one source per table');
+  const actualsSource = res.data.dataSources.find(s => s.table === 'finance_Actuals');
+
+  const regions = XLSX.utils.book_new();
+  for (const sheet of ['Q-1', 'Q_1', 'Q 1']) {
+    XLSX.utils.book_append_sheet(regions, XLSX.utils.aoa_to_sheet([['region', 'sales'], [sheet, 1]]), sheet);
+  }
+  res = await request('POST', `/api/projects/${projectId}/upload`,
+    uploadForm('regions.xlsx', XLSX.write(regions, { type: 'buffer', bookType: 'xlsx' }), { sheets: 'all' }));
+  check(res.status === 200 && res.data.dataSources.map(s => s.table).join() === 'regions_Q_1,regions_Q_1_2,regions_Q_1_3',
+    'Sheets whose names clash get numbered table names');
+
+  res = await request('POST', `/api/projects/${projectId}/upload`, uploadForm('finance.xlsx', financeXlsx, { sheets: 'Forecast' }));
+  check(res.status === 400 && /Forecast/.test(res.data.error), 'Unknown sheets are rejected');
+
+  finance.Sheets.Actuals = XLSX.utils.aoa_to_sheet([['month', 'spend'], ['Mar', 9]]);
+  res = await request('POST', `/api/sources/${actualsSource.id}/refresh`,
+    uploadForm('finance.xlsx', XLSX.write(finance, { type: 'buffer', bookType: 'xlsx' })));
+  check(res.status === 200 && res.data.rowCount === 1, 'Refresh re-imports the sheet the source came from');
+});
@@ -0,0 +1,53 @@
+#!/usr/bin/env node
+/**
+ * Data Source Versions Integration Test Script
+ * Starts the server against a throwaway data directory and exercises the
+ * versions kept of each upload and refresh: listing, comparing, rolling back,
+ * and the data-quality profile redone after a rollback.
+ */
+
+const { check, uploadForm, runWithServer } = require('./test-support/server');
+
+runWithServer('Data Source Version Tests', async ({ request }) => {
+  const created = await request('POST', '/api/projects', { name: 'Versions Test' });
+  const projectId = created.data.project.id;
+
+  // Test 1: Versions
+  console.log('Test 1: Versions');
+  let res = await request('POST', `/api/projects/${projectId}/upload`, uploadForm('ledger.csv', 'id,amount\n1,10\n2,20\n'));
+  const ledgerId = res.data.dataSource.id;
+  check(res.data.dataSource.version === 1, 'An upload is version 1');
+  res = await request('POST', `/api/sources/${ledgerId}/refresh`, uploadForm('ledger.csv', 'id,amount,note\n3,30,late\n'));
+  check(res.status === 200 && res.data.version === 2, 'A refresh is the next version');
+
+  res = await request('GET', `/api/sources/${ledgerId}/versions/diff`);
+  check(res.status === 200 && res.data.rowCountChange === -1 && res.data.schemaChanges.added.join() === 'note',
+    'Versions are compared by row count and schema');
+
+  // Test 2: Rollback
+  console.log('\nTest 2: Rollback');
+  res = await request('POST', `/api/sources/${ledgerId}/versions/1/rollback`);
+  let sources = await request('GET', `/api/projects/${projectId}/sources`);
+  const ledger = sources.data.find(s => s.id === ledgerId);
+  check(res.status === 200 && ledger.row_count === 2 && ledger.current_version === 1, 'Rollback restores an earlier version');
+  res = await request('GET', `/api/sources/${ledgerId}/versions`);
+  check(res.data.versions.length === 2 && res.data.versions.find(v => v.current).version === 1, 'Later versions are kept after a rollback');
+
+  // The data-quality profile is computed in the background; the profile route waits for it
+  res = await request('GET', `/api/sources/${ledgerId}/profile`);
+  check(res.status === 200 && res.data.rowCount === 2 && res.data.columns.map(c => c.name).join() === 'id,amount',
+    'The rollback\'s data-quality profile describes the rolled-back table');
+  sources = await request('GET', `/api/projects/${projectId}/sources`);
+  check(sources.data.find(s => s.id === ledgerId).quality_status === res.data.status, 'The finished profile is stored with the source');
+
+  // Names that aren't valid table names are imported, refreshed and rolled back under the same table
+  res = await request('POST', `/api/projects/${projectId}/upload`,
+    uploadForm('sales.csv', 'id,amount\n1,10\n', { tableName: 'monthly sales' }));
+  const salesId = res.data.dataSource.id;
+  check(res.status === 200 && res.data.dataSource.table === 'monthly_sales', 'Uploads clean up the table name they are given');
+  await request('POST', `/api/sources/${salesId}/refresh`, uploadForm('sales.csv', 'id,amount\n1,10\n2,20\n3,30\n'));
+  res = await request('POST', `/api/sources/${salesId}/versions/1/rollback`);
+  check(res.status === 200 && res.data.rowCount === 1, 'Rollback restores the table the source was refreshed into');
+  res = await request('GET', `/api/sources/${salesId}/profile`);
+  check(res.status === 200 && res.data.rowCount === 1, 'Its profile describes that table too');
+});